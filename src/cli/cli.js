@@ -0,0 +1,634 @@
+/**
+ * oi1 命令行工具
+ * 在 Node.js 中调用核心模块：encode 生成密文，decode 还原原文，inspect 只读取格式和头部而不解码，serve 启动本地 HTTP 服务（见 server.js）。
+ * 输入默认来自标准输入，结果默认写到标准输出，便于在脚本和 CI 中用管道串联；
+ * 错误和警告按环境变量 LC_ALL / LANG 选用网页的翻译文本，退出码按错误类型区分，见 EXIT_CODES
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { OI1Encoder, OI1Decoder, V3_FLAGS } from '../core/oi1-algorithm.js';
+import { CipherLayout } from '../core/layout.js';
+import { ChecksumRegistry } from '../core/checksums.js';
+import {
+    OI1Error,
+    OI1InputError,
+    OI1FormatError,
+    OI1IntegrityError,
+    OI1KeyError,
+    OI1PayloadError
+} from '../core/errors.js';
+
+// 退出码，脚本可以据此区分失败原因
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,   // 未归类的错误（包括读写文件失败）
+    USAGE: 2,     // 命令行参数或输入不正确（OI1InputError）
+    FORMAT: 3,    // 无法识别的密文（OI1FormatError）
+    INTEGRITY: 4, // 校验失败，--strict 下也包括未经校验的密文（OI1IntegrityError）
+    KEY: 5,       // 缺少密码或密钥，或密码错误（OI1KeyError）
+    PAYLOAD: 6    // 载荷无法解析（OI1PayloadError）
+};
+
+// 各子命令的选项，格式同 util.parseArgs
+const COMMON_OPTIONS = {
+    output: { type: 'string', short: 'o' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const KEY_OPTIONS = {
+    password: { type: 'string' },
+    'integrity-key': { type: 'string' },
+    'mapping-key': { type: 'string' }
+};
+
+const COMMAND_OPTIONS = {
+    encode: {
+        ...COMMON_OPTIONS,
+        ...KEY_OPTIONS,
+        iterations: { type: 'string' },
+        compress: { type: 'boolean' },
+        alphabet: { type: 'string' },
+        ecc: { type: 'string' },
+        integrity: { type: 'string' },
+        whiten: { type: 'boolean' },
+        randomize: { type: 'boolean' },
+        padding: { type: 'string' },
+        label: { type: 'string' },
+        expires: { type: 'string' },
+        binary: { type: 'boolean' },
+        filename: { type: 'string' },
+        'mime-type': { type: 'string' },
+        'group-size': { type: 'string' },
+        'line-width': { type: 'string' },
+        separator: { type: 'string' }
+    },
+    decode: {
+        ...COMMON_OPTIONS,
+        ...KEY_OPTIONS,
+        format: { type: 'string' },
+        strict: { type: 'boolean' }
+    },
+    inspect: {
+        json: COMMON_OPTIONS.json,
+        help: COMMON_OPTIONS.help
+    },
+    serve: {
+        host: { type: 'string' },
+        port: { type: 'string', short: 'p' },
+        'max-body-size': { type: 'string' },
+        'max-batch': { type: 'string' },
+        'max-decompressed-size': { type: 'string' },
+        help: COMMON_OPTIONS.help
+    }
+};
+
+// 命令行参数未提供时，密码和密钥从这些环境变量读取，避免出现在进程列表中
+const KEY_ENV = {
+    password: 'OI1_PASSWORD',
+    'integrity-key': 'OI1_INTEGRITY_KEY',
+    'mapping-key': 'OI1_MAPPING_KEY'
+};
+
+const USAGE = `Usage: oi1 <command> [options] [file]
+
+Commands:
+  encode     Encode text (or any file with --binary) into an oi1 cipher
+  decode     Decode a cipher back to text or file bytes
+  inspect    Show the format, header and checksum of a cipher without decoding it
+  serve      Start a local HTTP server with JSON /encode, /decode and /inspect endpoints
+
+Input is read from [file], or from stdin when it is omitted or "-".
+Results go to stdout unless -o is given. Layout characters are ignored when decoding.
+
+Options:
+  -o, --output <file>        Write the result to a file
+      --json                 Print a JSON report (encode: getEncodingStats)
+  -h, --help                 Show this help
+
+Encode:
+      --password <p>         Encrypt with AES-GCM (default: $OI1_PASSWORD)
+      --iterations <n>       PBKDF2 iterations
+      --compress             Compress the payload
+      --alphabet <name>      oi1, latin, homoglyph-o, homoglyph-i, box, dense8, dense16
+      --ecc <level>          Error correction: low, medium, high
+      --integrity <name>     crc32, crc16, crc32c, sha256, hmac-sha256, none
+      --integrity-key <k>    HMAC shared secret (default: $OI1_INTEGRITY_KEY)
+      --mapping-key <k>      Keyed glyph mapping (default: $OI1_MAPPING_KEY)
+      --whiten               Whiten the payload
+      --randomize            Whiten with a random nonce
+      --padding <policy>     Hide the length: bucket, pow2, random
+      --label <text>         Metadata label
+      --expires <seconds>    Metadata expiry, counted from now
+      --binary               Encode the input as a file
+      --filename <name>      File name for --binary (default: the input file name)
+      --mime-type <type>     MIME type for --binary
+      --group-size <n>       Layout: glyphs per group
+      --line-width <n>       Layout: characters per line
+      --separator <s>        Layout: group separator
+
+Decode:
+      --password, --integrity-key, --mapping-key   As for encode
+      --format <version>     auto, v1, v2 or v3
+      --strict               Fail unless a checksum or HMAC tag was verified
+
+Serve:
+      --host <address>       Address to listen on (default: 127.0.0.1)
+  -p, --port <n>             Port to listen on (default: 8731, 0 picks a free port)
+      --max-body-size <n>    Largest request body in bytes (default: 1048576)
+      --max-batch <n>        Most items in one batch request (default: 100)
+      --max-decompressed-size <n>   Largest decompressed payload in bytes (default: 16777216)
+
+Exit codes:
+  0 success, 1 other error, 2 usage or input, 3 format, 4 integrity, 5 key, 6 payload
+`;
+
+// 已加载的翻译文本（语言代码 → 内容）
+const messageCache = new Map();
+
+/**
+ * 命令行工具
+ */
+export class OI1Cli {
+    /**
+     * 执行命令
+     * @param {string[]} argv - 命令行参数（不含 node 和脚本路径）
+     * @param {Object} [io] - 输入输出，默认为当前进程的 stdin、stdout、stderr 和 env
+     * @returns {Promise<number>} 退出码，见 EXIT_CODES
+     */
+    static async run(argv, io = OI1Cli.processIO()) {
+        const [command, ...args] = argv;
+
+        try {
+            if (command === undefined || command === '-h' || command === '--help' || command === 'help') {
+                io.stdout.write(USAGE);
+                return command === undefined ? EXIT_CODES.USAGE : EXIT_CODES.OK;
+            }
+            if (!Object.hasOwn(COMMAND_OPTIONS, command)) {
+                // 与 parseArgs 的参数错误一样使用英文说明，和用法说明保持一致
+                throw new OI1InputError('INVALID_OPTION', `Unknown command '${command}'. See 'oi1 --help'`);
+            }
+
+            const { values, positionals } = OI1Cli._parse(command, args);
+            if (values.help) {
+                io.stdout.write(USAGE);
+                return EXIT_CODES.OK;
+            }
+
+            await OI1Cli[command](values, positionals, io);
+            return EXIT_CODES.OK;
+
+        } catch (error) {
+            const t = await OI1Cli.translator(io.env);
+            io.stderr.write(`oi1: ${OI1Cli.describeError(error, t)}${error.code ? ` [${error.code}]` : ''}\n`);
+            return OI1Cli.exitCode(error);
+        }
+    }
+
+    /**
+     * 生成密文
+     * @param {Object} values - 选项
+     * @param {string[]} positionals - 输入文件
+     * @param {Object} io - 输入输出
+     */
+    static async encode(values, positionals, io) {
+        const { bytes, path } = await OI1Cli._readInput(positionals, io);
+        const options = OI1Cli._encodeOptions(values, io.env);
+        const encoder = new OI1Encoder();
+
+        let source;
+        let ciphertext;
+        if (values.binary) {
+            source = bytes;
+            ciphertext = await encoder.encodeBytesAsync(bytes, {
+                ...options,
+                filename: values.filename ?? (path ? basename(path) : undefined),
+                mimeType: values['mime-type']
+            });
+        } else {
+            source = OI1Cli._decodeText(bytes, '输入不是有效的 UTF-8 文本，文件请使用 --binary 编码');
+            if (!source) {
+                throw new OI1InputError('EMPTY_INPUT', '输入为空');
+            }
+            ciphertext = await encoder.encodeAsync(source, options);
+        }
+
+        if (values.output) {
+            await writeFile(values.output, `${ciphertext}\n`);
+        } else if (!values.json) {
+            io.stdout.write(`${ciphertext}\n`);
+        }
+
+        if (values.json) {
+            const stats = encoder.getEncodingStats(source, ciphertext);
+            const report = values.output ? { output: values.output, stats } : { ciphertext, stats };
+            io.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+        }
+    }
+
+    /**
+     * 解码密文，文本密文输出原文，文件密文输出文件内容
+     * @param {Object} values - 选项
+     * @param {string[]} positionals - 输入文件
+     * @param {Object} io - 输入输出
+     */
+    static async decode(values, positionals, io) {
+        const { bytes } = await OI1Cli._readInput(positionals, io);
+        const ciphertext = OI1Cli._decodeText(bytes, '密文不是有效的 UTF-8 文本');
+        const options = {
+            password: OI1Cli._key(values, 'password', io.env),
+            integrityKey: OI1Cli._key(values, 'integrity-key', io.env),
+            mappingKey: OI1Cli._key(values, 'mapping-key', io.env),
+            format: values.format
+        };
+        const { result, verified } = await OI1Cli.decodeCiphertext(ciphertext, options, values.strict);
+
+        const warnings = OI1Cli.warnings(result, verified, await OI1Cli.translator(io.env));
+        for (const warning of warnings) {
+            io.stderr.write(`oi1: ${warning}\n`);
+        }
+
+        const content = result.bytes || new TextEncoder().encode(result.plaintext);
+        if (values.output) {
+            await writeFile(values.output, content);
+        } else if (!values.json) {
+            io.stdout.write(content);
+        }
+
+        if (values.json) {
+            const report = OI1Cli.decodeReport(result, warnings);
+            if (values.output) {
+                delete report.data;
+                delete report.plaintext;
+                report.output = values.output;
+            }
+            io.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+        }
+    }
+
+    /**
+     * 显示密文的格式、头部和校验信息，不解码载荷
+     * 密文无法识别时仍输出报告，随后以格式错误退出
+     * @param {Object} values - 选项
+     * @param {string[]} positionals - 输入文件
+     * @param {Object} io - 输入输出
+     */
+    static async inspect(values, positionals, io) {
+        const { bytes } = await OI1Cli._readInput(positionals, io);
+        const report = OI1Cli.inspectReport(OI1Cli._decodeText(bytes, '密文不是有效的 UTF-8 文本'));
+
+        if (values.json) {
+            io.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+        } else {
+            const width = Math.max(...Object.keys(report).map(key => key.length));
+            for (const [key, value] of Object.entries(report)) {
+                const text = key === 'flags' ? `0x${value.toString(16).toUpperCase()}`
+                    : Array.isArray(value) ? value.join(', ')
+                    : value !== null && typeof value === 'object' ? JSON.stringify(value)
+                    : String(value);
+                io.stdout.write(`${key.padEnd(width)}  ${text}\n`);
+            }
+        }
+
+        if (!report.valid) {
+            throw new OI1FormatError('UNKNOWN_FORMAT', `密文格式不正确${report.error ? `: ${report.error}` : ''}`, {
+                format: report.formatVersion,
+                reason: report.error
+            });
+        }
+    }
+
+    /**
+     * 启动本地 HTTP 服务，收到 SIGINT 或 SIGTERM 后停止
+     * @param {Object} values - 选项
+     * @param {string[]} positionals - 不接受输入文件
+     * @param {Object} io - 输入输出
+     */
+    static async serve(values, positionals, io) {
+        if (positionals.length > 0) {
+            throw new OI1InputError('INVALID_OPTION', `'oi1 serve' takes no input file, got '${positionals[0]}'`);
+        }
+
+        // 只有 serve 用到 node:http，按需加载
+        const { OI1Server } = await import('./server.js');
+        const server = new OI1Server({
+            host: values.host,
+            port: OI1Cli._integer(values, 'port'),
+            maxBodySize: OI1Cli._integer(values, 'max-body-size'),
+            maxBatchItems: OI1Cli._integer(values, 'max-batch'),
+            maxDecompressedSize: OI1Cli._integer(values, 'max-decompressed-size')
+        });
+
+        const { url } = await server.listen();
+        io.stderr.write(`oi1: listening on ${url}\n`);
+
+        await new Promise(resolve => {
+            process.once('SIGINT', resolve);
+            process.once('SIGTERM', resolve);
+        });
+        await server.close();
+    }
+
+    /**
+     * 解码密文：先按文本解码，密文包含文件时改为按字节解码；总是忽略排版字符
+     * @param {string} ciphertext - 密文
+     * @param {Object} options - 解码选项，同 OI1Decoder.decodeAsync
+     * @param {boolean} [strict=false] - 是否要求通过校验，未通过时抛出 UNVERIFIED
+     * @returns {Promise<Object>} { result, verified }，verified 表示校验码或认证标签已通过校验
+     */
+    static async decodeCiphertext(ciphertext, options, strict = false) {
+        if (!CipherLayout.strip(ciphertext)) {
+            throw new OI1InputError('EMPTY_INPUT', '密文为空');
+        }
+
+        const decoder = new OI1Decoder();
+        options = { ...options, ignoreLayout: true };
+
+        let result;
+        try {
+            result = await decoder.decodeAsync(ciphertext, options);
+        } catch (error) {
+            if (error.code !== 'BINARY_PAYLOAD') {
+                throw error;
+            }
+            result = await decoder.decodeBytesAsync(ciphertext, options);
+        }
+
+        const verified = result.crcVerified || result.integrity === 'authentic';
+        if (!verified && strict) {
+            throw new OI1IntegrityError('UNVERIFIED', `密文没有可以校验的校验码或认证标签（格式 ${result.formatVersion}）`, {
+                formatVersion: result.formatVersion
+            });
+        }
+        return { result, verified };
+    }
+
+    /**
+     * 解码结果的警告：未经校验、字符已规范化、已修复、已过期
+     * @param {Object} result - 解码结果
+     * @param {boolean} verified - 是否已通过校验
+     * @param {Function} t - 翻译函数，见 translator
+     * @returns {string[]} 警告
+     */
+    static warnings(result, verified, t) {
+        const warnings = [];
+        if (!verified) {
+            warnings.push(t(result.formatVersion === 'v1' ? 'validation.legacyFormat' : 'validation.noCrc'));
+        }
+        if (result.substitutions.length > 0) {
+            warnings.push(t('validation.normalized', { count: result.substitutions.length }));
+        }
+        if (result.repairedPositions && result.repairedPositions.length > 0) {
+            warnings.push(t('validation.crcRepaired', {
+                count: result.repairedPositions.length,
+                algorithm: ChecksumRegistry.get(result.integrityAlgorithm || undefined).label
+            }));
+        }
+        if (result.expired) {
+            warnings.push(t('messages.decodeExpired', { time: new Date(result.metadata.expiresAt).toISOString() }));
+        }
+        return warnings;
+    }
+
+    /**
+     * 生成可以 JSON 序列化的解码报告：文本放在 plaintext 中，文件内容以 base64 放在 data 中
+     * @param {Object} result - 解码结果
+     * @param {string[]} warnings - 警告
+     * @returns {Object} 解码报告
+     */
+    static decodeReport(result, warnings) {
+        const { plaintext, bytes, ...info } = result;
+        const content = bytes || new TextEncoder().encode(plaintext);
+        const report = { ...info, size: content.length, warnings };
+        if (bytes) {
+            report.data = Buffer.from(bytes).toString('base64');
+        } else {
+            report.plaintext = plaintext;
+        }
+        return report;
+    }
+
+    /**
+     * 读取密文的格式、头部和校验信息，不解码载荷
+     * 含有无效字符时抛出错误；格式不正确时 valid 为 false，原因记在 error 中
+     * @param {string} ciphertext - 密文，可以带排版字符
+     * @returns {Object} 报告
+     */
+    static inspectReport(ciphertext) {
+        ciphertext = CipherLayout.strip(ciphertext);
+        const decoder = new OI1Decoder();
+        const validation = decoder.validateCiphertext(ciphertext);
+        if (!validation.isValid) {
+            throw OI1Error.create(validation.code, validation.error, validation.details);
+        }
+
+        const { canonical, alphabet } = decoder.normalizeCiphertext(ciphertext);
+        const formatInfo = decoder._detectFormat(canonical, alphabet);
+        const flags = formatInfo.flags || 0;
+        return {
+            valid: formatInfo.isValid,
+            error: formatInfo.error || null,
+            formatVersion: formatInfo.version,
+            alphabet: validation.alphabet,
+            length: ciphertext.length,
+            substitutions: validation.substitutions.length,
+            flags: flags,
+            flagNames: Object.keys(V3_FLAGS).filter(name => flags & V3_FLAGS[name]),
+            payloadLength: formatInfo.payloadLength ?? (formatInfo.mainCipherLength ?? 0) / 4,
+            integrity: formatInfo.integrity || (formatInfo.hasCRC ? 'crc32' : null),
+            eccParity: formatInfo.eccParity || 0,
+            part: formatInfo.part || null,
+            quality: decoder.getCiphertextQuality(ciphertext).quality
+        };
+    }
+
+    /**
+     * 错误对应的退出码
+     * @param {Error} error - 错误
+     * @returns {number} 退出码
+     */
+    static exitCode(error) {
+        if (error instanceof OI1InputError) return EXIT_CODES.USAGE;
+        if (error instanceof OI1FormatError) return EXIT_CODES.FORMAT;
+        if (error instanceof OI1IntegrityError) return EXIT_CODES.INTEGRITY;
+        if (error instanceof OI1KeyError) return EXIT_CODES.KEY;
+        if (error instanceof OI1PayloadError) return EXIT_CODES.PAYLOAD;
+        return EXIT_CODES.FAILURE;
+    }
+
+    /**
+     * 生成错误的本地化说明
+     * 带错误代码的错误按 errors.codes.<代码> 翻译；没有对应翻译或缺少参数时使用错误自身的说明
+     * @param {Error} error - 错误
+     * @param {Function} t - 翻译函数，见 translator
+     * @returns {string} 说明
+     */
+    static describeError(error, t) {
+        if (!error.code) {
+            return error.message;
+        }
+
+        const key = `errors.codes.${error.code}`;
+        const params = {};
+        for (const [name, value] of Object.entries(error.details || {})) {
+            params[name] = Array.isArray(value) ? value.join(', ') : value;
+        }
+        const text = t(key, params);
+        return text === key || /{\w+}/.test(text) ? error.message : text;
+    }
+
+    /**
+     * 按环境变量选择语言，加载网页的翻译文本
+     * @param {Object} env - 环境变量
+     * @returns {Promise<Function>} 翻译函数 (key, params) => string，找不到时返回 key
+     */
+    static async translator(env = {}) {
+        const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || '';
+        const lang = /^zh/i.test(locale) ? 'zh-CN' : 'en-US';
+
+        if (!messageCache.has(lang)) {
+            const url = new URL(`../i18n/${lang}.json`, import.meta.url);
+            messageCache.set(lang, JSON.parse(await readFile(url, 'utf-8')));
+        }
+        const messages = messageCache.get(lang);
+
+        return (key, params = {}) => {
+            const value = key.split('.').reduce((node, k) => (node && typeof node === 'object' ? node[k] : undefined), messages);
+            if (typeof value !== 'string') {
+                return key;
+            }
+            return value.replace(/{(\w+)}/g, (match, name) => (Object.hasOwn(params, name) ? params[name] : match));
+        };
+    }
+
+    /**
+     * 当前进程的输入输出
+     * @returns {Object} { stdin, stdout, stderr, env }
+     */
+    static processIO() {
+        return { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, env: process.env };
+    }
+
+    /**
+     * 解析子命令的参数
+     * @param {string} command - 子命令
+     * @param {string[]} args - 参数
+     * @returns {Object} { values, positionals }
+     * @private
+     */
+    static _parse(command, args) {
+        let parsed;
+        try {
+            parsed = parseArgs({ args, options: COMMAND_OPTIONS[command], allowPositionals: true, strict: true });
+        } catch (error) {
+            throw new OI1InputError('INVALID_OPTION', error.message, {}, { cause: error });
+        }
+
+        if (parsed.positionals.length > 1) {
+            throw new OI1InputError('INVALID_OPTION', `Expected at most one input file, got ${parsed.positionals.length}`);
+        }
+        return parsed;
+    }
+
+    /**
+     * 读取输入文件或标准输入
+     * @param {string[]} positionals - 输入文件，省略或为 '-' 时读取标准输入
+     * @param {Object} io - 输入输出
+     * @returns {Promise<Object>} { bytes, path }，path 在读取标准输入时为 null
+     * @private
+     */
+    static async _readInput(positionals, io) {
+        const path = positionals[0];
+        if (path !== undefined && path !== '-') {
+            return { bytes: new Uint8Array(await readFile(path)), path };
+        }
+
+        const chunks = [];
+        for await (const chunk of io.stdin) {
+            chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+        }
+        return { bytes: new Uint8Array(Buffer.concat(chunks)), path: null };
+    }
+
+    /**
+     * 将输入严格解码为 UTF-8 文本
+     * @param {Uint8Array} bytes - 输入字节
+     * @param {string} message - 无效时的错误说明
+     * @returns {string} 文本
+     * @private
+     */
+    static _decodeText(bytes, message) {
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (error) {
+            throw new OI1InputError('INVALID_INPUT', message, { expected: 'UTF-8' }, { cause: error });
+        }
+    }
+
+    /**
+     * 读取密码或密钥，命令行参数优先，其次为环境变量
+     * @param {Object} values - 选项
+     * @param {string} name - 选项名称
+     * @param {Object} env - 环境变量
+     * @returns {string|undefined} 密码或密钥
+     * @private
+     */
+    static _key(values, name, env = {}) {
+        return values[name] || env[KEY_ENV[name]] || undefined;
+    }
+
+    /**
+     * 将命令行选项转换为编码选项
+     * @param {Object} values - 选项
+     * @param {Object} env - 环境变量
+     * @returns {Object} 编码选项，同 OI1Encoder.encodeAsync
+     * @private
+     */
+    static _encodeOptions(values, env) {
+        const expires = OI1Cli._integer(values, 'expires');
+        const createdAt = Date.now();
+        const metadata = values.label || expires
+            ? { label: values.label, createdAt, expiresAt: expires ? createdAt + expires * 1000 : undefined }
+            : undefined;
+
+        return {
+            password: OI1Cli._key(values, 'password', env),
+            iterations: OI1Cli._integer(values, 'iterations'),
+            compress: Boolean(values.compress),
+            alphabet: values.alphabet,
+            ecc: values.ecc,
+            integrity: values.integrity,
+            integrityKey: OI1Cli._key(values, 'integrity-key', env),
+            mappingKey: OI1Cli._key(values, 'mapping-key', env),
+            whiten: Boolean(values.whiten),
+            randomize: Boolean(values.randomize),
+            padding: values.padding,
+            metadata: metadata,
+            groupSize: OI1Cli._integer(values, 'group-size'),
+            lineWidth: OI1Cli._integer(values, 'line-width'),
+            separator: values.separator
+        };
+    }
+
+    /**
+     * 读取整数选项
+     * @param {Object} values - 选项
+     * @param {string} name - 选项名称
+     * @returns {number|undefined} 非负整数，未提供时为 undefined
+     * @private
+     */
+    static _integer(values, name) {
+        const value = values[name];
+        if (value === undefined) {
+            return undefined;
+        }
+        if (!/^\d+$/.test(value)) {
+            throw new OI1InputError('INVALID_OPTION', `选项 --${name} 必须是非负整数: ${value}`, { option: `--${name}`, value });
+        }
+        return Number(value);
+    }
+}
+
+export { EXIT_CODES };
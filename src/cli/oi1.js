@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+/**
+ * oi1 命令行入口，用法见 oi1 --help
+ */
+
+import { OI1Cli } from './cli.js';
+
+process.exitCode = await OI1Cli.run(process.argv.slice(2));
@@ -0,0 +1,445 @@
+/**
+ * oi1 本地 HTTP 服务
+ * 供其他语言编写的工具调用核心模块：请求和响应都是 JSON，接口与命令行的 encode、decode、inspect 一致，
+ * 每个接口另有 /batch 版本，一次处理多条。失败时按错误类型返回 HTTP 状态码，响应体中的 code 与 OI1Error 相同。
+ * 默认只监听 127.0.0.1；只接受 application/json 请求，浏览器中的其他网页无法不经预检直接提交
+ */
+
+import { createServer } from 'node:http';
+import { OI1Encoder } from '../core/oi1-algorithm.js';
+import {
+    OI1Error,
+    OI1InputError,
+    OI1FormatError,
+    OI1IntegrityError,
+    OI1KeyError,
+    OI1PayloadError
+} from '../core/errors.js';
+import { OI1Cli } from './cli.js';
+
+// 默认设置
+const DEFAULT_OPTIONS = {
+    host: '127.0.0.1',
+    port: 8731,
+    maxBodySize: 1024 * 1024,               // 请求体的最大字节数
+    maxBatchItems: 100,                     // 批量请求的最大条数
+    maxDecompressedSize: 16 * 1024 * 1024   // 每条密文解压后的最大字节数
+};
+
+// 错误代码对应的 HTTP 状态码，未列出的代码按错误类型决定，见 OI1Server.statusCode
+const CODE_STATUS = {
+    NOT_FOUND: 404,
+    METHOD_NOT_ALLOWED: 405,
+    UNSUPPORTED_MEDIA_TYPE: 415,
+    TOO_LARGE: 413,
+    TOO_MANY_ITEMS: 413,
+    DECOMPRESSED_TOO_LARGE: 413,
+    WRONG_PASSWORD: 403
+};
+
+// 请求中 options 允许的字段及类型，其他字段视为拼写错误
+const ENCODE_OPTIONS = {
+    password: ['string'],
+    iterations: ['number'],
+    compress: ['boolean'],
+    alphabet: ['string', 'number'],
+    ecc: ['string', 'number'],
+    integrity: ['string'],
+    integrityKey: ['string'],
+    mappingKey: ['string'],
+    whiten: ['boolean'],
+    randomize: ['boolean'],
+    padding: ['string'],
+    paddingBuckets: ['array'],
+    metadata: ['object'],
+    groupSize: ['number'],
+    lineWidth: ['number'],
+    separator: ['string']
+};
+
+const DECODE_OPTIONS = {
+    password: ['string'],
+    integrityKey: ['string'],
+    mappingKey: ['string'],
+    format: ['string'],
+    strict: ['boolean']
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * 本地 HTTP 服务
+ *
+ * 接口（均为 POST，请求体为 JSON 对象）：
+ * - /encode  { text } 或 { data（base64）, filename, mimeType }，可带 options → { ciphertext, stats }
+ * - /decode  { ciphertext, options } → 解码报告，同 oi1 decode --json
+ * - /inspect { ciphertext } → 格式报告，同 oi1 inspect --json
+ * - 以上接口加 /batch 后缀：{ items: [...], options } → { results, succeeded, failed }，
+ *   options 为各条共用的选项，条目自身的 options 优先；单条失败不影响其他条目
+ * - GET /health → { status: 'ok', limits }
+ */
+export class OI1Server {
+    /**
+     * @param {Object} [options] - 设置
+     * @param {string} [options.host='127.0.0.1'] - 监听地址
+     * @param {number} [options.port=8731] - 监听端口，0 表示随机选择空闲端口
+     * @param {number} [options.maxBodySize=1048576] - 请求体的最大字节数
+     * @param {number} [options.maxBatchItems=100] - 批量请求的最大条数
+     * @param {number} [options.maxDecompressedSize=16777216] - 每条密文解压后的最大字节数，
+     *     防止很小的压缩载荷解压出巨大的结果
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS };
+        for (const [name, value] of Object.entries(options)) {
+            if (value !== undefined) {
+                this.options[name] = value;
+            }
+        }
+        this.encoder = new OI1Encoder();
+        this.server = createServer((request, response) => this.handle(request, response));
+    }
+
+    /**
+     * 开始监听
+     * @returns {Promise<Object>} { host, port, url }，port 为实际监听的端口
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.off('error', reject);
+                const { address, port } = this.server.address();
+                const host = address.includes(':') ? `[${address}]` : address;
+                resolve({ host: address, port, url: `http://${host}:${port}` });
+            });
+        });
+    }
+
+    /**
+     * 停止监听，等待处理中的请求完成
+     * @returns {Promise<void>}
+     */
+    close() {
+        return new Promise((resolve, reject) => {
+            this.server.close(error => (error ? reject(error) : resolve()));
+            this.server.closeIdleConnections();
+        });
+    }
+
+    /**
+     * 处理一个请求
+     * @param {http.IncomingMessage} request - 请求
+     * @param {http.ServerResponse} response - 响应
+     */
+    async handle(request, response) {
+        // 翻译文本加载失败时错误说明使用核心模块的原始信息
+        let t = key => key;
+        try {
+            t = await OI1Cli.translator({ LANG: request.headers['accept-language'] });
+            const { pathname } = new URL(request.url, 'http://localhost');
+            const [, name, batch, ...rest] = pathname.split('/');
+
+            if (name === 'health' && batch === undefined) {
+                if (request.method !== 'GET') {
+                    throw OI1Server._methodError(request.method, 'GET');
+                }
+                const { maxBodySize, maxBatchItems, maxDecompressedSize } = this.options;
+                this._send(response, 200, { status: 'ok', limits: { maxBodySize, maxBatchItems, maxDecompressedSize } });
+                return;
+            }
+
+            if (!['encode', 'decode', 'inspect'].includes(name) || (batch !== undefined && batch !== 'batch') || rest.length > 0) {
+                throw new OI1InputError('NOT_FOUND', `没有这个接口: ${pathname}`, { path: pathname });
+            }
+            if (request.method !== 'POST') {
+                throw OI1Server._methodError(request.method, 'POST');
+            }
+
+            const body = await this._readBody(request);
+            const result = batch ? await this.batch(name, body, t) : await this[name](body, t);
+            this._send(response, 200, result);
+
+        } catch (error) {
+            this._send(response, OI1Server.statusCode(error), { error: OI1Server.errorBody(error, t) });
+        }
+    }
+
+    /**
+     * 生成密文
+     * @param {Object} body - { text } 或 { data, filename, mimeType }，以及 options
+     * @returns {Promise<Object>} { ciphertext, stats }
+     */
+    async encode(body) {
+        const options = OI1Server._options(body.options, ENCODE_OPTIONS);
+
+        let source;
+        let ciphertext;
+        if (body.data !== undefined) {
+            source = OI1Server._base64(body.data);
+            ciphertext = await this.encoder.encodeBytesAsync(source, {
+                ...options,
+                filename: OI1Server._string(body, 'filename'),
+                mimeType: OI1Server._string(body, 'mimeType')
+            });
+        } else {
+            source = OI1Server._string(body, 'text', true);
+            if (!source) {
+                throw new OI1InputError('EMPTY_INPUT', '输入为空');
+            }
+            ciphertext = await this.encoder.encodeAsync(source, options);
+        }
+
+        return { ciphertext, stats: this.encoder.getEncodingStats(source, ciphertext) };
+    }
+
+    /**
+     * 解码密文
+     * @param {Object} body - { ciphertext, options }，options.strict 同 oi1 decode --strict
+     * @param {Function} t - 生成警告所用的翻译函数，见 OI1Cli.translator
+     * @returns {Promise<Object>} 解码报告，同 OI1Cli.decodeReport
+     */
+    async decode(body, t) {
+        const ciphertext = OI1Server._string(body, 'ciphertext', true);
+        const { strict, ...options } = OI1Server._options(body.options, DECODE_OPTIONS);
+        options.maxDecompressedSize = this.options.maxDecompressedSize;
+        const { result, verified } = await OI1Cli.decodeCiphertext(ciphertext, options, strict);
+        return OI1Cli.decodeReport(result, OI1Cli.warnings(result, verified, t));
+    }
+
+    /**
+     * 读取密文的格式和头部
+     * 格式不正确时仍返回报告，valid 为 false；含有无效字符时返回错误
+     * @param {Object} body - { ciphertext }
+     * @returns {Promise<Object>} 格式报告，同 OI1Cli.inspectReport
+     */
+    async inspect(body) {
+        return OI1Cli.inspectReport(OI1Server._string(body, 'ciphertext', true));
+    }
+
+    /**
+     * 依次处理多条请求
+     * @param {string} name - 接口名称：encode、decode 或 inspect
+     * @param {Object} body - { items, options }
+     * @param {Function} t - 翻译函数，用于警告和错误说明
+     * @returns {Promise<Object>} { results, succeeded, failed }，results[i] 为 { ok: true, ...结果 } 或 { ok: false, status, error }
+     */
+    async batch(name, body, t) {
+        const { items } = body;
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new OI1InputError('INVALID_INPUT', 'items 必须是非空数组', { expected: 'array' });
+        }
+        if (items.length > this.options.maxBatchItems) {
+            throw new OI1InputError('TOO_MANY_ITEMS', `批量请求最多 ${this.options.maxBatchItems} 条，收到 ${items.length} 条`, {
+                limit: this.options.maxBatchItems,
+                count: items.length
+            });
+        }
+        if (body.options !== undefined && !OI1Server._isObject(body.options)) {
+            throw new OI1InputError('INVALID_OPTION', 'options 必须是对象', { option: 'options' });
+        }
+
+        const results = [];
+        for (const item of items) {
+            try {
+                if (!OI1Server._isObject(item)) {
+                    throw new OI1InputError('INVALID_INPUT', '批量请求的每一条必须是对象', { expected: 'object' });
+                }
+                if (item.options !== undefined && !OI1Server._isObject(item.options)) {
+                    throw new OI1InputError('INVALID_OPTION', 'options 必须是对象', { option: 'options' });
+                }
+                const request = { ...item, options: { ...body.options, ...item.options } };
+                results.push({ ok: true, ...await this[name](request, t) });
+            } catch (error) {
+                results.push({ ok: false, status: OI1Server.statusCode(error), error: OI1Server.errorBody(error, t) });
+            }
+        }
+
+        const succeeded = results.filter(result => result.ok).length;
+        return { results, succeeded, failed: results.length - succeeded };
+    }
+
+    /**
+     * 错误对应的 HTTP 状态码
+     * 输入错误 400，缺少密码或密钥 401，密码错误 403，格式、校验和载荷错误 422，其他 500
+     * @param {Error} error - 错误
+     * @returns {number} HTTP 状态码
+     */
+    static statusCode(error) {
+        if (error instanceof OI1Error && Object.hasOwn(CODE_STATUS, error.code)) return CODE_STATUS[error.code];
+        if (error instanceof OI1InputError) return 400;
+        if (error instanceof OI1KeyError) return 401;
+        if (error instanceof OI1FormatError || error instanceof OI1IntegrityError || error instanceof OI1PayloadError) return 422;
+        return 500;
+    }
+
+    /**
+     * 生成错误响应体
+     * @param {Error} error - 错误
+     * @param {Function} t - 翻译函数，用于生成 description
+     * @returns {Object} { name, code, message, details, description }，意外错误的 code 为 null
+     */
+    static errorBody(error, t) {
+        const data = error instanceof OI1Error
+            ? error.toJSON()
+            : { name: error.name, code: null, message: error.message, details: {} };
+        return { ...data, description: OI1Cli.describeError(data, t) };
+    }
+
+    /**
+     * 读取并解析 JSON 请求体，超过大小限制时立即停止读取
+     * @param {http.IncomingMessage} request - 请求
+     * @returns {Promise<Object>} 请求体
+     * @private
+     */
+    async _readBody(request) {
+        const type = request.headers['content-type'] || '';
+        if (!/^application\/json\s*(;|$)/i.test(type)) {
+            throw new OI1InputError('UNSUPPORTED_MEDIA_TYPE', `请求体必须是 application/json，收到 ${type || '（无）'}`, {
+                expected: 'application/json'
+            });
+        }
+
+        const limit = this.options.maxBodySize;
+        const tooLarge = () => new OI1InputError('TOO_LARGE', `请求体超过 ${limit} 字节`, { limit });
+        if (Number(request.headers['content-length']) > limit) {
+            throw tooLarge();
+        }
+
+        const bytes = await new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            request.on('data', chunk => {
+                size += chunk.length;
+                if (size > limit) {
+                    // 不再读取剩余内容，响应后关闭连接
+                    request.removeAllListeners('data');
+                    request.pause();
+                    reject(tooLarge());
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on('end', () => resolve(Buffer.concat(chunks)));
+            request.on('error', reject);
+        });
+
+        let body;
+        try {
+            body = JSON.parse(OI1Cli._decodeText(bytes, '请求体不是有效的 UTF-8 文本'));
+        } catch (error) {
+            if (error instanceof OI1Error) {
+                throw error;
+            }
+            throw new OI1InputError('INVALID_INPUT', `请求体不是有效的 JSON: ${error.message}`, { expected: 'JSON' }, { cause: error });
+        }
+        if (!OI1Server._isObject(body)) {
+            throw new OI1InputError('INVALID_INPUT', '请求体必须是 JSON 对象', { expected: 'object' });
+        }
+        return body;
+    }
+
+    /**
+     * 发送 JSON 响应；请求体过大时响应后关闭连接，不再读取剩余内容
+     * @param {http.ServerResponse} response - 响应
+     * @param {number} status - HTTP 状态码
+     * @param {Object} body - 响应体
+     * @private
+     */
+    _send(response, status, body) {
+        if (response.headersSent) {
+            response.destroy();
+            return;
+        }
+        const headers = {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store'
+        };
+        if (status === 413) {
+            headers.Connection = 'close';
+        }
+        if (status === 405) {
+            headers.Allow = body.error.details.allowed;
+        }
+        response.writeHead(status, headers);
+        response.end(`${JSON.stringify(body)}\n`);
+    }
+
+    /**
+     * 请求方法不正确的错误
+     * @param {string} method - 请求方法
+     * @param {string} allowed - 允许的方法
+     * @returns {OI1InputError} 错误对象
+     * @private
+     */
+    static _methodError(method, allowed) {
+        return new OI1InputError('METHOD_NOT_ALLOWED', `此接口只接受 ${allowed} 请求，收到 ${method}`, { method, allowed });
+    }
+
+    /**
+     * 检查请求中的选项，只保留已知字段
+     * @param {Object} [options] - 请求中的选项
+     * @param {Object} schema - 字段及允许的类型，如 ENCODE_OPTIONS
+     * @returns {Object} 选项
+     * @private
+     */
+    static _options(options = {}, schema) {
+        if (!OI1Server._isObject(options)) {
+            throw new OI1InputError('INVALID_OPTION', 'options 必须是对象', { option: 'options' });
+        }
+        for (const [name, value] of Object.entries(options)) {
+            if (!Object.hasOwn(schema, name)) {
+                throw new OI1InputError('INVALID_OPTION', `未知的选项: ${name}`, { option: name });
+            }
+            const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+            if (value !== undefined && !schema[name].includes(type)) {
+                throw new OI1InputError('INVALID_OPTION', `选项 ${name} 必须是 ${schema[name].join(' 或 ')}`, {
+                    option: name,
+                    value: JSON.stringify(value)
+                });
+            }
+        }
+        return options;
+    }
+
+    /**
+     * 读取字符串字段
+     * @param {Object} body - 请求体
+     * @param {string} name - 字段名称
+     * @param {boolean} [required=false] - 是否必须提供
+     * @returns {string|undefined} 字段值
+     * @private
+     */
+    static _string(body, name, required = false) {
+        const value = body[name];
+        if (value === undefined && !required) {
+            return undefined;
+        }
+        if (typeof value !== 'string') {
+            throw new OI1InputError('INVALID_INPUT', `${name} 必须是字符串`, { expected: 'string' });
+        }
+        return value;
+    }
+
+    /**
+     * 解析 base64 编码的文件内容
+     * @param {string} data - base64 字符串
+     * @returns {Uint8Array} 字节
+     * @private
+     */
+    static _base64(data) {
+        if (typeof data !== 'string' || data.length % 4 !== 0 || !BASE64_PATTERN.test(data)) {
+            throw new OI1InputError('INVALID_INPUT', 'data 必须是 base64 字符串', { expected: 'base64' });
+        }
+        return new Uint8Array(Buffer.from(data, 'base64'));
+    }
+
+    /**
+     * 是否为普通对象（不含数组和 null）
+     * @param {*} value - 值
+     * @returns {boolean}
+     * @private
+     */
+    static _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
@@ -109,11 +109,12 @@ export class DemoViewer {
     /**
      * 显示编码演示
      * @param {string} text - 要演示的文本
+     * @param {Object[]} [steps] - 已生成的步骤（例如由 Worker 生成），不提供时在此生成
      */
-    async showEncodingDemo(text) {
+    async showEncodingDemo(text, steps) {
         if (!this.container || !text) return;
 
-        const steps = OI1Demo.generateEncodingDemo(text);
+        steps = steps || OI1Demo.generateEncodingDemo(text, { translate: (key, params) => i18n.t(key, params) });
         const container = this.container.querySelector('#encodingSteps');
         
         if (!container) return;
@@ -131,11 +132,12 @@ export class DemoViewer {
     /**
      * 显示解码演示
      * @param {string} ciphertext - 要演示的密文
+     * @param {Object[]} [steps] - 已生成的步骤（例如由 Worker 生成），不提供时在此生成
      */
-    async showDecodingDemo(ciphertext) {
+    async showDecodingDemo(ciphertext, steps) {
         if (!this.container || !ciphertext) return;
 
-        const steps = OI1Demo.generateDecodingDemo(ciphertext);
+        steps = steps || OI1Demo.generateDecodingDemo(ciphertext, { translate: (key, params) => i18n.t(key, params) });
         const container = this.container.querySelector('#decodingSteps');
         
         if (!container) return;
@@ -208,6 +210,8 @@ export class DemoViewer {
                     </div>
                 </div>
                 
+                ${step.table ? this.createTableHtml(step.table) : ''}
+
                 ${step.technical ? `
                     <div class="step-technical">
                         <details>
@@ -222,6 +226,27 @@ export class DemoViewer {
         return stepDiv;
     }
 
+    /**
+     * 生成步骤附带的表格（如密钥映射表）
+     * @param {Object} table - { headers: string[], rows: string[][] }
+     * @returns {string} 表格HTML
+     */
+    createTableHtml(table) {
+        const headers = table.headers.map(cell => `<th>${this.escapeHtml(cell)}</th>`).join('');
+        const rows = table.rows
+            .map(row => `<tr>${row.map(cell => `<td>${this.escapeHtml(cell)}</td>`).join('')}</tr>`)
+            .join('');
+
+        return `
+            <div class="step-table">
+                <table>
+                    <thead><tr>${headers}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
     /**
      * 转义HTML特殊字符
      * @param {string} text - 文本
@@ -0,0 +1,347 @@
+/**
+ * oi1 字符集注册表
+ * 字符集由 4、8 或 16 个字形组成，每个字形分别表示 2、3 或 4 位数值。
+ * 编码时先生成标准 O0Il 密文（每字符2位）再按位重新打包为字形，解码时先还原为标准字符，核心算法只处理 O0Il
+ */
+
+import { OI1InputError, OI1FormatError } from './errors.js';
+
+// 标准字符，下标即对应的2位数值
+const CANONICAL_GLYPHS = ['O', '0', 'I', 'l'];
+const CANONICAL_VALUES = { 'O': 0, '0': 1, 'I': 2, 'l': 3 };
+
+// 标准字符以外的任意字符，默认字符集用正则整体校验，避免逐字符查表
+const NON_CANONICAL = /[^O0Il]/;
+
+// v3 魔数字节，其前几个完整字形用于从密文开头识别字符集
+const MAGIC_BYTE = 0x8E;
+
+// 支持的字形数量与每个字形的位数
+const BITS_PER_GLYPH = { 4: 2, 8: 3, 16: 4 };
+
+/**
+ * 单个字符集
+ */
+export class OI1Alphabet {
+    /**
+     * @param {Object} definition - 字符集定义
+     * @param {number} definition.id - 编号，写入 v3 头部
+     * @param {string} definition.name - 名称，用于 API 选项和界面
+     * @param {string[]} definition.glyphs - 4、8 或 16 个字形，下标即所表示的数值（可以是多字符字形）
+     */
+    constructor({ id, name, glyphs }) {
+        if (!Number.isInteger(id) || id < 0) {
+            throw new OI1InputError('INVALID_OPTION', `字符集编号必须是非负整数: ${id}`, { option: 'id', value: String(id) });
+        }
+
+        if (!Array.isArray(glyphs) || !BITS_PER_GLYPH[glyphs.length] || glyphs.some(glyph => typeof glyph !== 'string' || !glyph)) {
+            throw new OI1InputError('INVALID_OPTION', `字符集 ${name} 必须包含4、8或16个非空字形`, { option: 'glyphs', value: String(glyphs) });
+        }
+
+        // 多字符字形按最长匹配切分，任何字形都不能是另一个字形的前缀
+        for (let i = 0; i < glyphs.length; i++) {
+            for (let j = 0; j < glyphs.length; j++) {
+                if (i !== j && glyphs[j].startsWith(glyphs[i])) {
+                    throw new OI1InputError('INVALID_OPTION', `字符集 ${name} 的字形 '${glyphs[i]}' 与 '${glyphs[j]}' 存在前缀冲突`, {
+                        option: 'glyphs',
+                        value: String(glyphs)
+                    });
+                }
+            }
+        }
+
+        this.id = id;
+        this.name = name;
+        this.glyphs = glyphs.slice();
+        this.bitsPerGlyph = BITS_PER_GLYPH[glyphs.length];
+        this.isCanonical = glyphs.length === 4 && glyphs.every((glyph, i) => glyph === CANONICAL_GLYPHS[i]);
+        this.maxGlyphLength = Math.max(...glyphs.map(glyph => glyph.length));
+
+        // 字节与字形的最小公共分组：3位字形每3字节对应8个字形，有剩余时在末尾补0位
+        const blockBits = this.bitsPerGlyph === 3 ? 24 : 8;
+        this.blockBytes = blockBits / 8;
+        this.blockGlyphs = blockBits / this.bitsPerGlyph;
+
+        const magicGlyphs = Math.floor(8 / this.bitsPerGlyph);
+        const mask = (1 << this.bitsPerGlyph) - 1;
+        this.magic = Array.from({ length: magicGlyphs }, (_, i) =>
+            glyphs[(MAGIC_BYTE >>> (8 - this.bitsPerGlyph * (i + 1))) & mask]
+        ).join('');
+
+        this._values = new Map(glyphs.map((glyph, value) => [glyph, value]));
+    }
+
+    /**
+     * 将标准 O0Il 字符串转换为本字符集的字形
+     * 位数不足一个字形时在末尾补0位
+     * @param {string} canonical - 标准 O0Il 字符串
+     * @returns {string} 本字符集的密文
+     */
+    fromCanonical(canonical) {
+        if (this.isCanonical) {
+            return canonical;
+        }
+
+        const bits = this.bitsPerGlyph;
+        const mask = (1 << bits) - 1;
+        const output = [];
+        let buffer = 0;
+        let count = 0;
+
+        for (let i = 0; i < canonical.length; i++) {
+            buffer = (buffer << 2) | CANONICAL_VALUES[canonical[i]];
+            count += 2;
+            if (count >= bits) {
+                count -= bits;
+                output.push(this.glyphs[(buffer >>> count) & mask]);
+                buffer &= (1 << count) - 1;
+            }
+        }
+
+        if (count > 0) {
+            output.push(this.glyphs[(buffer << (bits - count)) & mask]);
+        }
+
+        return output.join('');
+    }
+
+    /**
+     * 将本字符集的密文还原为标准 O0Il 字符串
+     * 完整输入时去掉末尾的补位（不足一个字形且全为0）；多出的位保留下来，交由长度检查报告
+     * @param {string} text - 密文
+     * @param {boolean} [partial=false] - 分块输入时为 true：只处理完整的字节分组，其余留待下一块
+     * @returns {Object} { canonical, consumed, invalidIndex }；invalidIndex 为 -1 表示全部有效
+     */
+    toCanonical(text, partial = false) {
+        if (this.isCanonical) {
+            const invalidIndex = text.search(NON_CANONICAL);
+            return invalidIndex === -1
+                ? { canonical: text, consumed: text.length, invalidIndex: -1 }
+                : { canonical: text.slice(0, invalidIndex), consumed: invalidIndex, invalidIndex };
+        }
+
+        // 切分字形，记录每个完整分组结束的位置
+        const values = [];
+        let i = 0;
+        let blockEnd = 0;
+        let invalidIndex = -1;
+
+        while (i < text.length) {
+            let glyph = null;
+            if (this.maxGlyphLength === 1) {
+                glyph = this._values.has(text[i]) ? text[i] : null;
+            } else {
+                glyph = this.glyphs.find(candidate => text.startsWith(candidate, i)) || null;
+            }
+
+            if (glyph === null) {
+                const rest = text.slice(i);
+                if (!(partial && rest.length < this.maxGlyphLength && this.glyphs.some(candidate => candidate.startsWith(rest)))) {
+                    invalidIndex = i;
+                }
+                break;
+            }
+
+            values.push(this._values.get(glyph));
+            i += glyph.length;
+            if (values.length % this.blockGlyphs === 0) {
+                blockEnd = i;
+            }
+        }
+
+        let count = values.length;
+        let consumed = i;
+        if (partial && invalidIndex === -1) {
+            count -= count % this.blockGlyphs;
+            consumed = blockEnd;
+        }
+
+        const canonical = this._valuesToCanonical(values, count, !partial && invalidIndex === -1);
+        return { canonical, consumed, invalidIndex };
+    }
+
+    /**
+     * 将本字符集的密文切分为字形，用于按字形排版
+     * @param {string} text - 只含本字符集字形的密文
+     * @returns {string|string[]} 字形都是单个字符时原样返回字符串，否则返回字形数组
+     */
+    splitGlyphs(text) {
+        if (this.maxGlyphLength === 1) {
+            return text;
+        }
+
+        const glyphs = [];
+        let i = 0;
+        while (i < text.length) {
+            const glyph = this.glyphs.find(candidate => text.startsWith(candidate, i));
+            if (!glyph) {
+                throw new OI1FormatError('INVALID_CHAR', `包含无效字符 '${text[i]}' (位置: ${i + 1})`, { position: i + 1, char: text[i] });
+            }
+            glyphs.push(glyph);
+            i += glyph.length;
+        }
+        return glyphs;
+    }
+
+    /**
+     * 将字形数值按位展开为标准 O0Il 字符
+     * @param {number[]} values - 字形数值
+     * @param {number} count - 要展开的字形数
+     * @param {boolean} final - 是否为密文末尾，末尾需要处理补位
+     * @returns {string} 标准 O0Il 字符串
+     * @private
+     */
+    _valuesToCanonical(values, count, final) {
+        const bits = this.bitsPerGlyph;
+        const output = [];
+        let buffer = 0;
+        let available = 0;
+
+        for (let i = 0; i < count; i++) {
+            buffer = (buffer << bits) | values[i];
+            available += bits;
+            while (available >= 2) {
+                available -= 2;
+                output.push(CANONICAL_GLYPHS[(buffer >>> available) & 3]);
+            }
+            buffer &= (1 << available) - 1;
+        }
+
+        if (!final) {
+            return output.join('');
+        }
+
+        // 补位只出现在最后一个字形中，位数小于一个字形且全为0
+        const padding = (count * bits) % 8;
+        const lastValue = count > 0 ? values[count - 1] : 0;
+        if (padding < bits && (lastValue & ((1 << padding) - 1)) === 0) {
+            return output.slice(0, (count * bits - padding) / 2).join('');
+        }
+
+        if (available > 0) {
+            output.push(CANONICAL_GLYPHS[(buffer << (2 - available)) & 3]);
+        }
+        return output.join('');
+    }
+}
+
+// 已登记的字符集（编号 → 字符集）
+const registry = new Map();
+
+/**
+ * 字符集注册表
+ */
+export class AlphabetRegistry {
+    /**
+     * 登记字符集
+     * 密文开头的魔数在各字符集中的写法必须互不相同，解码时据此自动识别字符集
+     * @param {Object} definition - 字符集定义，见 OI1Alphabet
+     * @returns {OI1Alphabet} 登记的字符集
+     */
+    static register(definition) {
+        const alphabet = new OI1Alphabet(definition);
+
+        for (const existing of registry.values()) {
+            if (existing.id === alphabet.id || existing.name === alphabet.name) {
+                throw new OI1InputError('INVALID_OPTION', `字符集编号或名称重复: ${alphabet.id} / ${alphabet.name}`, {
+                    option: 'name',
+                    value: alphabet.name
+                });
+            }
+            if (existing.magic.startsWith(alphabet.magic) || alphabet.magic.startsWith(existing.magic)) {
+                throw new OI1InputError('INVALID_OPTION', `字符集 ${alphabet.name} 无法与 ${existing.name} 区分`, {
+                    option: 'glyphs',
+                    value: String(alphabet.glyphs)
+                });
+            }
+        }
+
+        registry.set(alphabet.id, alphabet);
+        return alphabet;
+    }
+
+    /**
+     * 按编号或名称查找字符集
+     * @param {number|string|OI1Alphabet} [key] - 编号、名称或字符集本身；不提供时返回默认字符集
+     * @returns {OI1Alphabet} 字符集
+     */
+    static get(key) {
+        if (key === undefined || key === null || key === '') {
+            return registry.get(DEFAULT_ALPHABET_ID);
+        }
+        if (key instanceof OI1Alphabet) {
+            return key;
+        }
+
+        const alphabet = typeof key === 'number'
+            ? registry.get(key)
+            : AlphabetRegistry.list().find(candidate => candidate.name === key);
+
+        if (!alphabet) {
+            throw new OI1InputError('INVALID_OPTION', `未知的字符集: ${key}`, { option: 'alphabet', value: String(key) });
+        }
+        return alphabet;
+    }
+
+    /**
+     * 列出所有已登记的字符集（按编号排序）
+     * @returns {OI1Alphabet[]} 字符集数组
+     */
+    static list() {
+        return Array.from(registry.values()).sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * 根据密文开头识别字符集
+     * 只有 v3 密文带魔数；不以任何其他字符集的魔数开头时视为默认字符集（包括 v1/v2 旧格式）
+     * @param {string} text - 密文（或其开头部分）
+     * @returns {OI1Alphabet} 字符集
+     */
+    static detect(text) {
+        for (const alphabet of registry.values()) {
+            if (alphabet.id !== DEFAULT_ALPHABET_ID && text.startsWith(alphabet.magic)) {
+                return alphabet;
+            }
+        }
+        return registry.get(DEFAULT_ALPHABET_ID);
+    }
+
+    /**
+     * 识别所需的最长开头字符数
+     * @returns {number} 字符数
+     */
+    static maxMagicLength() {
+        return Math.max(...AlphabetRegistry.list().map(alphabet => alphabet.magic.length));
+    }
+}
+
+// 默认字符集编号，使用默认字符集时头部不记录字符集
+const DEFAULT_ALPHABET_ID = 0;
+
+// 内置字符集
+AlphabetRegistry.register({ id: DEFAULT_ALPHABET_ID, name: 'oi1', glyphs: CANONICAL_GLYPHS });
+// rn/m、cl/d 这类拉丁字母组合
+AlphabetRegistry.register({ id: 1, name: 'latin', glyphs: ['rn', 'm', 'cl', 'd'] });
+// 拉丁 O、西里尔 О (U+041E)、希腊 Ο (U+039F)、亚美尼亚 Օ (U+0555)
+AlphabetRegistry.register({ id: 2, name: 'homoglyph-o', glyphs: ['O', '\u041E', '\u039F', '\u0555'] });
+// 拉丁 I、西里尔 І (U+0406)、希腊 Ι (U+0399)、西里尔 Ӏ (U+04C0)
+AlphabetRegistry.register({ id: 3, name: 'homoglyph-i', glyphs: ['I', '\u0406', '\u0399', '\u04C0'] });
+// 制表符左上角的细、横粗、竖粗、全粗四种写法
+AlphabetRegistry.register({ id: 4, name: 'box', glyphs: ['\u250C', '\u250D', '\u250E', '\u250F'] });
+// 8个字形（每字形3位）：O 0 o、希腊 Ο、西里尔 О、I l 1
+AlphabetRegistry.register({
+    id: 5,
+    name: 'dense8',
+    glyphs: ['O', '0', 'o', '\u039F', '\u041E', 'I', 'l', '1']
+});
+// 16个字形（每字形4位）：8个 O 形（另加亚美尼亚 Օ、希腊 ο、西里尔 о）和8个 I 形（另加 |、希腊 Ι、西里尔 І、ǀ (U+01C0)、西里尔 Ӏ）
+AlphabetRegistry.register({
+    id: 6,
+    name: 'dense16',
+    glyphs: [
+        'O', '0', 'o', '\u039F', '\u041E', '\u0555', '\u03BF', '\u043E',
+        'I', 'l', '1', '|', '\u0399', '\u0406', '\u01C0', '\u04C0'
+    ]
+});
+
+export { DEFAULT_ALPHABET_ID };
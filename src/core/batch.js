@@ -0,0 +1,512 @@
+/**
+ * 批量处理
+ * 对一组记录中选定的字段逐条加密或解密：JSONL 每行一个 JSON 对象，按键名选择字段；
+ * CSV 按列名（有表头时）或列号（从1开始）选择列；按行列表的每一行就是一条记录。
+ * 单条记录失败时保留原值并记录错误，其他记录照常处理；输出沿用输入的格式、换行符和分隔符，未改动的行原样保留
+ */
+
+import { OI1Encoder, OI1Decoder } from './oi1-algorithm.js';
+import { OI1Error, OI1InputError, OI1PayloadError } from './errors.js';
+
+// 支持的格式
+const BATCH_FORMATS = ['jsonl', 'csv', 'lines'];
+
+// 按扩展名识别格式
+const FORMAT_EXTENSIONS = {
+    jsonl: 'jsonl',
+    ndjson: 'jsonl',
+    csv: 'csv',
+    tsv: 'csv',
+    txt: 'lines'
+};
+
+// 各格式输出文件的扩展名和 MIME 类型
+const FORMAT_FILES = {
+    jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    lines: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+// 自动识别 CSV 分隔符时的候选
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// 批量加密不支持的排版和分段选项，它们会在字段中插入换行
+const UNSUPPORTED_ENCODE_OPTIONS = ['groupSize', 'lineWidth', 'separator', 'maxPartLength'];
+
+/**
+ * 生成记录格式错误
+ * @param {number} line - 行号（从1开始）
+ * @param {string} reason - 原因
+ * @returns {OI1InputError} 错误对象
+ */
+function recordError(line, reason) {
+    return new OI1InputError('INVALID_RECORD', `第 ${line} 行不是有效的记录: ${reason}`, { line, reason });
+}
+
+/**
+ * 生成字段不存在的错误
+ * @param {string} field - 字段名称或列号
+ * @returns {OI1InputError} 错误对象
+ */
+function missingFieldError(field) {
+    return new OI1InputError('MISSING_FIELD', `找不到字段: ${field}`, { field });
+}
+
+/**
+ * 检测换行符，同时含有 CRLF 和 LF 时按 CRLF 输出
+ * @param {string} text - 文本
+ * @returns {string} '\r\n' 或 '\n'
+ */
+function detectNewline(text) {
+    return text.includes('\r\n') ? '\r\n' : '\n';
+}
+
+/**
+ * 批量加密与解密
+ */
+export class OI1Batch {
+    /**
+     * 支持的格式
+     * @returns {string[]} 'jsonl'、'csv'、'lines'
+     */
+    static formats() {
+        return [...BATCH_FORMATS];
+    }
+
+    /**
+     * 识别输入格式：优先按文件扩展名，其次第一条非空行是 JSON 对象时为 JSONL，否则为按行列表
+     * CSV 无法可靠地从内容识别，需要扩展名或明确指定
+     * @param {string} text - 输入文本
+     * @param {string} [filename] - 文件名
+     * @returns {string} 格式
+     */
+    static detectFormat(text, filename = '') {
+        const extension = /\.([^.]+)$/.exec(filename);
+        if (extension && Object.hasOwn(FORMAT_EXTENSIONS, extension[1].toLowerCase())) {
+            return FORMAT_EXTENSIONS[extension[1].toLowerCase()];
+        }
+
+        const first = text.split(/\r?\n/).find(line => line.trim());
+        if (first && first.trim().startsWith('{')) {
+            try {
+                if (OI1Batch._isObject(JSON.parse(first))) {
+                    return 'jsonl';
+                }
+            } catch {
+                // 不是 JSON，按行处理
+            }
+        }
+        return 'lines';
+    }
+
+    /**
+     * 解析输入
+     * JSONL 中无法解析的行作为带错误的记录保留，CSV 的引号未闭合时整体报错
+     * @param {string} text - 输入文本
+     * @param {Object} [options] - 解析选项
+     * @param {string} [options.format='auto'] - 'jsonl'、'csv'、'lines' 或 'auto'（见 detectFormat）
+     * @param {string} [options.filename] - 文件名，用于识别格式
+     * @param {string} [options.delimiter='auto'] - CSV 分隔符，'auto' 时按第一行在逗号、分号和制表符中选择
+     * @param {boolean} [options.header=true] - CSV 第一行是否为表头
+     * @returns {Object} { format, delimiter, newline, trailingNewline, header, rows }；
+     *     rows[i] 为 { line, raw, value, blank, error }，value 为对象（JSONL）、字符串数组（CSV）或字符串（按行）
+     */
+    static parse(text, { format = 'auto', filename, delimiter = 'auto', header = true } = {}) {
+        if (typeof text !== 'string') {
+            throw new OI1InputError('INVALID_INPUT', '输入必须是字符串', { expected: 'string' });
+        }
+        if (format === 'auto') {
+            format = OI1Batch.detectFormat(text, filename);
+        }
+        if (!BATCH_FORMATS.includes(format)) {
+            throw new OI1InputError('INVALID_OPTION', `未知的批量格式: ${format}`, { option: 'format', value: String(format) });
+        }
+
+        const document = {
+            format,
+            delimiter: null,
+            newline: detectNewline(text),
+            trailingNewline: /\n$/.test(text),
+            header: null,
+            rows: []
+        };
+
+        if (format === 'csv') {
+            document.delimiter = delimiter === 'auto' ? OI1Batch._detectDelimiter(text) : delimiter;
+            if (typeof document.delimiter !== 'string' || document.delimiter.length !== 1 || /["\r\n]/.test(document.delimiter)) {
+                throw new OI1InputError('INVALID_OPTION', `CSV 分隔符必须是单个字符: ${delimiter}`, { option: 'delimiter', value: String(delimiter) });
+            }
+            document.rows = OI1Batch._parseCSV(text, document.delimiter);
+            if (header && document.rows.length > 0) {
+                document.header = document.rows.shift();
+            }
+            return document;
+        }
+
+        const lines = text.split(/\r?\n/);
+        if (document.trailingNewline) {
+            lines.pop();
+        }
+        document.rows = lines.map((raw, index) => {
+            const row = { line: index + 1, raw, value: raw, blank: !raw.trim(), error: null };
+            if (format === 'jsonl' && !row.blank) {
+                try {
+                    row.value = JSON.parse(raw);
+                    if (!OI1Batch._isObject(row.value)) {
+                        row.error = recordError(row.line, '不是 JSON 对象');
+                    }
+                } catch (error) {
+                    row.error = recordError(row.line, error.message);
+                }
+            }
+            return row;
+        });
+        return document;
+    }
+
+    /**
+     * 按解析结果生成文本，各行使用 raw 的内容
+     * @param {Object} document - parse 的结果
+     * @returns {string} 文本
+     */
+    static serialize(document) {
+        const rows = document.header ? [document.header, ...document.rows] : document.rows;
+        const text = rows.map(row => row.raw).join(document.newline);
+        return document.trailingNewline && rows.length > 0 ? `${text}${document.newline}` : text;
+    }
+
+    /**
+     * 逐条加密或解密选定的字段
+     * 一条记录中任一字段失败时，整条记录保持原样；空值不处理。解密时总是忽略排版字符，
+     * 加密选项不能包含排版和分段选项（会在字段中插入换行），否则报告 INVALID_OPTION
+     * @param {string} text - 输入文本
+     * @param {Object} [options] - 处理选项，另包含 parse 的选项
+     * @param {string} [options.operation='encode'] - 'encode' 或 'decode'
+     * @param {string[]} [options.fields] - 要处理的字段：JSONL 的键名，CSV 的列名或列号（从1开始）；按行列表不需要
+     * @param {Object} [options.encodeOptions] - 加密选项，同 OI1Encoder.encodeAsync
+     * @param {Object} [options.decodeOptions] - 解密选项，同 OI1Decoder.decodeAsync
+     * @param {Function} [options.onProgress] - 进度回调（0~1），每处理完一条记录调用一次
+     * @returns {Promise<Object>} { format, output, total, succeeded, failed, errors }；
+     *     errors[i] 为 { record, line, field, error }，record 和 line 从1开始，error 同 OI1Error.toJSON
+     */
+    static async process(text, options = {}) {
+        const {
+            operation = 'encode',
+            fields = [],
+            encodeOptions = {},
+            decodeOptions = {},
+            onProgress = () => {}
+        } = options;
+
+        if (operation !== 'encode' && operation !== 'decode') {
+            throw new OI1InputError('INVALID_OPTION', `未知的批量操作: ${operation}`, { option: 'operation', value: String(operation) });
+        }
+        if (operation === 'encode') {
+            const unsupported = UNSUPPORTED_ENCODE_OPTIONS.find(name => encodeOptions[name] !== undefined);
+            if (unsupported) {
+                throw new OI1InputError('INVALID_OPTION', `批量加密不支持排版和分段选项: ${unsupported}`, {
+                    option: unsupported,
+                    value: String(encodeOptions[unsupported])
+                });
+            }
+        }
+
+        const document = OI1Batch.parse(text, options);
+        const columns = OI1Batch._resolveFields(document, fields);
+        const transform = OI1Batch._transform(operation, encodeOptions, decodeOptions, document.format);
+
+        const records = document.rows.filter(row => !row.blank);
+        const errors = [];
+        let failed = 0;
+
+        for (let i = 0; i < records.length; i++) {
+            const row = records[i];
+            const recordErrors = [];
+
+            if (row.error) {
+                recordErrors.push({ field: null, error: row.error });
+            } else {
+                const value = Array.isArray(row.value) ? [...row.value]
+                    : OI1Batch._isObject(row.value) ? { ...row.value }
+                    : row.value;
+                let result = value;
+                let changed = false;
+
+                for (const column of columns) {
+                    try {
+                        const current = OI1Batch._getField(document.format, result, column);
+                        if (current !== '') {
+                            result = OI1Batch._setField(document.format, result, column, await transform(current));
+                            changed = true;
+                        }
+                    } catch (error) {
+                        recordErrors.push({ field: column.name, error });
+                    }
+                }
+
+                if (recordErrors.length === 0 && changed) {
+                    row.value = result;
+                    row.raw = OI1Batch._serializeRow(document, result);
+                }
+            }
+
+            if (recordErrors.length > 0) {
+                failed++;
+                for (const { field, error } of recordErrors) {
+                    const wrapped = error instanceof OI1Error
+                        ? error
+                        : OI1Error.wrap(error, operation === 'encode' ? 'ENCODE_FAILED' : 'DECODE_FAILED', '');
+                    errors.push({ record: i + 1, line: row.line, field, error: wrapped.toJSON() });
+                }
+            }
+            onProgress((i + 1) / records.length);
+        }
+
+        return {
+            format: document.format,
+            output: OI1Batch.serialize(document),
+            total: records.length,
+            succeeded: records.length - failed,
+            failed,
+            errors
+        };
+    }
+
+    /**
+     * 输出文件的名称和 MIME 类型
+     * @param {string} format - 格式
+     * @param {string} operation - 'encode' 或 'decode'
+     * @param {string} [filename] - 输入文件名，如 users.csv → users.encoded.csv
+     * @returns {Object} { filename, mimeType }
+     */
+    static outputFile(format, operation, filename = '') {
+        const { extension, mimeType } = FORMAT_FILES[format];
+        const suffix = operation === 'encode' ? 'encoded' : 'decoded';
+        const match = /^(.*?)(\.[^.]+)?$/.exec(filename);
+        return {
+            filename: match[1] ? `${match[1]}.${suffix}${match[2] || `.${extension}`}` : `oi1-batch.${suffix}.${extension}`,
+            mimeType
+        };
+    }
+
+    /**
+     * 将字段名称转换为 JSONL 的键名或 CSV 的列下标
+     * @param {Object} document - parse 的结果
+     * @param {string[]} fields - 字段
+     * @returns {Object[]} { name, key }，按行列表返回一个 key 为 null 的字段
+     * @private
+     */
+    static _resolveFields(document, fields) {
+        if (document.format === 'lines') {
+            return [{ name: null, key: null }];
+        }
+
+        const names = [...new Set((Array.isArray(fields) ? fields : [fields]).map(field => String(field).trim()).filter(Boolean))];
+        if (names.length === 0) {
+            throw new OI1InputError('INVALID_OPTION', 'JSONL 和 CSV 需要指定要处理的字段', { option: 'fields', value: '' });
+        }
+        if (document.format === 'jsonl') {
+            return names.map(name => ({ name, key: name }));
+        }
+
+        const header = document.header ? document.header.value : null;
+        return names.map(name => {
+            const index = header ? header.indexOf(name) : -1;
+            if (index >= 0) {
+                return { name, key: index };
+            }
+            if (/^\d+$/.test(name) && Number(name) >= 1) {
+                return { name, key: Number(name) - 1 };
+            }
+            throw missingFieldError(name);
+        });
+    }
+
+    /**
+     * 生成单个值的加密或解密函数
+     * @param {string} operation - 'encode' 或 'decode'
+     * @param {Object} encodeOptions - 加密选项
+     * @param {Object} decodeOptions - 解密选项
+     * @param {string} format - 格式，按行列表的结果不能含有换行
+     * @returns {Function} async (value) => string
+     * @private
+     */
+    static _transform(operation, encodeOptions, decodeOptions, format) {
+        if (operation === 'encode') {
+            const encoder = new OI1Encoder();
+            return value => encoder.encodeAsync(value, encodeOptions);
+        }
+
+        const decoder = new OI1Decoder();
+        const options = { ...decodeOptions, ignoreLayout: true };
+        return async value => {
+            const { plaintext } = await decoder.decodeAsync(value, options);
+            if (format === 'lines' && /[\r\n]/.test(plaintext)) {
+                throw new OI1PayloadError('MULTILINE_VALUE', '解码结果包含换行，无法写回为一行');
+            }
+            return plaintext;
+        };
+    }
+
+    /**
+     * 读取字段值
+     * @param {string} format - 格式
+     * @param {Object|string[]|string} value - 记录
+     * @param {Object} column - { name, key }
+     * @returns {string} 字段值
+     * @private
+     */
+    static _getField(format, value, column) {
+        if (format === 'lines') {
+            return value;
+        }
+        if (format === 'csv' ? column.key >= value.length : !Object.hasOwn(value, column.key)) {
+            throw missingFieldError(column.name);
+        }
+        const field = value[column.key];
+        if (typeof field !== 'string') {
+            throw new OI1InputError('INVALID_INPUT', `字段 ${column.name} 必须是字符串`, { expected: 'string' });
+        }
+        return field;
+    }
+
+    /**
+     * 写入字段值
+     * @param {string} format - 格式
+     * @param {Object|string[]|string} value - 记录（JSONL 和 CSV 已复制，可以直接修改）
+     * @param {Object} column - { name, key }
+     * @param {string} field - 新的字段值
+     * @returns {Object|string[]|string} 记录
+     * @private
+     */
+    static _setField(format, value, column, field) {
+        if (format === 'lines') {
+            return field;
+        }
+        value[column.key] = field;
+        return value;
+    }
+
+    /**
+     * 生成一行的文本
+     * @param {Object} document - parse 的结果
+     * @param {Object|string[]|string} value - 记录
+     * @returns {string} 文本
+     * @private
+     */
+    static _serializeRow(document, value) {
+        if (document.format === 'jsonl') {
+            return JSON.stringify(value);
+        }
+        if (document.format === 'lines') {
+            return value;
+        }
+
+        const delimiter = document.delimiter;
+        return value.map(field => (
+            field.includes(delimiter) || /["\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field
+        )).join(delimiter);
+    }
+
+    /**
+     * 按 RFC 4180 解析 CSV：引号内可以含有分隔符、换行和成对的引号
+     * @param {string} text - 输入文本
+     * @param {string} delimiter - 分隔符
+     * @returns {Object[]} 行，同 parse 的 rows；空行的 blank 为 true
+     * @private
+     */
+    static _parseCSV(text, delimiter) {
+        const rows = [];
+        let fields = [];
+        let field = '';
+        let inQuotes = false;
+        let fieldStart = true;
+        let line = 1;
+        let rowLine = 1;
+        let rowStart = 0;
+
+        const endRow = (end) => {
+            fields.push(field);
+            const raw = text.slice(rowStart, end);
+            rows.push({ line: rowLine, raw, value: fields, blank: raw === '', error: null });
+            fields = [];
+            field = '';
+            fieldStart = true;
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i += 2;
+                } else if (char === '"') {
+                    inQuotes = false;
+                    i++;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                    i++;
+                }
+            } else if (char === '"' && fieldStart) {
+                inQuotes = true;
+                fieldStart = false;
+                i++;
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+                fieldStart = true;
+                i++;
+            } else if (char === '\n' || (char === '\r' && text[i + 1] === '\n')) {
+                endRow(i);
+                i += char === '\r' ? 2 : 1;
+                line++;
+                rowLine = line;
+                rowStart = i;
+            } else {
+                field += char;
+                fieldStart = false;
+                i++;
+            }
+        }
+
+        if (inQuotes) {
+            throw recordError(rowLine, '引号没有闭合');
+        }
+        if (rowStart < text.length) {
+            endRow(text.length);
+        }
+        return rows;
+    }
+
+    /**
+     * 按第一行中（引号外）出现次数最多的候选字符选择 CSV 分隔符，都没有时使用逗号
+     * @param {string} text - 输入文本
+     * @returns {string} 分隔符
+     * @private
+     */
+    static _detectDelimiter(text) {
+        const first = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+        let best = ',';
+        let bestCount = 0;
+        for (const delimiter of CSV_DELIMITERS) {
+            const count = first.split(delimiter).length - 1;
+            if (count > bestCount) {
+                best = delimiter;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * 是否为普通对象（不含数组和 null）
+     * @param {*} value - 值
+     * @returns {boolean}
+     * @private
+     */
+    static _isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
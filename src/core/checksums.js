@@ -0,0 +1,269 @@
+/**
+ * oi1 校验码注册表
+ * v3 密文末尾的校验码覆盖头部与载荷。各算法的校验码长度不同，可以在密文长度与检错能力之间取舍：
+ * 默认 CRC32 不在头部记录；选用其他算法时头部设置 INTEGRITY 标志并记录算法编号，解码器据此确定校验码长度
+ */
+
+import { SHA256 } from './sha256.js';
+import { CRC32 } from './oi1-algorithm.js';
+import { OI1InputError, OI1KeyError } from './errors.js';
+
+/**
+ * 生成反射（低位在前）CRC32 查找表
+ * @param {number} polynomial - 反射后的生成多项式
+ * @returns {Uint32Array} 查找表
+ */
+function reflectedTable(polynomial) {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i;
+        for (let j = 0; j < 8; j++) {
+            crc = (crc & 1) ? (crc >>> 1) ^ polynomial : crc >>> 1;
+        }
+        table[i] = crc >>> 0;
+    }
+    return table;
+}
+
+/**
+ * 生成高位在前的 CRC-16 查找表
+ * @param {number} polynomial - 生成多项式
+ * @returns {Uint16Array} 查找表
+ */
+function crc16Table(polynomial) {
+    const table = new Uint16Array(256);
+    for (let i = 0; i < 256; i++) {
+        let crc = i << 8;
+        for (let j = 0; j < 8; j++) {
+            crc = (crc & 0x8000) ? (crc << 1) ^ polynomial : crc << 1;
+        }
+        table[i] = crc & 0xFFFF;
+    }
+    return table;
+}
+
+// CRC32C（Castagnoli，对短消息的检错能力更强）与 CRC32 只有多项式不同
+const CRC32C_TABLE = reflectedTable(0x82F63B78);
+// CRC-16/CCITT-FALSE：多项式 0x1021，初始值 0xFFFF
+const CRC16_TABLE = crc16Table(0x1021);
+
+// 默认算法沿用 oi1-algorithm.js 中的 CRC32 实现（流式编解码和多段消息也使用它）。
+// 两个模块相互引用，实例在第一次计算时创建
+let crc32 = null;
+
+/**
+ * 计算 CRC32（IEEE 802.3）
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Uint8Array} 4字节校验码（高位在前）
+ */
+function ieeeCrc32(bytes) {
+    crc32 = crc32 || new CRC32();
+    return Uint8Array.from(crc32.toBytes(crc32.calculate(bytes)));
+}
+
+/**
+ * 计算反射 CRC32
+ * @param {Uint32Array} table - 查找表
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Uint8Array} 4字节校验码（高位在前）
+ */
+function reflectedCrc32(table, bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    crc = (crc ^ 0xFFFFFFFF) >>> 0;
+    return Uint8Array.of(crc >>> 24, (crc >>> 16) & 0xFF, (crc >>> 8) & 0xFF, crc & 0xFF);
+}
+
+/**
+ * 计算 CRC-16/CCITT-FALSE
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Uint8Array} 2字节校验码（高位在前）
+ */
+function crc16(bytes) {
+    let crc = 0xFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[((crc >>> 8) ^ bytes[i]) & 0xFF];
+    }
+    return Uint8Array.of(crc >>> 8, crc & 0xFF);
+}
+
+/**
+ * 单个校验算法
+ */
+export class OI1Checksum {
+    /**
+     * @param {Object} definition - 算法定义
+     * @param {number} definition.id - 编号，写入 v3 头部
+     * @param {string} definition.name - 名称，用于 API 选项和界面
+     * @param {string} definition.label - 显示名称
+     * @param {number} definition.tagBytes - 校验码字节数，0 表示不附加校验码
+     * @param {boolean} [definition.keyed=false] - 是否需要共享密钥
+     * @param {Function} definition.compute - (bytes, key) => Uint8Array，返回 tagBytes 个字节
+     */
+    constructor({ id, name, label, tagBytes, keyed = false, compute }) {
+        if (!Number.isInteger(id) || id < 0) {
+            throw new OI1InputError('INVALID_OPTION', `校验算法编号必须是非负整数: ${id}`, { option: 'id', value: String(id) });
+        }
+        if (!Number.isInteger(tagBytes) || tagBytes < 0) {
+            throw new OI1InputError('INVALID_OPTION', `校验算法 ${name} 的校验码字节数必须是非负整数: ${tagBytes}`, {
+                option: 'tagBytes',
+                value: String(tagBytes)
+            });
+        }
+
+        this.id = id;
+        this.name = name;
+        this.label = label || name;
+        this.tagBytes = tagBytes;
+        // 校验码占用的标准 O0Il 字符数（每字节4个字符）
+        this.glyphs = tagBytes * 4;
+        this.keyed = keyed;
+        this._compute = compute;
+    }
+
+    /**
+     * 计算校验码
+     * @param {Uint8Array} bytes - 头部和载荷字节
+     * @param {string|Uint8Array} [key] - 共享密钥（仅需要密钥的算法）
+     * @returns {Uint8Array} 校验码字节
+     */
+    compute(bytes, key) {
+        if (this.keyed && !key) {
+            throw new OI1KeyError('INTEGRITY_KEY_REQUIRED', `${this.name} 需要提供共享密钥`, { algorithm: this.label });
+        }
+        return this._compute(bytes, key);
+    }
+
+    /**
+     * 将校验码字节转换为十六进制字符串（大写）
+     * @param {Uint8Array} tag - 校验码字节
+     * @returns {string} 十六进制字符串
+     */
+    static toHex(tag) {
+        return Array.from(tag, byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+    }
+}
+
+// 已登记的校验算法（编号 → 算法）
+const registry = new Map();
+
+/**
+ * 校验算法注册表
+ */
+export class ChecksumRegistry {
+    /**
+     * 登记校验算法
+     * @param {Object} definition - 算法定义，见 OI1Checksum
+     * @returns {OI1Checksum} 登记的算法
+     */
+    static register(definition) {
+        const checksum = new OI1Checksum(definition);
+
+        for (const existing of registry.values()) {
+            if (existing.id === checksum.id || existing.name === checksum.name) {
+                throw new OI1InputError('INVALID_OPTION', `校验算法编号或名称重复: ${checksum.id} / ${checksum.name}`, {
+                    option: 'name',
+                    value: checksum.name
+                });
+            }
+        }
+
+        registry.set(checksum.id, checksum);
+        return checksum;
+    }
+
+    /**
+     * 按编号或名称查找校验算法
+     * @param {number|string|OI1Checksum} [key] - 编号、名称或算法本身；不提供时返回默认算法（CRC32）
+     * @returns {OI1Checksum} 校验算法
+     */
+    static get(key) {
+        if (key === undefined || key === null || key === '') {
+            return registry.get(DEFAULT_CHECKSUM_ID);
+        }
+        if (key instanceof OI1Checksum) {
+            return key;
+        }
+
+        const checksum = typeof key === 'number'
+            ? registry.get(key)
+            : ChecksumRegistry.list().find(candidate => candidate.name === key);
+
+        if (!checksum) {
+            throw new OI1InputError('INVALID_OPTION', `未知的完整性算法: ${key}`, { option: 'integrity', value: String(key) });
+        }
+        return checksum;
+    }
+
+    /**
+     * 按编号查找校验算法，未知编号不抛出异常
+     * @param {number} id - 算法编号
+     * @returns {OI1Checksum|null} 校验算法；未知编号返回 null
+     */
+    static find(id) {
+        return registry.get(id) || null;
+    }
+
+    /**
+     * 列出所有已登记的校验算法（按编号排序）
+     * @returns {OI1Checksum[]} 算法数组
+     */
+    static list() {
+        return Array.from(registry.values()).sort((a, b) => a.id - b.id);
+    }
+}
+
+// 默认校验算法编号，使用默认算法时头部不记录编号
+const DEFAULT_CHECKSUM_ID = 0;
+
+// 内置校验算法（编号 0、1 与早期版本保持一致）
+ChecksumRegistry.register({
+    id: DEFAULT_CHECKSUM_ID,
+    name: 'crc32',
+    label: 'CRC32',
+    tagBytes: 4,
+    compute: ieeeCrc32
+});
+// 截断为前16字节（128位）的 HMAC-SHA256，可以发现篡改，而不只是意外损坏
+ChecksumRegistry.register({
+    id: 1,
+    name: 'hmac-sha256',
+    label: 'HMAC-SHA256',
+    tagBytes: 16,
+    keyed: true,
+    compute: (bytes, key) => SHA256.hmac(key, bytes).slice(0, 16)
+});
+// 不附加校验码，密文最短，但无法发现任何损坏
+ChecksumRegistry.register({
+    id: 2,
+    name: 'none',
+    label: 'None',
+    tagBytes: 0,
+    compute: () => new Uint8Array(0)
+});
+ChecksumRegistry.register({
+    id: 3,
+    name: 'crc16',
+    label: 'CRC-16',
+    tagBytes: 2,
+    compute: crc16
+});
+ChecksumRegistry.register({
+    id: 4,
+    name: 'crc32c',
+    label: 'CRC32C',
+    tagBytes: 4,
+    compute: bytes => reflectedCrc32(CRC32C_TABLE, bytes)
+});
+// 截断为前8字节（64位）的 SHA-256，偶然碰撞几乎不可能，但不需要密钥，任何人都能重新计算
+ChecksumRegistry.register({
+    id: 5,
+    name: 'sha256',
+    label: 'SHA-256/64',
+    tagBytes: 8,
+    compute: bytes => SHA256.digest(bytes).slice(0, 8)
+});
+
+export { DEFAULT_CHECKSUM_ID };
@@ -0,0 +1,96 @@
+/**
+ * 形近字符规范化
+ * 密文经过自动更正、换字体或 OCR 后，O0Il 可能变成外观相近的其他字符。
+ * 解码默认字符集的密文前按下表把这些字符替换回标准字符，并记录每处替换的位置
+ *
+ * 只用于默认 O0Il 字符集：其他字符集本身就由这些形近字符组成，不能替换
+ *
+ * 表中只收录没有任何字符集用作字形的字符。o、1、|、西里尔 О、希腊 Ο、亚美尼亚 Օ 等是
+ * homoglyph-o、homoglyph-i、dense8、dense16 的字形，魔数损坏的这类密文会被识别为默认字符集，
+ * 若仍替换就会被改写成看似有效的 O0Il 密文，因此不替换，作为无效字符报告。
+ * 之后登记的字符集用到的字符同样在替换时跳过
+ */
+
+import { AlphabetRegistry, DEFAULT_ALPHABET_ID } from './alphabets.js';
+
+// 标准字符 → 会被误认为它的字符
+const CONFUSABLES = {
+    // 大写字母 O：全角 Ｏ ｏ
+    'O': ['\uFF2F', '\uFF4F'],
+    // 数字 0：全角 ０、汉字 〇 (U+3007)
+    '0': ['\uFF10', '\u3007'],
+    // 大写字母 I：小写 i（大小写自动更正）、无点 ı、罗马数字 Ⅰ、全角 Ｉ
+    'I': ['i', '\u0131', '\u2160', '\uFF29'],
+    // 小写字母 l：罗马数字 ⅼ、全角 １ ｜ ｌ
+    'l': ['\u217C', '\uFF11', '\uFF5C', '\uFF4C']
+};
+
+/**
+ * 生成形近字符到标准字符的查找表，跳过已登记字符集用作字形的字符
+ * 字符集可以随时登记，因此每次使用时重新生成
+ * @returns {Map<string, string>} 形近字符 → 标准字符
+ */
+function buildLookup() {
+    const reserved = new Set();
+    for (const alphabet of AlphabetRegistry.list()) {
+        if (alphabet.id === DEFAULT_ALPHABET_ID) continue;
+        for (const glyph of alphabet.glyphs) {
+            for (const char of glyph) {
+                reserved.add(char);
+            }
+        }
+    }
+
+    const lookup = new Map();
+    for (const [canonical, lookalikes] of Object.entries(CONFUSABLES)) {
+        for (const lookalike of lookalikes) {
+            if (!reserved.has(lookalike)) {
+                lookup.set(lookalike, canonical);
+            }
+        }
+    }
+    return lookup;
+}
+
+/**
+ * 形近字符表
+ */
+export class Confusables {
+    /**
+     * 规范化形近字符
+     * 不在表中的字符原样保留，交由后续校验报告
+     * @param {string} text - 密文
+     * @returns {Object} { text, substitutions }，substitutions 为 { position, from, to } 数组（position 从1开始）
+     */
+    static normalize(text) {
+        const lookup = buildLookup();
+        const substitutions = [];
+        let output = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const canonical = lookup.get(text[i]);
+            if (canonical === undefined) continue;
+
+            // 首次替换时才拆分字符串，干净的密文不产生额外开销
+            if (output === null) {
+                output = text.split('');
+            }
+            output[i] = canonical;
+            substitutions.push({ position: i + 1, from: text[i], to: canonical });
+        }
+
+        return { text: output === null ? text : output.join(''), substitutions };
+    }
+
+    /**
+     * 获取形近字符表（不含已登记字符集用作字形的字符）
+     * @returns {Object} 标准字符 → 形近字符数组
+     */
+    static table() {
+        const table = Object.fromEntries(Object.keys(CONFUSABLES).map(canonical => [canonical, []]));
+        for (const [lookalike, canonical] of buildLookup()) {
+            table[canonical].push(lookalike);
+        }
+        return table;
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * oi1 错误类型
+ * 核心模块抛出的错误都是 OI1Error 的子类：code 为稳定的错误代码，details 为结构化字段（位置、期望值和实际值等）。
+ * 调用方应按 code 区分失败原因，按 details 生成所用语言的提示；message 只是便于调试的中文说明，措辞可能调整
+ */
+
+/**
+ * oi1 错误基类
+ * details 中的字段同时复制到错误对象上，error.integrity、error.missing 等写法继续可用
+ */
+export class OI1Error extends Error {
+    /**
+     * @param {string} code - 错误代码，见 OI1Error.codes()
+     * @param {string} message - 错误说明
+     * @param {Object} [details] - 结构化字段，只包含可被结构化克隆的值，以便跨 Worker 传递
+     * @param {Object} [options] - 传给 Error 的选项，如 { cause }
+     */
+    constructor(code, message, details = {}, options = undefined) {
+        super(message, options);
+        this.name = 'OI1Error';
+        this.code = code;
+        this.details = details;
+        Object.assign(this, details);
+    }
+
+    /**
+     * 转换为可以 JSON 序列化或 postMessage 传递的对象
+     * @returns {Object} { name, code, message, details }
+     */
+    toJSON() {
+        return { name: this.name, code: this.code, message: this.message, details: this.details };
+    }
+
+    /**
+     * 按错误代码创建对应子类的错误
+     * @param {string} code - 错误代码
+     * @param {string} message - 错误说明
+     * @param {Object} [details] - 结构化字段
+     * @param {Object} [options] - 传给 Error 的选项
+     * @returns {OI1Error} 错误对象，未登记的代码返回 OI1Error
+     */
+    static create(code, message, details = {}, options = undefined) {
+        const ErrorClass = CODE_CLASSES[code] || OI1Error;
+        return new ErrorClass(code, message, details, options);
+    }
+
+    /**
+     * 由 toJSON 的结果还原错误
+     * @param {Object} data - { code, message, details }
+     * @returns {OI1Error} 错误对象
+     */
+    static fromJSON(data) {
+        return OI1Error.create(data.code, data.message, data.details || {});
+    }
+
+    /**
+     * 在错误说明前加上所处阶段，保留错误代码和结构化字段
+     * 不是 OI1Error 的错误归为 fallbackCode，原说明记入 details.reason
+     * @param {Error} error - 原始错误
+     * @param {string} fallbackCode - 未知错误使用的代码，如 'DECODE_FAILED'
+     * @param {string} prefix - 说明前缀，如 '解码过程中发生错误: '
+     * @returns {OI1Error} 包装后的错误，原始错误记在 cause 中
+     */
+    static wrap(error, fallbackCode, prefix) {
+        const message = `${prefix}${error.message}`;
+        if (error instanceof OI1Error) {
+            return OI1Error.create(error.code, message, error.details, { cause: error });
+        }
+        return OI1Error.create(fallbackCode, message, { reason: error.message }, { cause: error });
+    }
+
+    /**
+     * 已登记的错误代码
+     * @returns {string[]} 错误代码
+     */
+    static codes() {
+        return Object.keys(CODE_CLASSES);
+    }
+}
+
+/**
+ * 输入或选项不正确
+ */
+export class OI1InputError extends OI1Error {
+    constructor(code, message, details, options) {
+        super(code, message, details, options);
+        this.name = 'OI1InputError';
+    }
+}
+
+/**
+ * 密文格式无法识别：无效字符、未知版本、多段消息的分段问题
+ */
+export class OI1FormatError extends OI1Error {
+    constructor(code, message, details, options) {
+        super(code, message, details, options);
+        this.name = 'OI1FormatError';
+    }
+}
+
+/**
+ * 校验失败：数据已损坏、被篡改，或映射密钥不正确
+ */
+export class OI1IntegrityError extends OI1Error {
+    constructor(code, message, details, options) {
+        super(code, message, details, options);
+        this.name = 'OI1IntegrityError';
+    }
+}
+
+/**
+ * 缺少或提供了错误的密码、共享密钥、映射密钥
+ */
+export class OI1KeyError extends OI1Error {
+    constructor(code, message, details, options) {
+        super(code, message, details, options);
+        this.name = 'OI1KeyError';
+    }
+}
+
+/**
+ * 载荷内容无法解析：UTF-8 无效、元数据或填充损坏、需要按字节解码
+ */
+export class OI1PayloadError extends OI1Error {
+    constructor(code, message, details, options) {
+        super(code, message, details, options);
+        this.name = 'OI1PayloadError';
+    }
+}
+
+// 错误代码及所属的类，新的代码在此登记；details 的字段见各代码后的说明
+const CODE_CLASSES = {
+    INVALID_INPUT: OI1InputError,         // expected：期望的类型
+    INVALID_OPTION: OI1InputError,        // option、value
+    EMPTY_INPUT: OI1InputError,
+    NOT_FOUND: OI1InputError,             // path（HTTP 服务，下同）
+    METHOD_NOT_ALLOWED: OI1InputError,    // method、allowed
+    UNSUPPORTED_MEDIA_TYPE: OI1InputError, // expected
+    TOO_LARGE: OI1InputError,             // limit：请求体的最大字节数
+    TOO_MANY_ITEMS: OI1InputError,        // limit、count：批量请求的最大条数和实际条数
+    INVALID_RECORD: OI1InputError,        // line、reason：批量处理中无法解析的行
+    MISSING_FIELD: OI1InputError,         // field：批量处理中找不到的字段
+    INVALID_CHAR: OI1FormatError,         // position（从1开始）、char
+    UNKNOWN_FORMAT: OI1FormatError,       // format：要求的格式，reason：原因
+    MULTIPART_PART: OI1FormatError,       // index、total
+    NOT_MULTIPART: OI1FormatError,
+    MIXED_PARTS: OI1FormatError,          // position、messageId、total
+    CONFLICTING_PARTS: OI1FormatError,    // index
+    NO_PARTS: OI1FormatError,             // invalid：无法解析的分段
+    STREAM_UNSUPPORTED: OI1FormatError,   // flags：流式解码不支持的标志位名称（逗号分隔）
+    INVALID_ITERATIONS: OI1FormatError,   // iterations、min、max：密文记录的 PBKDF2 迭代次数超出允许范围
+    MISSING_PARTS: OI1FormatError,        // missing、total
+    CRC_MISMATCH: OI1IntegrityError,      // algorithm、expected、actual（十六进制）、integrity
+    INTEGRITY_MISMATCH: OI1IntegrityError, // algorithm、integrity
+    MAPPING_KEY_MISMATCH: OI1IntegrityError, // integrity
+    UNCORRECTABLE: OI1IntegrityError,
+    UNVERIFIED: OI1IntegrityError,        // formatVersion：密文没有可校验的校验码（命令行 --strict）
+    PASSWORD_REQUIRED: OI1KeyError,
+    WRONG_PASSWORD: OI1KeyError,
+    INTEGRITY_KEY_REQUIRED: OI1KeyError,  // algorithm
+    MAPPING_KEY_REQUIRED: OI1KeyError,
+    UTF8_INVALID: OI1PayloadError,        // position：第一个无效字节的位置（从1开始），length：字节数
+    BINARY_PAYLOAD: OI1PayloadError,
+    INVALID_METADATA: OI1PayloadError,
+    INVALID_PADDING: OI1PayloadError,
+    INVALID_COMPRESSION: OI1PayloadError, // reason：压缩数据损坏的具体原因（中文，仅供调试）
+    DECOMPRESSED_TOO_LARGE: OI1PayloadError, // limit：解压结果的最大字节数（解码选项 maxDecompressedSize）
+    INVALID_ENCRYPTION: OI1PayloadError,  // reason：'truncated' 或 'kdf'（不支持的密钥派生算法，kdf 为其编号）
+    INVALID_WHITENING: OI1PayloadError,   // 白化载荷过短，缺少种子
+    MULTILINE_VALUE: OI1PayloadError,     // 批量处理按行列表时，解码结果含有换行
+    ENCODE_FAILED: OI1Error,              // reason
+    DECODE_FAILED: OI1Error,              // reason
+    CANCELLED: OI1Error,
+    UNSUPPORTED_ENVIRONMENT: OI1Error     // feature：运行环境缺少的功能，如 'WebCrypto'
+};
@@ -0,0 +1,134 @@
+/**
+ * 密钥字形映射
+ * 默认映射 00→O、01→0、10→I、11→l 是公开的，照着映射表就能读出密文。
+ * 设置映射密钥后，头部之后的每个字形位置都按密钥派生的伪随机序列选用 24 种排列之一，
+ * 同一数值在不同位置对应不同字符，只有映射表无法还原。
+ * 这只是混淆，不是加密：没有认证，掌握部分原文即可推出对应位置的排列，需要保密时应设置密码
+ */
+
+import { SHA256 } from './sha256.js';
+import { OI1KeyError, OI1FormatError } from './errors.js';
+
+// 标准字符，下标即对应的2位数值
+const GLYPHS = ['O', '0', 'I', 'l'];
+const GLYPH_VALUES = { 'O': 0, '0': 1, 'I': 2, 'l': 3 };
+
+// 派生种子时使用的上下文，同一口令用于其他用途时不会得到相同的序列
+const SEED_CONTEXT = 'oi1 keyed glyph mapping';
+
+// 4个数值的全部 24 种排列，PERMUTATIONS[k][value] 为映射后的数值
+const PERMUTATIONS = [];
+for (const a of [0, 1, 2, 3]) {
+    for (const b of [0, 1, 2, 3]) {
+        for (const c of [0, 1, 2, 3]) {
+            const d = 6 - a - b - c;
+            if (a !== b && a !== c && b !== c && d !== a && d !== b && d !== c) {
+                PERMUTATIONS.push([a, b, c, d]);
+            }
+        }
+    }
+}
+const INVERSE_PERMUTATIONS = PERMUTATIONS.map(permutation => {
+    const inverse = [];
+    permutation.forEach((mapped, value) => { inverse[mapped] = value; });
+    return inverse;
+});
+
+function rotl(x, k) {
+    return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * 由映射密钥派生的逐位置字形排列
+ */
+export class KeyedGlyphMapping {
+    /**
+     * @param {string|Uint8Array} key - 映射密钥（字符串按 UTF-8 编码）
+     */
+    constructor(key) {
+        if (!key || key.length === 0) {
+            throw new OI1KeyError('MAPPING_KEY_REQUIRED', '映射密钥不能为空');
+        }
+
+        // 种子取 HMAC-SHA256(密钥, 上下文) 的前16字节，作为 xoshiro128** 的初始状态
+        const seed = SHA256.hmac(key, SEED_CONTEXT);
+        const view = new DataView(seed.buffer, seed.byteOffset, seed.byteLength);
+        this._seed = [0, 4, 8, 12].map(offset => view.getUint32(offset, false));
+    }
+
+    /**
+     * 依次生成每个位置所用排列的编号
+     * 32位随机数对 24 取模的偏差约为 2^-28，对混淆用途可以忽略
+     * @param {number} count - 位置数
+     * @returns {Uint8Array} 排列编号（0~23）
+     */
+    permutationIndices(count) {
+        let [s0, s1, s2, s3] = this._seed;
+        const indices = new Uint8Array(count);
+
+        for (let i = 0; i < count; i++) {
+            // xoshiro128**
+            const result = Math.imul(rotl(Math.imul(s1, 5), 7), 9) >>> 0;
+            const t = s1 << 9;
+            s2 ^= s0;
+            s3 ^= s1;
+            s1 ^= s2;
+            s0 ^= s3;
+            s2 ^= t;
+            s3 = rotl(s3, 11);
+
+            indices[i] = result % PERMUTATIONS.length;
+        }
+
+        return indices;
+    }
+
+    /**
+     * 将标准 O0Il 字符串按位置替换为映射后的字符
+     * @param {string} canonical - 标准 O0Il 字符串（从头部之后开始）
+     * @returns {string} 映射后的字符串
+     */
+    apply(canonical) {
+        return this._map(canonical, PERMUTATIONS);
+    }
+
+    /**
+     * 还原 apply 的结果
+     * @param {string} mapped - 映射后的字符串（从头部之后开始）
+     * @returns {string} 标准 O0Il 字符串
+     */
+    revert(mapped) {
+        return this._map(mapped, INVERSE_PERMUTATIONS);
+    }
+
+    /**
+     * 列出前若干个位置的映射表，用于演示
+     * @param {number} count - 位置数
+     * @returns {string[][]} 每个位置依次为 00、01、10、11 对应的字符
+     */
+    table(count) {
+        return Array.from(this.permutationIndices(count), index => PERMUTATIONS[index].map(value => GLYPHS[value]));
+    }
+
+    /**
+     * 逐位置替换字符
+     * @param {string} text - 标准 O0Il 字符串
+     * @param {number[][]} permutations - 排列表
+     * @returns {string} 替换后的字符串
+     * @private
+     */
+    _map(text, permutations) {
+        const indices = this.permutationIndices(text.length);
+        const output = new Array(text.length);
+
+        for (let i = 0; i < text.length; i++) {
+            const value = GLYPH_VALUES[text[i]];
+            if (value === undefined) {
+                throw new OI1FormatError('INVALID_CHAR', `无效的O0Il字符: ${text[i]}`, { position: i + 1, char: text[i] });
+            }
+            output[i] = GLYPHS[permutations[indices[i]][value]];
+        }
+
+        return output.join('');
+    }
+}
@@ -0,0 +1,35 @@
+/**
+ * oi1 核心入口
+ * 只依赖 ECMAScript 标准库和 Web 平台通用接口（TextEncoder、TransformStream、WebCrypto、CompressionStream），
+ * 不访问 DOM、localStorage 或 navigator，也不加载界面语言包，可以在浏览器、Web Worker、Node.js 和 Deno 中使用。
+ * 网页界面的国际化见 src/i18n，演示步骤的文本通过 OI1Demo 的 translate 选项提供
+ */
+
+export {
+    OI1Encoder,
+    OI1Decoder,
+    OI1Demo,
+    OI1Header,
+    OI1FileInfo,
+    CRC32,
+    V3_MAGIC,
+    V3_VERSION,
+    V3_FLAGS,
+    ECC_LEVELS
+} from './oi1-algorithm.js';
+export { OI1EncoderStream, OI1DecoderStream } from './oi1-stream.js';
+export { OI1Error, OI1InputError, OI1FormatError, OI1IntegrityError, OI1KeyError, OI1PayloadError } from './errors.js';
+export { OI1Multipart } from './multipart.js';
+export { OI1Batch } from './batch.js';
+export { OI1Alphabet, AlphabetRegistry, DEFAULT_ALPHABET_ID } from './alphabets.js';
+export { OI1Checksum, ChecksumRegistry, DEFAULT_CHECKSUM_ID } from './checksums.js';
+export { CipherLayout } from './layout.js';
+export { Confusables } from './confusables.js';
+export { KeyedGlyphMapping } from './glyph-mapping.js';
+export { PayloadWhitening } from './whitening.js';
+export { PayloadPadding } from './padding.js';
+export { OI1Metadata } from './metadata.js';
+export { PassphraseCipher } from './passphrase-cipher.js';
+export { ZlibCodec } from './zlib-codec.js';
+export { ReedSolomon } from './reed-solomon.js';
+export { SHA256 } from './sha256.js';
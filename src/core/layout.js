@@ -0,0 +1,111 @@
+/**
+ * 密文排版
+ * 邮件和聊天软件常把密文折行、缩进或分组显示。编码时可以按字形分组并限制行宽，
+ * 解码时可以去掉这些排版字符。排版字符不属于任何内置字符集，去掉后不影响密文内容
+ */
+
+import { OI1InputError } from './errors.js';
+
+// 排版字符：空白（含换行、不换行空格和全角空格）、零宽字符和连字符
+const LAYOUT_CHARS = /[\s\u200B-\u200D\u2060\uFEFF-]+/g;
+const LAYOUT_ONLY = /^[\s\u200B-\u200D\u2060\uFEFF-]+$/;
+
+/**
+ * 密文排版工具
+ */
+export class CipherLayout {
+    /**
+     * 去掉排版字符
+     * @param {string} text - 密文
+     * @returns {string} 去掉空白、零宽字符和连字符后的密文
+     */
+    static strip(text) {
+        return text.replace(LAYOUT_CHARS, '');
+    }
+
+    /**
+     * 检查分隔符是否只由排版字符组成（解码时才能去掉）
+     * @param {string} separator - 分隔符
+     * @returns {boolean} 是否可用
+     */
+    static isValidSeparator(separator) {
+        return typeof separator === 'string' && LAYOUT_ONLY.test(separator);
+    }
+
+    /**
+     * 检查排版选项
+     * @param {Object} options - 排版选项
+     * @param {number} [options.groupSize=0] - 每组字形数，0 表示不分组
+     * @param {number} [options.lineWidth=0] - 每行最多字符数，0 表示不折行
+     * @param {string} [options.separator=' '] - 组间分隔符
+     * @returns {Object} { groupSize, lineWidth, separator }
+     */
+    static resolve({ groupSize = 0, lineWidth = 0, separator = ' ' } = {}) {
+        groupSize = Number(groupSize) || 0;
+        lineWidth = Number(lineWidth) || 0;
+
+        if (!Number.isInteger(groupSize) || groupSize < 0) {
+            throw new OI1InputError('INVALID_OPTION', `分组大小必须是非负整数: ${groupSize}`, { option: 'groupSize', value: String(groupSize) });
+        }
+        if (!Number.isInteger(lineWidth) || lineWidth < 0) {
+            throw new OI1InputError('INVALID_OPTION', `行宽必须是非负整数: ${lineWidth}`, { option: 'lineWidth', value: String(lineWidth) });
+        }
+        if (!CipherLayout.isValidSeparator(separator)) {
+            throw new OI1InputError('INVALID_OPTION', '分隔符只能由空白或连字符组成', { option: 'separator', value: String(separator) });
+        }
+
+        return { groupSize, lineWidth, separator };
+    }
+
+    /**
+     * 按字形分组并折行
+     * 折行只发生在组之间（不分组时在字形之间），单组超过行宽时独占一行
+     * @param {string|string[]} glyphs - 字形序列：字符串（每个字符一个字形）或字形数组
+     * @param {Object} [options] - 排版选项，同 resolve
+     * @returns {string} 排版后的密文
+     */
+    static format(glyphs, options = {}) {
+        const { groupSize, lineWidth, separator } = CipherLayout.resolve(options);
+        const isString = typeof glyphs === 'string';
+        const join = (start, end) => isString ? glyphs.slice(start, end) : glyphs.slice(start, end).join('');
+
+        if (!groupSize && !lineWidth) {
+            return join(0, glyphs.length);
+        }
+
+        // 单字符字形只折行时直接按行宽切分
+        if (!groupSize && isString) {
+            const lines = [];
+            for (let i = 0; i < glyphs.length; i += lineWidth) {
+                lines.push(glyphs.slice(i, i + lineWidth));
+            }
+            return lines.join('\n');
+        }
+
+        const size = groupSize || 1;
+        const gap = groupSize ? separator : '';
+        const groups = [];
+        for (let i = 0; i < glyphs.length; i += size) {
+            groups.push(join(i, i + size));
+        }
+
+        if (!lineWidth) {
+            return groups.join(gap);
+        }
+
+        const lines = [];
+        let line = '';
+        for (const group of groups) {
+            if (line && line.length + gap.length + group.length > lineWidth) {
+                lines.push(line);
+                line = group;
+            } else {
+                line = line ? line + gap + group : group;
+            }
+        }
+        if (line) {
+            lines.push(line);
+        }
+        return lines.join('\n');
+    }
+}
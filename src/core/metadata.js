@@ -0,0 +1,180 @@
+/**
+ * 载荷元数据
+ * 带 METADATA 标志的 v3 密文，载荷（压缩和加密之前）开头是元数据段：
+ * 若干个 类型(1) + 长度(varint) + 值 的字段，以类型 0x00 结束。
+ * 字符串按 UTF-8 编码，时间记录为 Unix 秒数（varint）；解析时跳过未知类型以便日后扩展。
+ * 文件名和 MIME 类型只由二进制载荷的文件描述（OI1FileInfo）记录，类型 0x01、0x02 保留给文件描述，这里不使用
+ */
+
+import { writeVarint, readVarint } from './varint.js';
+import { OI1InputError, OI1PayloadError } from './errors.js';
+
+// 字段类型
+const METADATA_FIELDS = {
+    END: 0x00,
+    CREATED_AT: 0x03,
+    EXPIRES_AT: 0x04,
+    LABEL: 0x05
+};
+
+// 字段定义：选项名称、类型编号和值的类型，按此顺序写入
+const FIELD_DEFINITIONS = [
+    { key: 'createdAt', type: METADATA_FIELDS.CREATED_AT, kind: 'time' },
+    { key: 'expiresAt', type: METADATA_FIELDS.EXPIRES_AT, kind: 'time' },
+    { key: 'label', type: METADATA_FIELDS.LABEL, kind: 'string' }
+];
+
+/**
+ * 生成解析元数据段时的错误
+ * @param {string} message - 错误说明
+ * @param {string} [field] - 出错的字段名称
+ * @returns {OI1PayloadError} 错误对象
+ */
+function metadataError(message, field) {
+    return new OI1PayloadError('INVALID_METADATA', message, field ? { field } : {});
+}
+
+/**
+ * 生成编码时元数据选项不正确的错误
+ * @param {string} message - 错误说明
+ * @param {string} field - 出错的字段名称
+ * @param {*} value - 字段的值
+ * @returns {OI1InputError} 错误对象
+ */
+function optionError(message, field, value) {
+    return new OI1InputError('INVALID_OPTION', message, { option: 'metadata', field, value: String(value) });
+}
+
+/**
+ * 将时间转换为 Unix 秒数
+ * @param {Date|number|string} value - Date、毫秒时间戳或 Date 能解析的字符串
+ * @param {string} key - 字段名称，用于错误信息
+ * @returns {number} Unix 秒数
+ */
+function toSeconds(value, key) {
+    const time = value instanceof Date ? value.getTime()
+        : typeof value === 'string' ? Date.parse(value)
+        : value;
+    const seconds = Math.floor(time / 1000);
+    if (!Number.isFinite(time) || seconds < 0 || seconds > 0xFFFFFFFF) {
+        throw optionError(`元数据字段 ${key} 不是有效的时间: ${value}`, key, value);
+    }
+    return seconds;
+}
+
+/**
+ * 元数据段的编码与解析
+ */
+export class OI1Metadata {
+    /**
+     * 支持的字段名称
+     * @returns {string[]} 字段名称
+     */
+    static fields() {
+        return FIELD_DEFINITIONS.map(definition => definition.key);
+    }
+
+    /**
+     * 判断是否没有需要写入的字段
+     * @param {Object} [metadata] - 元数据
+     * @returns {boolean} 没有提供元数据，或所有字段都为空
+     */
+    static isEmpty(metadata) {
+        return !metadata || Object.values(metadata).every(value =>
+            value === undefined || value === null || value === '');
+    }
+
+    /**
+     * 生成元数据段
+     * @param {Object} metadata - 元数据；文件名和 MIME 类型使用 encodeBytes 的 filename、mimeType 选项
+     * @param {Date|number|string} [metadata.createdAt] - 创建时间
+     * @param {Date|number|string} [metadata.expiresAt] - 过期时间
+     * @param {string} [metadata.label] - 自由文本标签
+     * @returns {Uint8Array} 元数据段字节
+     */
+    static encode(metadata) {
+        for (const key of Object.keys(metadata)) {
+            if (!FIELD_DEFINITIONS.some(definition => definition.key === key)) {
+                throw optionError(`未知的元数据字段: ${key}`, key, metadata[key]);
+            }
+        }
+
+        const textEncoder = new TextEncoder();
+        const bytes = [];
+
+        for (const { key, type, kind } of FIELD_DEFINITIONS) {
+            const value = metadata[key];
+            if (value === undefined || value === null || value === '') continue;
+
+            let valueBytes;
+            if (kind === 'time') {
+                valueBytes = writeVarint(toSeconds(value, key));
+            } else if (typeof value === 'string') {
+                valueBytes = textEncoder.encode(value);
+            } else {
+                throw optionError(`元数据字段 ${key} 必须是字符串`, key, value);
+            }
+            bytes.push(type, ...writeVarint(valueBytes.length), ...valueBytes);
+        }
+        bytes.push(METADATA_FIELDS.END);
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * 解析载荷开头的元数据段
+     * @param {Uint8Array} bytes - 载荷
+     * @returns {Object} { metadata, dataOffset }；metadata 中只包含出现的字段，时间为毫秒时间戳
+     */
+    static decode(bytes) {
+        const textDecoder = new TextDecoder('utf-8', { fatal: true });
+        const metadata = {};
+        const decodeText = (value, key) => {
+            try {
+                return textDecoder.decode(value);
+            } catch (error) {
+                throw metadataError(`元数据字段 ${key} 不是有效的 UTF-8`, key);
+            }
+        };
+
+        let offset = 0;
+        while (offset < bytes.length) {
+            const type = bytes[offset++];
+            if (type === METADATA_FIELDS.END) {
+                return { metadata, dataOffset: offset };
+            }
+
+            const length = readVarint(bytes, offset);
+            if (!length || length.next + length.value > bytes.length) {
+                break;
+            }
+
+            const value = bytes.subarray(length.next, length.next + length.value);
+            const definition = FIELD_DEFINITIONS.find(candidate => candidate.type === type);
+            if (definition && definition.kind === 'time') {
+                const seconds = readVarint(value, 0);
+                if (!seconds || seconds.next !== value.length) {
+                    throw metadataError(`元数据字段 ${definition.key} 的时间无效`, definition.key);
+                }
+                metadata[definition.key] = seconds.value * 1000;
+            } else if (definition) {
+                metadata[definition.key] = decodeText(value, definition.key);
+            }
+            offset = length.next + length.value;
+        }
+
+        throw metadataError('元数据段不完整');
+    }
+
+    /**
+     * 判断消息是否已过期
+     * @param {Object|null} metadata - 解析出的元数据
+     * @param {number} [now=Date.now()] - 当前时间（毫秒时间戳）
+     * @returns {boolean} 设置了过期时间且已经过期
+     */
+    static isExpired(metadata, now = Date.now()) {
+        return Boolean(metadata) && typeof metadata.expiresAt === 'number' && metadata.expiresAt <= now;
+    }
+}
+
+export { METADATA_FIELDS };
@@ -0,0 +1,298 @@
+/**
+ * 多段消息
+ * 短信、推文这类限制长度的渠道放不下整条密文时，把密文切成若干段，每段都是独立的 v3 密文：
+ * 头部带 MULTIPART 标志，记录消息编号、段序号（从1开始）和总段数，并各自带有 CRC32。
+ * 载荷依次是完整密文（标准 O0Il 字符）对应字节的一部分，收齐后按序号拼接即还原完整密文
+ */
+
+import { OI1Encoder, OI1Decoder, OI1Header, CRC32, V3_FLAGS, bytesToGlyphs, glyphsToBytes } from './oi1-algorithm.js';
+import { AlphabetRegistry, DEFAULT_ALPHABET_ID } from './alphabets.js';
+import { CipherLayout } from './layout.js';
+import { OI1FormatError, OI1InputError } from './errors.js';
+
+// 每段头部以外的固定开销：CRC32（4字节）
+const PART_CRC_BYTES = 4;
+
+// 多段文本中各段之间以空行分隔
+const PART_SEPARATOR = '\n\n';
+const BLANK_LINE = /\n[^\S\n]*\n/;
+
+const crc32 = new CRC32();
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+/**
+ * 生成带错误代码的错误
+ * @param {string} message - 错误说明
+ * @param {string} code - 错误代码
+ * @param {Object} [details] - 结构化字段
+ * @returns {OI1FormatError} 错误对象
+ */
+function multipartError(message, code, details) {
+    return new OI1FormatError(code, message, details);
+}
+
+/**
+ * 多段消息的拆分与合并
+ */
+export class OI1Multipart {
+    /**
+     * 将密文拆分为多段
+     * 密文可以是任意格式（v1/v2/v3）和字符集，各段沿用原密文的字符集；排版字符会先被去掉
+     * @param {string} ciphertext - 完整密文
+     * @param {Object} options - 拆分选项，parts 与 maxLength 二选一
+     * @param {number} [options.parts] - 段数
+     * @param {number} [options.maxLength] - 每段最多字符数（不含排版字符），按此计算所需的最少段数
+     * @param {number} [options.messageId] - 消息编号（32位无符号整数），默认取完整密文字节的 CRC32
+     * @returns {string[]} 各段密文，按段序号排列
+     */
+    static split(ciphertext, { parts, maxLength, messageId } = {}) {
+        if (typeof ciphertext !== 'string') {
+            throw new OI1InputError('INVALID_INPUT', '输入必须是字符串', { expected: 'string' });
+        }
+
+        const glyphs = CipherLayout.strip(ciphertext);
+        if (!glyphs) {
+            throw new OI1InputError('EMPTY_INPUT', '密文为空，无法分段');
+        }
+
+        const { canonical, alphabet } = decoder.normalizeCiphertext(glyphs);
+        if (canonical.length % 4 !== 0) {
+            throw multipartError('密文长度不是完整字节，无法分段', 'UNKNOWN_FORMAT', { format: 'v3', reason: '密文长度不是完整字节' });
+        }
+
+        const formatInfo = encoder.detectFormat(canonical, alphabet);
+        if (formatInfo.version === 'v3' && (formatInfo.flags & V3_FLAGS.MULTIPART)) {
+            throw multipartError('密文已经是多段消息中的一段，不能再次分段', 'MULTIPART_PART');
+        }
+
+        const bytes = glyphsToBytes(canonical);
+        const id = messageId === undefined ? crc32.calculate(bytes) : messageId;
+        if (!Number.isInteger(id) || id < 0 || id > 0xFFFFFFFF) {
+            throw new OI1InputError('INVALID_OPTION', `消息编号必须是32位无符号整数: ${messageId}`, { option: 'messageId', value: String(messageId) });
+        }
+
+        const flags = V3_FLAGS.MULTIPART | (alphabet.id !== DEFAULT_ALPHABET_ID ? V3_FLAGS.ALPHABET : 0);
+        let total;
+        if (parts !== undefined) {
+            total = Number(parts);
+            if (!Number.isInteger(total) || total < 1 || total > bytes.length) {
+                throw new OI1InputError('INVALID_OPTION', `段数必须是 1 到 ${bytes.length} 之间的整数: ${parts}`, { option: 'parts', value: String(parts) });
+            }
+        } else if (maxLength !== undefined) {
+            total = OI1Multipart._partsForLength(bytes.length, Number(maxLength), { flags, alphabet, messageId: id });
+        } else {
+            throw new OI1InputError('INVALID_OPTION', '请指定段数或每段最大长度', { option: 'parts' });
+        }
+
+        // 按段数均分；段数较多时末尾几段可能分不到字节，据此收缩段数
+        const size = Math.ceil(bytes.length / total);
+        total = Math.ceil(bytes.length / size);
+
+        const output = [];
+        for (let index = 1; index <= total; index++) {
+            const payload = bytes.subarray((index - 1) * size, index * size);
+            const header = OI1Header.encode({
+                flags,
+                payloadLength: payload.length,
+                alphabet: alphabet.id,
+                part: { messageId: id, index, total }
+            });
+
+            const frame = new Uint8Array(header.length + payload.length);
+            frame.set(header, 0);
+            frame.set(payload, header.length);
+
+            output.push(alphabet.fromCanonical(bytesToGlyphs(frame) + crc32.toOI1String(crc32.calculate(frame))));
+        }
+
+        return output;
+    }
+
+    /**
+     * 解析单独一段并校验其 CRC32
+     * @param {string} part - 一段密文（可带排版字符和形近字符）
+     * @returns {Object} { messageId, index, total, alphabet, payload, substitutions }；
+     *     不是分段或已损坏时抛出异常
+     */
+    static parse(part) {
+        if (typeof part !== 'string') {
+            throw new OI1InputError('INVALID_INPUT', '输入必须是字符串', { expected: 'string' });
+        }
+
+        const glyphs = CipherLayout.strip(part);
+        if (!glyphs) {
+            throw new OI1InputError('EMPTY_INPUT', '分段为空');
+        }
+
+        const { canonical, alphabet, substitutions } = decoder.normalizeCiphertext(glyphs);
+        const formatInfo = encoder.detectFormat(canonical, alphabet);
+        if (formatInfo.version !== 'v3' || !(formatInfo.flags & V3_FLAGS.MULTIPART)) {
+            throw multipartError('不是多段消息中的分段', 'NOT_MULTIPART');
+        }
+        if (!formatInfo.isValid) {
+            throw multipartError(`分段格式不正确: ${formatInfo.error}`, 'UNKNOWN_FORMAT', { format: 'v3', reason: formatInfo.error });
+        }
+
+        const frame = decoder.openV3Frame(canonical, formatInfo);
+        return {
+            messageId: formatInfo.part.messageId,
+            index: formatInfo.part.index,
+            total: formatInfo.part.total,
+            alphabet: alphabet.name,
+            payload: frame.payload,
+            substitutions: substitutions
+        };
+    }
+
+    /**
+     * 合并分段，分段可以任意顺序给出
+     * 无法解析的分段记入 invalid，不影响其余分段；内容相同的重复分段只计一次
+     * @param {string[]} parts - 各段密文
+     * @returns {Object} { messageId, total, received, missing, invalid, complete, ciphertext }；
+     *     received / missing 为段序号（从1开始，升序），invalid 为 { position, error, code, details }（position 为在 parts 中的位置，从1开始），
+     *     收齐后 ciphertext 为还原的完整密文，否则为 null
+     */
+    static reassemble(parts) {
+        if (!Array.isArray(parts)) {
+            throw new OI1InputError('INVALID_INPUT', '分段必须以数组形式提供', { expected: 'array' });
+        }
+
+        const received = new Map();
+        const invalid = [];
+        let first = null;
+
+        parts.forEach((part, i) => {
+            if (typeof part === 'string' && !CipherLayout.strip(part)) return;
+
+            let parsed;
+            try {
+                parsed = OI1Multipart.parse(part);
+            } catch (error) {
+                invalid.push({ position: i + 1, error: error.message, code: error.code, details: error.details });
+                return;
+            }
+
+            if (!first) {
+                first = parsed;
+            } else if (parsed.messageId !== first.messageId || parsed.total !== first.total || parsed.alphabet !== first.alphabet) {
+                throw multipartError(`第 ${i + 1} 项属于另一条多段消息（消息编号 ${parsed.messageId}，共 ${parsed.total} 段）`, 'MIXED_PARTS', {
+                    position: i + 1,
+                    messageId: parsed.messageId,
+                    total: parsed.total
+                });
+            }
+
+            const existing = received.get(parsed.index);
+            if (existing && !OI1Multipart._sameBytes(existing.payload, parsed.payload)) {
+                throw multipartError(`第 ${parsed.index} 段出现了内容不同的两份`, 'CONFLICTING_PARTS', { index: parsed.index });
+            }
+            received.set(parsed.index, parsed);
+        });
+
+        if (!first) {
+            throw multipartError(
+                invalid.length ? `没有有效的分段: ${invalid[0].error}` : '没有提供分段',
+                'NO_PARTS',
+                { invalid }
+            );
+        }
+
+        const missing = [];
+        for (let index = 1; index <= first.total; index++) {
+            if (!received.has(index)) {
+                missing.push(index);
+            }
+        }
+
+        let ciphertext = null;
+        if (missing.length === 0) {
+            const payloads = Array.from({ length: first.total }, (_, i) => received.get(i + 1).payload);
+            const bytes = new Uint8Array(payloads.reduce((sum, payload) => sum + payload.length, 0));
+            let offset = 0;
+            for (const payload of payloads) {
+                bytes.set(payload, offset);
+                offset += payload.length;
+            }
+            ciphertext = AlphabetRegistry.get(first.alphabet).fromCanonical(bytesToGlyphs(bytes));
+        }
+
+        return {
+            messageId: first.messageId,
+            total: first.total,
+            received: Array.from(received.keys()).sort((a, b) => a - b),
+            missing: missing,
+            invalid: invalid,
+            complete: missing.length === 0,
+            ciphertext: ciphertext
+        };
+    }
+
+    /**
+     * 将各段连接为一段文本，段与段之间空一行
+     * @param {string[]} parts - 各段密文
+     * @returns {string} 多段文本
+     */
+    static joinText(parts) {
+        return parts.join(PART_SEPARATOR);
+    }
+
+    /**
+     * 按空行拆分多段文本，去掉空白段
+     * @param {string} text - 多段文本
+     * @returns {string[]} 各段密文
+     */
+    static splitText(text) {
+        return text.replace(/\r\n?/g, '\n').split(BLANK_LINE).filter(part => part.trim());
+    }
+
+    /**
+     * 计算每段不超过指定长度所需的最少段数
+     * 一段的长度 = (头部 + 载荷 + CRC32) 字节换算的字形数 × 最长字形的字符数
+     * @param {number} length - 完整密文的字节数
+     * @param {number} maxLength - 每段最多字符数
+     * @param {Object} fields - 头部字段 { flags, alphabet, messageId }
+     * @returns {number} 段数
+     * @private
+     */
+    static _partsForLength(length, maxLength, { flags, alphabet, messageId }) {
+        if (!Number.isInteger(maxLength) || maxLength < 1) {
+            throw new OI1InputError('INVALID_OPTION', `每段最大长度必须是正整数: ${maxLength}`, { option: 'maxLength', value: String(maxLength) });
+        }
+
+        const partLength = (total) => {
+            const size = Math.ceil(length / total);
+            const header = OI1Header.encode({
+                flags,
+                payloadLength: size,
+                alphabet: alphabet.id,
+                part: { messageId, index: total, total }
+            });
+            const bits = (header.length + size + PART_CRC_BYTES) * 8;
+            return Math.ceil(bits / alphabet.bitsPerGlyph) * alphabet.maxGlyphLength;
+        };
+
+        if (partLength(length) > maxLength) {
+            throw new OI1InputError('INVALID_OPTION', `每段最大长度 ${maxLength} 过小，连分段头部和校验码都放不下`, {
+                option: 'maxLength',
+                value: String(maxLength)
+            });
+        }
+
+        // 每段至多容纳 maxLength 个字形，由此得到段数的下限，再逐个增加
+        const capacity = Math.max(1, Math.floor(maxLength * alphabet.bitsPerGlyph / 8));
+        let total = Math.min(length, Math.ceil(length / capacity));
+        while (partLength(total) > maxLength) {
+            total++;
+        }
+        return total;
+    }
+
+    /**
+     * 比较两段字节是否相同
+     * @private
+     */
+    static _sameBytes(a, b) {
+        return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+}
@@ -3,7 +3,20 @@
  * 基于 O0Il 字符的视觉相似性进行文本加密
  */
 
-import i18n from '../i18n/index.js';
+import { PassphraseCipher, ENCRYPTION_OVERHEAD } from './passphrase-cipher.js';
+import { ZlibCodec } from './zlib-codec.js';
+import { writeVarint, readVarint } from './varint.js';
+import { AlphabetRegistry, DEFAULT_ALPHABET_ID } from './alphabets.js';
+import { ReedSolomon } from './reed-solomon.js';
+import { Confusables } from './confusables.js';
+import { CipherLayout } from './layout.js';
+import { SHA256 } from './sha256.js';
+import { ChecksumRegistry, OI1Checksum, DEFAULT_CHECKSUM_ID } from './checksums.js';
+import { KeyedGlyphMapping } from './glyph-mapping.js';
+import { PayloadWhitening, WHITENING_OVERHEAD } from './whitening.js';
+import { PayloadPadding } from './padding.js';
+import { OI1Metadata } from './metadata.js';
+import { OI1Error, OI1InputError, OI1FormatError, OI1IntegrityError, OI1KeyError, OI1PayloadError } from './errors.js';
 
 // 字符映射表：二进制 -> O0Il字符
 const BINARY_TO_CHAR = {
@@ -21,9 +34,348 @@ const CHAR_TO_BINARY = {
     'l': '11'
 };
 
-// 有效的密文字符集
+// 有效的密文字符集（默认字符集，其他字符集见 alphabets.js）
 const VALID_CIPHER_CHARS = new Set(['O', '0', 'I', 'l']);
 
+// 位运算使用的映射：字符的2位数值，以及每个字节对应的4个字符
+// 大数据量时避免生成中间的二进制字符串
+const GLYPHS = ['O', '0', 'I', 'l'];
+const GLYPH_VALUES = { 'O': 0, '0': 1, 'I': 2, 'l': 3 };
+const BYTE_TO_GLYPHS = Array.from({ length: 256 }, (_, byte) =>
+    GLYPHS[byte >>> 6] + GLYPHS[(byte >>> 4) & 3] + GLYPHS[(byte >>> 2) & 3] + GLYPHS[byte & 3]
+);
+
+/**
+ * 将字节数组转换为标准 O0Il 字符（每字节4个字符，高位在前）
+ * 编码器、解码器、流式处理和多段消息共用
+ * @param {Uint8Array|number[]} bytes - 字节数组
+ * @returns {string} 标准 O0Il 字符串
+ */
+function bytesToGlyphs(bytes) {
+    const glyphs = new Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        glyphs[i] = BYTE_TO_GLYPHS[bytes[i]];
+    }
+    return glyphs.join('');
+}
+
+/**
+ * 将标准 O0Il 字符转换为字节数组，每4个字符组成一个字节，按位拼接，不经过二进制字符串
+ * @param {string} glyphs - 标准 O0Il 字符串
+ * @param {number} [count=glyphs.length] - 只转换开头的若干字符
+ * @returns {Uint8Array} 字节数组（忽略末尾不完整的字节）
+ */
+function glyphsToBytes(glyphs, count = glyphs.length) {
+    const bytes = new Uint8Array(Math.floor(count / 4));
+    for (let i = 0, p = 0; i < bytes.length; i++, p += 4) {
+        bytes[i] = (GLYPH_VALUES[glyphs[p]] << 6) |
+            (GLYPH_VALUES[glyphs[p + 1]] << 4) |
+            (GLYPH_VALUES[glyphs[p + 2]] << 2) |
+            GLYPH_VALUES[glyphs[p + 3]];
+    }
+    return bytes;
+}
+
+/**
+ * 统计标准 O0Il 字符串中各字形的出现次数，编码统计和质量检查共用
+ * @param {string} text - 标准 O0Il 字符串
+ * @returns {Object} { counts, percentages, total }，percentages 为保留一位小数的百分比字符串
+ */
+function charDistribution(text) {
+    const counts = { 'O': 0, '0': 0, 'I': 0, 'l': 0 };
+    for (const char of text) {
+        if (Object.hasOwn(counts, char)) {
+            counts[char]++;
+        }
+    }
+
+    const total = text.length;
+    const percentages = {};
+    for (const [char, count] of Object.entries(counts)) {
+        percentages[char] = total > 0 ? (count / total * 100).toFixed(1) : 0;
+    }
+
+    return { counts, percentages, total };
+}
+
+// v3 信封格式：魔数字节 0x8E（'IOlI'）是 UTF-8 续字节（10xxxxxx），
+// 合法的 v1/v2 密文首字节不可能是它，因此可以无歧义地识别 v3 头部
+const V3_MAGIC = 0x8E;
+const V3_VERSION = 3;
+
+// 头部结构：魔数(1) + 版本(1) + 标志位(变长) + 载荷长度(变长) + 可选字段
+// 可选字段按标志位从低到高的顺序排列，只有对应标志位置位时才出现
+// 变长整数采用 LEB128 编码，短消息的头部只有4字节（16个字符）
+const V3_MAX_HEADER_BYTES = 24;
+
+// 头部标志位（位掩码），各可选功能在此登记自己的标志位
+const V3_FLAGS = {
+    ENCRYPTED: 0x01,  // 载荷经口令加密（AES-GCM）
+    COMPRESSED: 0x02, // 载荷经 zlib 压缩（先压缩后加密）
+    BINARY: 0x04,     // 载荷是二进制数据，开头带有文件描述
+    STREAM: 0x08,     // 流式编码，头部不含载荷长度，载荷延续到末尾的CRC32之前
+    ALPHABET: 0x10,   // 使用非默认字符集，字符集编号（变长）紧跟在载荷长度之后
+    ECC: 0x20,        // 带 Reed–Solomon 纠错码，头部记录每块校验字节数，校验字节位于载荷与CRC32之间
+    MULTIPART: 0x40,  // 多段消息中的一段，头部记录消息编号、段序号（从1开始）和总段数，载荷是完整密文的一部分
+    INTEGRITY: 0x80,  // 末尾不是CRC32，而是头部记录的校验算法（变长编号，见 checksums.js）生成的校验码
+    KEYED_MAPPING: 0x100, // 头部之后的字形按映射密钥派生的逐位置排列替换（见 glyph-mapping.js），标志位从此占2字节
+    WHITENED: 0x200,  // 载荷经白化（见 whitening.js），开头是8字节种子，其后与种子派生的密钥流异或（先加密后白化）
+    PADDED: 0x400,    // 载荷经长度隐藏填充（见 padding.js），开头是真实长度（变长），末尾是填充字节（先填充后白化）
+    METADATA: 0x800   // 载荷（压缩和加密之前）开头是元数据段（见 metadata.js），二进制载荷的文件描述位于其后
+};
+
+// 纠错级别对应的每块校验字节数（每块最多纠正一半数量的错误字节）
+const ECC_LEVELS = {
+    low: 8,
+    medium: 16,
+    high: 32
+};
+
+// 文件描述的字段类型，解析时跳过未知类型以便日后扩展
+const FILE_FIELDS = {
+    END: 0x00,
+    FILENAME: 0x01,
+    MIME_TYPE: 0x02
+};
+
+// CRC32 校验失败时的修复建议：只穷举较短的密文（标准字符数），并限制候选数量
+const REPAIR_MAX_LENGTH = 2048;
+const REPAIR_MAX_CANDIDATES = 10;
+
+// 演示中列出的密钥映射表行数（位置数）
+const DEMO_MAPPING_ROWS = 16;
+
+// 密文质量检查：按字形在字节中的位置分别做卡方检验（各3个自由度）的临界值，约对应 p = 10^-4
+const QUALITY_CHI_SQUARE_LIMIT = 21.1;
+// 重复模式超出随机字符串期望次数多少个标准差才算明显
+const QUALITY_PATTERN_SIGMAS = 5;
+
+/**
+ * 查找第一个无效 UTF-8 序列的起始位置
+ * 与 TextDecoder 的严格模式一致：拒绝过长编码、代理码点和超出 U+10FFFF 的码点
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {number} 起始下标；全部有效时为 -1
+ */
+function invalidUTF8Index(bytes) {
+    for (let i = 0; i < bytes.length;) {
+        const lead = bytes[i];
+        if (lead < 0x80) {
+            i++;
+            continue;
+        }
+
+        const length = lead >= 0xC2 && lead <= 0xDF ? 2
+            : lead >= 0xE0 && lead <= 0xEF ? 3
+            : lead >= 0xF0 && lead <= 0xF4 ? 4
+            : 0;
+        if (length === 0 || i + length > bytes.length) {
+            return i;
+        }
+
+        let codePoint = lead & (0xFF >>> (length + 1));
+        for (let j = 1; j < length; j++) {
+            if ((bytes[i + j] & 0xC0) !== 0x80) {
+                return i;
+            }
+            codePoint = (codePoint << 6) | (bytes[i + j] & 0x3F);
+        }
+        if ((length === 3 && (codePoint < 0x800 || (codePoint >= 0xD800 && codePoint <= 0xDFFF))) ||
+            (length === 4 && (codePoint < 0x10000 || codePoint > 0x10FFFF))) {
+            return i;
+        }
+        i += length;
+    }
+    return -1;
+}
+
+/**
+ * v3 密文头部的编码与解析
+ * 头部经 O0Il 映射后位于密文最前面
+ */
+class OI1Header {
+    /**
+     * 生成头部字节
+     * @param {Object} fields - 头部字段
+     * @param {number} [fields.flags=0] - 标志位
+     * @param {number} fields.payloadLength - 载荷字节数
+     * @param {number} [fields.alphabet] - 字符集编号（仅 ALPHABET 标志）
+     * @param {number} [fields.eccParity] - 纠错码每块校验字节数（仅 ECC 标志）
+     * @param {Object} [fields.part] - 分段信息 { messageId, index, total }（仅 MULTIPART 标志）
+     * @param {number} [fields.integrity] - 完整性算法编号（仅 INTEGRITY 标志）
+     * @returns {Uint8Array} 头部字节数组
+     */
+    static encode({ flags = 0, payloadLength, alphabet = DEFAULT_ALPHABET_ID, eccParity = 0, part = null, integrity = DEFAULT_CHECKSUM_ID }) {
+        const bytes = [
+            V3_MAGIC,
+            V3_VERSION,
+            ...writeVarint(flags),
+            ...writeVarint(payloadLength)
+        ];
+
+        if (flags & V3_FLAGS.ALPHABET) {
+            bytes.push(...writeVarint(alphabet));
+        }
+        if (flags & V3_FLAGS.ECC) {
+            bytes.push(...writeVarint(eccParity));
+        }
+        if (flags & V3_FLAGS.MULTIPART) {
+            bytes.push(...writeVarint(part.messageId), ...writeVarint(part.index), ...writeVarint(part.total));
+        }
+        if (flags & V3_FLAGS.INTEGRITY) {
+            bytes.push(...writeVarint(integrity));
+        }
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * 解析头部字节
+     * @param {Uint8Array|number[]} bytes - 以头部开头的字节数组
+     * @returns {Object|null} 头部字段；魔数不匹配或头部不完整时返回 null
+     */
+    static decode(bytes) {
+        if (bytes.length < 4 || bytes[0] !== V3_MAGIC) {
+            return null;
+        }
+
+        const flags = readVarint(bytes, 2);
+        if (!flags) return null;
+
+        const payloadLength = readVarint(bytes, flags.next);
+        if (!payloadLength) return null;
+
+        let next = payloadLength.next;
+        let alphabet = DEFAULT_ALPHABET_ID;
+        if (flags.value & V3_FLAGS.ALPHABET) {
+            const field = readVarint(bytes, next);
+            if (!field) return null;
+            alphabet = field.value;
+            next = field.next;
+        }
+
+        let eccParity = 0;
+        if (flags.value & V3_FLAGS.ECC) {
+            const field = readVarint(bytes, next);
+            if (!field) return null;
+            eccParity = field.value;
+            next = field.next;
+        }
+
+        let part = null;
+        if (flags.value & V3_FLAGS.MULTIPART) {
+            const values = [];
+            for (let i = 0; i < 3; i++) {
+                const field = readVarint(bytes, next);
+                if (!field) return null;
+                values.push(field.value);
+                next = field.next;
+            }
+            part = { messageId: values[0], index: values[1], total: values[2] };
+        }
+
+        let integrity = DEFAULT_CHECKSUM_ID;
+        if (flags.value & V3_FLAGS.INTEGRITY) {
+            const field = readVarint(bytes, next);
+            if (!field) return null;
+            integrity = field.value;
+            next = field.next;
+        }
+
+        return {
+            version: bytes[1],
+            flags: flags.value,
+            payloadLength: payloadLength.value,
+            alphabet: alphabet,
+            eccParity: eccParity,
+            part: part,
+            integrity: integrity,
+            headerLength: next
+        };
+    }
+}
+
+/**
+ * 二进制载荷开头的文件描述（文件名、MIME类型）
+ * 结构：若干个 类型(1) + 长度(varint) + UTF-8值 的字段，以类型 0x00 结束
+ */
+class OI1FileInfo {
+    /**
+     * 生成文件描述字节
+     * @param {Object} [info] - 文件信息
+     * @param {string} [info.filename] - 文件名
+     * @param {string} [info.mimeType] - MIME类型
+     * @returns {Uint8Array} 文件描述字节
+     */
+    static encode({ filename, mimeType } = {}) {
+        const textEncoder = new TextEncoder();
+        const bytes = [];
+
+        const fields = [[FILE_FIELDS.FILENAME, filename], [FILE_FIELDS.MIME_TYPE, mimeType]];
+        for (const [type, value] of fields) {
+            if (!value) continue;
+            const valueBytes = textEncoder.encode(value);
+            bytes.push(type, ...writeVarint(valueBytes.length), ...valueBytes);
+        }
+        bytes.push(FILE_FIELDS.END);
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * 解析载荷开头的文件描述
+     * @param {Uint8Array} bytes - 二进制载荷
+     * @returns {Object} { filename, mimeType, dataOffset }
+     */
+    static decode(bytes) {
+        const info = OI1FileInfo.tryDecode(bytes);
+        if (!info) {
+            throw new OI1PayloadError('INVALID_METADATA', '文件描述不完整', { field: 'file' });
+        }
+        return info;
+    }
+
+    /**
+     * 尝试解析文件描述，供分块到达的数据使用
+     * @param {Uint8Array} bytes - 目前已收到的载荷开头
+     * @returns {Object|null} 解析结果；数据还不完整时返回 null
+     */
+    static tryDecode(bytes) {
+        const textDecoder = new TextDecoder('utf-8', { fatal: true });
+        const info = { filename: null, mimeType: null, dataOffset: 0 };
+        const decodeText = (value) => {
+            try {
+                return textDecoder.decode(value);
+            } catch (error) {
+                throw new OI1PayloadError('INVALID_METADATA', '文件描述不是有效的 UTF-8', { field: 'file' });
+            }
+        };
+
+        let offset = 0;
+        while (offset < bytes.length) {
+            const type = bytes[offset++];
+            if (type === FILE_FIELDS.END) {
+                info.dataOffset = offset;
+                return info;
+            }
+
+            const length = readVarint(bytes, offset);
+            if (!length || length.next + length.value > bytes.length) {
+                return null;
+            }
+
+            const value = bytes.subarray(length.next, length.next + length.value);
+            if (type === FILE_FIELDS.FILENAME) {
+                info.filename = decodeText(value);
+            } else if (type === FILE_FIELDS.MIME_TYPE) {
+                info.mimeType = decodeText(value);
+            }
+            offset = length.next + length.value;
+        }
+
+        return null;
+    }
+}
+
 /**
  * CRC32 校验和算法实现
  * 使用IEEE 802.3标准多项式：0xEDB88320
@@ -64,13 +416,38 @@ class CRC32 {
      * @returns {number} CRC32值（无符号32位整数）
      */
     calculate(bytes) {
-        let crc = 0xFFFFFFFF;
+        return this.finish(this.update(this.begin(), bytes));
+    }
+
+    /**
+     * 开始增量计算，返回初始状态
+     * 分块数据依次传给 update，全部处理完后用 finish 得到CRC32值
+     * @returns {number} 初始状态
+     */
+    begin() {
+        return 0xFFFFFFFF;
+    }
 
+    /**
+     * 将一段字节并入增量计算状态
+     * @param {number} crc - 当前状态
+     * @param {Uint8Array|number[]} bytes - 字节数组
+     * @returns {number} 新状态
+     */
+    update(crc, bytes) {
         for (let i = 0; i < bytes.length; i++) {
             const byte = bytes[i] & 0xFF;
             crc = this.table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
         }
+        return crc;
+    }
 
+    /**
+     * 结束增量计算
+     * @param {number} crc - 当前状态
+     * @returns {number} CRC32值（无符号32位整数）
+     */
+    finish(crc) {
         return (crc ^ 0xFFFFFFFF) >>> 0; // 最终异或并确保无符号
     }
 
@@ -80,25 +457,31 @@ class CRC32 {
      * @returns {string} 16个O0Il字符
      */
     toOI1String(crc32) {
-        // 将32位数值转换为4字节
-        const bytes = [
+        // 每字节转换为4个O0Il字符（每2bit对应1个字符）
+        return this.toBytes(crc32).map(byte => BYTE_TO_GLYPHS[byte]).join('');
+    }
+
+    /**
+     * 将CRC32值转换为4字节（高位在前）
+     * @param {number} crc32 - CRC32值
+     * @returns {number[]} 4个字节
+     */
+    toBytes(crc32) {
+        return [
             (crc32 >>> 24) & 0xFF,
             (crc32 >>> 16) & 0xFF,
             (crc32 >>> 8) & 0xFF,
             crc32 & 0xFF
         ];
+    }
 
-        // 每字节转换为4个O0Il字符（每2bit对应1个字符）
-        let result = '';
-        for (const byte of bytes) {
-            const binary = byte.toString(2).padStart(8, '0');
-            for (let i = 0; i < 8; i += 2) {
-                const binaryPair = binary.substring(i, i + 2);
-                result += BINARY_TO_CHAR[binaryPair];
-            }
-        }
-
-        return result;
+    /**
+     * 从4字节（高位在前）解析CRC32值
+     * @param {Uint8Array|number[]} bytes - 4个字节
+     * @returns {number} CRC32值
+     */
+    fromBytes(bytes) {
+        return ((bytes[0] << 24) | (bytes[1] << 16) | (bytes[2] << 8) | bytes[3]) >>> 0;
     }
 
     /**
@@ -108,14 +491,15 @@ class CRC32 {
      */
     fromOI1String(oi1String) {
         if (oi1String.length !== 16) {
-            throw new Error('CRC32字符串长度必须为16');
+            throw new OI1InputError('INVALID_INPUT', 'CRC32字符串长度必须为16', { expected: '16 O0Il characters' });
         }
 
         // 将O0Il字符转换为二进制字符串
         let binaryString = '';
-        for (const char of oi1String) {
+        for (let i = 0; i < oi1String.length; i++) {
+            const char = oi1String[i];
             if (!CHAR_TO_BINARY[char]) {
-                throw new Error(`无效的O0Il字符: ${char}`);
+                throw new OI1FormatError('INVALID_CHAR', `无效的O0Il字符: ${char}`, { position: i + 1, char });
             }
             binaryString += CHAR_TO_BINARY[char];
         }
@@ -142,75 +526,367 @@ export class OI1Encoder {
     }
 
     /**
-     * 将文本编码为 O0Il 字符串（带CRC32校验）
+     * 将文本编码为 O0Il 字符串（v3 格式：头部 + 载荷 + CRC32校验）
+     * @param {string} plaintext - 要加密的原文
+     * @param {Object} [options] - 编码选项（口令加密需使用 encodeAsync）
+     * @param {boolean} [options.compress=false] - 是否尝试压缩载荷
+     * @param {number|string} [options.alphabet] - 字符集编号或名称，默认使用 O0Il
+     * @param {string|number} [options.ecc] - 纠错级别 'low' | 'medium' | 'high'，或每块校验字节数（2~128）
+     * @param {string} [options.integrity='crc32'] - 校验算法：'none' | 'crc16' | 'crc32' | 'crc32c' | 'sha256' | 'hmac-sha256'，见 checksums.js
+     * @param {string|Uint8Array} [options.integrityKey] - 共享密钥，'hmac-sha256' 必须提供
+     * @param {string|Uint8Array} [options.mappingKey] - 映射密钥，设置后按密钥打乱头部之后的字形映射（混淆，不是加密）
+     * @param {boolean} [options.whiten=false] - 是否白化载荷，使密文字符分布均匀、没有重复图案（不是加密）
+     * @param {boolean} [options.randomize=false] - 是否以随机种子白化，相同原文每次得到不同密文；默认输出是确定的
+     * @param {Uint8Array} [options.nonce] - 指定8字节白化种子（隐含白化），用于生成可复现的随机化密文
+     * @param {string} [options.padding] - 长度隐藏填充策略：'bucket' | 'pow2' | 'random'，默认不填充
+     * @param {number[]} [options.paddingBuckets] - 'bucket' 策略的档位（字节），默认 32/64/128/256
+     * @param {Object} [options.metadata] - 元数据：createdAt、expiresAt、label，见 metadata.js；文件名和 MIME 类型见 encodeBytes
+     * @param {number} [options.groupSize] - 排版：每组字形数，见 formatCiphertext
+     * @param {number} [options.lineWidth] - 排版：每行最多字符数
+     * @param {string} [options.separator] - 排版：组间分隔符
+     * @returns {string} 密文字符串（包含头部和CRC32校验码）
+     */
+    encode(plaintext, options = {}) {
+        if (typeof plaintext !== 'string') {
+            throw new OI1InputError('INVALID_INPUT', '输入必须是字符串', { expected: 'string' });
+        }
+
+        if (!plaintext) {
+            return '';
+        }
+
+        // 步骤1: 将文本转换为UTF-8字节数组，后续步骤与二进制数据相同
+        const textEncoder = new TextEncoder();
+        return this._encodePayload(textEncoder.encode(plaintext), 0, options);
+    }
+
+    /**
+     * 将文本编码为 O0Il 字符串，支持口令加密
      * @param {string} plaintext - 要加密的原文
-     * @returns {string} 密文字符串（包含CRC32校验码）
+     * @param {Object} [options] - 编码选项
+     * @param {boolean} [options.compress=false] - 是否尝试压缩载荷（优先使用 CompressionStream）
+     * @param {string} [options.password] - 口令；提供时载荷使用 AES-GCM 加密
+     * @param {number} [options.iterations] - PBKDF2 迭代次数，1000~10000000 之间的整数，默认 600000
+     * @param {number|string} [options.alphabet] - 字符集编号或名称，同 encode
+     * @param {string|number} [options.ecc] - 纠错级别，同 encode
+     * @param {string} [options.integrity] - 完整性算法及共享密钥（integrity、integrityKey），同 encode
+     * @param {boolean} [options.whiten=false] - 是否白化载荷（whiten、randomize、nonce），同 encode
+     * @param {string} [options.padding] - 长度隐藏填充（padding、paddingBuckets），同 encode
+     * @param {Object} [options.metadata] - 元数据，同 encode
+     * @param {number} [options.groupSize] - 排版选项（groupSize、lineWidth、separator），同 encode
+     * @returns {Promise<string>} 密文字符串
      */
-    encode(plaintext) {
+    async encodeAsync(plaintext, options = {}) {
         if (typeof plaintext !== 'string') {
-            throw new Error('输入必须是字符串');
+            throw new OI1InputError('INVALID_INPUT', '输入必须是字符串', { expected: 'string' });
         }
 
         if (!plaintext) {
             return '';
         }
 
+        const textEncoder = new TextEncoder();
+        return this._encodePayloadAsync(textEncoder.encode(plaintext), 0, options);
+    }
+
+    /**
+     * 将任意字节编码为 O0Il 字符串，可附带文件名和MIME类型
+     * @param {Uint8Array} bytes - 要加密的字节
+     * @param {Object} [options] - 编码选项，同 encode
+     * @param {string} [options.filename] - 文件名
+     * @param {string} [options.mimeType] - MIME类型
+     * @returns {string} 密文字符串
+     */
+    encodeBytes(bytes, options = {}) {
+        return this._encodePayload(this._buildFilePayload(bytes, options), V3_FLAGS.BINARY, options);
+    }
+
+    /**
+     * 将任意字节编码为 O0Il 字符串，支持口令加密
+     * @param {Uint8Array} bytes - 要加密的字节
+     * @param {Object} [options] - 编码选项，同 encodeAsync 和 encodeBytes
+     * @returns {Promise<string>} 密文字符串
+     */
+    async encodeBytesAsync(bytes, options = {}) {
+        return this._encodePayloadAsync(this._buildFilePayload(bytes, options), V3_FLAGS.BINARY, options);
+    }
+
+    /**
+     * 在字节前加上文件描述，生成二进制载荷
+     * 空文件同样会生成密文，因为文件名本身也是内容
+     * @param {Uint8Array} bytes - 文件内容
+     * @param {Object} options - 包含 filename 和 mimeType 的选项
+     * @returns {Uint8Array} 二进制载荷
+     * @private
+     */
+    _buildFilePayload(bytes, options) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new OI1InputError('INVALID_INPUT', '输入必须是 Uint8Array', { expected: 'Uint8Array' });
+        }
+
+        const fileInfo = OI1FileInfo.encode(options);
+        const payload = new Uint8Array(fileInfo.length + bytes.length);
+        payload.set(fileInfo, 0);
+        payload.set(bytes, fileInfo.length);
+        return payload;
+    }
+
+    /**
+     * 同步编码流水线：可选元数据 → 可选压缩 → 可选填充 → 可选白化 → 组装 v3 密文
+     * @param {Uint8Array} bytes - 载荷字节
+     * @param {number} flags - 载荷自身的标志位
+     * @param {Object} options - 编码选项
+     * @returns {string} v3 密文
+     * @private
+     */
+    _encodePayload(bytes, flags, options) {
+        if (options.password) {
+            throw new OI1InputError('INVALID_OPTION', '密码保护依赖 WebCrypto 异步接口，请使用 encodeAsync', { option: 'password' });
+        }
+
         try {
-            // 步骤1: 将文本转换为UTF-8字节数组
-            const textEncoder = new TextEncoder();
-            const bytes = textEncoder.encode(plaintext);
-            
-            // 步骤2: 计算CRC32校验码
-            const crc32Value = this.crc32.calculate(bytes);
-            const crcString = this.crc32.toOI1String(crc32Value);
-            
-            // 步骤3: 将字节数组转换为二进制字符串
-            let binaryString = '';
-            for (const byte of bytes) {
-                binaryString += byte.toString(2).padStart(8, '0');
-            }
-            
-            // 步骤4: 将二进制串转换为O0Il字符
-            const mainCipher = this._binaryToChars(binaryString);
-            
-            // 步骤5: 组合主密文和CRC校验码
-            return mainCipher + crcString;
-            
+            ({ payload: bytes, flags } = this._attachMetadata(bytes, flags, options));
+
+            // 步骤2: 可选压缩
+            const selected = this._selectPayload(bytes, options.compress ? ZlibCodec.compress(bytes) : null);
+            const finished = this._finishPayload(selected.payload, flags | selected.flags, options);
+
+            // 步骤3: 组装头部、载荷和CRC32校验码，按需排版
+            return this._applyLayout(this._assembleV3(finished.payload, finished.flags, options), options);
+
         } catch (error) {
-            throw new Error(`加密过程中发生错误: ${error.message}`);
+            throw OI1Error.wrap(error, 'ENCODE_FAILED', '加密过程中发生错误: ');
         }
     }
 
     /**
-     * 将二进制字符串转换为 O0Il 字符
-     * @param {string} binaryString - 二进制字符串
-     * @returns {string} O0Il 字符串
+     * 异步编码流水线：可选元数据 → 可选压缩 → 可选口令加密 → 可选填充 → 可选白化 → 组装 v3 密文
+     * @param {Uint8Array} bytes - 载荷字节
+     * @param {number} flags - 载荷自身的标志位
+     * @param {Object} options - 编码选项
+     * @returns {Promise<string>} v3 密文
      * @private
      */
-    _binaryToChars(binaryString) {
-        // 确保二进制串长度是2的倍数，不足的补0
-        const paddingLength = (2 - (binaryString.length % 2)) % 2;
-        const paddedBinary = binaryString + '0'.repeat(paddingLength);
-        
-        let result = '';
-        
-        // 每2位二进制转换为一个字符
-        for (let i = 0; i < paddedBinary.length; i += 2) {
-            const binaryPair = paddedBinary.substring(i, i + 2);
-            const char = BINARY_TO_CHAR[binaryPair];
-            result += char;
+    async _encodePayloadAsync(bytes, flags, options) {
+        try {
+            ({ payload: bytes, flags } = this._attachMetadata(bytes, flags, options));
+
+            // 压缩必须在加密之前，加密后的数据无法再压缩
+            const compressed = options.compress ? await ZlibCodec.compressAsync(bytes) : null;
+            const selected = this._selectPayload(bytes, compressed);
+            let payload = selected.payload;
+            flags |= selected.flags;
+
+            // 口令加密发生在 O0Il 映射之前，加密参数随载荷一起写入密文
+            if (options.password) {
+                payload = await PassphraseCipher.encrypt(payload, options.password, options);
+                flags |= V3_FLAGS.ENCRYPTED;
+            }
+
+            const finished = this._finishPayload(payload, flags, options);
+            return this._applyLayout(this._assembleV3(finished.payload, finished.flags, options), options);
+
+        } catch (error) {
+            throw OI1Error.wrap(error, 'ENCODE_FAILED', '加密过程中发生错误: ');
         }
-        
-        return result;
     }
 
+    /**
+     * 按选项在载荷前加上元数据段，元数据随载荷一起压缩和加密
+     * @param {Uint8Array} bytes - 载荷字节
+     * @param {number} flags - 载荷自身的标志位
+     * @param {Object} options - 编码选项，读取 metadata
+     * @returns {Object} { payload, flags }
+     * @private
+     */
+    _attachMetadata(bytes, flags, options) {
+        if (OI1Metadata.isEmpty(options.metadata)) {
+            return { payload: bytes, flags };
+        }
+
+        const metadata = OI1Metadata.encode(options.metadata);
+        const payload = new Uint8Array(metadata.length + bytes.length);
+        payload.set(metadata, 0);
+        payload.set(bytes, metadata.length);
+        return { payload, flags: flags | V3_FLAGS.METADATA };
+    }
+
+    /**
+     * 在原始字节和压缩结果之间选择载荷，压缩后没有变小时放弃压缩
+     * @param {Uint8Array} bytes - 原始字节
+     * @param {Uint8Array|null} compressed - 压缩结果，未压缩时为 null
+     * @returns {Object} { payload, flags }
+     * @private
+     */
+    _selectPayload(bytes, compressed) {
+        if (compressed && compressed.length < bytes.length) {
+            return { payload: compressed, flags: V3_FLAGS.COMPRESSED };
+        }
+        return { payload: bytes, flags: 0 };
+    }
+
+    /**
+     * 按选项填充并白化载荷，这是载荷的最后两步变换，校验码覆盖处理后的载荷
+     * 填充在加密之后，密文长度不再反映加密前的长度；白化种子依次取 nonce、随机种子（randomize）或由载荷派生的种子
+     * @param {Uint8Array} payload - 载荷字节
+     * @param {number} flags - 头部标志位
+     * @param {Object} options - 编码选项，读取 padding、paddingBuckets、whiten、randomize 和 nonce
+     * @returns {Object} { payload, flags }
+     * @private
+     */
+    _finishPayload(payload, flags, options) {
+        if (options.padding) {
+            payload = PayloadPadding.pad(payload, options.padding, {
+                buckets: options.paddingBuckets,
+                randomize: options.randomize
+            });
+            flags |= V3_FLAGS.PADDED;
+        }
+
+        if (options.whiten || options.randomize || options.nonce) {
+            // 白化增加的字节就是种子本身
+            if (options.nonce && !(options.nonce instanceof Uint8Array && options.nonce.length === WHITENING_OVERHEAD)) {
+                throw new OI1InputError('INVALID_OPTION', `nonce 必须是 ${WHITENING_OVERHEAD} 字节的 Uint8Array`, { option: 'nonce' });
+            }
+            const seed = options.nonce || (options.randomize ? PayloadWhitening.randomSeed() : undefined);
+            payload = PayloadWhitening.whiten(payload, seed);
+            flags |= V3_FLAGS.WHITENED;
+        }
+
+        return { payload, flags };
+    }
+
+    /**
+     * 组装 v3 密文：头部 + 载荷，随后附加覆盖两者的校验码（默认 CRC32）
+     * 启用纠错时，纠错码覆盖头部、载荷和校验码，位于载荷与校验码之间
+     * 设置映射密钥时，头部之后的字形按密钥逐位置替换，头部保持原样以便识别
+     * 非默认字符集在头部记录编号，最后整体替换为该字符集的字形
+     * @param {Uint8Array} payload - 载荷字节
+     * @param {number} flags - 头部标志位
+     * @param {Object} [options] - 编码选项，读取 alphabet、ecc、integrity、integrityKey 和 mappingKey
+     * @returns {string} v3 密文
+     * @private
+     */
+    _assembleV3(payload, flags, options = {}) {
+        const alphabet = AlphabetRegistry.get(options.alphabet);
+        if (alphabet.id !== DEFAULT_ALPHABET_ID) {
+            flags |= V3_FLAGS.ALPHABET;
+        }
+
+        const eccParity = this._resolveEccParity(options.ecc);
+        if (eccParity) {
+            flags |= V3_FLAGS.ECC;
+        }
+
+        const integrity = ChecksumRegistry.get(options.integrity);
+        if (integrity.id !== DEFAULT_CHECKSUM_ID) {
+            flags |= V3_FLAGS.INTEGRITY;
+        }
+        if (integrity.keyed && !options.integrityKey) {
+            throw new OI1InputError('INVALID_OPTION', `${integrity.name} 需要提供共享密钥`, { option: 'integrityKey' });
+        }
+
+        const mapping = options.mappingKey ? new KeyedGlyphMapping(options.mappingKey) : null;
+        if (mapping) {
+            flags |= V3_FLAGS.KEYED_MAPPING;
+        }
+
+        const header = OI1Header.encode({
+            flags,
+            payloadLength: payload.length,
+            alphabet: alphabet.id,
+            eccParity,
+            integrity: integrity.id
+        });
+
+        const frame = new Uint8Array(header.length + payload.length);
+        frame.set(header, 0);
+        frame.set(payload, header.length);
+
+        const tag = integrity.compute(frame, options.integrityKey);
+
+        let parity = '';
+        if (eccParity) {
+            const message = new Uint8Array(frame.length + tag.length);
+            message.set(frame, 0);
+            message.set(tag, frame.length);
+            parity = bytesToGlyphs(ReedSolomon.encodeBlocks(message, eccParity));
+        }
+
+        let body = bytesToGlyphs(payload) + parity + bytesToGlyphs(tag);
+        if (mapping) {
+            body = mapping.apply(body);
+        }
+
+        return alphabet.fromCanonical(bytesToGlyphs(header) + body);
+    }
+
+    /**
+     * 计算头部和载荷的校验码
+     * @param {Uint8Array} frame - 头部和载荷字节
+     * @param {string} [name='crc32'] - 校验算法名称，见 checksums.js
+     * @param {string|Uint8Array} [key] - 共享密钥（仅需要密钥的算法）
+     * @returns {Uint8Array} 校验码字节
+     */
+    computeTag(frame, name, key) {
+        return ChecksumRegistry.get(name).compute(frame, key);
+    }
+
+    /**
+     * 排版密文：按字形分组并折行
+     * 已排版的密文会先去掉原有的排版字符，因此可以换一组选项重新排版；字符集根据密文开头识别
+     * @param {string} ciphertext - 密文
+     * @param {Object} [options] - 排版选项
+     * @param {number} [options.groupSize=0] - 每组字形数，0 表示不分组
+     * @param {number} [options.lineWidth=0] - 每行最多字符数，0 表示不折行
+     * @param {string} [options.separator=' '] - 组间分隔符，只能由空白或连字符组成
+     * @returns {string} 排版后的密文
+     */
+    formatCiphertext(ciphertext, options = {}) {
+        const glyphs = CipherLayout.strip(ciphertext);
+        const alphabet = AlphabetRegistry.detect(glyphs);
+        return CipherLayout.format(alphabet.splitGlyphs(glyphs), options);
+    }
+
+    /**
+     * 编码选项要求排版时排版密文，否则原样返回
+     * 不排版时同样检查排版选项，无效的分隔符不会被悄悄忽略
+     * @param {string} ciphertext - 密文
+     * @param {Object} options - 编码选项
+     * @returns {string} 密文
+     * @private
+     */
+    _applyLayout(ciphertext, options) {
+        const { groupSize, lineWidth } = CipherLayout.resolve(options);
+        return groupSize || lineWidth ? this.formatCiphertext(ciphertext, options) : ciphertext;
+    }
+
+    /**
+     * 解析纠错级别
+     * @param {string|number} [ecc] - 纠错级别名称或每块校验字节数
+     * @returns {number} 每块校验字节数，不启用时为 0
+     * @private
+     */
+    _resolveEccParity(ecc) {
+        if (!ecc) {
+            return 0;
+        }
+
+        const parity = typeof ecc === 'string' ? ECC_LEVELS[ecc] : ecc;
+        if (!ReedSolomon.isValidParity(parity)) {
+            throw new OI1InputError('INVALID_OPTION', `未知的纠错级别: ${ecc}`, { option: 'ecc', value: String(ecc) });
+        }
+        return parity;
+    }
 
     /**
      * 检测密文格式版本
+     * 结果中的长度均以标准 O0Il 字符计，与所用字符集无关
      * @param {string} ciphertext - 密文字符串
+     * @param {OI1Alphabet} [alphabet] - 已知字符集；提供时 ciphertext 应是已还原的标准 O0Il 字符串
      * @returns {Object} 格式检测结果
      */
-    detectFormat(ciphertext) {
+    detectFormat(ciphertext, alphabet) {
         if (!ciphertext || typeof ciphertext !== 'string') {
             return {
                 version: 'unknown',
@@ -219,18 +895,60 @@ export class OI1Encoder {
             };
         }
 
-        // 检查长度：新格式应该是 (原文长度*4 + 16) 且 > 16
-        // 旧格式应该是 (原文长度*4) 且能被4整除
-        const length = ciphertext.length;
-        
-        if (length > 16 && (length - 16) % 4 === 0) {
-            // 可能是新格式（带CRC）
+        // 非默认字符集先还原为标准字符；默认字符集的密文原样检测
+        if (!alphabet) {
+            alphabet = AlphabetRegistry.detect(ciphertext);
+            if (alphabet.id !== DEFAULT_ALPHABET_ID) {
+                const normalized = alphabet.toCanonical(ciphertext);
+                if (normalized.invalidIndex !== -1) {
+                    return {
+                        version: 'unknown',
+                        hasCRC: false,
+                        isValid: false,
+                        alphabet: alphabet.name,
+                        error: `包含无效字符 (位置: ${normalized.invalidIndex + 1})`
+                    };
+                }
+                ciphertext = normalized.canonical;
+            }
+        }
+
+        // 优先识别自描述的 v3 头部
+        const header = this._readV3Header(ciphertext);
+        if (header) {
+            return {
+                ...this._describeV3(ciphertext, header, alphabet),
+                alphabet: alphabet.name,
+                radix: alphabet.glyphs.length
+            };
+        }
+
+        // 只有 v3 密文能记录字符集
+        if (alphabet.id !== DEFAULT_ALPHABET_ID) {
+            return {
+                version: 'unknown',
+                hasCRC: false,
+                isValid: false,
+                alphabet: alphabet.name,
+                error: '缺少 v3 头部'
+            };
+        }
+
+        // 旧格式没有头部，只能根据长度推测，解码器会在 v2 校验失败时回退到 v1
+        // 检查长度：v2 应该是 (原文长度*4 + 16) 且 > 16
+        // v1 应该是 (原文长度*4) 且能被4整除
+        const length = ciphertext.length;
+
+        if (length > 16 && (length - 16) % 4 === 0) {
+            // 可能是新格式（带CRC）
             return {
                 version: 'v2',
                 hasCRC: true,
                 isValid: true,
                 mainCipherLength: length - 16,
-                crcLength: 16
+                crcLength: 16,
+                alphabet: alphabet.name,
+                radix: 4
             };
         } else if (length % 4 === 0 && length > 0) {
             // 可能是旧格式（无CRC）
@@ -239,136 +957,1177 @@ export class OI1Encoder {
                 hasCRC: false,
                 isValid: true,
                 mainCipherLength: length,
-                crcLength: 0
+                crcLength: 0,
+                alphabet: alphabet.name,
+                radix: 4
+            };
+        }
+
+        return {
+            version: 'unknown',
+            hasCRC: false,
+            isValid: false
+        };
+    }
+
+    /**
+     * 读取密文开头的 v3 头部
+     * @param {string} ciphertext - 密文字符串
+     * @returns {Object|null} 头部字段；不是 v3 密文时返回 null
+     * @private
+     */
+    _readV3Header(ciphertext) {
+        // 头部长度可变，最多读取 V3_MAX_HEADER_BYTES 个完整字节
+        const headerChars = Math.min(V3_MAX_HEADER_BYTES * 4, ciphertext.length - ciphertext.length % 4);
+
+        const bytes = [];
+        for (let i = 0; i < headerChars; i += 4) {
+            let byte = 0;
+            for (let j = 0; j < 4; j++) {
+                const value = GLYPH_VALUES[ciphertext[i + j]];
+                if (value === undefined) {
+                    return null;
+                }
+                byte = (byte << 2) | value;
+            }
+            bytes.push(byte);
+        }
+
+        return OI1Header.decode(bytes);
+    }
+
+    /**
+     * 根据 v3 头部生成格式检测结果
+     * @param {string} ciphertext - 标准 O0Il 密文字符串
+     * @param {Object} header - 头部字段
+     * @param {OI1Alphabet} alphabet - 识别出的字符集
+     * @returns {Object} 格式检测结果
+     * @private
+     */
+    _describeV3(ciphertext, header, alphabet) {
+        const headerLength = header.headerLength * 4;
+        const unknownFlags = header.flags & ~this._knownFlagsMask();
+
+        // 末尾校验码的长度由校验算法决定，未知算法按 CRC32 计算长度以便报告错误
+        const integrity = ChecksumRegistry.find(header.integrity);
+        const tagBytes = (integrity || ChecksumRegistry.get()).tagBytes;
+        const tagLength = tagBytes * 4;
+
+        // 流式编码时头部不记录长度，载荷即头部与校验码之间的全部字符
+        const isStream = Boolean(header.flags & V3_FLAGS.STREAM);
+        const payloadLength = isStream
+            ? Math.max(0, Math.floor((ciphertext.length - headerLength - tagLength) / 4))
+            : header.payloadLength;
+        const mainCipherLength = payloadLength * 4;
+
+        // 纠错码覆盖头部、载荷和校验码
+        const eccParity = (header.flags & V3_FLAGS.ECC) ? header.eccParity : 0;
+        const eccLength = eccParity
+            ? ReedSolomon.blockCount(header.headerLength + payloadLength + tagBytes, eccParity) * eccParity * 4
+            : 0;
+        const expectedLength = headerLength + mainCipherLength + eccLength + tagLength;
+
+        let error = null;
+        if (header.version !== V3_VERSION) {
+            error = `不支持的格式版本: ${header.version}`;
+        } else if (unknownFlags) {
+            error = `包含未知的标志位: 0x${unknownFlags.toString(16).toUpperCase()}`;
+        } else if (header.alphabet !== alphabet.id) {
+            error = `字符集与头部记录不符，头部记录的字符集编号为 ${header.alphabet}`;
+        } else if (eccParity && (isStream || !ReedSolomon.isValidParity(eccParity))) {
+            error = isStream ? '流式密文不支持纠错码' : `无效的纠错码参数: ${eccParity}`;
+        } else if (!integrity) {
+            error = `未知的完整性算法编号: ${header.integrity}`;
+        } else if (header.part && (header.part.index < 1 || header.part.index > header.part.total)) {
+            error = `无效的分段序号: ${header.part.index}/${header.part.total}`;
+        } else if (ciphertext.length !== expectedLength) {
+            error = `密文长度与头部不符，期望 ${expectedLength} 字符，实际 ${ciphertext.length} 字符`;
+        }
+
+        return {
+            version: 'v3',
+            hasCRC: tagLength > 0,
+            isValid: error === null,
+            error: error,
+            flags: header.flags,
+            payloadLength: payloadLength,
+            headerLength: headerLength,
+            mainCipherLength: mainCipherLength,
+            eccParity: eccParity,
+            eccLength: eccLength,
+            part: header.part,
+            integrity: integrity ? integrity.name : null,
+            crcLength: tagLength
+        };
+    }
+
+    /**
+     * 获取所有已登记标志位的掩码
+     * @returns {number} 标志位掩码
+     * @private
+     */
+    _knownFlagsMask() {
+        return Object.values(V3_FLAGS).reduce((mask, flag) => mask | flag, 0);
+    }
+
+    /**
+     * 获取编码统计信息
+     * @param {string|Uint8Array} plaintext - 原文或原始字节
+     * @param {string} ciphertext - 密文
+     * @returns {Object} 统计信息
+     */
+    getEncodingStats(plaintext, ciphertext) {
+        const textEncoder = new TextEncoder();
+        const originalBytes = typeof plaintext === 'string' ? textEncoder.encode(plaintext) : plaintext;
+        // 排版字符不计入密文长度；校验码和字符分布按标准 O0Il 字符统计
+        const rawLength = ciphertext.length;
+        ciphertext = CipherLayout.strip(ciphertext);
+        const alphabet = AlphabetRegistry.detect(ciphertext);
+        const canonical = alphabet.toCanonical(ciphertext).canonical;
+        const formatInfo = this.detectFormat(canonical, alphabet);
+        const padding = this._getPaddingStats(canonical, formatInfo);
+        
+        return {
+            originalLength: plaintext.length,
+            originalBytes: originalBytes.length,
+            cipherLength: ciphertext.length,
+            layoutChars: rawLength - ciphertext.length,
+            compressionRatio: ciphertext.length / plaintext.length,
+            bytesRatio: ciphertext.length / originalBytes.length,
+            formatVersion: formatInfo.version,
+            hasCRC: formatInfo.hasCRC,
+            integrity: formatInfo.integrity || (formatInfo.hasCRC ? ChecksumRegistry.get().name : null),
+            checksum: this._getChecksumStats(formatInfo, alphabet),
+            alphabet: alphabet.name,
+            radix: this._getRadixStats(canonical, alphabet),
+            crcValue: formatInfo.hasCRC ? this._getCRCFromCipher(canonical, alphabet) : null,
+            payloadCompression: this._getCompressionStats(originalBytes.length, formatInfo, padding),
+            whitened: formatInfo.version === 'v3' && Boolean(formatInfo.flags & V3_FLAGS.WHITENED),
+            padding: padding,
+            charDistribution: charDistribution(canonical)
+        };
+    }
+
+    /**
+     * 统计末尾校验码的算法与长度
+     * @param {Object} formatInfo - 格式检测结果
+     * @param {OI1Alphabet} alphabet - 字符集
+     * @returns {Object|null} { algorithm, label, keyed, tagBytes, glyphs }，glyphs 为校验码在该字符集中占用的字形数；
+     *     v1 格式和无法识别的密文返回 null
+     * @private
+     */
+    _getChecksumStats(formatInfo, alphabet) {
+        // v2 格式固定使用 CRC32；v3 头部记录了未知算法时 integrity 为 null
+        const name = formatInfo.version === 'v2' ? ChecksumRegistry.get().name : formatInfo.integrity;
+        if (!name) {
+            return null;
+        }
+
+        const checksum = ChecksumRegistry.get(name);
+        return {
+            algorithm: checksum.name,
+            label: checksum.label,
+            keyed: checksum.keyed,
+            tagBytes: checksum.tagBytes,
+            glyphs: Math.ceil(checksum.tagBytes * 8 / alphabet.bitsPerGlyph)
+        };
+    }
+
+    /**
+     * 统计字形位数带来的长度变化，以每字形2位的标准密文为基准
+     * @param {string} canonical - 标准 O0Il 密文
+     * @param {OI1Alphabet} alphabet - 字符集
+     * @returns {Object} 字形统计
+     * @private
+     */
+    _getRadixStats(canonical, alphabet) {
+        const glyphs = Math.ceil(canonical.length * 2 / alphabet.bitsPerGlyph);
+
+        return {
+            radix: alphabet.glyphs.length,
+            bitsPerGlyph: alphabet.bitsPerGlyph,
+            glyphs: glyphs,
+            baselineGlyphs: canonical.length,
+            savedGlyphs: canonical.length - glyphs,
+            savedRatio: canonical.length > 0 ? 1 - glyphs / canonical.length : 0
+        };
+    }
+
+    /**
+     * 统计载荷压缩效果
+     * @param {number} originalBytes - 原文UTF-8字节数
+     * @param {Object} formatInfo - 格式检测结果
+     * @param {Object|null} padding - 填充统计，见 _getPaddingStats
+     * @returns {Object|null} 压缩统计；旧格式返回 null
+     * @private
+     */
+    _getCompressionStats(originalBytes, formatInfo, padding) {
+        if (formatInfo.version !== 'v3' || !formatInfo.isValid) {
+            return null;
+        }
+
+        const applied = Boolean(formatInfo.flags & V3_FLAGS.COMPRESSED);
+        // 真实长度被映射密钥隐藏时只能按填充后的长度统计
+        let payloadBytes = padding.contentBytes !== null ? padding.contentBytes : padding.paddedBytes;
+        if (formatInfo.flags & V3_FLAGS.ENCRYPTED) {
+            payloadBytes -= ENCRYPTION_OVERHEAD;
+        }
+
+        return {
+            applied: applied,
+            originalBytes: originalBytes,
+            compressedBytes: applied ? payloadBytes : originalBytes,
+            ratio: applied && originalBytes > 0 ? payloadBytes / originalBytes : 1
+        };
+    }
+
+    /**
+     * 统计长度隐藏填充的开销
+     * 真实长度记录在填充后载荷的开头，未使用映射密钥时可以直接读出（白化的载荷先还原）
+     * @param {string} canonical - 标准 O0Il 密文
+     * @param {Object} formatInfo - 格式检测结果
+     * @returns {Object|null} { applied, contentBytes, paddedBytes, overheadBytes, overheadRatio }，
+     *     字节数均不含白化种子；使用映射密钥时 contentBytes 等为 null；旧格式返回 null
+     * @private
+     */
+    _getPaddingStats(canonical, formatInfo) {
+        if (formatInfo.version !== 'v3' || !formatInfo.isValid) {
+            return null;
+        }
+
+        const whitened = Boolean(formatInfo.flags & V3_FLAGS.WHITENED);
+        const paddedBytes = formatInfo.payloadLength - (whitened ? WHITENING_OVERHEAD : 0);
+        if (!(formatInfo.flags & V3_FLAGS.PADDED)) {
+            return { applied: false, contentBytes: paddedBytes, paddedBytes, overheadBytes: 0, overheadRatio: 0 };
+        }
+
+        let contentBytes = null;
+        if (!(formatInfo.flags & V3_FLAGS.KEYED_MAPPING)) {
+            let payload = new Uint8Array(formatInfo.payloadLength);
+            for (let i = 0, p = formatInfo.headerLength; i < payload.length; i++, p += 4) {
+                payload[i] = (GLYPH_VALUES[canonical[p]] << 6) |
+                    (GLYPH_VALUES[canonical[p + 1]] << 4) |
+                    (GLYPH_VALUES[canonical[p + 2]] << 2) |
+                    GLYPH_VALUES[canonical[p + 3]];
+            }
+            try {
+                if (whitened) {
+                    payload = PayloadWhitening.unwhiten(payload);
+                }
+                contentBytes = PayloadPadding.inspect(payload).length;
+            } catch (error) {
+                // 载荷损坏时无法读出真实长度
+            }
+        }
+
+        return {
+            applied: true,
+            contentBytes: contentBytes,
+            paddedBytes: paddedBytes,
+            overheadBytes: contentBytes !== null ? paddedBytes - contentBytes : null,
+            overheadRatio: contentBytes !== null && contentBytes > 0 ? (paddedBytes - contentBytes) / contentBytes : null
+        };
+    }
+
+    /**
+     * 从密文中提取CRC值
+     * @param {string} ciphertext - 密文字符串
+     * @param {OI1Alphabet} [alphabet] - 已知字符集，同 detectFormat
+     * @returns {string|null} CRC字符串或null
+     * @private
+     */
+    _getCRCFromCipher(ciphertext, alphabet) {
+        const formatInfo = this.detectFormat(ciphertext, alphabet);
+        if (formatInfo.hasCRC && (formatInfo.version === 'v2' || formatInfo.version === 'v3')) {
+            return ciphertext.slice(ciphertext.length - formatInfo.crcLength); // 末尾的校验码字符
+        }
+        return null;
+    }
+}
+
+/**
+ * oi1 解密器类
+ */
+export class OI1Decoder {
+    constructor() {
+        // 初始化CRC32计算器和格式检测器
+        this.crc32 = new CRC32();
+        this.encoder = new OI1Encoder(); // 用于格式检测
+    }
+
+    /**
+     * 将 O0Il 字符串解码为原文（支持CRC32验证）
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} [options] - 解码选项
+     * @param {string} [options.format='auto'] - 强制按指定格式解码：'auto' | 'v1' | 'v2' | 'v3'
+     * @param {boolean} [options.legacyFallback=false] - 自动检测时，没有头部的密文 CRC 校验失败后按 v1（无校验）重新解码；
+     *     默认报告 v2 的校验错误，避免损坏的密文被当作 v1 静默解码为错误的原文
+     * @param {boolean} [options.ignoreLayout=false] - 先去掉空白、换行、零宽字符和连字符等排版字符；
+     *     结果中的位置均按去掉排版字符后的密文计算
+     * @param {string|Uint8Array} [options.integrityKey] - 共享密钥，校验 HMAC-SHA256 认证标签时必须提供
+     * @param {string|Uint8Array} [options.mappingKey] - 映射密钥，密文带 KEYED_MAPPING 标志时必须提供
+     * @param {number} [options.maxDecompressedSize=Infinity] - 压缩载荷解压后的最大字节数，超过时抛出 DECOMPRESSED_TOO_LARGE
+     * @returns {Object} 解码结果，包含原文、校验信息和识别到的格式；
+     *     substitutions 列出被替换的形近字符 { position, from, to }（position 从1开始）；
+     *     integrity 为 'authentic'（认证标签校验通过）或 'none'（没有认证标签，CRC32 只能发现意外损坏）。
+     *     校验失败时抛出的错误带有 integrity: 'corrupted'
+     */
+    decode(ciphertext, options = {}) {
+        if (typeof ciphertext !== 'string') {
+            throw new OI1InputError('INVALID_INPUT', '输入必须是字符串', { expected: 'string' });
+        }
+
+        ciphertext = this._stripLayout(ciphertext, options);
+
+        if (!ciphertext) {
+            return {
+                plaintext: '',
+                crcVerified: false,
+                formatVersion: 'empty',
+                integrity: 'none',
+                substitutions: []
             };
         }
 
-        return {
-            version: 'unknown',
-            hasCRC: false,
-            isValid: false
+        // 验证密文字符并还原为标准 O0Il 字符（默认字符集先替换形近字符）
+        const { canonical, alphabet, substitutions } = this.normalizeCiphertext(ciphertext);
+
+        // 检测密文格式
+        const format = options.format || 'auto';
+        const formatInfo = this._resolveFormat(canonical, format, alphabet, options);
+        if (!formatInfo.isValid) {
+            throw new OI1FormatError('UNKNOWN_FORMAT', `密文格式不正确，无法识别版本${formatInfo.error ? `: ${formatInfo.error}` : ''}`, {
+                format: format,
+                reason: formatInfo.error || null
+            });
+        }
+
+        try {
+            let result;
+            if (formatInfo.version === 'v3') {
+                // 自描述格式：按头部解码
+                result = this._decodeV3(canonical, formatInfo, options);
+            } else if (formatInfo.version === 'v2') {
+                // 旧格式：带CRC校验，自动检测且调用方允许时回退到 v1
+                result = format === 'auto' && options.legacyFallback
+                    ? this._decodeLegacy(canonical, formatInfo)
+                    : this._decodeWithCRC(canonical, formatInfo);
+            } else {
+                // 旧格式：无CRC校验
+                result = this._decodeWithoutCRC(canonical, formatInfo);
+            }
+            return { ...result, substitutions };
+
+        } catch (error) {
+            throw this._wrapDecodeError(error);
+        }
+    }
+
+    /**
+     * 将 O0Il 字符串解码为原文，支持口令加密的密文
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} [options] - 解码选项，同 decode
+     * @param {string} [options.password] - 口令
+     * @returns {Promise<Object>} 解码结果
+     */
+    async decodeAsync(ciphertext, options = {}) {
+        ciphertext = this._stripLayout(ciphertext, options);
+
+        // 旧格式没有异步处理的步骤，与同步解码一致
+        const detected = this._detectV3(ciphertext, options);
+        if (!detected) {
+            return this.decode(ciphertext, options);
+        }
+
+        const { canonical, formatInfo, substitutions } = detected;
+
+        try {
+            const { payload, frame } = await this._readV3PayloadAsync(canonical, formatInfo, options);
+            return { ...this._buildV3TextResult(payload, frame, formatInfo), substitutions };
+
+        } catch (error) {
+            throw this._wrapDecodeError(error);
+        }
+    }
+
+    /**
+     * 将 O0Il 字符串解码为字节，适用于 encodeBytes 生成的密文
+     * 文本密文同样可以解码，此时返回原文的UTF-8字节
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} [options] - 解码选项，同 decode
+     * @returns {Object} 解码结果，包含 bytes、filename、mimeType 和校验信息
+     */
+    decodeBytes(ciphertext, options = {}) {
+        ciphertext = this._stripLayout(ciphertext, options);
+        const detected = this._detectV3(ciphertext, options);
+        if (!detected) {
+            return this._toBytesResult(this.decode(ciphertext, options));
+        }
+
+        const { canonical, formatInfo, substitutions } = detected;
+
+        try {
+            const { payload, frame } = this._readV3Payload(canonical, formatInfo, options);
+            return { ...this._buildV3BytesResult(payload, frame, formatInfo), substitutions };
+
+        } catch (error) {
+            throw this._wrapDecodeError(error);
+        }
+    }
+
+    /**
+     * 将 O0Il 字符串解码为字节，支持口令加密的密文
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} [options] - 解码选项，同 decodeAsync
+     * @returns {Promise<Object>} 解码结果，同 decodeBytes
+     */
+    async decodeBytesAsync(ciphertext, options = {}) {
+        ciphertext = this._stripLayout(ciphertext, options);
+        const detected = this._detectV3(ciphertext, options);
+        if (!detected) {
+            return this._toBytesResult(this.decode(ciphertext, options));
+        }
+
+        const { canonical, formatInfo, substitutions } = detected;
+
+        try {
+            const { payload, frame } = await this._readV3PayloadAsync(canonical, formatInfo, options);
+            return { ...this._buildV3BytesResult(payload, frame, formatInfo), substitutions };
+
+        } catch (error) {
+            throw this._wrapDecodeError(error);
+        }
+    }
+
+    /**
+     * 检测可按 v3 解码的密文
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} options - 解码选项
+     * @returns {Object|null} { canonical, formatInfo, substitutions }，canonical 为还原后的标准密文；
+     *     不是有效 v3 密文时返回 null，交由 decode 处理（包括报告错误）
+     * @private
+     */
+    _detectV3(ciphertext, options) {
+        const format = options.format || 'auto';
+        if (typeof ciphertext !== 'string' || !ciphertext || (format !== 'auto' && format !== 'v3')) {
+            return null;
+        }
+
+        const { canonical, alphabet, substitutions, invalidIndex } = this._canonicalize(ciphertext);
+        if (invalidIndex !== -1) {
+            return null;
+        }
+
+        const formatInfo = this._detectFormat(canonical, alphabet, options);
+        return formatInfo.version === 'v3' && formatInfo.isValid ? { canonical, formatInfo, substitutions } : null;
+    }
+
+    /**
+     * 解码选项要求时去掉排版字符
+     * @param {*} ciphertext - 密文字符串（其他类型原样返回，由调用方报告错误）
+     * @param {Object} options - 解码选项
+     * @returns {*} 密文
+     * @private
+     */
+    _stripLayout(ciphertext, options) {
+        return options.ignoreLayout && typeof ciphertext === 'string' ? CipherLayout.strip(ciphertext) : ciphertext;
+    }
+
+    /**
+     * 识别密文的字符集并还原为标准 O0Il 字符
+     * 多段消息重组等需要自行拆分密文的调用方也使用此方法
+     * @param {string} ciphertext - 密文字符串
+     * @returns {Object} { canonical, alphabet, substitutions }
+     */
+    normalizeCiphertext(ciphertext) {
+        const { canonical, alphabet, substitutions, invalidIndex } = this._canonicalize(ciphertext);
+        if (invalidIndex !== -1) {
+            throw this._invalidCharError(ciphertext, invalidIndex, '密文格式错误: ');
+        }
+        return { canonical, alphabet, substitutions };
+    }
+
+    /**
+     * 识别字符集并还原为标准 O0Il 字符，不抛出异常
+     * 默认字符集的密文含有其他字符时，先按形近字符表替换再校验
+     * @param {string} ciphertext - 密文字符串
+     * @returns {Object} { canonical, alphabet, substitutions, invalidIndex }；invalidIndex 为 -1 表示全部有效
+     * @private
+     */
+    _canonicalize(ciphertext) {
+        const alphabet = AlphabetRegistry.detect(ciphertext);
+        let result = alphabet.toCanonical(ciphertext);
+        let substitutions = [];
+
+        if (result.invalidIndex !== -1 && alphabet.id === DEFAULT_ALPHABET_ID) {
+            const normalized = Confusables.normalize(ciphertext);
+            if (normalized.substitutions.length > 0) {
+                result = alphabet.toCanonical(normalized.text);
+                substitutions = normalized.substitutions;
+            }
+        }
+
+        return {
+            canonical: result.canonical,
+            alphabet: alphabet,
+            substitutions: substitutions,
+            invalidIndex: result.invalidIndex
+        };
+    }
+
+    /**
+     * 生成"无效字符"错误
+     * 按码点取字符，位置按 UTF-16 下标计算（从1开始），与 substitutions 一致
+     * @param {string} ciphertext - 密文字符串
+     * @param {number} index - 无效字符的下标
+     * @param {string} [prefix=''] - 说明前缀
+     * @returns {OI1FormatError} 错误对象
+     * @private
+     */
+    _invalidCharError(ciphertext, index, prefix = '') {
+        const char = String.fromCodePoint(ciphertext.codePointAt(index));
+        return new OI1FormatError('INVALID_CHAR', `${prefix}包含无效字符 '${char}' (位置: ${index + 1})`, {
+            position: index + 1,
+            char: char
+        });
+    }
+
+    /**
+     * 包装解码错误，保留错误代码和结构化字段（包括完整性状态）以便调用方区分失败原因
+     * @param {Error} error - 原始错误
+     * @returns {OI1Error} 包装后的错误
+     * @private
+     */
+    _wrapDecodeError(error) {
+        return OI1Error.wrap(error, 'DECODE_FAILED', '解码过程中发生错误: ');
+    }
+
+    /**
+     * 生成"需要密码"错误
+     * @returns {Error} 错误对象
+     * @private
+     */
+    _passwordRequiredError() {
+        return new OI1KeyError('PASSWORD_REQUIRED', '密文已使用密码保护，请提供密码后解密');
+    }
+
+    /**
+     * 生成"二进制载荷"错误
+     * @returns {Error} 错误对象
+     * @private
+     */
+    _binaryPayloadError() {
+        return new OI1PayloadError('BINARY_PAYLOAD', '密文包含二进制文件，请使用 decodeBytes 解码');
+    }
+
+    /**
+     * 多段消息中的单独一段不能直接解码
+     * @param {Object} formatInfo - 格式信息
+     * @private
+     */
+    _rejectPart(formatInfo) {
+        if (formatInfo.flags & V3_FLAGS.MULTIPART) {
+            const { index, total } = formatInfo.part;
+            throw new OI1FormatError(
+                'MULTIPART_PART',
+                `密文是多段消息的第 ${index}/${total} 段，请收齐所有分段后使用 OI1Multipart.reassemble 合并`,
+                { index, total }
+            );
+        }
+    }
+
+    /**
+     * 确定解码所用的格式
+     * @param {string} ciphertext - 标准 O0Il 密文字符串
+     * @param {string} format - 'auto' 或强制指定的格式版本
+     * @param {OI1Alphabet} [alphabet] - 密文所用的字符集，默认 O0Il
+     * @param {Object} [options] - 解码选项，读取 mappingKey，见 _detectFormat
+     * @returns {Object} 格式信息
+     * @private
+     */
+    _resolveFormat(ciphertext, format, alphabet = AlphabetRegistry.get(), options = {}) {
+        const detected = format === 'auto' || format === 'v3'
+            ? this._detectFormat(ciphertext, alphabet, options)
+            : this.encoder.detectFormat(ciphertext, alphabet);
+
+        // 旧格式没有头部，无法记录字符集
+        if ((format === 'v1' || format === 'v2') && alphabet.id !== DEFAULT_ALPHABET_ID) {
+            return { version: format, isValid: false, error: `${format} 格式不支持字符集 ${alphabet.name}` };
+        }
+
+        switch (format) {
+            case 'auto':
+                return detected;
+            case 'v3':
+                return detected.version === 'v3'
+                    ? detected
+                    : { version: 'v3', isValid: false, error: '缺少 v3 头部' };
+            case 'v2':
+                return {
+                    version: 'v2',
+                    hasCRC: true,
+                    isValid: ciphertext.length > 16,
+                    mainCipherLength: ciphertext.length - 16,
+                    crcLength: 16
+                };
+            case 'v1':
+                return {
+                    version: 'v1',
+                    hasCRC: false,
+                    isValid: true,
+                    mainCipherLength: ciphertext.length,
+                    crcLength: 0
+                };
+            default:
+                throw new OI1InputError('INVALID_OPTION', `未知的格式版本: ${format}`, { option: 'format', value: String(format) });
+        }
+    }
+
+    /**
+     * 检测密文格式，带纠错码的 v3 密文先修复头部
+     * 头部中的标志位、载荷长度和纠错参数决定了其余部分的位置和解码步骤，必须先纠错再读取
+     * @param {string} ciphertext - 标准 O0Il 密文字符串
+     * @param {OI1Alphabet} alphabet - 密文所用的字符集
+     * @param {Object} [options] - 解码选项，读取 mappingKey
+     * @returns {Object} 格式信息，同 detectFormat；头部经过修复时按修复后的头部生成
+     * @private
+     */
+    _detectFormat(ciphertext, alphabet, options = {}) {
+        const detected = this.encoder.detectFormat(ciphertext, alphabet);
+        return this._recoverV3Header(ciphertext, alphabet, detected, options) || detected;
+    }
+
+    /**
+     * 用 Reed–Solomon 纠错码修复 v3 头部
+     * 纠错码位于（头部 + 载荷）与校验码之间，位置只取决于密文长度、每块校验字节数和校验码长度。
+     * 头部有效时按其中记录的参数纠正；头部无法解析或与密文长度不符时，依次假设头部记录的纠错参数、
+     * 各纠错级别和各校验算法的校验码长度。头部总在第一块中，只需纠正第一块，
+     * 纠正后的头部必须与假设的参数一致才会采用。
+     * 限制：自定义的每块校验字节数只能从头部读出；使用密钥映射的密文需要提供映射密钥，且头部长度仍能读出；
+     * 非默认字符集按魔数识别，魔数所在的字形须完好
+     * @param {string} ciphertext - 标准 O0Il 密文字符串
+     * @param {OI1Alphabet} alphabet - 密文所用的字符集
+     * @param {Object} detected - 按未纠正的头部检测的格式信息
+     * @param {Object} options - 解码选项，读取 mappingKey
+     * @returns {Object|null} 按修复后的头部生成的格式信息；头部无需修复或无法修复时返回 null
+     * @private
+     */
+    _recoverV3Header(ciphertext, alphabet, detected, options) {
+        const isValidV3 = detected.version === 'v3' && detected.isValid;
+        if ((isValidV3 && !(detected.flags & V3_FLAGS.ECC)) || ciphertext.length % 4 !== 0) {
+            return null;
+        }
+
+        // 魔数按 v3 补正后读出的头部，可能有误，只用来推测纠错参数、校验算法和头部长度
+        const leading = glyphsToBytes(ciphertext.slice(0, Math.min(ciphertext.length, V3_MAX_HEADER_BYTES * 4)));
+        if (leading.length < 4) {
+            return null;
+        }
+        leading[0] = V3_MAGIC;
+        const guess = OI1Header.decode(leading);
+
+        // 头部之后的字形可能经过密钥映射：提供了映射密钥时，也按还原后的字形读取纠错码
+        const bodies = [ciphertext];
+        if (guess && options.mappingKey) {
+            const mapping = new KeyedGlyphMapping(options.mappingKey);
+            const headerLength = guess.headerLength * 4;
+            const reverted = ciphertext.slice(0, headerLength) + mapping.revert(ciphertext.slice(headerLength));
+            bodies[guess.flags & V3_FLAGS.KEYED_MAPPING ? 'unshift' : 'push'](reverted);
+        }
+
+        const candidates = [];
+        if (isValidV3) {
+            candidates.push([detected.eccParity, detected.crcLength / 4]);
+        } else {
+            const guessedChecksum = guess ? ChecksumRegistry.find(guess.integrity) : null;
+            const parities = new Set([
+                ...(guess && ReedSolomon.isValidParity(guess.eccParity) ? [guess.eccParity] : []),
+                ...Object.values(ECC_LEVELS)
+            ]);
+            const tagSizes = new Set([
+                ...(guessedChecksum ? [guessedChecksum.tagBytes] : []),
+                ...ChecksumRegistry.list().map(checksum => checksum.tagBytes)
+            ]);
+            for (const parity of parities) {
+                for (const tagBytes of tagSizes) {
+                    candidates.push([parity, tagBytes]);
+                }
+            }
+        }
+
+        for (const body of bodies) {
+            const bytes = glyphsToBytes(body);
+            for (const [parity, tagBytes] of candidates) {
+                const header = this._repairV3Header(bytes, parity, tagBytes);
+                if (!header || (isValidV3 && !header.changed)) {
+                    continue;
+                }
+
+                const repaired = bytesToGlyphs(header.bytes) + ciphertext.slice(header.bytes.length * 4);
+                const formatInfo = this.encoder._describeV3(repaired, header.fields, alphabet);
+                if (formatInfo.isValid) {
+                    return { ...formatInfo, alphabet: alphabet.name, radix: alphabet.glyphs.length };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 假设纠错参数和校验码长度，纠正包含头部的第一块
+     * @param {Uint8Array} bytes - 密文字节（已还原密钥映射）
+     * @param {number} parity - 每块校验字节数
+     * @param {number} tagBytes - 校验码字节数
+     * @returns {Object|null} { fields, bytes, changed }：头部字段、纠正后的头部字节以及头部是否被修改；
+     *     无法纠正或纠正后的头部与假设不符时返回 null
+     * @private
+     */
+    _repairV3Header(bytes, parity, tagBytes) {
+        // 纠错的消息（头部 + 载荷 + 校验码）长 m 字节，纠错码共 ceil(m / 每块数据字节数) 块：由总长度解出 m
+        const blockData = 255 - parity;
+        let messageBytes = -1;
+        for (let blocks = Math.ceil(bytes.length / 255); blocks * blockData < bytes.length + blockData; blocks++) {
+            const length = bytes.length - blocks * parity;
+            if (length > tagBytes && ReedSolomon.blockCount(length, parity) === blocks) {
+                messageBytes = length;
+                break;
+            }
+        }
+        if (messageBytes === -1) {
+            return null;
+        }
+
+        // 第一块：消息开头（较短的消息包含末尾的校验码）+ 第一组校验字节
+        const frameBytes = messageBytes - tagBytes;
+        const size = Math.min(blockData, messageBytes);
+        const codeword = new Uint8Array(size + parity);
+        for (let i = 0; i < size; i++) {
+            codeword[i] = i < frameBytes ? bytes[i] : bytes[bytes.length - tagBytes + i - frameBytes];
+        }
+        codeword.set(bytes.subarray(frameBytes, frameBytes + parity), size);
+
+        let result;
+        try {
+            result = ReedSolomon.decode(codeword, parity);
+        } catch (error) {
+            return null;
+        }
+
+        const corrected = result.codeword.subarray(0, Math.min(size, frameBytes));
+        const fields = OI1Header.decode(corrected);
+        const checksum = fields ? ChecksumRegistry.find(fields.integrity) : null;
+        if (!fields || fields.version !== V3_VERSION || !(fields.flags & V3_FLAGS.ECC) || (fields.flags & V3_FLAGS.STREAM) ||
+            fields.eccParity !== parity || !checksum || checksum.tagBytes !== tagBytes ||
+            fields.headerLength + fields.payloadLength !== frameBytes) {
+            return null;
+        }
+
+        return {
+            fields: fields,
+            bytes: corrected.slice(0, fields.headerLength),
+            changed: result.errors.some(index => index < fields.headerLength)
+        };
+    }
+
+    /**
+     * 解码没有头部的旧格式密文，v2 校验失败时回退到 v1（仅在 legacyFallback 选项开启时使用）
+     * 仅凭长度无法区分 v1 和 v2：长度恰好满足 v2 规则的 v1 密文会在 CRC 校验时失败，
+     * 此时整体按 v1 重新解码；若仍失败则报告 v2 的原始错误。
+     * v1 没有校验，任何损坏的 v2 密文都可能被这样“解码”，结果中的 fallbackFrom 为 'v2'
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} formatInfo - 格式信息
+     * @returns {Object} 解码结果
+     * @private
+     */
+    _decodeLegacy(ciphertext, formatInfo) {
+        try {
+            return this._decodeWithCRC(ciphertext, formatInfo);
+        } catch (v2Error) {
+            try {
+                const result = this._decodeWithoutCRC(ciphertext, this._resolveFormat(ciphertext, 'v1'));
+                result.fallbackFrom = 'v2';
+                return result;
+            } catch (v1Error) {
+                throw v2Error;
+            }
+        }
+    }
+
+    /**
+     * 解码 v3 格式密文
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} formatInfo - 格式信息
+     * @param {Object} options - 解码选项
+     * @returns {Object} 解码结果
+     * @private
+     */
+    _decodeV3(ciphertext, formatInfo, options) {
+        const { payload, frame } = this._readV3Payload(ciphertext, formatInfo, options);
+        return this._buildV3TextResult(payload, frame, formatInfo);
+    }
+
+    /**
+     * 同步还原 v3 载荷：校验CRC → 还原白化 → 去除填充 → 解压
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} formatInfo - 格式信息
+     * @param {Object} [options] - 解码选项，读取 integrityKey 和 maxDecompressedSize
+     * @returns {Object} { payload, frame }
+     * @private
+     */
+    _readV3Payload(ciphertext, formatInfo, options = {}) {
+        this._rejectPart(formatInfo);
+        const frame = this.openV3Frame(ciphertext, formatInfo, options);
+
+        if (formatInfo.flags & V3_FLAGS.ENCRYPTED) {
+            throw this._passwordRequiredError();
+        }
+
+        const restored = this._restorePayload(frame.payload, formatInfo);
+        const payload = (formatInfo.flags & V3_FLAGS.COMPRESSED)
+            ? ZlibCodec.decompress(restored, options.maxDecompressedSize)
+            : restored;
+
+        return { payload, frame };
+    }
+
+    /**
+     * 异步还原 v3 载荷：校验CRC → 还原白化 → 去除填充 → 解密 → 解压
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} formatInfo - 格式信息
+     * @param {Object} options - 解码选项
+     * @returns {Promise<Object>} { payload, frame }
+     * @private
+     */
+    async _readV3PayloadAsync(ciphertext, formatInfo, options) {
+        this._rejectPart(formatInfo);
+        const frame = this.openV3Frame(ciphertext, formatInfo, options);
+        let payload = this._restorePayload(frame.payload, formatInfo);
+
+        // 按编码的相反顺序：先还原白化并去除填充，再解密，最后解压
+        if (formatInfo.flags & V3_FLAGS.ENCRYPTED) {
+            if (!options.password) {
+                throw this._passwordRequiredError();
+            }
+            payload = await PassphraseCipher.decrypt(payload, options.password);
+        }
+
+        if (formatInfo.flags & V3_FLAGS.COMPRESSED) {
+            payload = await ZlibCodec.decompressAsync(payload, options.maxDecompressedSize);
+        }
+
+        return { payload, frame };
+    }
+
+    /**
+     * 按编码的相反顺序还原白化（WHITENED 标志）并去除填充（PADDED 标志）
+     * @param {Uint8Array} payload - 载荷字节
+     * @param {Object} formatInfo - 格式信息
+     * @returns {Uint8Array} 载荷字节
+     * @private
+     */
+    _restorePayload(payload, formatInfo) {
+        if (formatInfo.flags & V3_FLAGS.WHITENED) {
+            payload = PayloadWhitening.unwhiten(payload);
+        }
+        if (formatInfo.flags & V3_FLAGS.PADDED) {
+            payload = PayloadPadding.unpad(payload);
+        }
+        return payload;
+    }
+
+    /**
+     * 校验覆盖头部与载荷的校验码（CRC32、其他校验算法或认证标签），并取出载荷字节
+     * 带纠错码的密文先纠错再校验
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} formatInfo - 格式信息
+     * @param {Object} [options] - 解码选项，读取 integrityKey 和 mappingKey
+     * @returns {Object} { payload, verified, crcExpected, crcActual, repairedPositions, integrity }；
+     *     verified 表示不需要密钥的校验码校验通过，crcExpected / crcActual 仅在使用 CRC32 时为数值
+     * 传入的密文须已经过 normalizeCiphertext 还原，formatInfo 来自 detectFormat
+     */
+    openV3Frame(ciphertext, formatInfo, options = {}) {
+        if (formatInfo.flags & V3_FLAGS.KEYED_MAPPING) {
+            return this._openMappedV3(ciphertext, formatInfo, options);
+        }
+
+        const frameCipher = ciphertext.slice(0, formatInfo.headerLength + formatInfo.mainCipherLength);
+
+        let tag = glyphsToBytes(ciphertext.slice(ciphertext.length - formatInfo.crcLength));
+        let frame = glyphsToBytes(frameCipher);
+        let repairedPositions = [];
+
+        if (formatInfo.flags & V3_FLAGS.ECC) {
+            const repaired = this._repairV3(ciphertext, formatInfo, frame);
+            frame = repaired.frame;
+            tag = repaired.tag;
+            repairedPositions = repaired.positions;
+        }
+
+        const payload = frame.subarray(formatInfo.headerLength / 4);
+        const integrity = ChecksumRegistry.get(formatInfo.integrity);
+        const result = {
+            payload: payload,
+            verified: false,
+            crcExpected: null,
+            crcActual: null,
+            repairedPositions: repairedPositions,
+            integrity: 'none'
+        };
+
+        if (integrity.keyed) {
+            if (!options.integrityKey) {
+                throw new OI1KeyError('INTEGRITY_KEY_REQUIRED', `密文带有 ${integrity.name} 认证标签，请提供共享密钥后解密`, {
+                    algorithm: integrity.label
+                });
+            }
+
+            if (!SHA256.equal(integrity.compute(frame, options.integrityKey), tag)) {
+                throw new OI1IntegrityError('INTEGRITY_MISMATCH', `${integrity.name} 认证失败！密钥不正确，或数据已损坏或被篡改`, {
+                    algorithm: integrity.label,
+                    integrity: 'corrupted'
+                });
+            }
+
+            return { ...result, integrity: 'authentic' };
+        }
+
+        // 不附加校验码的密文无从校验
+        if (integrity.tagBytes === 0) {
+            return result;
+        }
+
+        const actual = integrity.compute(frame);
+        if (!SHA256.equal(actual, tag)) {
+            throw this._checksumMismatchError(integrity, tag, actual);
+        }
+
+        const isCRC32 = integrity.id === DEFAULT_CHECKSUM_ID;
+        return {
+            ...result,
+            verified: true,
+            crcExpected: isCRC32 ? this.crc32.fromBytes(tag) : null,
+            crcActual: isCRC32 ? this.crc32.fromBytes(actual) : null
+        };
+    }
+
+    /**
+     * 还原密钥映射后再校验
+     * 映射密钥错误时还原出的字形是乱的，表现为纠错失败或校验失败，两者都报告为映射密钥不匹配
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} formatInfo - 格式信息
+     * @param {Object} options - 解码选项，读取 mappingKey
+     * @returns {Object} 同 openV3Frame
+     * @private
+     */
+    _openMappedV3(ciphertext, formatInfo, options) {
+        if (!options.mappingKey) {
+            throw new OI1KeyError('MAPPING_KEY_REQUIRED', '密文使用了密钥字形映射，请提供映射密钥后解密');
+        }
+
+        const mapping = new KeyedGlyphMapping(options.mappingKey);
+        const reverted = ciphertext.slice(0, formatInfo.headerLength) + mapping.revert(ciphertext.slice(formatInfo.headerLength));
+
+        try {
+            return this.openV3Frame(reverted, { ...formatInfo, flags: formatInfo.flags & ~V3_FLAGS.KEYED_MAPPING }, options);
+        } catch (error) {
+            if (error.code === 'CRC_MISMATCH' || error.code === 'UNCORRECTABLE') {
+                throw new OI1IntegrityError('MAPPING_KEY_MISMATCH', `映射密钥不正确，或数据已损坏: ${error.message}`, {
+                    integrity: 'corrupted'
+                }, { cause: error });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 生成"校验失败"错误
+     * @param {OI1Checksum} checksum - 校验算法
+     * @param {Uint8Array} expected - 密文中的校验码
+     * @param {Uint8Array} actual - 重新计算的校验码
+     * @returns {OI1IntegrityError} 错误对象
+     * @private
+     */
+    _checksumMismatchError(checksum, expected, actual) {
+        const details = {
+            algorithm: checksum.label,
+            expected: OI1Checksum.toHex(expected),
+            actual: OI1Checksum.toHex(actual),
+            integrity: 'corrupted'
         };
+        return new OI1IntegrityError(
+            'CRC_MISMATCH',
+            `${details.algorithm}校验失败！数据可能已损坏或被篡改。期望: ${details.expected}, 实际: ${details.actual}`,
+            details
+        );
     }
 
     /**
-     * 获取编码统计信息
-     * @param {string} plaintext - 原文
-     * @param {string} ciphertext - 密文
-     * @returns {Object} 统计信息
+     * 用 Reed–Solomon 纠错码修复头部、载荷和校验码
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} formatInfo - 格式信息
+     * @param {Uint8Array} frame - 头部和载荷字节
+     * @returns {Object} { frame, tag, positions }，tag 为校验码字节，positions 为被修复字形的位置（从1开始）
+     * @private
      */
-    getEncodingStats(plaintext, ciphertext) {
-        const textEncoder = new TextEncoder();
-        const originalBytes = textEncoder.encode(plaintext);
-        const formatInfo = this.detectFormat(ciphertext);
-        
+    _repairV3(ciphertext, formatInfo, frame) {
+        const frameLength = formatInfo.headerLength + formatInfo.mainCipherLength;
+        const parity = glyphsToBytes(ciphertext.slice(frameLength, frameLength + formatInfo.eccLength));
+
+        const tag = glyphsToBytes(ciphertext.slice(ciphertext.length - formatInfo.crcLength));
+        const message = new Uint8Array(frame.length + tag.length);
+        message.set(frame, 0);
+        message.set(tag, frame.length);
+
+        const result = ReedSolomon.decodeBlocks(message, parity, formatInfo.eccParity);
+
+        // 换算为密文中的字节位置：校验码位于纠错码之后
+        const changes = [
+            ...result.dataErrors.map(index => ({
+                offset: index < frame.length ? index : index + parity.length,
+                before: message[index],
+                after: result.data[index]
+            })),
+            ...result.parityErrors.map(index => ({
+                offset: frame.length + index,
+                before: parity[index],
+                after: result.parity[index]
+            }))
+        ];
+
         return {
-            originalLength: plaintext.length,
-            originalBytes: originalBytes.length,
-            cipherLength: ciphertext.length,
-            compressionRatio: ciphertext.length / plaintext.length,
-            bytesRatio: ciphertext.length / originalBytes.length,
-            formatVersion: formatInfo.version,
-            hasCRC: formatInfo.hasCRC,
-            crcValue: formatInfo.hasCRC ? this._getCRCFromCipher(ciphertext) : null,
-            charDistribution: this._getCharDistribution(ciphertext)
+            frame: result.data.subarray(0, frame.length),
+            tag: result.data.slice(frame.length),
+            positions: this._glyphPositions(changes, AlphabetRegistry.get(formatInfo.alphabet))
         };
     }
 
     /**
-     * 从密文中提取CRC值
-     * @param {string} ciphertext - 密文字符串
-     * @returns {string|null} CRC字符串或null
+     * 将被修改的字节换算为字形位置
+     * @param {Object[]} changes - { offset, before, after } 数组，offset 为密文中的字节位置
+     * @param {OI1Alphabet} alphabet - 密文所用的字符集
+     * @returns {number[]} 字形位置（从1开始，升序）
      * @private
      */
-    _getCRCFromCipher(ciphertext) {
-        const formatInfo = this.detectFormat(ciphertext);
-        if (formatInfo.hasCRC && formatInfo.version === 'v2') {
-            return ciphertext.slice(-16); // 末尾16个字符
+    _glyphPositions(changes, alphabet) {
+        const positions = new Set();
+        for (const { offset, before, after } of changes) {
+            // 逐位比较，只记录实际变化的位所在的字形（3位字形可能跨越字节）
+            const diff = before ^ after;
+            for (let bit = 0; bit < 8; bit++) {
+                if (diff & (0x80 >>> bit)) {
+                    positions.add(Math.floor((offset * 8 + bit) / alphabet.bitsPerGlyph) + 1);
+                }
+            }
         }
-        return null;
+        return Array.from(positions).sort((a, b) => a - b);
     }
 
     /**
-     * 获取密文中字符分布统计
-     * @param {string} ciphertext - 密文
-     * @returns {Object} 字符分布
+     * 将 v3 载荷解码为文本结果
+     * @param {Uint8Array} payload - 还原后的载荷
+     * @param {Object} frame - openV3Frame 的返回值
+     * @param {Object} formatInfo - 格式信息
+     * @returns {Object} 解码结果
      * @private
      */
-    _getCharDistribution(ciphertext) {
-        const distribution = { 'O': 0, '0': 0, 'I': 0, 'l': 0 };
-        
-        for (const char of ciphertext) {
-            if (distribution.hasOwnProperty(char)) {
-                distribution[char]++;
-            }
-        }
-        
-        const total = ciphertext.length;
-        const percentages = {};
-        for (const [char, count] of Object.entries(distribution)) {
-            percentages[char] = total > 0 ? (count / total * 100).toFixed(1) : 0;
+    _buildV3TextResult(payload, frame, formatInfo) {
+        if (formatInfo.flags & V3_FLAGS.BINARY) {
+            throw this._binaryPayloadError();
         }
-        
-        return {
-            counts: distribution,
-            percentages: percentages,
-            total: total
-        };
-    }
-}
 
-/**
- * oi1 解密器类
- */
-export class OI1Decoder {
-    constructor() {
-        // 初始化CRC32计算器和格式检测器
-        this.crc32 = new CRC32();
-        this.encoder = new OI1Encoder(); // 用于格式检测
+        const { metadata, data } = this._splitMetadata(payload, formatInfo);
+        return this._buildV3Result({ plaintext: this._decodeUTF8(data) }, frame, formatInfo, metadata);
     }
 
     /**
-     * 将 O0Il 字符串解码为原文（支持CRC32验证）
-     * @param {string} ciphertext - 密文字符串
-     * @returns {Object} 解码结果，包含原文和校验信息
+     * 将 v3 载荷解码为字节结果，二进制载荷会先拆出文件描述（元数据段之后）
+     * @param {Uint8Array} payload - 还原后的载荷
+     * @param {Object} frame - openV3Frame 的返回值
+     * @param {Object} formatInfo - 格式信息
+     * @returns {Object} 解码结果
+     * @private
      */
-    decode(ciphertext) {
-        if (typeof ciphertext !== 'string') {
-            throw new Error('输入必须是字符串');
+    _buildV3BytesResult(payload, frame, formatInfo) {
+        const { metadata, data } = this._splitMetadata(payload, formatInfo);
+        if (!(formatInfo.flags & V3_FLAGS.BINARY)) {
+            return this._buildV3Result({ bytes: data, filename: null, mimeType: null }, frame, formatInfo, metadata);
         }
 
-        if (!ciphertext) {
-            return {
-                plaintext: '',
-                crcVerified: false,
-                formatVersion: 'empty'
-            };
-        }
+        const fileInfo = OI1FileInfo.decode(data);
+        return this._buildV3Result({
+            bytes: data.subarray(fileInfo.dataOffset),
+            filename: fileInfo.filename,
+            mimeType: fileInfo.mimeType
+        }, frame, formatInfo, metadata);
+    }
 
-        // 检测密文格式
-        const formatInfo = this.encoder.detectFormat(ciphertext);
-        if (!formatInfo.isValid) {
-            throw new Error('密文格式不正确，无法识别版本');
+    /**
+     * 拆出载荷开头的元数据段（仅带 METADATA 标志的密文）
+     * @param {Uint8Array} payload - 还原后的载荷
+     * @param {Object} formatInfo - 格式信息
+     * @returns {Object} { metadata, data }；没有元数据时 metadata 为 null
+     * @private
+     */
+    _splitMetadata(payload, formatInfo) {
+        if (!(formatInfo.flags & V3_FLAGS.METADATA)) {
+            return { metadata: null, data: payload };
         }
 
-        // 验证密文字符
-        const validation = this.validateCiphertext(ciphertext);
-        if (!validation.isValid) {
-            throw new Error(`密文格式错误: ${validation.error}`);
-        }
+        const { metadata, dataOffset } = OI1Metadata.decode(payload);
+        return { metadata, data: payload.subarray(dataOffset) };
+    }
 
-        try {
-            if (formatInfo.version === 'v2') {
-                // 新格式：带CRC校验
-                return this._decodeWithCRC(ciphertext, formatInfo);
-            } else {
-                // 旧格式：无CRC校验
-                return this._decodeWithoutCRC(ciphertext, formatInfo);
-            }
-            
-        } catch (error) {
-            throw new Error(`解码过程中发生错误: ${error.message}`);
-        }
+    /**
+     * 生成 v3 解码结果
+     * @param {Object} content - 解码出的内容（plaintext，或 bytes/filename/mimeType）
+     * @param {Object} frame - openV3Frame 的返回值
+     * @param {Object} formatInfo - 格式信息
+     * @param {Object|null} [metadata=null] - 元数据段，见 metadata.js
+     * @returns {Object} 解码结果；expired 表示元数据中的过期时间已过，内容仍照常返回
+     * @private
+     */
+    _buildV3Result(content, frame, formatInfo, metadata = null) {
+        return {
+            ...content,
+            crcVerified: frame.verified,
+            formatVersion: 'v3',
+            crcExpected: frame.crcExpected,
+            crcActual: frame.crcActual,
+            integrity: frame.integrity,
+            integrityAlgorithm: formatInfo.integrity,
+            flags: formatInfo.flags,
+            payloadLength: formatInfo.payloadLength,
+            encrypted: Boolean(formatInfo.flags & V3_FLAGS.ENCRYPTED),
+            compressed: Boolean(formatInfo.flags & V3_FLAGS.COMPRESSED),
+            binary: Boolean(formatInfo.flags & V3_FLAGS.BINARY),
+            keyedMapping: Boolean(formatInfo.flags & V3_FLAGS.KEYED_MAPPING),
+            whitened: Boolean(formatInfo.flags & V3_FLAGS.WHITENED),
+            padded: Boolean(formatInfo.flags & V3_FLAGS.PADDED),
+            metadata: metadata,
+            expired: OI1Metadata.isExpired(metadata),
+            alphabet: formatInfo.alphabet,
+            ecc: Boolean(formatInfo.flags & V3_FLAGS.ECC),
+            repairedPositions: frame.repairedPositions
+        };
+    }
+
+    /**
+     * 将文本解码结果转换为字节结果（用于旧格式）
+     * @param {Object} result - decode 的返回值
+     * @returns {Object} 解码结果，同 decodeBytes
+     * @private
+     */
+    _toBytesResult(result) {
+        const { plaintext, ...rest } = result;
+        const textEncoder = new TextEncoder();
+
+        return {
+            ...rest,
+            bytes: textEncoder.encode(plaintext),
+            filename: null,
+            mimeType: null,
+            binary: false
+        };
     }
 
     /**
@@ -397,7 +2156,11 @@ export class OI1Decoder {
         const crcVerified = (actualCRC === expectedCRC);
 
         if (!crcVerified) {
-            throw new Error(`CRC32校验失败！数据可能已损坏或被篡改。期望: ${expectedCRC.toString(16).toUpperCase()}, 实际: ${actualCRC.toString(16).toUpperCase()}`);
+            throw this._checksumMismatchError(
+                ChecksumRegistry.get(),
+                Uint8Array.from(this.crc32.toBytes(expectedCRC)),
+                Uint8Array.from(this.crc32.toBytes(actualCRC))
+            );
         }
 
         return {
@@ -405,7 +2168,9 @@ export class OI1Decoder {
             crcVerified: true,
             formatVersion: 'v2',
             crcExpected: expectedCRC,
-            crcActual: actualCRC
+            crcActual: actualCRC,
+            integrity: 'none',
+            integrityAlgorithm: ChecksumRegistry.get().name
         };
     }
 
@@ -424,7 +2189,9 @@ export class OI1Decoder {
             crcVerified: false,
             formatVersion: 'v1',
             crcExpected: null,
-            crcActual: null
+            crcActual: null,
+            integrity: 'none',
+            integrityAlgorithm: null
         };
     }
 
@@ -435,57 +2202,170 @@ export class OI1Decoder {
      * @private
      */
     _decodeCipher(ciphertext) {
-        // 步骤1: 将 O0Il 字符转换为二进制字符串
-        let binaryString = '';
-        for (const char of ciphertext) {
-            binaryString += CHAR_TO_BINARY[char];
-        }
-        
-        // 步骤2: 将二进制字符串转换为字节数组
-        const bytes = [];
-        for (let i = 0; i < binaryString.length; i += 8) {
-            const binaryByte = binaryString.substring(i, i + 8);
-            if (binaryByte.length === 8) { // 忽略不完整的字节
-                bytes.push(parseInt(binaryByte, 2));
-            }
-        }
-        
+        // 步骤1-2: 将 O0Il 字符转换为字节数组
+        const bytes = glyphsToBytes(ciphertext);
+
         // 步骤3: 将字节数组解码为UTF-8文本
-        const uint8Array = new Uint8Array(bytes);
+        return this._decodeUTF8(bytes);
+    }
+
+    /**
+     * 将字节数组严格解码为UTF-8文本
+     * @param {Uint8Array} bytes - 字节数组
+     * @returns {string} 解码后的文本
+     * @private
+     */
+    _decodeUTF8(bytes) {
         const textDecoder = new TextDecoder('utf-8', { fatal: true });
-        
+
         try {
-            return textDecoder.decode(uint8Array);
+            return textDecoder.decode(bytes);
         } catch (utfError) {
-            // UTF-8解码失败，可能是无效的字节序列
-            const byteInfo = bytes.map(b => `${b}(0x${b.toString(16)})`).join(', ');
-            throw new Error(`UTF-8解码失败，字节序列可能无效: [${byteInfo}]. 原始错误: ${utfError.message}`);
+            // UTF-8解码失败，报告第一个无效字节的位置，不再列出全部字节
+            const position = invalidUTF8Index(bytes) + 1;
+            throw new OI1PayloadError('UTF8_INVALID', `UTF-8解码失败，第 ${position} 个字节（共 ${bytes.length} 字节）起的序列无效`, {
+                position: position,
+                length: bytes.length
+            }, { cause: utfError });
         }
     }
 
 
+    /**
+     * CRC32 校验失败时给出修复建议
+     * 穷举每个字形的替换和相邻字形的交换，保留能通过CRC32校验并解码为有效文本的结果。
+     * 只处理较短的4字形字符集密文；v3 头部不参与修改，加密和带纠错码的密文不处理
+     * @param {string} ciphertext - 密文字符串
+     * @param {Object} [options] - 解码选项，同 decode
+     * @returns {Object[]} 修复候选 { kind, position, from, to, ciphertext, plaintext }：
+     *     kind 为 'substitute'（替换）或 'swap'（交换），position 为（第一个）被修改字形的位置（从1开始）；
+     *     密文能通过校验或无法穷举时返回空数组
+     */
+    suggestRepairs(ciphertext, options = {}) {
+        ciphertext = this._stripLayout(ciphertext, options);
+        if (typeof ciphertext !== 'string' || !ciphertext) {
+            return [];
+        }
+
+        const { canonical, alphabet, invalidIndex } = this._canonicalize(ciphertext);
+        if (invalidIndex !== -1 || alphabet.bitsPerGlyph !== 2 || canonical.length > REPAIR_MAX_LENGTH) {
+            return [];
+        }
+
+        const formatInfo = this._resolveFormat(canonical, options.format || 'auto', alphabet, options);
+        const isV3 = formatInfo.version === 'v3';
+        if (!formatInfo.isValid || !formatInfo.hasCRC ||
+            (isV3 && (formatInfo.flags & (V3_FLAGS.ENCRYPTED | V3_FLAGS.ECC | V3_FLAGS.MULTIPART | V3_FLAGS.INTEGRITY | V3_FLAGS.KEYED_MAPPING)))) {
+            return [];
+        }
+
+        // 可修改的范围：数据部分（v3 跳过头部）和末尾的CRC32
+        const dataStart = isV3 ? formatInfo.headerLength : 0;
+        const crcStart = canonical.length - 16;
+        const bytes = glyphsToBytes(canonical.slice(0, crcStart));
+        const expectedCRC = this.crc32.fromOI1String(canonical.slice(crcStart));
+        const actualCRC = this.crc32.calculate(bytes);
+        if (actualCRC === expectedCRC) {
+            return [];
+        }
+
+        // 检查一组修改 [下标, 新字符] 能否通过CRC32：数据部分重新计算CRC，CRC部分重新解析期望值
+        const passes = (edits) => {
+            if (edits[0][0] >= crcStart) {
+                const crcChars = canonical.slice(crcStart).split('');
+                for (const [index, glyph] of edits) {
+                    crcChars[index - crcStart] = glyph;
+                }
+                return this.crc32.fromOI1String(crcChars.join('')) === actualCRC;
+            }
+
+            // 在原字节上修改后计算，算完恢复
+            const original = edits.map(([index]) => bytes[index >> 2]);
+            for (const [index, glyph] of edits) {
+                const shift = 6 - (index & 3) * 2;
+                bytes[index >> 2] = (bytes[index >> 2] & ~(3 << shift)) | (GLYPH_VALUES[glyph] << shift);
+            }
+            const crc = this.crc32.calculate(bytes);
+            edits.forEach(([index], i) => {
+                bytes[index >> 2] = original[i];
+            });
+            return crc === expectedCRC;
+        };
+
+        const candidates = [];
+        const tryEdits = (kind, edits) => {
+            if (!passes(edits)) return;
+
+            const chars = canonical.split('');
+            for (const [index, glyph] of edits) {
+                chars[index] = glyph;
+            }
+            const repaired = alphabet.fromCanonical(chars.join(''));
+
+            // 无法解码为文本的（如UTF-8无效、二进制载荷）不作为候选
+            let plaintext;
+            try {
+                plaintext = this.decode(repaired, options).plaintext;
+            } catch (error) {
+                return;
+            }
+
+            candidates.push({
+                kind: kind,
+                position: edits[0][0] + 1,
+                from: edits.map(([index]) => alphabet.glyphs[GLYPH_VALUES[canonical[index]]]).join(''),
+                to: edits.map(([, glyph]) => alphabet.glyphs[GLYPH_VALUES[glyph]]).join(''),
+                ciphertext: repaired,
+                plaintext: plaintext
+            });
+        };
+
+        for (let i = dataStart; i < canonical.length && candidates.length < REPAIR_MAX_CANDIDATES; i++) {
+            for (const glyph of GLYPHS) {
+                if (glyph !== canonical[i]) {
+                    tryEdits('substitute', [[i, glyph]]);
+                }
+            }
+
+            // 相邻交换不跨越数据与CRC32的边界
+            if (i + 1 < canonical.length && i + 1 !== crcStart && canonical[i] !== canonical[i + 1]) {
+                tryEdits('swap', [[i, canonical[i + 1]], [i + 1, canonical[i]]]);
+            }
+        }
+
+        return candidates.slice(0, REPAIR_MAX_CANDIDATES);
+    }
+
     /**
      * 验证密文格式是否有效
      * @param {string} ciphertext - 密文字符串
-     * @returns {Object} 验证结果
+     * @param {Object} [options] - 读取 ignoreLayout，同 decode
+     * @returns {Object} 验证结果，substitutions 列出被替换的形近字符（同解码结果）；
+     *     无效时 error 为中文说明，code 和 details 同 OI1Error（'EMPTY_INPUT' 或 'INVALID_CHAR' { position, char }），供界面本地化
      */
-    validateCiphertext(ciphertext) {
+    validateCiphertext(ciphertext, options = {}) {
+        ciphertext = this._stripLayout(ciphertext, options);
         if (!ciphertext || typeof ciphertext !== 'string') {
             return {
                 isValid: false,
-                error: '密文不能为空'
+                error: '密文不能为空',
+                code: 'EMPTY_INPUT',
+                details: {}
             };
         }
 
-        // 检查是否只包含有效字符
-        for (let i = 0; i < ciphertext.length; i++) {
-            const char = ciphertext[i];
-            if (!VALID_CIPHER_CHARS.has(char)) {
-                return {
-                    isValid: false,
-                    error: `包含无效字符 '${char}' (位置: ${i + 1})`
-                };
-            }
+        // 检查是否只包含所识别字符集的字形（形近字符替换后视为有效）
+        const { alphabet, substitutions, invalidIndex } = this._canonicalize(ciphertext);
+        if (invalidIndex !== -1) {
+            const error = this._invalidCharError(ciphertext, invalidIndex);
+            return {
+                isValid: false,
+                error: error.message,
+                code: error.code,
+                details: error.details,
+                alphabet: alphabet.name,
+                substitutions: substitutions
+            };
         }
 
         // 检查长度是否合理（应该是偶数，因为每2位二进制对应1个字符）
@@ -493,16 +2373,20 @@ export class OI1Decoder {
 
         return {
             isValid: true,
-            error: null
+            error: null,
+            alphabet: alphabet.name,
+            substitutions: substitutions
         };
     }
 
     /**
      * 获取密文质量评估
      * @param {string} ciphertext - 密文字符串  
+     * @param {Object} [options] - 读取 ignoreLayout，同 decode
      * @returns {Object} 质量评估结果
      */
-    getCiphertextQuality(ciphertext) {
+    getCiphertextQuality(ciphertext, options = {}) {
+        ciphertext = this._stripLayout(ciphertext, options);
         const validation = this.validateCiphertext(ciphertext);
         if (!validation.isValid) {
             return {
@@ -512,32 +2396,35 @@ export class OI1Decoder {
             };
         }
 
-        const distribution = this._getCharDistribution(ciphertext);
+        // 按标准 O0Il 字符评估，结果与所用字符集无关；v3 头部是每条消息都相同的固定结构，只评估头部之后的部分
+        const { canonical, alphabet } = this.normalizeCiphertext(ciphertext);
+        const formatInfo = this.encoder.detectFormat(canonical, alphabet);
+        const content = formatInfo.version === 'v3' && formatInfo.isValid
+            ? canonical.slice(formatInfo.headerLength)
+            : canonical;
+        const distribution = charDistribution(content);
         const issues = [];
         const recommendations = [];
         let quality = 100;
 
-        // 检查字符分布是否均匀
-        const percentages = Object.values(distribution.percentages).map(p => parseFloat(p));
-        const variance = this._calculateVariance(percentages);
-        
-        if (variance > 300) { // 分布不均匀
+        // 检查字符分布是否均匀：字节中每个位置的字形分别与均匀分布做卡方检验，随机字符串几乎不会超过临界值
+        if (this._positionChiSquares(content).some(value => value > QUALITY_CHI_SQUARE_LIMIT)) {
             quality -= 20;
             issues.push('字符分布不均匀');
-            recommendations.push('考虑使用混合模式提高分布均匀性');
+            recommendations.push('考虑启用白化（whiten）使字符分布均匀');
         }
 
         // 检查长度合理性
-        if (ciphertext.length < 8) {
+        if (canonical.length < 8) {
             quality -= 10;
             issues.push('密文长度较短');
         }
 
         // 检查是否有明显的模式
-        if (this._hasObviousPatterns(ciphertext)) {
+        if (this._hasObviousPatterns(content)) {
             quality -= 15;
             issues.push('存在明显的重复模式');
-            recommendations.push('原文可能包含重复内容');
+            recommendations.push('原文可能包含重复内容，可以启用白化（whiten）消除重复图案');
         }
 
         return {
@@ -549,142 +2436,181 @@ export class OI1Decoder {
     }
 
     /**
-     * 计算数组的方差
-     * @param {number[]} numbers - 数字数组
-     * @returns {number} 方差
+     * 计算字符分布相对均匀分布的卡方统计量
+     * @param {Object} distribution - 字符分布，见 charDistribution
+     * @returns {number} 卡方统计量，没有字符时为 0
+     * @private
+     */
+    _chiSquare(distribution) {
+        if (distribution.total === 0) {
+            return 0;
+        }
+
+        const expected = distribution.total / GLYPHS.length;
+        return Object.values(distribution.counts)
+            .reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+    }
+
+    /**
+     * 按字形在字节中的位置（每字节4个字形）分别计算卡方统计量
+     * ASCII 文本每个字节的最高位为0，第1个字形几乎只有 O 和 0；
+     * 其余位置接近均匀，整体分布中这一偏差会被冲淡，短文本尤其看不出来
+     * @param {string} text - 标准 O0Il 字符串，从字节边界开始
+     * @returns {number[]} 4个位置的卡方统计量
      * @private
      */
-    _calculateVariance(numbers) {
-        const mean = numbers.reduce((sum, num) => sum + num, 0) / numbers.length;
-        return numbers.reduce((sum, num) => sum + Math.pow(num - mean, 2), 0) / numbers.length;
+    _positionChiSquares(text) {
+        return Array.from({ length: 4 }, (_, position) => {
+            let glyphs = '';
+            for (let i = position; i < text.length; i += 4) {
+                glyphs += text[i];
+            }
+            return this._chiSquare(charDistribution(glyphs));
+        });
     }
 
     /**
      * 检查是否存在明显的重复模式
+     * 均匀随机的字符串中同样会出现 OOOO 这样的连续字符和 OIO 这样的交替，
+     * 因此与随机字符串的期望次数比较，超出若干个标准差才算明显
      * @param {string} text - 文本
      * @returns {boolean} 是否存在模式
      * @private
      */
     _hasObviousPatterns(text) {
-        // 检查连续重复的字符
+        // 超出随机期望的判断：相邻位置相互重叠，方差按每个位置的方差（含重叠的协方差）估算
+        const exceeds = (count, positions, probability, variance) =>
+            count > positions * probability + QUALITY_PATTERN_SIGMAS * Math.sqrt(positions * variance) + 1;
+
+        // 连续4个相同字符：随机字符串中每个位置的概率为 1/64
+        let runCount = 0;
         for (let i = 0; i < text.length - 3; i++) {
             if (text[i] === text[i + 1] && text[i] === text[i + 2] && text[i] === text[i + 3]) {
-                return true;
+                runCount++;
             }
         }
+        if (exceeds(runCount, Math.max(0, text.length - 3), 1 / 64, 0.0242)) {
+            return true;
+        }
 
-        // 检查简单的交替模式
+        // 简单的交替模式（ABA）：随机字符串中每个位置的概率为 3/16
         let alternatingCount = 0;
-        for (let i = 0; i < text.length - 1; i++) {
-            if (i > 0 && text[i] === text[i - 2] && text[i] !== text[i - 1]) {
+        for (let i = 2; i < text.length; i++) {
+            if (text[i] === text[i - 2] && text[i] !== text[i - 1]) {
                 alternatingCount++;
             }
         }
-        
-        return alternatingCount > text.length * 0.3; // 超过30%是交替模式
-    }
 
-    /**
-     * 获取字符分布统计
-     * @param {string} text - 文本
-     * @returns {Object} 字符分布
-     * @private
-     */
-    _getCharDistribution(text) {
-        const distribution = { 'O': 0, '0': 0, 'I': 0, 'l': 0 };
-        
-        for (const char of text) {
-            if (distribution.hasOwnProperty(char)) {
-                distribution[char]++;
-            }
-        }
-        
-        const total = text.length;
-        const percentages = {};
-        for (const [char, count] of Object.entries(distribution)) {
-            percentages[char] = total > 0 ? (count / total * 100).toFixed(1) : 0;
-        }
-        
-        return {
-            counts: distribution,
-            percentages: percentages,
-            total: total
-        };
+        return exceeds(alternatingCount, Math.max(0, text.length - 2), 3 / 16, 0.176);
     }
 }
 
 /**
  * 算法演示工具类
+ * 步骤的标题和说明由调用方通过 options.translate 提供，核心模块本身不依赖界面语言
  */
 export class OI1Demo {
     /**
      * 生成加密过程的步骤演示
      * @param {string} text - 演示文本
-     * @returns {Object[]} 演示步骤数组
+     * @param {Object} [options] - 演示选项
+     * @param {string} [options.integrity='crc32'] - 校验算法，见 checksums.js
+     * @param {string|Uint8Array} [options.integrityKey] - 共享密钥（仅需要密钥的算法）
+     * @param {string|Uint8Array} [options.mappingKey] - 映射密钥，提供时演示密钥映射并列出映射表
+     * @param {Function} [options.translate] - (key, params) => string，将 demo.steps.* 等翻译键转换为显示文本；
+     *     不提供时标题和说明为翻译键本身
+     * @returns {Object[]} 演示步骤数组；密钥映射步骤另带 table: { headers, rows }
      */
-    static generateEncodingDemo(text) {
+    static generateEncodingDemo(text, options = {}) {
         if (!text) return [];
 
+        const t = OI1Demo._translator(options);
         const steps = [];
-        const encoder = new OI1Encoder();
         
         try {
+            const checksum = ChecksumRegistry.get(options.integrity);
+            const mapping = options.mappingKey ? new KeyedGlyphMapping(options.mappingKey) : null;
+            const flags = (checksum.id !== DEFAULT_CHECKSUM_ID ? V3_FLAGS.INTEGRITY : 0) |
+                (mapping ? V3_FLAGS.KEYED_MAPPING : 0);
+
             // 步骤1: 文本到UTF-8字节
             const textEncoder = new TextEncoder();
             const bytes = textEncoder.encode(text);
             steps.push({
                 step: 1,
-                title: i18n.t('demo.steps.encoding.step1.title'),
-                description: i18n.t('demo.steps.encoding.step1.description'),
+                title: t('demo.steps.encoding.step1.title'),
+                description: t('demo.steps.encoding.step1.description'),
                 input: text,
                 output: Array.from(bytes).map(b => b.toString()).join(', '),
                 technical: `字节数组: [${Array.from(bytes).join(', ')}]`
             });
 
-            // 步骤2: 计算CRC32校验码
-            const crc32Value = encoder.crc32.calculate(bytes);
-            const crcString = encoder.crc32.toOI1String(crc32Value);
+            // 步骤2: 生成v3头部（非默认校验算法在头部记录编号）
+            const header = OI1Header.encode({ flags, payloadLength: bytes.length, integrity: checksum.id });
+            const frame = new Uint8Array(header.length + bytes.length);
+            frame.set(header, 0);
+            frame.set(bytes, header.length);
             steps.push({
                 step: 2,
-                title: i18n.t('demo.steps.encoding.step2.title'),
-                description: i18n.t('demo.steps.encoding.step2.description'),
-                input: `[${Array.from(bytes).join(', ')}]`,
-                output: `CRC32: 0x${crc32Value.toString(16).toUpperCase()}`,
-                technical: `CRC32(O0Il): ${crcString} (16${i18n.t('validation.chars') || '字符'})`
+                title: t('demo.steps.encoding.header.title'),
+                description: t('demo.steps.encoding.header.description'),
+                input: `载荷长度: ${bytes.length}`,
+                output: `[${Array.from(header).join(', ')}]`,
+                technical: `魔数: 0x${V3_MAGIC.toString(16).toUpperCase()}, 版本: ${V3_VERSION}, 标志位: 0x${flags.toString(16).toUpperCase()}, 载荷长度: ${bytes.length}` +
+                    (flags & V3_FLAGS.INTEGRITY ? `, 校验算法编号: ${checksum.id}` : '')
             });
 
-            // 步骤3: 字节到二进制
+            // 步骤3: 计算校验码（覆盖头部和载荷），不附加校验码时只作说明
+            const tag = checksum.compute(frame, options.integrityKey);
+            const crcString = Array.from(tag, byte => BYTE_TO_GLYPHS[byte]).join('');
+            steps.push(tag.length > 0 ? {
+                step: 3,
+                title: t('demo.steps.encoding.step2.title', { algorithm: checksum.label }),
+                description: t('demo.steps.encoding.step2.description', { algorithm: checksum.label }),
+                input: `[${Array.from(frame).join(', ')}]`,
+                output: `${checksum.label}: 0x${OI1Checksum.toHex(tag)}`,
+                technical: `${checksum.label}(O0Il): ${crcString} (${checksum.glyphs}${t('validation.chars') || '字符'})`
+            } : {
+                step: 3,
+                title: t('demo.steps.encoding.noChecksum.title'),
+                description: t('demo.steps.encoding.noChecksum.description'),
+                input: `[${Array.from(frame).join(', ')}]`,
+                output: '⚠️ 无校验码 - 无法发现损坏',
+                technical: `校验算法: ${checksum.name} (0${t('validation.chars') || '字符'})`
+            });
+
+            // 步骤4: 字节到二进制
             let binaryString = '';
             const binaryParts = [];
-            for (const byte of bytes) {
+            for (const byte of frame) {
                 const binary = byte.toString(2).padStart(8, '0');
                 binaryParts.push(binary);
                 binaryString += binary;
             }
             steps.push({
-                step: 3,
-                title: i18n.t('demo.steps.encoding.step3.title'),
-                description: i18n.t('demo.steps.encoding.step3.description'),
-                input: Array.from(bytes).join(', '),
+                step: 4,
+                title: t('demo.steps.encoding.step3.title'),
+                description: t('demo.steps.encoding.step3.description'),
+                input: Array.from(frame).join(', '),
                 output: binaryParts.join(' '),
                 technical: `完整二进制串: ${binaryString} (${binaryString.length}位)`
             });
 
-            // 步骤4: 二进制分组
+            // 步骤5: 二进制分组
             const groups = [];
             for (let i = 0; i < binaryString.length; i += 2) {
                 groups.push(binaryString.substring(i, i + 2));
             }
             steps.push({
-                step: 4,
-                title: i18n.t('demo.steps.encoding.step4.title'),
-                description: i18n.t('demo.steps.encoding.step4.description'),
+                step: 5,
+                title: t('demo.steps.encoding.step4.title'),
+                description: t('demo.steps.encoding.step4.description'),
                 input: binaryString,
                 output: groups.join(' | '),
                 technical: `分组数量: ${groups.length}`
             });
 
-            // 步骤5: 映射到字符
+            // 步骤6: 映射到字符
             const chars = [];
             for (const group of groups) {
                 const char = BINARY_TO_CHAR[group] || '?';
@@ -692,31 +2618,51 @@ export class OI1Demo {
             }
             const mainCipher = groups.map(g => BINARY_TO_CHAR[g] || '?').join('');
             steps.push({
-                step: 5,
-                title: i18n.t('demo.steps.encoding.step5.title'),
-                description: i18n.t('demo.steps.encoding.step5.description'),
+                step: 6,
+                title: t('demo.steps.encoding.step5.title'),
+                description: t('demo.steps.encoding.step5.description'),
                 input: groups.join(' '),
                 output: chars.join(' '),
-                technical: `主密文: ${mainCipher} (${mainCipher.length}字符)`
+                technical: `头部+主密文: ${mainCipher} (${mainCipher.length}字符)`
             });
 
-            // 步骤6: 附加CRC32校验码
-            const finalCipher = mainCipher + crcString;
-            steps.push({
-                step: 6,
-                title: i18n.t('demo.steps.encoding.step6.title'),
-                description: i18n.t('demo.steps.encoding.step6.description'),
-                input: `主密文: ${mainCipher}\nCRC32: ${crcString}`,
-                output: finalCipher,
-                technical: `最终密文(v2): ${finalCipher} (${finalCipher.length}字符) = ${mainCipher.length}主密文 + 16CRC`
-            });
+            // 步骤7: 附加校验码（没有校验码时主密文即最终密文）
+            let finalCipher = mainCipher;
+            let stepNumber = 7;
+            if (crcString) {
+                finalCipher = mainCipher + crcString;
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.encoding.step6.title', { algorithm: checksum.label }),
+                    description: t('demo.steps.encoding.step6.description', { algorithm: checksum.label }),
+                    input: `头部+主密文: ${mainCipher}\n${checksum.label}: ${crcString}`,
+                    output: finalCipher,
+                    technical: `最终密文(v3): ${finalCipher} (${finalCipher.length}字符) = ${header.length * 4}头部 + ${bytes.length * 4}主密文 + ${checksum.glyphs}校验码`
+                });
+            }
+
+            // 步骤8: 密钥映射（头部保持标准字符，其后每个位置按各自的排列替换）
+            if (mapping) {
+                const headerChars = header.length * 4;
+                const body = finalCipher.slice(headerChars);
+                const mappedCipher = finalCipher.slice(0, headerChars) + mapping.apply(body);
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.encoding.keyedMapping.title'),
+                    description: t('demo.steps.encoding.keyedMapping.description'),
+                    input: body,
+                    output: mappedCipher,
+                    technical: `映射位置: ${body.length}，每个位置从 24 种排列中选用一种；下表列出前 ${Math.min(body.length, DEMO_MAPPING_ROWS)} 个位置`,
+                    table: OI1Demo._mappingTable(mapping, body.length, headerChars, t)
+                });
+            }
 
             return steps;
         } catch (error) {
             return [{
                 step: 0,
-                title: i18n.t('errors.error') || '错误',
-                description: i18n.t('demo.errorGeneration') || '演示生成失败',
+                title: t('errors.error') || '错误',
+                description: t('demo.errorGeneration') || '演示生成失败',
                 input: text,
                 output: error.message,
                 technical: ''
@@ -727,11 +2673,17 @@ export class OI1Demo {
     /**
      * 生成解密过程的步骤演示
      * @param {string} ciphertext - 密文
+     * @param {Object} [options] - 演示选项
+     * @param {string|Uint8Array} [options.mappingKey] - 映射密钥（仅密钥映射的密文）
+     * @param {Function} [options.translate] - 翻译函数，同 generateEncodingDemo
      * @returns {Object[]} 演示步骤数组
      */
-    static generateDecodingDemo(ciphertext) {
+    static generateDecodingDemo(ciphertext, options = {}) {
+        // 演示只关心密文内容，总是忽略排版字符
+        ciphertext = ciphertext ? CipherLayout.strip(ciphertext) : ciphertext;
         if (!ciphertext) return [];
 
+        const t = OI1Demo._translator(options);
         const steps = [];
         const decoder = new OI1Decoder();
 
@@ -741,41 +2693,82 @@ export class OI1Demo {
             if (!validation.isValid) {
                 return [{
                     step: 0,
-                    title: i18n.t('validation.invalid') || '验证失败',
-                    description: i18n.t('demo.validationFailed') || '密文格式不正确',
+                    title: t('validation.invalid') || '验证失败',
+                    description: t('demo.validationFailed') || '密文格式不正确',
                     input: ciphertext,
                     output: validation.error,
                     technical: ''
                 }];
             }
 
-            // 步骤1: 格式检测
-            const formatInfo = decoder.encoder.detectFormat(ciphertext);
+            // 步骤1: 格式检测（其他字符集的密文先还原为标准 O0Il 字符，形近字符先替换）
+            const { canonical, alphabet, substitutions } = decoder.normalizeCiphertext(ciphertext);
+            const formatInfo = decoder.encoder.detectFormat(canonical, alphabet);
+            const isV3 = formatInfo.version === 'v3';
+            // v2 格式固定使用 CRC32，v3 格式使用头部记录的校验算法
+            const checksum = formatInfo.version === 'v2' || isV3 ? ChecksumRegistry.get(formatInfo.integrity) : null;
+            const substitutionNote = substitutions.length > 0
+                ? `\n形近字符: ${substitutions.map(({ position, from, to }) => `${position}:${from}→${to}`).join(', ')}`
+                : '';
+            let stepNumber = 1;
             steps.push({
-                step: 1,
-                title: i18n.t('demo.steps.decoding.step1.title'),
-                description: i18n.t('demo.steps.decoding.step1.description'),
-                input: `密文长度: ${ciphertext.length}`,
-                output: `格式: ${formatInfo.version} ${formatInfo.hasCRC ? '(包含CRC32)' : '(无CRC)'}`,
-                technical: `主密文: ${formatInfo.mainCipherLength}字符, CRC: ${formatInfo.crcLength}字符`
+                step: stepNumber++,
+                title: t('demo.steps.decoding.step1.title'),
+                description: t('demo.steps.decoding.step1.description'),
+                input: (alphabet.id === DEFAULT_ALPHABET_ID
+                    ? `密文长度: ${ciphertext.length}`
+                    : `密文长度: ${ciphertext.length}, 字符集: ${alphabet.name} (${alphabet.glyphs.join(' ')})\n标准密文: ${canonical}`) + substitutionNote,
+                output: `格式: ${formatInfo.version} ${formatInfo.hasCRC ? `(包含${checksum.label})` : '(无校验码)'}`,
+                technical: isV3
+                    ? `头部: ${formatInfo.headerLength}字符, 标志位: 0x${formatInfo.flags.toString(16).toUpperCase()}, 主密文: ${formatInfo.mainCipherLength}字符, CRC: ${formatInfo.crcLength}字符`
+                    : `主密文: ${formatInfo.mainCipherLength}字符, CRC: ${formatInfo.crcLength}字符`
             });
 
-            let mainCipher = ciphertext;
+            // 还原密钥映射（仅带 KEYED_MAPPING 标志的v3格式），没有映射密钥时无法继续演示
+            let standard = canonical;
+            if (isV3 && (formatInfo.flags & V3_FLAGS.KEYED_MAPPING)) {
+                if (!options.mappingKey) {
+                    steps.push({
+                        step: stepNumber++,
+                        title: t('demo.steps.decoding.mappingKeyRequired.title'),
+                        description: t('demo.steps.decoding.mappingKeyRequired.description'),
+                        input: canonical.slice(formatInfo.headerLength),
+                        output: '🔒 需要映射密钥',
+                        technical: '头部之后的字符按映射密钥派生的排列逐位置替换，只有映射表无法还原'
+                    });
+                    return steps;
+                }
+
+                const mapping = new KeyedGlyphMapping(options.mappingKey);
+                const body = canonical.slice(formatInfo.headerLength);
+                standard = canonical.slice(0, formatInfo.headerLength) + mapping.revert(body);
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.keyedMapping.title'),
+                    description: t('demo.steps.decoding.keyedMapping.description'),
+                    input: body,
+                    output: standard,
+                    technical: `还原位置: ${body.length}；下表列出前 ${Math.min(body.length, DEMO_MAPPING_ROWS)} 个位置`,
+                    table: OI1Demo._mappingTable(mapping, body.length, formatInfo.headerLength, t)
+                });
+            }
+
+            let mainCipher = standard;
             let crcString = '';
-            let expectedCRC = null;
+            let expectedTag = null;
 
-            // 步骤2: 分离CRC32校验码（仅v2格式）
-            if (formatInfo.version === 'v2' && formatInfo.hasCRC) {
-                mainCipher = ciphertext.slice(0, formatInfo.mainCipherLength);
-                crcString = ciphertext.slice(-16);
-                expectedCRC = decoder.crc32.fromOI1String(crcString);
+            // 步骤2: 分离校验码（v2/v3格式；带认证标签的v3格式分离认证标签）
+            if (checksum && formatInfo.hasCRC) {
+                mainCipher = standard.slice(0, standard.length - formatInfo.crcLength);
+                crcString = standard.slice(standard.length - formatInfo.crcLength);
+                expectedTag = glyphsToBytes(crcString);
                 steps.push({
-                    step: 2,
-                    title: i18n.t('demo.steps.decoding.step2.title'),
-                    description: i18n.t('demo.steps.decoding.step2.description'),
-                    input: ciphertext,
-                    output: `主密文: ${mainCipher}\nCRC32: ${crcString}`,
-                    technical: `CRC32值: 0x${expectedCRC.toString(16).toUpperCase()}`
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.step2.title', { algorithm: checksum.label }),
+                    description: t('demo.steps.decoding.step2.description', { algorithm: checksum.label, length: formatInfo.crcLength }),
+                    input: standard,
+                    output: `主密文: ${mainCipher}\n${checksum.label}: ${crcString}`,
+                    technical: `${checksum.keyed ? '认证标签' : `${checksum.label}值`}: 0x${OI1Checksum.toHex(expectedTag)}`
                 });
             }
 
@@ -788,9 +2781,9 @@ export class OI1Demo {
                 binaryString += binary;
             }
             steps.push({
-                step: formatInfo.hasCRC ? 3 : 2,
-                title: i18n.t('demo.steps.decoding.step3.title'),
-                description: i18n.t('demo.steps.decoding.step3.description'),
+                step: stepNumber++,
+                title: t('demo.steps.decoding.step3.title'),
+                description: t('demo.steps.decoding.step3.description'),
                 input: mainCipher,
                 output: mappings.join(' '),
                 technical: `完整二进制串: ${binaryString} (${binaryString.length}位)`
@@ -798,60 +2791,199 @@ export class OI1Demo {
 
             // 步骤4: 二进制分组为字节
             const byteGroups = [];
-            const bytes = [];
+            const frame = [];
             for (let i = 0; i < binaryString.length; i += 8) {
                 const binaryByte = binaryString.substring(i, i + 8);
                 if (binaryByte.length === 8) {
                     const byteValue = parseInt(binaryByte, 2);
                     byteGroups.push(`${binaryByte}(${byteValue})`);
-                    bytes.push(byteValue);
+                    frame.push(byteValue);
                 }
             }
             steps.push({
-                step: formatInfo.hasCRC ? 4 : 3,
-                title: i18n.t('demo.steps.decoding.step4.title'),
-                description: i18n.t('demo.steps.decoding.step4.description'),
+                step: stepNumber++,
+                title: t('demo.steps.decoding.step4.title'),
+                description: t('demo.steps.decoding.step4.description'),
                 input: binaryString,
                 output: byteGroups.join(' '),
-                technical: `字节数组: [${bytes.join(', ')}]`
+                technical: `字节数组: [${frame.join(', ')}]`
             });
 
-            // 步骤5: UTF-8解码
-            const uint8Array = new Uint8Array(bytes);
-            const textDecoder = new TextDecoder('utf-8');
-            const plaintext = textDecoder.decode(uint8Array);
-            steps.push({
-                step: formatInfo.hasCRC ? 5 : 4,
-                title: i18n.t('demo.steps.decoding.step5.title'),
-                description: i18n.t('demo.steps.decoding.step5.description'),
-                input: `[${bytes.join(', ')}]`,
-                output: plaintext,
-                technical: `解码成功，共${plaintext.length}个字符`
-            });
+            // 分离纠错码（仅带 ECC 标志的v3格式），演示中不做纠错
+            if (isV3 && (formatInfo.flags & V3_FLAGS.ECC)) {
+                const parity = frame.splice(frame.length - formatInfo.eccLength / 4);
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.ecc.title'),
+                    description: t('demo.steps.decoding.ecc.description'),
+                    input: `[${parity.join(', ')}]`,
+                    output: `Reed–Solomon: ${parity.length / formatInfo.eccParity} 块, 每块 ${formatInfo.eccParity} 个校验字节`,
+                    technical: `每块最多纠正 ${formatInfo.eccParity / 2} 个错误字节`
+                });
+            }
+
+            // 步骤5: 分离v3头部（仅v3格式）
+            let bytes = frame;
+            if (isV3) {
+                const header = OI1Header.decode(frame);
+                bytes = frame.slice(header.headerLength);
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.header.title'),
+                    description: t('demo.steps.decoding.header.description'),
+                    input: `[${frame.slice(0, header.headerLength).join(', ')}]`,
+                    output: `版本: ${header.version}, 标志位: 0x${header.flags.toString(16).toUpperCase()}, 载荷长度: ${header.payloadLength}` +
+                        (header.flags & V3_FLAGS.ALPHABET ? `, 字符集编号: ${header.alphabet}` : '') +
+                        (header.flags & V3_FLAGS.ECC ? `, 纠错校验字节: ${header.eccParity}` : '') +
+                        (header.part ? `, 多段消息: 第 ${header.part.index}/${header.part.total} 段 (编号 ${header.part.messageId})` : ''),
+                    technical: `载荷字节: [${bytes.join(', ')}]`
+                });
+            }
+
+            // 还原白化（仅带 WHITENED 标志的v3格式）
+            if (isV3 && (formatInfo.flags & V3_FLAGS.WHITENED)) {
+                const whitened = new Uint8Array(bytes);
+                const unwhitened = PayloadWhitening.unwhiten(whitened);
+                const seed = PayloadWhitening.readSeed(whitened);
+                const derived = SHA256.equal(seed, PayloadWhitening.deriveSeed(unwhitened));
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.whitened.title'),
+                    description: t('demo.steps.decoding.whitened.description'),
+                    input: `[${bytes.join(', ')}]`,
+                    output: `[${Array.from(unwhitened).join(', ')}]`,
+                    technical: `种子: [${Array.from(seed).join(', ')}]（${derived ? '由载荷派生，相同原文得到相同密文' : '随机种子，相同原文每次得到不同密文'}），` +
+                        '密钥流: SHA-256(种子 || 块序号) 依次拼接'
+                });
+                bytes = Array.from(unwhitened);
+            }
+
+            // 填充的载荷：读出开头记录的真实长度，去掉末尾的填充字节
+            if (isV3 && (formatInfo.flags & V3_FLAGS.PADDED)) {
+                const padded = new Uint8Array(bytes);
+                const { start, length, padding } = PayloadPadding.inspect(padded);
+                const content = padded.slice(start, start + length);
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.padding.title'),
+                    description: t('demo.steps.decoding.padding.description'),
+                    input: `[${bytes.join(', ')}]`,
+                    output: `[${Array.from(content).join(', ')}]`,
+                    technical: `填充后: ${padded.length}字节, 长度前缀: ${start}字节, 真实长度: ${length}字节, 填充: ${padding}字节`
+                });
+                bytes = Array.from(content);
+            }
+
+            // 步骤6: UTF-8解码（加密载荷只展示加密参数，二进制载荷展示文件描述；
+            // 分段的载荷只是完整密文的一部分，不单独解码）
+            let plaintext = '';
+            const isPart = isV3 && Boolean(formatInfo.flags & V3_FLAGS.MULTIPART);
+            if (isV3 && (formatInfo.flags & V3_FLAGS.ENCRYPTED)) {
+                const params = PassphraseCipher.readParams(new Uint8Array(bytes));
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.encrypted.title'),
+                    description: t('demo.steps.decoding.encrypted.description'),
+                    input: `[${bytes.join(', ')}]`,
+                    output: `${params.kdf}, ${params.iterations} / AES-256-GCM`,
+                    technical: `盐: [${Array.from(params.salt).join(', ')}], IV: [${Array.from(params.iv).join(', ')}]`
+                });
+            } else if (!isPart) {
+                let uint8Array = new Uint8Array(bytes);
+                if (isV3 && (formatInfo.flags & V3_FLAGS.COMPRESSED)) {
+                    uint8Array = ZlibCodec.decompress(uint8Array);
+                    steps.push({
+                        step: stepNumber++,
+                        title: t('demo.steps.decoding.decompress.title'),
+                        description: t('demo.steps.decoding.decompress.description'),
+                        input: `[${bytes.join(', ')}]`,
+                        output: `[${Array.from(uint8Array).join(', ')}]`,
+                        technical: `${bytes.length} → ${uint8Array.length} 字节`
+                    });
+                }
+
+                if (isV3 && (formatInfo.flags & V3_FLAGS.METADATA)) {
+                    // 元数据段：逐个列出字段，时间按 ISO 8601 显示
+                    const { metadata, dataOffset } = OI1Metadata.decode(uint8Array);
+                    const fields = Object.entries(metadata).map(([key, value]) =>
+                        `${key}: ${typeof value === 'number' ? new Date(value).toISOString() : value}`);
+                    steps.push({
+                        step: stepNumber++,
+                        title: t('demo.steps.decoding.metadata.title'),
+                        description: t('demo.steps.decoding.metadata.description'),
+                        input: `[${Array.from(uint8Array.subarray(0, dataOffset)).join(', ')}]`,
+                        output: fields.join('\n') || '-',
+                        technical: `元数据段: ${dataOffset} 字节${OI1Metadata.isExpired(metadata) ? '，消息已过期' : ''}`
+                    });
+                    uint8Array = uint8Array.subarray(dataOffset);
+                }
+
+                if (isV3 && (formatInfo.flags & V3_FLAGS.BINARY)) {
+                    // 二进制载荷：拆出文件描述，文件内容不做文本解码
+                    const fileInfo = OI1FileInfo.decode(uint8Array);
+                    steps.push({
+                        step: stepNumber++,
+                        title: t('demo.steps.decoding.file.title'),
+                        description: t('demo.steps.decoding.file.description'),
+                        input: `[${Array.from(uint8Array.subarray(0, fileInfo.dataOffset)).join(', ')}]`,
+                        output: `文件名: ${fileInfo.filename || '-'}, 类型: ${fileInfo.mimeType || '-'}`,
+                        technical: `文件描述: ${fileInfo.dataOffset} 字节, 文件内容: ${uint8Array.length - fileInfo.dataOffset} 字节`
+                    });
+                } else {
+                    const textDecoder = new TextDecoder('utf-8');
+                    plaintext = textDecoder.decode(uint8Array);
+                    steps.push({
+                    step: stepNumber++,
+                        title: t('demo.steps.decoding.step5.title'),
+                        description: t('demo.steps.decoding.step5.description'),
+                        input: `[${Array.from(uint8Array).join(', ')}]`,
+                        output: plaintext,
+                        technical: `解码成功，共${plaintext.length}个字符`
+                    });
+                }
+            }
+
+            // 步骤7: 校验码验证（v2校验原文字节，v3校验头部和载荷）
+            if (expectedTag && checksum.keyed) {
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.hmac.title'),
+                    description: t('demo.steps.decoding.hmac.description'),
+                    input: `${checksum.name}: ${crcString}`,
+                    output: '演示中不校验认证标签',
+                    technical: `校验需要共享密钥：HMAC-SHA256(密钥, 头部 || 载荷) 的前 ${checksum.tagBytes} 字节`
+                });
+            } else if (expectedTag) {
+                const checkedBytes = isV3 ? new Uint8Array(frame) : new TextEncoder().encode(plaintext);
+                const actualTag = checksum.compute(checkedBytes);
+                const isVerified = SHA256.equal(actualTag, expectedTag);
+                const label = checksum.label;
 
-            // 步骤6: CRC32校验验证（仅v2格式）
-            if (formatInfo.version === 'v2' && formatInfo.hasCRC && expectedCRC !== null) {
-                const textEncoder = new TextEncoder();
-                const plaintextBytes = textEncoder.encode(plaintext);
-                const actualCRC = decoder.crc32.calculate(plaintextBytes);
-                const isVerified = (actualCRC === expectedCRC);
-                
                 steps.push({
-                    step: 6,
-                    title: i18n.t('demo.steps.decoding.step6.title'),
-                    description: i18n.t('demo.steps.decoding.step6.description'),
-                    input: `期望CRC32: 0x${expectedCRC.toString(16).toUpperCase()}\n实际CRC32: 0x${actualCRC.toString(16).toUpperCase()}`,
-                    output: isVerified ? '✓ CRC32校验通过 - 数据完整无误' : '✗ CRC32校验失败 - 数据可能损坏或被篡改',
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.step6.title', { algorithm: label }),
+                    description: t('demo.steps.decoding.step6.description', { algorithm: label }),
+                    input: `期望${label}: 0x${OI1Checksum.toHex(expectedTag)}\n实际${label}: 0x${OI1Checksum.toHex(actualTag)}`,
+                    output: isVerified ? `✓ ${label}校验通过 - 数据完整无误` : `✗ ${label}校验失败 - 数据可能损坏或被篡改`,
                     technical: `校验结果: ${isVerified ? '通过' : '失败'} - ${isVerified ? '数据完整性得到保证' : '检测到数据损坏或篡改'}`
                 });
+            } else if (isV3) {
+                steps.push({
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.noChecksum.title'),
+                    description: t('demo.steps.decoding.noChecksum.description'),
+                    input: `校验算法: ${checksum.name}`,
+                    output: '⚠️ 无校验码 - 无法发现损坏',
+                    technical: '编码时选择了不附加校验码，密文最短，但任何损坏都只能在解码结果中发现'
+                });
             } else if (formatInfo.version === 'v1') {
                 steps.push({
-                    step: 5,
-                    title: i18n.t('demo.steps.decoding.legacyNote.title'),
-                    description: i18n.t('demo.steps.decoding.legacyNote.description'),
+                    step: stepNumber++,
+                    title: t('demo.steps.decoding.legacyNote.title'),
+                    description: t('demo.steps.decoding.legacyNote.description'),
                     input: '旧格式密文',
-                    output: '⚠️ 无完整性保护 - 建议使用v2格式',
-                    technical: 'v1格式为向后兼容保留，推荐升级到v2格式获得完整性保护'
+                    output: '⚠️ 无完整性保护 - 建议使用v3格式',
+                    technical: 'v1格式为向后兼容保留，推荐升级到v3格式获得完整性保护'
                 });
             }
 
@@ -859,14 +2991,42 @@ export class OI1Demo {
         } catch (error) {
             return [{
                 step: 0,
-                title: i18n.t('errors.error') || '错误',
-                description: i18n.t('demo.errorGeneration') || '演示生成失败',
+                title: t('errors.error') || '错误',
+                description: t('demo.errorGeneration') || '演示生成失败',
                 input: ciphertext,
                 output: error.message,
                 technical: ''
             }];
         }
     }
+
+    /**
+     * 生成演示用的密钥映射表
+     * @param {KeyedGlyphMapping} mapping - 密钥映射
+     * @param {number} length - 映射的字符数
+     * @param {number} offset - 映射起点之前的字符数（头部），用于显示密文中的位置
+     * @param {Function} t - 翻译函数，见 _translator
+     * @returns {Object} { headers, rows }，每行依次为位置和 00、01、10、11 对应的字符
+     * @private
+     */
+    static _mappingTable(mapping, length, offset, t) {
+        const rows = mapping.table(Math.min(length, DEMO_MAPPING_ROWS))
+            .map((glyphs, i) => [String(offset + i + 1), ...glyphs]);
+        return {
+            headers: [t('demo.mappingTable.position'), '00', '01', '10', '11'],
+            rows: rows
+        };
+    }
+
+    /**
+     * 取得演示选项中的翻译函数
+     * @param {Object} options - 演示选项
+     * @returns {Function} (key, params) => string；未提供时原样返回翻译键
+     * @private
+     */
+    static _translator(options) {
+        return typeof options.translate === 'function' ? options.translate : key => key;
+    }
 }
 
 // 导出常量和类以供外部使用
@@ -874,5 +3034,16 @@ export {
     BINARY_TO_CHAR,
     CHAR_TO_BINARY, 
     VALID_CIPHER_CHARS,
-    CRC32
+    GLYPH_VALUES,
+    BYTE_TO_GLYPHS,
+    bytesToGlyphs,
+    glyphsToBytes,
+    V3_MAGIC,
+    V3_VERSION,
+    V3_MAX_HEADER_BYTES,
+    V3_FLAGS,
+    ECC_LEVELS,
+    CRC32,
+    OI1Header,
+    OI1FileInfo
 };
\ No newline at end of file
@@ -0,0 +1,363 @@
+/**
+ * oi1 流式编解码
+ * 基于 WHATWG TransformStream 分块处理，按位运算转换字符，
+ * CRC32 增量计算，内存占用只与单个分块大小有关，适合超大输入
+ */
+
+import {
+    CRC32,
+    OI1Header,
+    OI1FileInfo,
+    bytesToGlyphs,
+    glyphsToBytes,
+    V3_MAGIC,
+    V3_VERSION,
+    V3_MAX_HEADER_BYTES,
+    V3_FLAGS
+} from './oi1-algorithm.js';
+import { AlphabetRegistry, DEFAULT_ALPHABET_ID } from './alphabets.js';
+import { CipherLayout } from './layout.js';
+import { OI1Error, OI1InputError } from './errors.js';
+
+// 末尾 CRC32 校验码的字符数
+const TRAILER_CHARS = 16;
+
+// 流式解码支持的标志位。加密、压缩、纠错码、其他校验算法、密钥映射、白化、填充和元数据
+// 都需要完整载荷或整段密文才能处理，这类密文以 STREAM_UNSUPPORTED 拒绝，须改用 decode / decodeAsync
+const STREAMABLE_FLAGS = V3_FLAGS.BINARY | V3_FLAGS.STREAM | V3_FLAGS.ALPHABET;
+
+/**
+ * 流式加密器：输入文本或字节分块，输出 v3 密文的字符分块
+ * 已知总长度时输出与 OI1Encoder.encode / encodeBytes 完全相同的密文；
+ * 未知时在头部设置 STREAM 标志，载荷一直延续到末尾的 CRC32
+ * 流式编码不支持压缩和口令加密
+ */
+export class OI1EncoderStream extends TransformStream {
+    /**
+     * @param {Object} [options] - 编码选项
+     * @param {number} [options.length] - 原文总字节数（UTF-8 或文件字节），不提供时使用 STREAM 标志
+     * @param {boolean} [options.binary=false] - 按文件编码（同 encodeBytes）
+     * @param {string} [options.filename] - 文件名（仅 binary）
+     * @param {string} [options.mimeType] - MIME类型（仅 binary）
+     * @param {number|string} [options.alphabet] - 字符集编号或名称，默认使用 O0Il
+     */
+    constructor(options = {}) {
+        const crc32 = new CRC32();
+        const alphabet = AlphabetRegistry.get(options.alphabet);
+        const textEncoder = new TextEncoder();
+        const hasLength = typeof options.length === 'number';
+        const fileInfo = options.binary ? OI1FileInfo.encode(options) : new Uint8Array(0);
+
+        let crc = crc32.begin();
+        let written = 0;
+        // 分块末尾被截断的代理对高位，留到下一块一起编码
+        let pendingSurrogate = '';
+        // 不足一个字节分组的标准字符（3位字形按3字节分组），补位只能出现在密文末尾
+        let pendingGlyphs = '';
+        const blockChars = alphabet.blockBytes * 4;
+
+        const emit = (bytes, controller) => {
+            if (bytes.length === 0) return;
+            crc = crc32.update(crc, bytes);
+
+            const glyphs = pendingGlyphs + bytesToGlyphs(bytes);
+            const count = glyphs.length - glyphs.length % blockChars;
+            pendingGlyphs = glyphs.slice(count);
+            if (count > 0) {
+                controller.enqueue(alphabet.fromCanonical(glyphs.slice(0, count)));
+            }
+        };
+
+        const toBytes = (chunk) => {
+            if (typeof chunk === 'string') {
+                let text = pendingSurrogate + chunk;
+                pendingSurrogate = '';
+                const last = text.charCodeAt(text.length - 1);
+                if (last >= 0xD800 && last <= 0xDBFF) {
+                    pendingSurrogate = text.slice(-1);
+                    text = text.slice(0, -1);
+                }
+                return textEncoder.encode(text);
+            }
+            if (chunk instanceof Uint8Array) {
+                return chunk;
+            }
+            if (chunk instanceof ArrayBuffer) {
+                return new Uint8Array(chunk);
+            }
+            throw new OI1InputError('INVALID_INPUT', '分块必须是字符串、Uint8Array 或 ArrayBuffer', { expected: 'string|Uint8Array|ArrayBuffer' });
+        };
+
+        super({
+            start(controller) {
+                let flags = options.binary ? V3_FLAGS.BINARY : 0;
+                if (!hasLength) {
+                    flags |= V3_FLAGS.STREAM;
+                }
+                if (alphabet.id !== DEFAULT_ALPHABET_ID) {
+                    flags |= V3_FLAGS.ALPHABET;
+                }
+
+                const header = OI1Header.encode({
+                    flags,
+                    payloadLength: hasLength ? fileInfo.length + options.length : 0,
+                    alphabet: alphabet.id
+                });
+                emit(header, controller);
+                emit(fileInfo, controller);
+            },
+
+            transform(chunk, controller) {
+                const bytes = toBytes(chunk);
+                written += bytes.length;
+                emit(bytes, controller);
+            },
+
+            flush(controller) {
+                if (pendingSurrogate) {
+                    const bytes = textEncoder.encode(pendingSurrogate);
+                    written += bytes.length;
+                    emit(bytes, controller);
+                }
+
+                if (hasLength && written !== options.length) {
+                    throw new OI1InputError('INVALID_OPTION', `输入长度与声明不符，期望 ${options.length} 字节，实际 ${written} 字节`, {
+                        option: 'length',
+                        value: String(options.length)
+                    });
+                }
+
+                controller.enqueue(alphabet.fromCanonical(pendingGlyphs + crc32.toOI1String(crc32.finish(crc))));
+            }
+        });
+    }
+}
+
+/**
+ * 流式解密器：输入 v3 密文的字符分块，输出原文字节分块
+ * 字符集根据密文开头自动识别，多字符字形可以跨分块
+ * 文件密文会去掉文件描述，文件名和MIME类型在 result 中给出；文本密文可再接 TextDecoderStream
+ * 末尾的 CRC32 只有在流结束时才能校验：流正常关闭（或 result 兑现）之前，输出的数据都不应被信任
+ * 只支持 OI1EncoderStream 能生成的密文（文件、STREAM 标志和其他字符集），其他标志位报告 STREAM_UNSUPPORTED
+ */
+export class OI1DecoderStream extends TransformStream {
+    /**
+     * @param {Object} [options] - 解码选项
+     * @param {boolean} [options.ignoreLayout=false] - 去掉各分块中的排版字符（空白、换行、零宽字符和连字符）
+     */
+    constructor(options = {}) {
+        const crc32 = new CRC32();
+
+        let resolveResult;
+        let rejectResult;
+        const result = new Promise((resolve, reject) => {
+            resolveResult = resolve;
+            rejectResult = reject;
+        });
+        // 调用方可能只读取流而不关心 result，避免未处理的拒绝
+        result.catch(() => {});
+
+        let crc = crc32.begin();
+        // 识别字符集之前缓存的密文开头，以及分块末尾被截断的字形
+        let alphabet = null;
+        let raw = '';
+        let position = 0;
+        // 尚未转换的标准字符：不足一个字节的部分，以及保留的末尾16个字符（可能是CRC32）
+        let pending = '';
+        let headerBytes = [];
+        let header = null;
+        let fileInfo = null;
+        let fileInfoBuffer = new Uint8Array(0);
+        let payloadBytes = 0;
+        let outputBytes = 0;
+
+        // 未指定代码的错误归为 DECODE_FAILED，说明记入 reason
+        const fail = (message, code = 'DECODE_FAILED', details = { reason: message }) =>
+            OI1Error.create(code, message, details);
+
+        const readHeader = (bytes) => {
+            // 头部最多 V3_MAX_HEADER_BYTES 字节，分块的其余部分直接作为载荷
+            const taken = Math.min(bytes.length, V3_MAX_HEADER_BYTES - headerBytes.length);
+            headerBytes.push(...bytes.subarray(0, taken));
+
+            if (headerBytes[0] !== V3_MAGIC) {
+                throw fail('流式解码仅支持 v3 密文', 'UNKNOWN_FORMAT', { format: 'v3', reason: '缺少 v3 头部' });
+            }
+
+            const parsed = OI1Header.decode(headerBytes);
+            if (!parsed) {
+                if (headerBytes.length >= V3_MAX_HEADER_BYTES) {
+                    throw fail('v3 头部无效', 'UNKNOWN_FORMAT', { format: 'v3', reason: 'v3 头部无效' });
+                }
+                return new Uint8Array(0);
+            }
+
+            if (parsed.version !== V3_VERSION) {
+                throw fail(`不支持的格式版本: ${parsed.version}`, 'UNKNOWN_FORMAT', { format: `v${parsed.version}`, reason: '不支持的格式版本' });
+            }
+
+            if (parsed.alphabet !== alphabet.id) {
+                throw fail(`字符集与头部记录不符，头部记录的字符集编号为 ${parsed.alphabet}`);
+            }
+
+            const unsupported = parsed.flags & ~STREAMABLE_FLAGS;
+            if (unsupported) {
+                const flags = Object.keys(V3_FLAGS).filter(name => unsupported & V3_FLAGS[name]);
+                throw fail(`流式解码不支持该密文的标志位: ${flags.join(', ')}，请使用 decode 或 decodeAsync`, 'STREAM_UNSUPPORTED', {
+                    flags: flags.join(', ')
+                });
+            }
+
+            // 之前的分块不足以组成头部，多读的字节都来自当前分块
+            header = parsed;
+            const surplus = headerBytes.length - parsed.headerLength;
+            headerBytes = null;
+            return bytes.subarray(taken - surplus);
+        };
+
+        const readPayload = (bytes, controller) => {
+            payloadBytes += bytes.length;
+            if (!(header.flags & V3_FLAGS.STREAM) && payloadBytes > header.payloadLength) {
+                throw fail(`密文长度与头部不符，载荷超过 ${header.payloadLength} 字节`);
+            }
+
+            // 文件密文先凑齐文件描述，其后才是文件内容
+            if ((header.flags & V3_FLAGS.BINARY) && !fileInfo) {
+                const buffer = new Uint8Array(fileInfoBuffer.length + bytes.length);
+                buffer.set(fileInfoBuffer, 0);
+                buffer.set(bytes, fileInfoBuffer.length);
+
+                fileInfo = OI1FileInfo.tryDecode(buffer);
+                if (!fileInfo) {
+                    fileInfoBuffer = buffer;
+                    return;
+                }
+                bytes = buffer.subarray(fileInfo.dataOffset);
+                fileInfoBuffer = null;
+            }
+
+            if (bytes.length > 0) {
+                outputBytes += bytes.length;
+                controller.enqueue(bytes);
+            }
+        };
+
+        const consume = (bytes, controller) => {
+            crc = crc32.update(crc, bytes);
+            const payload = header ? bytes : readHeader(bytes);
+            if (header && payload.length > 0) {
+                readPayload(payload, controller);
+            }
+        };
+
+        // 将原始密文还原为标准字符；final 为 false 时末尾不完整的字形留到下一块
+        const normalize = (final) => {
+            if (!alphabet) {
+                if (!final && raw.length < AlphabetRegistry.maxMagicLength()) {
+                    return '';
+                }
+                alphabet = AlphabetRegistry.detect(raw);
+            }
+
+            const { canonical, consumed, invalidIndex } = alphabet.toCanonical(raw, !final);
+            if (invalidIndex !== -1) {
+                const char = String.fromCodePoint(raw.codePointAt(invalidIndex));
+                throw fail(`包含无效字符 '${char}' (位置: ${position + invalidIndex + 1})`, 'INVALID_CHAR', {
+                    position: position + invalidIndex + 1,
+                    char: char
+                });
+            }
+
+            position += consumed;
+            raw = raw.slice(consumed);
+            return canonical;
+        };
+
+        const accept = (canonical, controller) => {
+            pending += canonical;
+
+            // 末尾16个字符可能是CRC32，留到流结束时处理
+            const available = pending.length - TRAILER_CHARS;
+            const count = available - available % 4;
+            if (count > 0) {
+                consume(glyphsToBytes(pending, count), controller);
+                pending = pending.slice(count);
+            }
+        };
+
+        super({
+            transform(chunk, controller) {
+                try {
+                    if (typeof chunk !== 'string') {
+                        throw fail('分块必须是字符串', 'INVALID_INPUT', { expected: 'string' });
+                    }
+
+                    raw += options.ignoreLayout ? CipherLayout.strip(chunk) : chunk;
+                    accept(normalize(false), controller);
+                } catch (error) {
+                    rejectResult(error);
+                    throw error;
+                }
+            },
+
+            flush(controller) {
+                try {
+                    accept(normalize(true), controller);
+
+                    if (!header) {
+                        throw fail('密文不完整，缺少 v3 头部');
+                    }
+                    if (pending.length !== TRAILER_CHARS) {
+                        throw fail(`密文长度不正确，末尾剩余 ${pending.length} 个字符`);
+                    }
+                    if (!(header.flags & V3_FLAGS.STREAM) && payloadBytes !== header.payloadLength) {
+                        throw fail(`密文长度与头部不符，期望载荷 ${header.payloadLength} 字节，实际 ${payloadBytes} 字节`);
+                    }
+                    if ((header.flags & V3_FLAGS.BINARY) && !fileInfo) {
+                        throw fail('文件描述不完整');
+                    }
+
+                    const expectedCRC = crc32.fromOI1String(pending);
+                    const actualCRC = crc32.finish(crc);
+                    if (actualCRC !== expectedCRC) {
+                        const expected = expectedCRC.toString(16).toUpperCase().padStart(8, '0');
+                        const actual = actualCRC.toString(16).toUpperCase().padStart(8, '0');
+                        throw fail(`CRC32校验失败！数据可能已损坏或被篡改。期望: ${expected}, 实际: ${actual}`, 'CRC_MISMATCH', {
+                            algorithm: 'CRC32',
+                            expected: expected,
+                            actual: actual,
+                            integrity: 'corrupted'
+                        });
+                    }
+
+                    resolveResult({
+                        crcVerified: true,
+                        formatVersion: 'v3',
+                        crcExpected: expectedCRC,
+                        crcActual: actualCRC,
+                        flags: header.flags,
+                        payloadLength: payloadBytes,
+                        binary: Boolean(header.flags & V3_FLAGS.BINARY),
+                        alphabet: alphabet.name,
+                        filename: fileInfo ? fileInfo.filename : null,
+                        mimeType: fileInfo ? fileInfo.mimeType : null,
+                        byteLength: outputBytes
+                    });
+                } catch (error) {
+                    rejectResult(error);
+                    throw error;
+                }
+            },
+
+            cancel(reason) {
+                rejectResult(reason);
+            }
+        });
+
+        /**
+         * 流结束并通过 CRC32 校验后兑现的解码结果
+         * @type {Promise<Object>}
+         */
+        this.result = result;
+    }
+}
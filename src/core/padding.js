@@ -0,0 +1,146 @@
+/**
+ * 长度隐藏填充
+ * 未填充时密文长度直接暴露原文的字节数。填充把载荷补到按策略取整的长度：
+ * 填充后的载荷以变长整数记录真实长度，其后是原载荷，剩余部分用密钥流填满，
+ * 不会像全零字节那样映射成一长串 O，一眼看出填充从哪里开始
+ */
+
+import { writeVarint, readVarint } from './varint.js';
+import { PayloadWhitening } from './whitening.js';
+import { OI1InputError, OI1PayloadError } from './errors.js';
+
+// 默认的固定档位（字节），超过最大档位后按最大档位的整数倍取整
+const DEFAULT_BUCKETS = [32, 64, 128, 256];
+
+// 2的幂策略的最小长度（字节）
+const MIN_POWER_OF_TWO = 16;
+
+// 随机策略：最多追加 max(32, 载荷长度的1/4) 字节
+const RANDOM_MIN_RANGE = 32;
+const RANDOM_RANGE_RATIO = 0.25;
+
+/**
+ * 生成 [0, range] 之间的随机整数
+ * @param {number} range - 上限
+ * @returns {number} 随机整数
+ */
+function randomInt(range) {
+    const seed = PayloadWhitening.randomSeed();
+    const value = new DataView(seed.buffer).getUint32(0, false);
+    return value % (range + 1);
+}
+
+/**
+ * 载荷填充与去除
+ */
+export class PayloadPadding {
+    /**
+     * 可用的填充策略
+     * @returns {string[]} 策略名称
+     */
+    static policies() {
+        return ['bucket', 'pow2', 'random'];
+    }
+
+    /**
+     * 计算填充后的载荷长度
+     * @param {number} length - 原载荷字节数
+     * @param {string} policy - 填充策略：'bucket' | 'pow2' | 'random'
+     * @param {Object} [options] - 策略选项
+     * @param {number[]} [options.buckets] - 'bucket' 策略的档位（字节），默认 32/64/128/256
+     * @returns {number} 填充后的字节数（包含长度前缀）
+     */
+    static targetLength(length, policy, { buckets = DEFAULT_BUCKETS } = {}) {
+        const minimum = writeVarint(length).length + length;
+
+        switch (policy) {
+            case 'bucket': {
+                const sizes = PayloadPadding._validateBuckets(buckets);
+                const bucket = sizes.find(size => size >= minimum);
+                if (bucket !== undefined) {
+                    return bucket;
+                }
+                const largest = sizes[sizes.length - 1];
+                return Math.ceil(minimum / largest) * largest;
+            }
+            case 'pow2': {
+                let size = MIN_POWER_OF_TWO;
+                while (size < minimum) {
+                    size *= 2;
+                }
+                return size;
+            }
+            case 'random':
+                return minimum + randomInt(Math.max(RANDOM_MIN_RANGE, Math.ceil(minimum * RANDOM_RANGE_RATIO)));
+            default:
+                throw new OI1InputError('INVALID_OPTION', `未知的填充策略: ${policy}`, { option: 'padding', value: String(policy) });
+        }
+    }
+
+    /**
+     * 按策略填充载荷
+     * @param {Uint8Array} payload - 载荷字节
+     * @param {string} policy - 填充策略，见 targetLength
+     * @param {Object} [options] - 策略选项，同 targetLength
+     * @param {boolean} [options.randomize=false] - 填充字节使用随机种子；默认由载荷派生，相同载荷得到相同结果
+     * @returns {Uint8Array} 长度前缀 + 载荷 + 填充字节
+     */
+    static pad(payload, policy, options = {}) {
+        const prefix = writeVarint(payload.length);
+        const target = PayloadPadding.targetLength(payload.length, policy, options);
+        const padded = new Uint8Array(target);
+        padded.set(prefix, 0);
+        padded.set(payload, prefix.length);
+
+        const fillStart = prefix.length + payload.length;
+        const seed = options.randomize || policy === 'random'
+            ? PayloadWhitening.randomSeed()
+            : PayloadWhitening.deriveSeed(payload);
+        padded.set(PayloadWhitening.keystream(seed, target - fillStart), fillStart);
+
+        return padded;
+    }
+
+    /**
+     * 去除填充
+     * @param {Uint8Array} padded - 填充后的载荷
+     * @returns {Uint8Array} 原载荷
+     */
+    static unpad(padded) {
+        const { start, length } = PayloadPadding.inspect(padded);
+        return padded.slice(start, start + length);
+    }
+
+    /**
+     * 读取填充后载荷中记录的真实长度
+     * @param {Uint8Array} padded - 填充后的载荷
+     * @returns {Object} { start, length, padding }：原载荷的起始位置、字节数和填充字节数
+     */
+    static inspect(padded) {
+        const prefix = readVarint(padded, 0);
+        if (!prefix || prefix.next + prefix.value > padded.length) {
+            throw new OI1PayloadError('INVALID_PADDING', '填充载荷中记录的长度无效');
+        }
+        return {
+            start: prefix.next,
+            length: prefix.value,
+            padding: padded.length - prefix.next - prefix.value
+        };
+    }
+
+    /**
+     * 检查档位设置
+     * @param {number[]} buckets - 档位
+     * @returns {number[]} 升序排列的档位
+     * @private
+     */
+    static _validateBuckets(buckets) {
+        if (!Array.isArray(buckets) || buckets.length === 0 ||
+            buckets.some(size => !Number.isInteger(size) || size < 1)) {
+            throw new OI1InputError('INVALID_OPTION', `填充档位必须是正整数数组: ${buckets}`, { option: 'paddingBuckets', value: String(buckets) });
+        }
+        return [...buckets].sort((a, b) => a - b);
+    }
+}
+
+export { DEFAULT_BUCKETS };
@@ -0,0 +1,189 @@
+/**
+ * oi1 口令加密模块
+ * 使用 PBKDF2-SHA256 从口令派生密钥，再用 AES-256-GCM 加密载荷（基于 WebCrypto）
+ * 与 O0Il 映射不同，这一层提供真正的机密性和认证
+ */
+
+import { OI1Error, OI1InputError, OI1FormatError, OI1KeyError, OI1PayloadError } from './errors.js';
+
+// 密钥派生算法标识
+const KDF_PBKDF2_SHA256 = 0x01;
+
+// 默认迭代次数（参考 OWASP 对 PBKDF2-HMAC-SHA256 的建议）
+const DEFAULT_ITERATIONS = 600000;
+
+// 允许的迭代次数范围；解密时迭代次数来自密文，超出范围的拒绝派生，避免构造的密文让解码长时间占用 CPU
+const MIN_ITERATIONS = 1000;
+const MAX_ITERATIONS = 10000000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// 加密块结构：算法标识(1) + 迭代次数(4) + 盐(16) + IV(12) + 密文与认证标签
+const PARAMS_BYTES = 1 + 4 + SALT_BYTES + IV_BYTES;
+
+/**
+ * 基于口令的认证加密
+ * 加密结果是自包含的字节块，解密所需的全部参数（盐、IV、KDF参数）都写在块头部
+ */
+export class PassphraseCipher {
+    /**
+     * 检查当前环境是否支持 WebCrypto
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof globalThis.crypto !== 'undefined' &&
+            typeof globalThis.crypto.subtle !== 'undefined' &&
+            typeof globalThis.crypto.getRandomValues === 'function';
+    }
+
+    /**
+     * 使用口令加密字节数组
+     * @param {Uint8Array} bytes - 明文字节
+     * @param {string} password - 口令
+     * @param {Object} [options] - 加密选项
+     * @param {number} [options.iterations=600000] - PBKDF2 迭代次数，1000~10000000 之间的整数
+     * @returns {Promise<Uint8Array>} 加密块
+     */
+    static async encrypt(bytes, password, options = {}) {
+        const iterations = options.iterations ?? DEFAULT_ITERATIONS;
+        if (!PassphraseCipher.isValidIterations(iterations)) {
+            throw new OI1InputError('INVALID_OPTION', `PBKDF2 迭代次数必须是 ${MIN_ITERATIONS}~${MAX_ITERATIONS} 之间的整数`, {
+                option: 'iterations',
+                value: iterations
+            });
+        }
+
+        PassphraseCipher._assertSupported();
+
+        const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+
+        const key = await PassphraseCipher._deriveKey(password, salt, iterations);
+        const sealed = new Uint8Array(
+            await globalThis.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes)
+        );
+
+        const block = new Uint8Array(PARAMS_BYTES + sealed.length);
+        block[0] = KDF_PBKDF2_SHA256;
+        block[1] = (iterations >>> 24) & 0xFF;
+        block[2] = (iterations >>> 16) & 0xFF;
+        block[3] = (iterations >>> 8) & 0xFF;
+        block[4] = iterations & 0xFF;
+        block.set(salt, 5);
+        block.set(iv, 5 + SALT_BYTES);
+        block.set(sealed, PARAMS_BYTES);
+
+        return block;
+    }
+
+    /**
+     * 使用口令解密加密块
+     * @param {Uint8Array} block - 加密块
+     * @param {string} password - 口令
+     * @returns {Promise<Uint8Array>} 明文字节
+     */
+    static async decrypt(block, password) {
+        PassphraseCipher._assertSupported();
+
+        const params = PassphraseCipher.readParams(block);
+        const key = await PassphraseCipher._deriveKey(password, params.salt, params.iterations);
+
+        try {
+            const plain = await globalThis.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: params.iv },
+                key,
+                block.subarray(PARAMS_BYTES)
+            );
+            return new Uint8Array(plain);
+        } catch (error) {
+            // AES-GCM 无法区分口令错误和数据被修改：外层校验码通过时基本是口令错误，
+            // 但校验算法为 none 或校验码被一并重新计算时，被篡改的数据也会走到这里
+            throw new OI1KeyError('WRONG_PASSWORD', '密码错误或加密数据已被修改，无法解密', {}, { cause: error });
+        }
+    }
+
+    /**
+     * 检查迭代次数是否在允许范围内
+     * @param {number} iterations - 迭代次数
+     * @returns {boolean} 是否有效
+     */
+    static isValidIterations(iterations) {
+        return Number.isInteger(iterations) && iterations >= MIN_ITERATIONS && iterations <= MAX_ITERATIONS;
+    }
+
+    /**
+     * 读取加密块中的参数
+     * 迭代次数超出允许范围时抛出 INVALID_ITERATIONS，不会派生密钥
+     * @param {Uint8Array} block - 加密块
+     * @returns {Object} { kdf, iterations, salt, iv }
+     */
+    static readParams(block) {
+        if (block.length < PARAMS_BYTES + TAG_BYTES) {
+            throw new OI1PayloadError('INVALID_ENCRYPTION', '加密数据长度不足', { reason: 'truncated' });
+        }
+
+        if (block[0] !== KDF_PBKDF2_SHA256) {
+            throw new OI1PayloadError('INVALID_ENCRYPTION', `不支持的密钥派生算法: ${block[0]}`, { reason: 'kdf', kdf: block[0] });
+        }
+
+        const iterations = ((block[1] << 24) | (block[2] << 16) | (block[3] << 8) | block[4]) >>> 0;
+        if (!PassphraseCipher.isValidIterations(iterations)) {
+            throw new OI1FormatError('INVALID_ITERATIONS', `加密数据的 PBKDF2 迭代次数 ${iterations} 超出允许范围`, {
+                iterations,
+                min: MIN_ITERATIONS,
+                max: MAX_ITERATIONS
+            });
+        }
+
+        return {
+            kdf: 'PBKDF2-SHA256',
+            iterations: iterations,
+            salt: block.subarray(5, 5 + SALT_BYTES),
+            iv: block.subarray(5 + SALT_BYTES, PARAMS_BYTES)
+        };
+    }
+
+    /**
+     * 从口令派生 AES-GCM 密钥
+     * @param {string} password - 口令
+     * @param {Uint8Array} salt - 盐
+     * @param {number} iterations - 迭代次数
+     * @returns {Promise<CryptoKey>} AES-256-GCM 密钥
+     * @private
+     */
+    static async _deriveKey(password, salt, iterations) {
+        const subtle = globalThis.crypto.subtle;
+        const baseKey = await subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * 确认运行环境支持 WebCrypto
+     * @private
+     */
+    static _assertSupported() {
+        if (!PassphraseCipher.isSupported()) {
+            throw new OI1Error('UNSUPPORTED_ENVIRONMENT', '当前环境不支持 WebCrypto，无法使用密码保护', { feature: 'WebCrypto' });
+        }
+    }
+}
+
+// 加密相对明文增加的字节数（参数 + 认证标签）
+const ENCRYPTION_OVERHEAD = PARAMS_BYTES + TAG_BYTES;
+
+export { DEFAULT_ITERATIONS, MIN_ITERATIONS, MAX_ITERATIONS, ENCRYPTION_OVERHEAD };
@@ -0,0 +1,350 @@
+/**
+ * Reed–Solomon 纠错码
+ * GF(2^8) 上的 RS 码（本原多项式 0x11D，生成元 2），用于修复密文中被改错的字形
+ * 长数据按块处理：每块最多 255 字节（数据 + 校验），最后一块可以更短
+ */
+
+import { OI1InputError, OI1IntegrityError } from './errors.js';
+
+// 最大码字长度
+const MAX_CODEWORD = 255;
+
+// 指数表与对数表，指数表加倍以省去乘法中的取模
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+
+(() => {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        x <<= 1;
+        if (x & 0x100) {
+            x ^= 0x11D;
+        }
+    }
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+function gfMul(x, y) {
+    if (x === 0 || y === 0) return 0;
+    return GF_EXP[GF_LOG[x] + GF_LOG[y]];
+}
+
+function gfDiv(x, y) {
+    if (y === 0) throw uncorrectable('GF(256) 除数为0');
+    if (x === 0) return 0;
+    return GF_EXP[(GF_LOG[x] + 255 - GF_LOG[y]) % 255];
+}
+
+function gfPow(x, power) {
+    return GF_EXP[(((GF_LOG[x] * power) % 255) + 255) % 255];
+}
+
+function gfInverse(x) {
+    return GF_EXP[255 - GF_LOG[x]];
+}
+
+// 多项式以数组表示，下标0为最高次项系数
+
+function polyScale(p, x) {
+    return p.map(coef => gfMul(coef, x));
+}
+
+function polyAdd(p, q) {
+    const result = new Array(Math.max(p.length, q.length)).fill(0);
+    for (let i = 0; i < p.length; i++) {
+        result[i + result.length - p.length] = p[i];
+    }
+    for (let i = 0; i < q.length; i++) {
+        result[i + result.length - q.length] ^= q[i];
+    }
+    return result;
+}
+
+function polyMul(p, q) {
+    const result = new Array(p.length + q.length - 1).fill(0);
+    for (let j = 0; j < q.length; j++) {
+        for (let i = 0; i < p.length; i++) {
+            result[i + j] ^= gfMul(p[i], q[j]);
+        }
+    }
+    return result;
+}
+
+function polyEval(p, x) {
+    let y = p[0];
+    for (let i = 1; i < p.length; i++) {
+        y = gfMul(y, x) ^ p[i];
+    }
+    return y;
+}
+
+// 生成多项式缓存（按校验字节数）
+const generators = new Map();
+
+function generatorPoly(nsym) {
+    if (!generators.has(nsym)) {
+        let g = [1];
+        for (let i = 0; i < nsym; i++) {
+            g = polyMul(g, [1, gfPow(2, i)]);
+        }
+        generators.set(nsym, g);
+    }
+    return generators.get(nsym);
+}
+
+/**
+ * 生成"无法纠正"错误
+ * @param {string} message - 错误说明
+ * @returns {OI1IntegrityError} 错误对象
+ */
+function uncorrectable(message) {
+    return new OI1IntegrityError('UNCORRECTABLE', message);
+}
+
+/**
+ * Reed–Solomon 编码与纠错
+ */
+export class ReedSolomon {
+    /**
+     * 检查校验字节数是否可用
+     * @param {number} nsym - 每块的校验字节数
+     * @returns {boolean} 是否可用
+     */
+    static isValidParity(nsym) {
+        return Number.isInteger(nsym) && nsym >= 2 && nsym <= 128;
+    }
+
+    /**
+     * 计算数据分块数
+     * @param {number} length - 数据字节数
+     * @param {number} nsym - 每块的校验字节数
+     * @returns {number} 分块数
+     */
+    static blockCount(length, nsym) {
+        return Math.ceil(length / (MAX_CODEWORD - nsym));
+    }
+
+    /**
+     * 生成一块数据的校验字节
+     * @param {Uint8Array|number[]} data - 数据（最多 255 - nsym 字节）
+     * @param {number} nsym - 校验字节数
+     * @returns {Uint8Array} 校验字节
+     */
+    static encode(data, nsym) {
+        const generator = generatorPoly(nsym);
+        const remainder = new Uint8Array(data.length + nsym);
+        remainder.set(data, 0);
+
+        // 多项式除法，余数即校验字节
+        for (let i = 0; i < data.length; i++) {
+            const coef = remainder[i];
+            if (coef !== 0) {
+                for (let j = 1; j < generator.length; j++) {
+                    remainder[i + j] ^= gfMul(generator[j], coef);
+                }
+            }
+        }
+
+        return remainder.slice(data.length);
+    }
+
+    /**
+     * 纠正一个码字（数据 + 校验字节）
+     * 最多可纠正 nsym / 2 个错误字节
+     * @param {Uint8Array|number[]} codeword - 码字
+     * @param {number} nsym - 校验字节数
+     * @returns {Object} { codeword, errors }，errors 为被纠正的下标（升序）
+     */
+    static decode(codeword, nsym) {
+        const message = Array.from(codeword);
+        const syndromes = ReedSolomon._syndromes(message, nsym);
+        if (syndromes.every(value => value === 0)) {
+            return { codeword: Uint8Array.from(message), errors: [] };
+        }
+
+        const locator = ReedSolomon._findErrorLocator(syndromes, nsym);
+        const positions = ReedSolomon._findErrors(locator.slice().reverse(), message.length);
+        const corrected = ReedSolomon._correctErrata(message, syndromes, positions);
+
+        if (ReedSolomon._syndromes(corrected, nsym).some(value => value !== 0)) {
+            throw uncorrectable('错误过多，无法纠正');
+        }
+
+        return { codeword: Uint8Array.from(corrected), errors: positions.sort((a, b) => a - b) };
+    }
+
+    /**
+     * 分块生成校验字节
+     * @param {Uint8Array} data - 数据
+     * @param {number} nsym - 每块的校验字节数
+     * @returns {Uint8Array} 各块校验字节依次拼接
+     */
+    static encodeBlocks(data, nsym) {
+        const blockSize = MAX_CODEWORD - nsym;
+        const blocks = ReedSolomon.blockCount(data.length, nsym);
+        const parity = new Uint8Array(blocks * nsym);
+
+        for (let b = 0; b < blocks; b++) {
+            const block = data.subarray(b * blockSize, (b + 1) * blockSize);
+            parity.set(ReedSolomon.encode(block, nsym), b * nsym);
+        }
+
+        return parity;
+    }
+
+    /**
+     * 分块纠错
+     * @param {Uint8Array} data - 数据
+     * @param {Uint8Array} parity - encodeBlocks 生成的校验字节
+     * @param {number} nsym - 每块的校验字节数
+     * @returns {Object} { data, parity, dataErrors, parityErrors }，后两者为被纠正的下标
+     */
+    static decodeBlocks(data, parity, nsym) {
+        const blockSize = MAX_CODEWORD - nsym;
+        const blocks = ReedSolomon.blockCount(data.length, nsym);
+        if (parity.length !== blocks * nsym) {
+            throw new OI1InputError('INVALID_INPUT', `纠错码长度不正确，期望 ${blocks * nsym} 字节，实际 ${parity.length} 字节`, {
+                expected: `${blocks * nsym} bytes`
+            });
+        }
+
+        const correctedData = new Uint8Array(data);
+        const correctedParity = new Uint8Array(parity);
+        const dataErrors = [];
+        const parityErrors = [];
+
+        for (let b = 0; b < blocks; b++) {
+            const dataStart = b * blockSize;
+            const block = data.subarray(dataStart, dataStart + blockSize);
+            const codeword = new Uint8Array(block.length + nsym);
+            codeword.set(block, 0);
+            codeword.set(parity.subarray(b * nsym, (b + 1) * nsym), block.length);
+
+            const result = ReedSolomon.decode(codeword, nsym);
+            if (result.errors.length === 0) continue;
+
+            correctedData.set(result.codeword.subarray(0, block.length), dataStart);
+            correctedParity.set(result.codeword.subarray(block.length), b * nsym);
+            for (const position of result.errors) {
+                if (position < block.length) {
+                    dataErrors.push(dataStart + position);
+                } else {
+                    parityErrors.push(b * nsym + position - block.length);
+                }
+            }
+        }
+
+        return { data: correctedData, parity: correctedParity, dataErrors, parityErrors };
+    }
+
+    /**
+     * 计算伴随式（首项补0）
+     * @private
+     */
+    static _syndromes(message, nsym) {
+        const syndromes = [0];
+        for (let i = 0; i < nsym; i++) {
+            syndromes.push(polyEval(message, gfPow(2, i)));
+        }
+        return syndromes;
+    }
+
+    /**
+     * Berlekamp–Massey 算法求错误位置多项式
+     * @private
+     */
+    static _findErrorLocator(syndromes, nsym) {
+        let locator = [1];
+        let previous = [1];
+        const shift = syndromes.length - nsym;
+
+        for (let i = 0; i < nsym; i++) {
+            const k = i + shift;
+            let delta = syndromes[k];
+            for (let j = 1; j < locator.length; j++) {
+                delta ^= gfMul(locator[locator.length - 1 - j], syndromes[k - j]);
+            }
+
+            previous = previous.concat([0]);
+            if (delta !== 0) {
+                if (previous.length > locator.length) {
+                    const next = polyScale(previous, delta);
+                    previous = polyScale(locator, gfInverse(delta));
+                    locator = next;
+                }
+                locator = polyAdd(locator, polyScale(previous, delta));
+            }
+        }
+
+        while (locator.length && locator[0] === 0) {
+            locator.shift();
+        }
+
+        if ((locator.length - 1) * 2 > nsym) {
+            throw uncorrectable('错误过多，无法纠正');
+        }
+        return locator;
+    }
+
+    /**
+     * Chien 搜索求错误位置
+     * @private
+     */
+    static _findErrors(locator, length) {
+        const count = locator.length - 1;
+        const positions = [];
+        for (let i = 0; i < length; i++) {
+            if (polyEval(locator, gfPow(2, i)) === 0) {
+                positions.push(length - 1 - i);
+            }
+        }
+
+        if (positions.length !== count) {
+            throw uncorrectable('错误过多，无法定位');
+        }
+        return positions;
+    }
+
+    /**
+     * Forney 算法求错误值并修正
+     * @private
+     */
+    static _correctErrata(message, syndromes, positions) {
+        const coefPositions = positions.map(p => message.length - 1 - p);
+
+        let errataLocator = [1];
+        for (const position of coefPositions) {
+            errataLocator = polyMul(errataLocator, polyAdd([1], [gfPow(2, position), 0]));
+        }
+
+        // 错误值多项式：伴随式与位置多项式之积对 x^(n+1) 取余
+        const product = polyMul(syndromes.slice().reverse(), errataLocator);
+        const evaluator = product.slice(product.length - errataLocator.length);
+
+        const roots = coefPositions.map(position => gfPow(2, position - 255));
+        const magnitudes = new Array(message.length).fill(0);
+
+        roots.forEach((root, i) => {
+            const rootInverse = gfInverse(root);
+
+            let derivative = 1;
+            roots.forEach((other, j) => {
+                if (j !== i) {
+                    derivative = gfMul(derivative, 1 ^ gfMul(rootInverse, other));
+                }
+            });
+            if (derivative === 0) {
+                throw uncorrectable('无法求出错误值');
+            }
+
+            const y = gfMul(root, polyEval(evaluator, rootInverse));
+            magnitudes[positions[i]] = gfDiv(y, derivative);
+        });
+
+        return polyAdd(message, magnitudes);
+    }
+}
@@ -0,0 +1,157 @@
+/**
+ * SHA-256 与 HMAC-SHA256
+ * 纯 JavaScript 同步实现：同步的 encode / decode 也要能生成和校验认证标签，
+ * 而 WebCrypto 只提供异步接口
+ */
+
+import { OI1InputError } from './errors.js';
+
+// 轮常数：前64个质数立方根的小数部分
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// 初始哈希值：前8个质数平方根的小数部分
+const H0 = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+// HMAC 的分组大小（字节）
+const BLOCK_SIZE = 64;
+
+function rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * 将字符串按 UTF-8 转换为字节，字节数组原样返回
+ * @param {string|Uint8Array} data - 数据
+ * @returns {Uint8Array} 字节数组
+ */
+function toBytes(data) {
+    if (typeof data === 'string') {
+        return new TextEncoder().encode(data);
+    }
+    if (!(data instanceof Uint8Array)) {
+        throw new OI1InputError('INVALID_INPUT', '输入必须是字符串或 Uint8Array', { expected: 'string|Uint8Array' });
+    }
+    return data;
+}
+
+/**
+ * SHA-256 哈希与 HMAC
+ */
+export class SHA256 {
+    /**
+     * 计算 SHA-256 摘要
+     * @param {string|Uint8Array} data - 数据（字符串按 UTF-8 编码）
+     * @returns {Uint8Array} 32字节摘要
+     */
+    static digest(data) {
+        const bytes = toBytes(data);
+
+        // 补位：0x80，若干个0，最后8字节为消息位数（大端）
+        const blocks = Math.ceil((bytes.length + 9) / BLOCK_SIZE);
+        const padded = new Uint8Array(blocks * BLOCK_SIZE);
+        padded.set(bytes, 0);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(padded.length - 8, Math.floor(bytes.length / 0x20000000), false);
+        view.setUint32(padded.length - 4, (bytes.length * 8) >>> 0, false);
+
+        const hash = H0.slice();
+        const w = new Uint32Array(64);
+
+        for (let offset = 0; offset < padded.length; offset += BLOCK_SIZE) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4, false);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const temp1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const temp2 = (S0 + maj) >>> 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + temp1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (temp1 + temp2) >>> 0;
+            }
+
+            hash[0] = (hash[0] + a) >>> 0;
+            hash[1] = (hash[1] + b) >>> 0;
+            hash[2] = (hash[2] + c) >>> 0;
+            hash[3] = (hash[3] + d) >>> 0;
+            hash[4] = (hash[4] + e) >>> 0;
+            hash[5] = (hash[5] + f) >>> 0;
+            hash[6] = (hash[6] + g) >>> 0;
+            hash[7] = (hash[7] + h) >>> 0;
+        }
+
+        const digest = new Uint8Array(32);
+        const digestView = new DataView(digest.buffer);
+        hash.forEach((word, i) => digestView.setUint32(i * 4, word, false));
+        return digest;
+    }
+
+    /**
+     * 计算 HMAC-SHA256（RFC 2104）
+     * @param {string|Uint8Array} key - 密钥（字符串按 UTF-8 编码）
+     * @param {string|Uint8Array} data - 数据
+     * @returns {Uint8Array} 32字节认证码
+     */
+    static hmac(key, data) {
+        let keyBytes = toBytes(key);
+        if (keyBytes.length > BLOCK_SIZE) {
+            keyBytes = SHA256.digest(keyBytes);
+        }
+
+        const message = toBytes(data);
+        const inner = new Uint8Array(BLOCK_SIZE + message.length);
+        const outer = new Uint8Array(BLOCK_SIZE + 32);
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            const byte = i < keyBytes.length ? keyBytes[i] : 0;
+            inner[i] = byte ^ 0x36;
+            outer[i] = byte ^ 0x5c;
+        }
+        inner.set(message, BLOCK_SIZE);
+        outer.set(SHA256.digest(inner), BLOCK_SIZE);
+
+        return SHA256.digest(outer);
+    }
+
+    /**
+     * 以固定耗时比较两段字节，避免通过比较耗时推测认证标签
+     * @param {Uint8Array} a - 字节数组
+     * @param {Uint8Array} b - 字节数组
+     * @returns {boolean} 是否相同
+     */
+    static equal(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) {
+            diff |= a[i] ^ b[i];
+        }
+        return diff === 0;
+    }
+}
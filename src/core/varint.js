@@ -0,0 +1,39 @@
+/**
+ * LEB128 变长整数编码
+ * 用于 v3 头部和载荷内各个字段的长度前缀
+ */
+
+/**
+ * 将非负整数编码为 LEB128 变长字节
+ * @param {number} value - 非负整数（最大 2^32-1）
+ * @returns {number[]} 字节数组
+ */
+export function writeVarint(value) {
+    const bytes = [];
+    let remaining = value >>> 0;
+    do {
+        let byte = remaining & 0x7F;
+        remaining = remaining >>> 7;
+        if (remaining) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining);
+    return bytes;
+}
+
+/**
+ * 读取 LEB128 变长整数
+ * @param {Uint8Array|number[]} bytes - 字节数组
+ * @param {number} offset - 起始位置
+ * @returns {Object|null} { value, next }；数据不完整或超过32位时返回 null
+ */
+export function readVarint(bytes, offset) {
+    let value = 0;
+    for (let i = 0; i < 5 && offset + i < bytes.length; i++) {
+        const byte = bytes[offset + i];
+        value += (byte & 0x7F) * Math.pow(2, 7 * i);
+        if (!(byte & 0x80)) {
+            return value > 0xFFFFFFFF ? null : { value, next: offset + i + 1 };
+        }
+    }
+    return null;
+}
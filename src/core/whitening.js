@@ -0,0 +1,128 @@
+/**
+ * 载荷白化
+ * ASCII 文本每个字节的最高两位几乎固定，映射成 O0Il 后字符分布明显不均匀，重复内容还会形成重复图案。
+ * 白化把载荷与种子派生的密钥流逐字节异或，使载荷字节看起来均匀随机；种子写在白化后载荷的开头，解码时据此还原。
+ * 种子默认由载荷派生，相同原文得到相同密文；随机种子可以让相同原文每次得到不同的密文，旁观者看不出重复的消息。
+ * 任何人都能由种子重算密钥流，这不是加密，需要保密时应设置密码
+ */
+
+import { SHA256 } from './sha256.js';
+import { OI1Error, OI1InputError, OI1PayloadError } from './errors.js';
+
+// 种子字节数，写在白化后载荷的开头
+const SEED_BYTES = 8;
+
+// SHA-256 计数器模式每块产生的密钥流字节数
+const BLOCK_BYTES = 32;
+
+/**
+ * 载荷白化与还原
+ */
+export class PayloadWhitening {
+    /**
+     * 白化载荷
+     * @param {Uint8Array} payload - 载荷字节
+     * @param {Uint8Array} [seed] - 8字节种子；默认取载荷 SHA-256 摘要的前8字节，相同载荷得到相同结果
+     * @returns {Uint8Array} 种子 + 白化后的载荷
+     */
+    static whiten(payload, seed = PayloadWhitening.deriveSeed(payload)) {
+        if (!(seed instanceof Uint8Array) || seed.length !== SEED_BYTES) {
+            throw new OI1InputError('INVALID_OPTION', `白化种子必须是 ${SEED_BYTES} 字节的 Uint8Array`, { option: 'seed' });
+        }
+
+        const output = new Uint8Array(SEED_BYTES + payload.length);
+        output.set(seed, 0);
+        output.set(payload, SEED_BYTES);
+        PayloadWhitening._xorKeystream(output.subarray(SEED_BYTES), seed);
+        return output;
+    }
+
+    /**
+     * 还原白化的载荷
+     * @param {Uint8Array} whitened - 种子 + 白化后的载荷
+     * @returns {Uint8Array} 原载荷
+     */
+    static unwhiten(whitened) {
+        if (whitened.length < SEED_BYTES) {
+            throw new OI1PayloadError('INVALID_WHITENING', '白化载荷过短，缺少种子');
+        }
+
+        const seed = whitened.subarray(0, SEED_BYTES);
+        const payload = whitened.slice(SEED_BYTES);
+        PayloadWhitening._xorKeystream(payload, seed);
+        return payload;
+    }
+
+    /**
+     * 由载荷派生确定的种子
+     * @param {Uint8Array} payload - 载荷字节
+     * @returns {Uint8Array} 8字节种子
+     */
+    static deriveSeed(payload) {
+        return SHA256.digest(payload).slice(0, SEED_BYTES);
+    }
+
+    /**
+     * 生成随机种子
+     * @returns {Uint8Array} 8字节随机种子
+     */
+    static randomSeed() {
+        if (typeof globalThis.crypto === 'undefined' || typeof globalThis.crypto.getRandomValues !== 'function') {
+            throw new OI1Error('UNSUPPORTED_ENVIRONMENT', '当前环境不支持 crypto.getRandomValues，无法生成随机种子', {
+                feature: 'crypto.getRandomValues'
+            });
+        }
+        return globalThis.crypto.getRandomValues(new Uint8Array(SEED_BYTES));
+    }
+
+    /**
+     * 读取白化载荷开头的种子
+     * @param {Uint8Array} whitened - 种子 + 白化后的载荷
+     * @returns {Uint8Array} 8字节种子
+     */
+    static readSeed(whitened) {
+        if (whitened.length < SEED_BYTES) {
+            throw new OI1PayloadError('INVALID_WHITENING', '白化载荷过短，缺少种子');
+        }
+        return whitened.slice(0, SEED_BYTES);
+    }
+
+    /**
+     * 生成密钥流
+     * @param {Uint8Array} seed - 8字节种子
+     * @param {number} length - 字节数
+     * @returns {Uint8Array} 密钥流
+     */
+    static keystream(seed, length) {
+        const stream = new Uint8Array(length);
+        PayloadWhitening._xorKeystream(stream, seed);
+        return stream;
+    }
+
+    /**
+     * 将数据原地与密钥流异或
+     * 密钥流为 SHA-256(种子 || 块序号) 依次拼接，块序号为4字节大端整数
+     * @param {Uint8Array} data - 数据，原地修改
+     * @param {Uint8Array} seed - 种子
+     * @private
+     */
+    static _xorKeystream(data, seed) {
+        const input = new Uint8Array(SEED_BYTES + 4);
+        const view = new DataView(input.buffer);
+        input.set(seed, 0);
+
+        for (let offset = 0, counter = 0; offset < data.length; offset += BLOCK_BYTES, counter++) {
+            view.setUint32(SEED_BYTES, counter, false);
+            const block = SHA256.digest(input);
+            const end = Math.min(BLOCK_BYTES, data.length - offset);
+            for (let i = 0; i < end; i++) {
+                data[offset + i] ^= block[i];
+            }
+        }
+    }
+}
+
+// 白化给载荷增加的字节数
+const WHITENING_OVERHEAD = SEED_BYTES;
+
+export { WHITENING_OVERHEAD };
@@ -0,0 +1,605 @@
+/**
+ * oi1 压缩模块
+ * 生成和解析 zlib（RFC 1950/1951）格式的数据，与浏览器 CompressionStream('deflate') 互通
+ * 纯 JS 实现用于同步接口和不支持 CompressionStream 的环境
+ */
+
+import { OI1Error, OI1PayloadError } from './errors.js';
+
+// 长度码 257-285 对应的基础长度和额外位数
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// 距离码 0-29 对应的基础距离和额外位数
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// 动态哈夫曼块中码长码表的传输顺序
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// LZ77 参数
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64;
+const HASH_SIZE = 1 << 15;
+
+/**
+ * 生成压缩数据损坏的错误
+ * @param {string} message - 错误说明
+ * @returns {OI1PayloadError} 错误对象
+ */
+function corrupted(message) {
+    return new OI1PayloadError('INVALID_COMPRESSION', message, { reason: message });
+}
+
+/**
+ * 生成解压结果超过大小限制的错误
+ * @param {number} limit - 解压结果的最大字节数
+ * @returns {OI1PayloadError} 错误对象
+ */
+function tooLarge(limit) {
+    return new OI1PayloadError('DECOMPRESSED_TOO_LARGE', `解压结果超过 ${limit} 字节`, { limit });
+}
+
+/**
+ * zlib 压缩与解压
+ */
+export class ZlibCodec {
+    /**
+     * 检查当前环境是否支持原生 CompressionStream
+     * @returns {boolean} 是否支持
+     */
+    static isNativeSupported() {
+        return typeof globalThis.CompressionStream === 'function' &&
+            typeof globalThis.DecompressionStream === 'function';
+    }
+
+    /**
+     * 同步压缩（LZ77 + 固定哈夫曼编码）
+     * @param {Uint8Array} bytes - 原始字节
+     * @returns {Uint8Array} zlib 数据
+     */
+    static compress(bytes) {
+        const writer = new BitWriter(bytes.length / 2 + 16);
+
+        // zlib 头部：CM=8（deflate），CINFO=7（32K 窗口），FLEVEL=0
+        writer.writeByte(0x78);
+        writer.writeByte(0x01);
+
+        // 单个最终块，BTYPE=01（固定哈夫曼）
+        writer.writeBits(1, 1);
+        writer.writeBits(1, 2);
+        ZlibCodec._writeFixedBlock(writer, bytes);
+        writer.writeFixedSymbol(256);
+        writer.alignToByte();
+
+        const adler = ZlibCodec.adler32(bytes);
+        writer.writeByte((adler >>> 24) & 0xFF);
+        writer.writeByte((adler >>> 16) & 0xFF);
+        writer.writeByte((adler >>> 8) & 0xFF);
+        writer.writeByte(adler & 0xFF);
+
+        return writer.finish();
+    }
+
+    /**
+     * 同步解压，支持存储块、固定哈夫曼块和动态哈夫曼块
+     * @param {Uint8Array} data - zlib 数据
+     * @param {number} [limit=Infinity] - 解压结果的最大字节数，超过时立即停止并抛出 DECOMPRESSED_TOO_LARGE
+     * @returns {Uint8Array} 原始字节
+     */
+    static decompress(data, limit = Infinity) {
+        if (data.length < 6) {
+            throw corrupted('压缩数据长度不足');
+        }
+
+        const cmf = data[0];
+        const flg = data[1];
+        if ((cmf & 0x0F) !== 8 || ((cmf << 8) | flg) % 31 !== 0 || (flg & 0x20)) {
+            throw corrupted('无效的 zlib 头部');
+        }
+
+        const reader = new BitReader(data, 2);
+        const output = new ByteBuffer(Math.min(data.length * 4, limit), limit);
+
+        let isFinal = 0;
+        while (!isFinal) {
+            isFinal = reader.readBits(1);
+            const type = reader.readBits(2);
+
+            if (type === 0) {
+                ZlibCodec._inflateStored(reader, output);
+            } else if (type === 1) {
+                ZlibCodec._inflateHuffman(reader, output, FIXED_TABLES.literal, FIXED_TABLES.distance);
+            } else if (type === 2) {
+                const tables = ZlibCodec._readDynamicTables(reader);
+                ZlibCodec._inflateHuffman(reader, output, tables.literal, tables.distance);
+            } else {
+                throw corrupted('无效的 deflate 块类型');
+            }
+        }
+
+        const result = output.finish();
+        const offset = reader.alignedOffset();
+        if (offset + 4 > data.length) {
+            throw corrupted('压缩数据缺少 Adler-32 校验');
+        }
+
+        const expected = ((data[offset] << 24) | (data[offset + 1] << 16) | (data[offset + 2] << 8) | data[offset + 3]) >>> 0;
+        if (ZlibCodec.adler32(result) !== expected) {
+            throw corrupted('Adler-32 校验失败，压缩数据已损坏');
+        }
+
+        return result;
+    }
+
+    /**
+     * 异步压缩：优先使用原生 CompressionStream，不支持时回退到纯 JS 实现
+     * @param {Uint8Array} bytes - 原始字节
+     * @returns {Promise<Uint8Array>} zlib 数据
+     */
+    static async compressAsync(bytes) {
+        if (!ZlibCodec.isNativeSupported()) {
+            return ZlibCodec.compress(bytes);
+        }
+        return ZlibCodec._pipe(bytes, new globalThis.CompressionStream('deflate'));
+    }
+
+    /**
+     * 异步解压：优先使用原生 DecompressionStream，不支持时回退到纯 JS 实现
+     * @param {Uint8Array} data - zlib 数据
+     * @param {number} [limit=Infinity] - 解压结果的最大字节数，同 decompress
+     * @returns {Promise<Uint8Array>} 原始字节
+     */
+    static async decompressAsync(data, limit = Infinity) {
+        if (!ZlibCodec.isNativeSupported()) {
+            return ZlibCodec.decompress(data, limit);
+        }
+
+        try {
+            return await ZlibCodec._pipe(data, new globalThis.DecompressionStream('deflate'), limit);
+        } catch (error) {
+            if (error instanceof OI1Error) {
+                throw error;
+            }
+            throw corrupted(`解压失败，压缩数据已损坏: ${error.message}`);
+        }
+    }
+
+    /**
+     * 计算 Adler-32 校验和
+     * @param {Uint8Array} bytes - 字节数组
+     * @returns {number} Adler-32 值（无符号32位整数）
+     */
+    static adler32(bytes) {
+        let a = 1;
+        let b = 0;
+
+        // 每 5552 字节取一次模，避免中间结果溢出
+        for (let i = 0; i < bytes.length;) {
+            const end = Math.min(i + 5552, bytes.length);
+            for (; i < end; i++) {
+                a += bytes[i];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+
+        return ((b << 16) | a) >>> 0;
+    }
+
+    /**
+     * 将字节数据通过原生流转换，输出超过限制时取消转换
+     * @param {Uint8Array} bytes - 输入字节
+     * @param {TransformStream} transform - CompressionStream 或 DecompressionStream
+     * @param {number} [limit=Infinity] - 输出的最大字节数
+     * @returns {Promise<Uint8Array>} 输出字节
+     * @private
+     */
+    static async _pipe(bytes, transform, limit = Infinity) {
+        const reader = new Blob([bytes]).stream().pipeThrough(transform).getReader();
+        const output = new ByteBuffer(bytes.length * 2, limit);
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    return output.finish();
+                }
+                output.pushBytes(value);
+            }
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * 使用 LZ77 哈希链查找匹配，并以固定哈夫曼编码写出
+     * @param {BitWriter} writer - 位写入器
+     * @param {Uint8Array} bytes - 原始字节
+     * @private
+     */
+    static _writeFixedBlock(writer, bytes) {
+        const head = new Int32Array(HASH_SIZE).fill(-1);
+        const prev = new Int32Array(WINDOW_SIZE);
+        const hashAt = (i) => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & (HASH_SIZE - 1);
+        const insert = (i) => {
+            const hash = hashAt(i);
+            prev[i & (WINDOW_SIZE - 1)] = head[hash];
+            head[hash] = i;
+        };
+
+        let i = 0;
+        while (i < bytes.length) {
+            let bestLength = 0;
+            let bestDistance = 0;
+
+            if (i + MIN_MATCH <= bytes.length) {
+                const maxLength = Math.min(MAX_MATCH, bytes.length - i);
+                let candidate = head[hashAt(i)];
+                let chain = MAX_CHAIN;
+
+                while (candidate >= 0 && i - candidate <= WINDOW_SIZE && chain-- > 0) {
+                    let length = 0;
+                    while (length < maxLength && bytes[candidate + length] === bytes[i + length]) {
+                        length++;
+                    }
+                    if (length > bestLength) {
+                        bestLength = length;
+                        bestDistance = i - candidate;
+                        if (length === maxLength) break;
+                    }
+                    candidate = prev[candidate & (WINDOW_SIZE - 1)];
+                }
+            }
+
+            if (bestLength >= MIN_MATCH) {
+                writer.writeLengthDistance(bestLength, bestDistance);
+                const end = i + bestLength;
+                for (; i < end; i++) {
+                    if (i + MIN_MATCH <= bytes.length) insert(i);
+                }
+            } else {
+                writer.writeFixedSymbol(bytes[i]);
+                if (i + MIN_MATCH <= bytes.length) insert(i);
+                i++;
+            }
+        }
+    }
+
+    /**
+     * 解压存储块
+     * @param {BitReader} reader - 位读取器
+     * @param {ByteBuffer} output - 输出缓冲区
+     * @private
+     */
+    static _inflateStored(reader, output) {
+        let offset = reader.alignedOffset();
+        const data = reader.data;
+        if (offset + 4 > data.length) {
+            throw corrupted('存储块长度信息不完整');
+        }
+
+        const length = data[offset] | (data[offset + 1] << 8);
+        const inverse = data[offset + 2] | (data[offset + 3] << 8);
+        if ((length ^ 0xFFFF) !== inverse) {
+            throw corrupted('存储块长度校验失败');
+        }
+
+        offset += 4;
+        if (offset + length > data.length) {
+            throw corrupted('存储块数据不完整');
+        }
+
+        output.pushBytes(data.subarray(offset, offset + length));
+        reader.seek(offset + length);
+    }
+
+    /**
+     * 使用给定哈夫曼表解压一个块
+     * @param {BitReader} reader - 位读取器
+     * @param {ByteBuffer} output - 输出缓冲区
+     * @param {Object} literalTable - 字面量/长度码表
+     * @param {Object} distanceTable - 距离码表
+     * @private
+     */
+    static _inflateHuffman(reader, output, literalTable, distanceTable) {
+        for (;;) {
+            const symbol = reader.readSymbol(literalTable);
+
+            if (symbol < 256) {
+                output.push(symbol);
+            } else if (symbol === 256) {
+                return;
+            } else {
+                const lengthIndex = symbol - 257;
+                if (lengthIndex >= LENGTH_BASE.length) {
+                    throw corrupted('无效的长度码');
+                }
+                const length = LENGTH_BASE[lengthIndex] + reader.readBits(LENGTH_EXTRA[lengthIndex]);
+
+                const distanceIndex = reader.readSymbol(distanceTable);
+                if (distanceIndex >= DIST_BASE.length) {
+                    throw corrupted('无效的距离码');
+                }
+                const distance = DIST_BASE[distanceIndex] + reader.readBits(DIST_EXTRA[distanceIndex]);
+                if (distance > output.length) {
+                    throw corrupted('回溯距离超出已解压数据');
+                }
+
+                output.copyWithin(distance, length);
+            }
+        }
+    }
+
+    /**
+     * 读取动态哈夫曼块的码表
+     * @param {BitReader} reader - 位读取器
+     * @returns {Object} { literal, distance }
+     * @private
+     */
+    static _readDynamicTables(reader) {
+        const literalCount = reader.readBits(5) + 257;
+        const distanceCount = reader.readBits(5) + 1;
+        const codeLengthCount = reader.readBits(4) + 4;
+
+        const codeLengthLengths = new Array(19).fill(0);
+        for (let i = 0; i < codeLengthCount; i++) {
+            codeLengthLengths[CODE_LENGTH_ORDER[i]] = reader.readBits(3);
+        }
+        const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+        const lengths = [];
+        while (lengths.length < literalCount + distanceCount) {
+            const symbol = reader.readSymbol(codeLengthTable);
+
+            if (symbol < 16) {
+                lengths.push(symbol);
+            } else if (symbol === 16) {
+                if (lengths.length === 0) {
+                    throw corrupted('重复码长缺少前值');
+                }
+                const last = lengths[lengths.length - 1];
+                for (let n = 3 + reader.readBits(2); n > 0; n--) lengths.push(last);
+            } else if (symbol === 17) {
+                for (let n = 3 + reader.readBits(3); n > 0; n--) lengths.push(0);
+            } else {
+                for (let n = 11 + reader.readBits(7); n > 0; n--) lengths.push(0);
+            }
+        }
+
+        if (lengths.length > literalCount + distanceCount) {
+            throw corrupted('码长数量超出声明');
+        }
+
+        return {
+            literal: buildHuffmanTable(lengths.slice(0, literalCount)),
+            distance: buildHuffmanTable(lengths.slice(literalCount))
+        };
+    }
+}
+
+/**
+ * 根据码长构建规范哈夫曼解码表
+ * @param {number[]} lengths - 每个符号的码长
+ * @returns {Object} { counts, symbols }
+ */
+function buildHuffmanTable(lengths) {
+    const counts = new Uint16Array(16);
+    for (const length of lengths) {
+        counts[length]++;
+    }
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let i = 1; i < 16; i++) {
+        offsets[i] = offsets[i - 1] + counts[i - 1];
+    }
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let symbol = 0; symbol < lengths.length; symbol++) {
+        if (lengths[symbol]) {
+            symbols[offsets[lengths[symbol]]++] = symbol;
+        }
+    }
+
+    return { counts, symbols };
+}
+
+// 固定哈夫曼码表（RFC 1951 3.2.6）
+const FIXED_TABLES = (() => {
+    const literalLengths = [];
+    for (let i = 0; i < 288; i++) {
+        literalLengths.push(i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8);
+    }
+    return {
+        literal: buildHuffmanTable(literalLengths),
+        distance: buildHuffmanTable(new Array(30).fill(5))
+    };
+})();
+
+/**
+ * 按 deflate 规则（低位优先）读取比特
+ */
+class BitReader {
+    constructor(data, offset) {
+        this.data = data;
+        this.offset = offset;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    readBits(count) {
+        while (this.bitCount < count) {
+            if (this.offset >= this.data.length) {
+                throw corrupted('压缩数据意外结束');
+            }
+            this.bitBuffer |= this.data[this.offset++] << this.bitCount;
+            this.bitCount += 8;
+        }
+
+        const value = this.bitBuffer & ((1 << count) - 1);
+        this.bitBuffer >>>= count;
+        this.bitCount -= count;
+        return value;
+    }
+
+    readSymbol(table) {
+        // 规范哈夫曼码逐位解码（码字高位先出现在比特流中）
+        let code = 0;
+        let first = 0;
+        let index = 0;
+
+        for (let length = 1; length < 16; length++) {
+            code |= this.readBits(1);
+            const count = table.counts[length];
+            if (code - first < count) {
+                return table.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw corrupted('无效的哈夫曼编码');
+    }
+
+    alignedOffset() {
+        // 丢弃当前字节剩余的比特，返回下一个完整字节的位置
+        const unusedBytes = this.bitCount >>> 3;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+        this.offset -= unusedBytes;
+        return this.offset;
+    }
+
+    seek(offset) {
+        this.offset = offset;
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+}
+
+/**
+ * 按 deflate 规则（低位优先）写入比特
+ */
+class BitWriter {
+    constructor(initialSize) {
+        this.buffer = new ByteBuffer(initialSize);
+        this.bitBuffer = 0;
+        this.bitCount = 0;
+    }
+
+    writeBits(value, count) {
+        this.bitBuffer |= value << this.bitCount;
+        this.bitCount += count;
+        while (this.bitCount >= 8) {
+            this.buffer.push(this.bitBuffer & 0xFF);
+            this.bitBuffer >>>= 8;
+            this.bitCount -= 8;
+        }
+    }
+
+    writeByte(byte) {
+        this.writeBits(byte, 8);
+    }
+
+    /**
+     * 写入哈夫曼码字（码字需按高位优先写入，因此先反转比特顺序）
+     */
+    writeCode(code, length) {
+        let reversed = 0;
+        for (let i = 0; i < length; i++) {
+            reversed = (reversed << 1) | ((code >>> i) & 1);
+        }
+        this.writeBits(reversed, length);
+    }
+
+    /**
+     * 写入固定哈夫曼编码的字面量/长度符号
+     */
+    writeFixedSymbol(symbol) {
+        if (symbol < 144) {
+            this.writeCode(0x30 + symbol, 8);
+        } else if (symbol < 256) {
+            this.writeCode(0x190 + symbol - 144, 9);
+        } else if (symbol < 280) {
+            this.writeCode(symbol - 256, 7);
+        } else {
+            this.writeCode(0xC0 + symbol - 280, 8);
+        }
+    }
+
+    writeLengthDistance(length, distance) {
+        let lengthIndex = LENGTH_BASE.length - 1;
+        while (LENGTH_BASE[lengthIndex] > length) lengthIndex--;
+        this.writeFixedSymbol(257 + lengthIndex);
+        this.writeBits(length - LENGTH_BASE[lengthIndex], LENGTH_EXTRA[lengthIndex]);
+
+        let distanceIndex = DIST_BASE.length - 1;
+        while (DIST_BASE[distanceIndex] > distance) distanceIndex--;
+        this.writeCode(distanceIndex, 5);
+        this.writeBits(distance - DIST_BASE[distanceIndex], DIST_EXTRA[distanceIndex]);
+    }
+
+    alignToByte() {
+        if (this.bitCount > 0) {
+            this.writeBits(0, 8 - this.bitCount);
+        }
+    }
+
+    finish() {
+        return this.buffer.finish();
+    }
+}
+
+/**
+ * 自动扩容的字节缓冲区，可限制最大长度
+ */
+class ByteBuffer {
+    constructor(initialSize, limit = Infinity) {
+        this.bytes = new Uint8Array(Math.max(64, Math.ceil(initialSize)));
+        this.length = 0;
+        this.limit = limit;
+    }
+
+    ensure(extra) {
+        if (this.length + extra > this.limit) {
+            throw tooLarge(this.limit);
+        }
+        if (this.length + extra <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    push(byte) {
+        this.ensure(1);
+        this.bytes[this.length++] = byte;
+    }
+
+    pushBytes(bytes) {
+        this.ensure(bytes.length);
+        this.bytes.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    /**
+     * 复制回溯数据（允许重叠，逐字节复制）
+     */
+    copyWithin(distance, length) {
+        this.ensure(length);
+        let from = this.length - distance;
+        for (let i = 0; i < length; i++) {
+            this.bytes[this.length++] = this.bytes[from++];
+        }
+    }
+
+    finish() {
+        return this.bytes.slice(0, this.length);
+    }
+}
@@ -29,8 +29,8 @@ class I18nManager {
      * @returns {string} 语言代码
      */
     detectLanguage() {
-        // 优先从localStorage读取用户设置
-        const savedLang = localStorage.getItem('oi1-language');
+        // 优先从localStorage读取用户设置（Web Worker 中没有 localStorage）
+        const savedLang = typeof localStorage !== 'undefined' ? localStorage.getItem('oi1-language') : null;
         if (savedLang && this.languages[savedLang]) {
             return savedLang;
         }
@@ -82,6 +82,22 @@ class I18nManager {
         return this.interpolate(value, params);
     }
 
+    /**
+     * 判断当前语言是否有某个翻译键
+     * @param {string} key - 翻译键，支持点分隔的嵌套路径
+     * @returns {boolean} 是否存在
+     */
+    has(key) {
+        let value = this.currentMessages;
+        for (const k of key.split('.')) {
+            if (!value || typeof value !== 'object' || !(k in value)) {
+                return false;
+            }
+            value = value[k];
+        }
+        return true;
+    }
+
     /**
      * 字符串插值
      * @param {string} template - 模板字符串
@@ -107,6 +123,11 @@ class I18nManager {
         this.currentLang = langCode;
         this.currentMessages = this.languages[langCode];
         
+        // Web Worker 中只切换翻译文本，没有页面需要更新
+        if (typeof document === 'undefined') {
+            return;
+        }
+        
         // 保存到localStorage
         localStorage.setItem('oi1-language', langCode);
         
@@ -143,6 +164,10 @@ class I18nManager {
      * 应用当前语言到DOM
      */
     applyLanguage() {
+        if (typeof document === 'undefined') {
+            return;
+        }
+
         // 更新所有带有data-i18n属性的元素
         const elements = document.querySelectorAll('[data-i18n]');
         elements.forEach(element => {
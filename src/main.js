@@ -4,6 +4,11 @@
 
 import i18n from './i18n/index.js';
 import { OI1Encoder, OI1Decoder } from './core/oi1-algorithm.js';
+import { AlphabetRegistry } from './core/alphabets.js';
+import { ChecksumRegistry } from './core/checksums.js';
+import { OI1Multipart } from './core/multipart.js';
+import { OI1Batch } from './core/batch.js';
+import { OI1WorkerClient } from './workers/worker-client.js';
 import { ClipboardHelper } from './utils/clipboard.js';
 import { DemoViewer } from './components/demo-viewer.js';
 import { HelpModal } from './components/help-modal.js';
@@ -15,6 +20,7 @@ class OI1App {
     constructor() {
         this.encoder = new OI1Encoder();
         this.decoder = new OI1Decoder();
+        this.worker = new OI1WorkerClient();
         this.clipboard = new ClipboardHelper();
         this.demoViewer = new DemoViewer();
         this.helpModal = new HelpModal();
@@ -22,6 +28,17 @@ class OI1App {
         this.elements = {};
         this.isInitialized = false;
         
+        // 待加密的文件和解密得到的文件
+        this.selectedFile = null;
+        this.decodedFile = null;
+        
+        // CRC32 校验失败时的修复候选
+        this.repairCandidates = [];
+        
+        // 批量处理的输入文件名（用于识别格式和命名结果）和上一次的结果
+        this.batchFilename = '';
+        this.batchResult = null;
+        
         // 绑定方法上下文
         this.handleEncode = this.handleEncode.bind(this);
         this.handleDecode = this.handleDecode.bind(this);
@@ -61,7 +78,7 @@ class OI1App {
             
         } catch (error) {
             console.error('Failed to initialize oi1 App:', error);
-            this.showError('应用程序初始化失败', error.message);
+            this.showError('应用程序初始化失败', error);
         }
     }
 
@@ -74,6 +91,38 @@ class OI1App {
         this.elements.ciphertext = document.getElementById('ciphertext');
         this.elements.cipherInput = document.getElementById('cipherInput');
         this.elements.plaintextOutput = document.getElementById('plaintextOutput');
+        this.elements.encodePassword = document.getElementById('encodePassword');
+        this.elements.decodePassword = document.getElementById('decodePassword');
+        this.elements.compressToggle = document.getElementById('compressToggle');
+        this.elements.whitenToggle = document.getElementById('whitenToggle');
+        this.elements.randomizeToggle = document.getElementById('randomizeToggle');
+        this.elements.paddingSelect = document.getElementById('paddingSelect');
+        this.elements.encodeLabel = document.getElementById('encodeLabel');
+        this.elements.expirySelect = document.getElementById('expirySelect');
+        this.elements.alphabetSelect = document.getElementById('alphabetSelect');
+        this.elements.eccSelect = document.getElementById('eccSelect');
+        this.elements.integritySelect = document.getElementById('integritySelect');
+        this.elements.encodeIntegrityKey = document.getElementById('encodeIntegrityKey');
+        this.elements.decodeIntegrityKey = document.getElementById('decodeIntegrityKey');
+        this.elements.encodeMappingKey = document.getElementById('encodeMappingKey');
+        this.elements.decodeMappingKey = document.getElementById('decodeMappingKey');
+        this.elements.groupSizeInput = document.getElementById('groupSizeInput');
+        this.elements.lineWidthInput = document.getElementById('lineWidthInput');
+        this.elements.separatorSelect = document.getElementById('separatorSelect');
+        this.elements.maxPartLengthInput = document.getElementById('maxPartLengthInput');
+        this.elements.ignoreLayoutToggle = document.getElementById('ignoreLayoutToggle');
+        this.elements.multipartToggle = document.getElementById('multipartToggle');
+        this.elements.fileInput = document.getElementById('fileInput');
+        this.elements.selectedFile = document.getElementById('selectedFile');
+        this.elements.fileHint = document.getElementById('fileHint');
+        this.elements.batchInput = document.getElementById('batchInput');
+        this.elements.batchOutput = document.getElementById('batchOutput');
+        this.elements.batchFileInput = document.getElementById('batchFileInput');
+        this.elements.batchFileName = document.getElementById('batchFileName');
+        this.elements.batchFormatSelect = document.getElementById('batchFormatSelect');
+        this.elements.batchFieldsInput = document.getElementById('batchFieldsInput');
+        this.elements.batchDelimiterSelect = document.getElementById('batchDelimiterSelect');
+        this.elements.batchHeaderToggle = document.getElementById('batchHeaderToggle');
         
         // 按钮元素
         this.elements.encodeBtn = document.getElementById('encodeBtn');
@@ -84,19 +133,41 @@ class OI1App {
         this.elements.copyPlainBtn = document.getElementById('copyPlainBtn');
         this.elements.pasteBtn = document.getElementById('pasteBtn');
         this.elements.helpBtn = document.getElementById('helpBtn');
+        this.elements.chooseFileBtn = document.getElementById('chooseFileBtn');
+        this.elements.removeFileBtn = document.getElementById('removeFileBtn');
+        this.elements.downloadFileBtn = document.getElementById('downloadFileBtn');
+        this.elements.cancelTaskBtn = document.getElementById('cancelTaskBtn');
+        this.elements.chooseBatchFileBtn = document.getElementById('chooseBatchFileBtn');
+        this.elements.batchEncodeBtn = document.getElementById('batchEncodeBtn');
+        this.elements.batchDecodeBtn = document.getElementById('batchDecodeBtn');
+        this.elements.clearBatchBtn = document.getElementById('clearBatchBtn');
+        this.elements.copyBatchBtn = document.getElementById('copyBatchBtn');
+        this.elements.downloadBatchBtn = document.getElementById('downloadBatchBtn');
         
         // 控制元素
         this.elements.languageSelect = document.getElementById('languageSelect');
         
+        // 任务进度元素
+        this.elements.taskProgress = document.getElementById('taskProgress');
+        this.elements.taskProgressBar = document.getElementById('taskProgressBar');
+        this.elements.taskProgressText = document.getElementById('taskProgressText');
+        
         // 计数显示元素
         this.elements.plaintextCount = document.getElementById('plaintextCount');
         this.elements.ciphertextCount = document.getElementById('ciphertextCount');
         this.elements.cipherInputCount = document.getElementById('cipherInputCount');
         this.elements.plaintextOutputCount = document.getElementById('plaintextOutputCount');
+        this.elements.batchInputCount = document.getElementById('batchInputCount');
         
         // 状态显示元素
         this.elements.validationStatus = document.getElementById('validationStatus');
         this.elements.errorMessage = document.getElementById('errorMessage');
+        this.elements.repairSuggestions = document.getElementById('repairSuggestions');
+        this.elements.repairList = document.getElementById('repairList');
+        this.elements.metadataStrip = document.getElementById('metadataStrip');
+        this.elements.batchSummary = document.getElementById('batchSummary');
+        this.elements.batchErrors = document.getElementById('batchErrors');
+        this.elements.batchErrorList = document.getElementById('batchErrorList');
         
         // 演示相关元素
         this.elements.toggleDemo = document.getElementById('toggleDemo');
@@ -137,6 +208,17 @@ class OI1App {
         // 帮助按钮
         this.elements.helpBtn.addEventListener('click', () => this.helpModal.show());
         
+        // 文件选择、拖放和下载
+        this.bindFileListeners();
+        
+        // 批量处理
+        this.bindBatchListeners();
+        
+        // 取消后台任务
+        if (this.elements.cancelTaskBtn) {
+            this.elements.cancelTaskBtn.addEventListener('click', () => this.worker.cancel());
+        }
+        
         // 语言切换
         this.elements.languageSelect.addEventListener('change', this.handleLanguageChange);
         
@@ -144,6 +226,23 @@ class OI1App {
         this.elements.plaintext.addEventListener('input', this.handleInputChange);
         this.elements.cipherInput.addEventListener('input', this.handleCipherInputChange);
         
+        // 密文排版选项变化时重新排版输出，排版字符和多段消息选项变化时重新校验输入
+        for (const name of ['groupSizeInput', 'lineWidthInput', 'separatorSelect']) {
+            if (this.elements[name]) {
+                this.elements[name].addEventListener('change', () => this.handleLayoutChange());
+            }
+        }
+        for (const name of ['ignoreLayoutToggle', 'multipartToggle']) {
+            if (this.elements[name]) {
+                this.elements[name].addEventListener('change', this.handleCipherInputChange);
+            }
+        }
+        
+        // 只有需要密钥的完整性算法才显示共享密钥输入框
+        if (this.elements.integritySelect) {
+            this.elements.integritySelect.addEventListener('change', () => this.updateIntegrityKeyVisibility());
+        }
+        
         // 演示切换
         if (this.elements.toggleDemo) {
             this.elements.toggleDemo.addEventListener('click', () => this.toggleDemo());
@@ -156,6 +255,77 @@ class OI1App {
         window.addEventListener('languageChange', () => this.onLanguageChanged());
     }
 
+    /**
+     * 绑定文件相关的事件监听器
+     */
+    bindFileListeners() {
+        const { fileInput, chooseFileBtn, removeFileBtn, downloadFileBtn, plaintext } = this.elements;
+        
+        if (fileInput && chooseFileBtn) {
+            chooseFileBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.selectFile(fileInput.files[0]);
+                }
+                // 允许重复选择同一个文件
+                fileInput.value = '';
+            });
+        }
+        
+        if (removeFileBtn) {
+            removeFileBtn.addEventListener('click', () => this.selectFile(null));
+        }
+        
+        if (downloadFileBtn) {
+            downloadFileBtn.addEventListener('click', () => this.downloadDecodedFile());
+        }
+        
+        // 把文件拖放到原文输入框即可选择文件
+        plaintext.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files')) {
+                e.preventDefault();
+                plaintext.classList.add('drag-over');
+            }
+        });
+        plaintext.addEventListener('dragleave', () => plaintext.classList.remove('drag-over'));
+        plaintext.addEventListener('drop', (e) => {
+            plaintext.classList.remove('drag-over');
+            if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                e.preventDefault();
+                this.selectFile(e.dataTransfer.files[0]);
+            }
+        });
+    }
+
+    /**
+     * 绑定批量处理的事件监听器，页面没有批量面板时跳过
+     */
+    bindBatchListeners() {
+        const { batchInput, batchFileInput, chooseBatchFileBtn } = this.elements;
+        if (!batchInput) return;
+        
+        this.elements.batchEncodeBtn.addEventListener('click', () => this.handleBatch('encode'));
+        this.elements.batchDecodeBtn.addEventListener('click', () => this.handleBatch('decode'));
+        this.elements.clearBatchBtn.addEventListener('click', () => this.clearInput('batchInput'));
+        this.elements.copyBatchBtn.addEventListener('click', () => this.copyText('batchOutput'));
+        this.elements.downloadBatchBtn.addEventListener('click', () => this.downloadBatchResult());
+        
+        batchInput.addEventListener('input', () => {
+            this.updateCharCount('batchInput');
+            this.updateButtonStates();
+        });
+        
+        if (batchFileInput && chooseBatchFileBtn) {
+            chooseBatchFileBtn.addEventListener('click', () => batchFileInput.click());
+            batchFileInput.addEventListener('change', () => {
+                if (batchFileInput.files.length > 0) {
+                    this.loadBatchFile(batchFileInput.files[0]);
+                }
+                batchFileInput.value = '';
+            });
+        }
+    }
+
     /**
      * 初始化组件
      */
@@ -168,6 +338,9 @@ class OI1App {
         
         // 设置语言选择器
         this.updateLanguageSelector();
+
+        // 填充字符集选项
+        this.updateAlphabetSelect();
     }
 
     /**
@@ -179,6 +352,10 @@ class OI1App {
         this.updateCharCount('ciphertext');
         this.updateCharCount('cipherInput');
         this.updateCharCount('plaintextOutput');
+        this.updateCharCount('batchInput');
+        
+        // 默认使用 CRC32，不需要共享密钥
+        this.updateIntegrityKeyVisibility();
         
         // 设置初始按钮状态
         this.updateButtonStates();
@@ -190,16 +367,27 @@ class OI1App {
     async handleEncode() {
         try {
             const plaintext = this.elements.plaintext.value;
-            if (!plaintext.trim()) {
+            const file = this.selectedFile;
+            if (!file && !plaintext.trim()) {
                 this.showMessage(i18n.t('messages.invalidInput'), 'warning');
                 return;
             }
             
             // 显示加载状态
             this.setButtonLoading(this.elements.encodeBtn, true);
+            this.startTaskProgress();
             
-            // 执行加密
-            const ciphertext = this.encoder.encode(plaintext);
+            // 在 Worker 中执行加密（设置了密码时使用 AES-GCM 加密载荷；选择了文件时加密文件而不是文本）
+            const encodeOptions = this.getEncodeOptions();
+            const { integrity, integrityKey, mappingKey } = encodeOptions;
+            const options = { ...encodeOptions, ...this.getLayoutOptions(), maxPartLength: this.getMaxPartLength() };
+            let source = plaintext;
+            let params = { text: plaintext, options };
+            if (file) {
+                source = await this.readFile(file);
+                params = { bytes: source, options: { ...options, filename: file.name, mimeType: file.type } };
+            }
+            const { ciphertext, parts } = await this.worker.encode(params, (progress) => this.updateTaskProgress(progress));
             
             // 显示结果
             this.elements.ciphertext.value = ciphertext;
@@ -208,19 +396,46 @@ class OI1App {
             // 更新按钮状态
             this.updateButtonStates();
             
-            // 显示统计信息
-            this.showEncodingStats(plaintext, ciphertext);
+            // 显示统计信息（拆分后按合并的完整密文统计）
+            const stats = this.showEncodingStats(
+                source,
+                parts > 1 ? OI1Multipart.reassemble(OI1Multipart.splitText(ciphertext)).ciphertext : ciphertext
+            );
             
-            // 生成演示
-            this.demoViewer.showEncodingDemo(plaintext);
+            // 生成演示（演示按文本逐步展示，文件不适用；校验码步骤使用所选算法，设置了映射密钥时列出映射表）
+            if (!file) {
+                this.showDemo('encoding', plaintext, { integrity, integrityKey, mappingKey });
+            }
             
-            this.showMessage(i18n.t('messages.encodeSuccess'), 'success');
+            if (parts > 1) {
+                this.showMessage(i18n.t('messages.encodeSplit', { count: parts }), 'success');
+            } else if (stats.checksum && stats.checksum.tagBytes === 0) {
+                this.showMessage(i18n.t('messages.encodeSuccessNoChecksum'), 'warning');
+            } else if (stats.padding && stats.padding.applied && stats.padding.overheadBytes !== null) {
+                this.showMessage(i18n.t('messages.encodeSuccessPadded', {
+                    bytes: stats.padding.paddedBytes,
+                    overhead: stats.padding.overheadBytes
+                }), 'success');
+            } else if (stats.payloadCompression && stats.payloadCompression.applied) {
+                const ratio = (stats.payloadCompression.ratio * 100).toFixed(1);
+                this.showMessage(i18n.t('messages.encodeSuccessCompressed', { ratio }), 'success');
+            } else if (stats.radix.savedGlyphs > 0) {
+                const saved = (stats.radix.savedRatio * 100).toFixed(1);
+                this.showMessage(i18n.t('messages.encodeSuccessDense', { bits: stats.radix.bitsPerGlyph, saved }), 'success');
+            } else {
+                this.showMessage(i18n.t('messages.encodeSuccess', { algorithm: stats.checksum ? stats.checksum.label : 'CRC32' }), 'success');
+            }
             
         } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.showMessage(i18n.t('messages.cancelled'), 'info');
+                return;
+            }
             console.error('Encoding error:', error);
-            this.showError(i18n.t('messages.encodeError'), error.message);
+            this.showError(i18n.t('messages.encodeError'), error);
             
         } finally {
+            this.finishTaskProgress();
             this.setButtonLoading(this.elements.encodeBtn, false);
             this.updateButtonStates();
         }
@@ -239,13 +454,31 @@ class OI1App {
             
             // 显示加载状态
             this.setButtonLoading(this.elements.decodeBtn, true);
+            this.startTaskProgress();
+            this.renderRepairSuggestions([]);
             
-            // 执行解密
-            const decodeResult = this.decoder.decode(ciphertext);
+            // 在 Worker 中执行解密（二进制密文按文件解码，多段消息先合并）
+            const decodeOptions = this.getDecodeOptions();
+            const { mappingKey } = decodeOptions;
+            const multipart = this.isMultipartMode();
+            const options = { ...decodeOptions, ignoreLayout: this.isLayoutIgnored() };
+            const decodeResult = multipart
+                ? await this.worker.decodeParts(
+                    { parts: OI1Multipart.splitText(ciphertext), options },
+                    (progress) => this.updateTaskProgress(progress)
+                )
+                : await this.worker.decode(
+                    { ciphertext, options },
+                    (progress) => this.updateTaskProgress(progress)
+                );
             
             // 显示结果
-            this.elements.plaintextOutput.value = decodeResult.plaintext;
+            this.setDecodedFile(decodeResult.binary ? decodeResult : null);
+            this.elements.plaintextOutput.value = decodeResult.binary
+                ? this.describeDecodedFile(decodeResult)
+                : decodeResult.plaintext;
             this.updateCharCount('plaintextOutput');
+            this.renderMetadataStrip(decodeResult);
             
             // 显示CRC校验状态
             this.updateCRCStatus(decodeResult);
@@ -253,12 +486,24 @@ class OI1App {
             // 更新按钮状态
             this.updateButtonStates();
             
-            // 生成演示
-            this.demoViewer.showDecodingDemo(ciphertext);
+            // 生成演示（多段消息演示合并后的完整密文）
+            this.showDemo('decoding', multipart ? this.getMultipartStatus().ciphertext : ciphertext, { mappingKey });
             
-            // 根据校验结果显示不同消息
-            if (decodeResult.formatVersion === 'v2') {
-                this.showMessage(i18n.t('messages.decodeSuccessWithCRC'), 'success');
+            // 根据校验结果显示不同消息（纠错修复过的密文列出修复位置）
+            const repaired = decodeResult.repairedPositions || [];
+            if (decodeResult.expired) {
+                this.showMessage(i18n.t('messages.decodeExpired', {
+                    time: i18n.formatDate(new Date(decodeResult.metadata.expiresAt), { dateStyle: 'medium', timeStyle: 'short' })
+                }), 'warning', 8000);
+            } else if (repaired.length > 0) {
+                const positions = repaired.length > 10 ? `${repaired.slice(0, 10).join(', ')}…` : repaired.join(', ');
+                this.showMessage(i18n.t('messages.decodeRepaired', { count: repaired.length, positions }), 'warning', 8000);
+            } else if (decodeResult.integrity === 'authentic') {
+                this.showMessage(i18n.t('messages.decodeAuthentic'), 'success');
+            } else if (decodeResult.multipart) {
+                this.showMessage(i18n.t('messages.decodeMultipart', { total: decodeResult.multipart.total }), 'success');
+            } else if (decodeResult.crcVerified) {
+                this.showMessage(i18n.t('messages.decodeSuccessWithCRC', { algorithm: this.getChecksumLabel(decodeResult) }), 'success');
             } else if (decodeResult.formatVersion === 'v1') {
                 this.showMessage(i18n.t('messages.decodeSuccessLegacy'), 'info');
             } else {
@@ -266,15 +511,112 @@ class OI1App {
             }
             
         } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.showMessage(i18n.t('messages.cancelled'), 'info');
+                return;
+            }
             console.error('Decoding error:', error);
-            this.showError(i18n.t('messages.decodeError'), error.message);
+            
+            // 密码错误与数据损坏分开提示
+            if (error.code === 'WRONG_PASSWORD') {
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.wrongPassword'));
+            } else if (error.code === 'PASSWORD_REQUIRED') {
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.passwordRequired'));
+                this.elements.decodePassword?.focus();
+            } else if (error.code === 'INTEGRITY_KEY_REQUIRED') {
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.integrityKeyRequired'));
+                this.elements.decodeIntegrityKey?.focus();
+            } else if (error.code === 'MAPPING_KEY_REQUIRED') {
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.mappingKeyRequired'));
+                this.elements.decodeMappingKey?.focus();
+            } else if (error.code === 'MAPPING_KEY_MISMATCH') {
+                this.updateValidationStatus(i18n.t('validation.corrupted'), 'invalid');
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.mappingKeyMismatch'));
+            } else if (error.code === 'INTEGRITY_MISMATCH') {
+                this.updateValidationStatus(i18n.t('validation.corrupted'), 'invalid');
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.integrityMismatch'));
+            } else if (error.code === 'CRC_MISMATCH' && !this.isMultipartMode()) {
+                // 校验失败时在后台查找单字形修复
+                this.updateValidationStatus(i18n.t('validation.corrupted'), 'invalid');
+                this.showError(i18n.t('messages.decodeError'), error);
+                this.findRepairs(this.elements.cipherInput.value, this.elements.decodePassword?.value || '');
+            } else if (error.code === 'MULTIPART_PART') {
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.multipartPart'));
+            } else if (error.code === 'MISSING_PARTS') {
+                const status = this.getMultipartStatus();
+                this.showError(i18n.t('messages.decodeError'), i18n.t('messages.missingParts', {
+                    missing: status.missing.join(', '),
+                    total: status.total
+                }));
+            } else {
+                this.showError(i18n.t('messages.decodeError'), error);
+            }
             
         } finally {
+            this.finishTaskProgress();
             this.setButtonLoading(this.elements.decodeBtn, false);
             this.updateButtonStates();
         }
     }
 
+    /**
+     * 批量加密或解密记录中选定的字段
+     * 使用加密器面板的编码选项或解密器面板的密码和密钥；单条记录失败不影响其他记录
+     * @param {string} operation - 'encode' 或 'decode'
+     */
+    async handleBatch(operation) {
+        const button = operation === 'encode' ? this.elements.batchEncodeBtn : this.elements.batchDecodeBtn;
+        try {
+            const text = this.elements.batchInput.value;
+            if (!text.trim()) {
+                this.showMessage(i18n.t('messages.invalidInput'), 'warning');
+                return;
+            }
+            
+            this.setButtonLoading(button, true);
+            this.startTaskProgress();
+            
+            const { batchFormatSelect, batchFieldsInput, batchDelimiterSelect, batchHeaderToggle } = this.elements;
+            const options = {
+                operation,
+                format: batchFormatSelect ? batchFormatSelect.value : 'auto',
+                filename: this.batchFilename,
+                fields: batchFieldsInput ? batchFieldsInput.value.split(',') : [],
+                delimiter: batchDelimiterSelect ? batchDelimiterSelect.value : 'auto',
+                header: batchHeaderToggle ? batchHeaderToggle.checked : true
+            };
+            if (operation === 'encode') {
+                options.encodeOptions = this.getEncodeOptions();
+            } else {
+                options.decodeOptions = this.getDecodeOptions();
+            }
+            
+            const result = await this.worker.batch({ text, options }, (progress) => this.updateTaskProgress(progress));
+            this.batchResult = { ...result, operation };
+            this.elements.batchOutput.value = result.output;
+            this.renderBatchResult();
+            
+            if (result.failed > 0) {
+                this.showMessage(i18n.t('messages.batchPartial', { failed: result.failed, total: result.total }), 'warning', 8000);
+            } else {
+                this.showMessage(i18n.t('messages.batchSuccess', { total: result.total }), 'success');
+            }
+            
+        } catch (error) {
+            if (error.code === 'CANCELLED') {
+                this.showMessage(i18n.t('messages.cancelled'), 'info');
+                return;
+            }
+            console.error('Batch error:', error);
+            this.showError(i18n.t('messages.batchError'), error);
+            
+        } finally {
+            this.finishTaskProgress();
+            this.setButtonLoading(button, false);
+            this.updateButtonStates();
+        }
+    }
+
     /**
      * 处理语言变更
      */
@@ -303,6 +645,282 @@ class OI1App {
         this.updateCharCount('cipherInput');
         this.validateCipherInput();
         this.updateButtonStates();
+        this.renderRepairSuggestions([]);
+    }
+
+    /**
+     * 读取密文排版选项
+     * @returns {Object} { groupSize, lineWidth, separator }
+     */
+    getLayoutOptions() {
+        const { groupSizeInput, lineWidthInput, separatorSelect } = this.elements;
+        return {
+            groupSize: groupSizeInput ? Math.max(0, parseInt(groupSizeInput.value, 10) || 0) : 0,
+            lineWidth: lineWidthInput ? Math.max(0, parseInt(lineWidthInput.value, 10) || 0) : 0,
+            separator: separatorSelect ? separatorSelect.value : ' '
+        };
+    }
+
+    /**
+     * 解密时是否忽略排版字符
+     * @returns {boolean} 是否忽略
+     */
+    isLayoutIgnored() {
+        return this.elements.ignoreLayoutToggle ? this.elements.ignoreLayoutToggle.checked : false;
+    }
+
+    /**
+     * 读取加密器面板的编码选项（不含排版和分段）
+     * @returns {Object} 编码选项，同 encodeAsync
+     */
+    getEncodeOptions() {
+        const { encodePassword, compressToggle, whitenToggle, randomizeToggle, paddingSelect, alphabetSelect, eccSelect, encodeMappingKey } = this.elements;
+        return {
+            password: encodePassword ? encodePassword.value : '',
+            compress: compressToggle ? compressToggle.checked : false,
+            whiten: whitenToggle ? whitenToggle.checked : false,
+            randomize: randomizeToggle ? randomizeToggle.checked : false,
+            padding: paddingSelect ? paddingSelect.value : '',
+            alphabet: alphabetSelect ? Number(alphabetSelect.value) : undefined,
+            ecc: eccSelect ? eccSelect.value : '',
+            ...this.getIntegrityOptions(),
+            mappingKey: encodeMappingKey ? encodeMappingKey.value : '',
+            metadata: this.getMetadataOptions()
+        };
+    }
+
+    /**
+     * 读取解密器面板的密码和密钥
+     * @returns {Object} { password, integrityKey, mappingKey }
+     */
+    getDecodeOptions() {
+        const { decodePassword, decodeIntegrityKey, decodeMappingKey } = this.elements;
+        return {
+            password: decodePassword ? decodePassword.value : '',
+            integrityKey: decodeIntegrityKey ? decodeIntegrityKey.value : '',
+            mappingKey: decodeMappingKey ? decodeMappingKey.value : ''
+        };
+    }
+
+    /**
+     * 读取完整性校验选项
+     * @returns {Object} { integrity, integrityKey }
+     */
+    getIntegrityOptions() {
+        const { integritySelect, encodeIntegrityKey } = this.elements;
+        const integrity = integritySelect ? integritySelect.value : 'crc32';
+        return {
+            integrity,
+            integrityKey: ChecksumRegistry.get(integrity).keyed && encodeIntegrityKey ? encodeIntegrityKey.value : ''
+        };
+    }
+
+    /**
+     * 读取元数据选项，设置了标签或有效期时同时记录创建时间
+     * @returns {Object|undefined} 元数据；都未设置时返回 undefined
+     */
+    getMetadataOptions() {
+        const { encodeLabel, expirySelect } = this.elements;
+        const label = encodeLabel ? encodeLabel.value.trim() : '';
+        const lifetime = expirySelect ? Number(expirySelect.value) : 0;
+        if (!label && !lifetime) {
+            return undefined;
+        }
+
+        const createdAt = Date.now();
+        return {
+            label: label || undefined,
+            createdAt,
+            expiresAt: lifetime ? createdAt + lifetime * 1000 : undefined
+        };
+    }
+
+    /**
+     * 解码结果所用校验算法的显示名称
+     * @param {Object} decodeResult - 解码结果
+     * @returns {string} 显示名称，如 CRC32、CRC-16
+     */
+    getChecksumLabel(decodeResult) {
+        return ChecksumRegistry.get(decodeResult.integrityAlgorithm || undefined).label;
+    }
+
+    /**
+     * 按所选完整性算法显示或隐藏共享密钥输入框
+     */
+    updateIntegrityKeyVisibility() {
+        const { integritySelect, encodeIntegrityKey } = this.elements;
+        if (!integritySelect || !encodeIntegrityKey) return;
+        encodeIntegrityKey.style.display = ChecksumRegistry.get(integritySelect.value).keyed ? '' : 'none';
+    }
+
+    /**
+     * 读取每段最多字符数
+     * @returns {number} 每段最多字符数，0 表示不拆分
+     */
+    getMaxPartLength() {
+        const input = this.elements.maxPartLengthInput;
+        return input ? Math.max(0, parseInt(input.value, 10) || 0) : 0;
+    }
+
+    /**
+     * 解密时是否按多段消息处理输入
+     * @returns {boolean} 是否为多段模式
+     */
+    isMultipartMode() {
+        return this.elements.multipartToggle ? this.elements.multipartToggle.checked : false;
+    }
+
+    /**
+     * 按空行拆分密文输入并尝试合并
+     * @returns {Object} reassemble 的结果；无法合并时为 { error }
+     */
+    getMultipartStatus() {
+        try {
+            return OI1Multipart.reassemble(OI1Multipart.splitText(this.elements.cipherInput.value));
+        } catch (error) {
+            return { error: this.describeError(error) };
+        }
+    }
+
+    /**
+     * 排版选项变化时，按新选项重新排版已生成的密文（多段输出逐段排版）
+     */
+    handleLayoutChange() {
+        const output = this.elements.ciphertext;
+        if (!output.value) return;
+        
+        try {
+            const layout = this.getLayoutOptions();
+            const parts = OI1Multipart.splitText(output.value).map(part => this.encoder.formatCiphertext(part, layout));
+            output.value = OI1Multipart.joinText(parts);
+            this.updateCharCount('ciphertext');
+        } catch (error) {
+            this.showError(i18n.t('messages.encodeError'), error);
+        }
+    }
+
+    /**
+     * 查找并显示 CRC32 校验失败时的修复候选
+     * @param {string} ciphertext - 校验失败的密文
+     * @param {string} password - 解密密码
+     */
+    async findRepairs(ciphertext, password) {
+        try {
+            const candidates = await this.worker.suggestRepairs({
+                ciphertext,
+                options: { password, ignoreLayout: this.isLayoutIgnored() }
+            });
+            
+            // 查找期间密文已被修改时不再显示
+            if (this.elements.cipherInput.value !== ciphertext) return;
+            
+            this.renderRepairSuggestions(candidates);
+            if (candidates.length > 0) {
+                this.showMessage(i18n.t('messages.repairsFound', { count: candidates.length }), 'info', 5000);
+            }
+        } catch (error) {
+            if (error.code !== 'CANCELLED') {
+                console.error('Repair suggestion error:', error);
+            }
+        }
+    }
+
+    /**
+     * 显示修复候选列表，没有候选时隐藏
+     * @param {Object[]} candidates - suggestRepairs 返回的候选
+     */
+    renderRepairSuggestions(candidates) {
+        this.repairCandidates = candidates;
+        
+        const { repairSuggestions, repairList } = this.elements;
+        if (!repairSuggestions || !repairList) return;
+        
+        repairList.replaceChildren();
+        for (const candidate of candidates) {
+            const item = document.createElement('li');
+            item.className = 'repair-item';
+            
+            const description = document.createElement('span');
+            description.className = 'repair-description';
+            description.textContent = i18n.t(`decoder.repairs.${candidate.kind}`, {
+                position: candidate.position,
+                from: candidate.from,
+                to: candidate.to
+            });
+            
+            // 原文可能很长，只预览开头
+            const preview = document.createElement('span');
+            preview.className = 'repair-preview';
+            preview.textContent = candidate.plaintext.length > 60
+                ? `${candidate.plaintext.slice(0, 60)}…`
+                : candidate.plaintext;
+            
+            const acceptBtn = document.createElement('button');
+            acceptBtn.className = 'btn btn-copy';
+            acceptBtn.textContent = i18n.t('decoder.repairs.accept');
+            acceptBtn.addEventListener('click', () => this.acceptRepair(candidate));
+            
+            item.append(description, preview, acceptBtn);
+            repairList.appendChild(item);
+        }
+        
+        repairSuggestions.style.display = candidates.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * 在原文输出框下方显示密文携带的元数据
+     * @param {Object|null} decodeResult - 解码结果；为 null 或没有元数据时隐藏
+     */
+    renderMetadataStrip(decodeResult) {
+        const { metadataStrip } = this.elements;
+        if (!metadataStrip) return;
+        
+        metadataStrip.replaceChildren();
+        const metadata = decodeResult && decodeResult.metadata;
+        if (!metadata) {
+            metadataStrip.style.display = 'none';
+            return;
+        }
+        
+        // 按固定顺序列出出现的字段，时间按当前语言格式化
+        const formatTime = (time) => i18n.formatDate(new Date(time), { dateStyle: 'medium', timeStyle: 'short' });
+        const fields = [
+            ['label', metadata.label],
+            ['createdAt', metadata.createdAt !== undefined ? formatTime(metadata.createdAt) : undefined],
+            ['expiresAt', metadata.expiresAt !== undefined ? formatTime(metadata.expiresAt) : undefined]
+        ];
+        
+        for (const [key, value] of fields) {
+            if (value === undefined) continue;
+            
+            const item = document.createElement('span');
+            item.className = key === 'expiresAt' && decodeResult.expired ? 'metadata-item expired' : 'metadata-item';
+            
+            const name = document.createElement('span');
+            name.className = 'metadata-name';
+            name.textContent = i18n.t(`decoder.metadata.${key}`);
+            
+            const text = document.createElement('span');
+            text.className = 'metadata-value';
+            text.textContent = key === 'expiresAt' && decodeResult.expired
+                ? i18n.t('decoder.metadata.expired', { time: value })
+                : value;
+            
+            item.append(name, text);
+            metadataStrip.appendChild(item);
+        }
+        
+        metadataStrip.style.display = metadataStrip.childElementCount > 0 ? 'flex' : 'none';
+    }
+
+    /**
+     * 采用修复候选：替换密文并重新解密
+     * @param {Object} candidate - 修复候选
+     */
+    acceptRepair(candidate) {
+        this.elements.cipherInput.value = candidate.ciphertext;
+        this.handleCipherInputChange();
+        this.handleDecode();
     }
 
     /**
@@ -315,12 +933,47 @@ class OI1App {
             return;
         }
         
-        const validation = this.decoder.validateCiphertext(ciphertext);
-        if (validation.isValid) {
+        if (this.isMultipartMode()) {
+            this.updateMultipartStatus();
+            return;
+        }
+        
+        const validation = this.decoder.validateCiphertext(ciphertext, { ignoreLayout: this.isLayoutIgnored() });
+        if (validation.isValid && validation.substitutions.length > 0) {
+            // 形近字符已替换，解码时会自动处理
+            this.updateValidationStatus(i18n.t('validation.normalized', { count: validation.substitutions.length }), 'normalized');
+        } else if (validation.isValid) {
             this.updateValidationStatus(i18n.t('validation.valid'), 'valid');
         } else {
-            this.updateValidationStatus(validation.error, 'invalid');
+            this.updateValidationStatus(this.describeError({
+                code: validation.code,
+                details: validation.details,
+                message: validation.error
+            }), 'invalid');
+        }
+    }
+
+    /**
+     * 显示多段消息的收取进度
+     */
+    updateMultipartStatus() {
+        const status = this.getMultipartStatus();
+        if (status.error) {
+            this.updateValidationStatus(status.error, 'invalid');
+            return;
+        }
+        
+        let message = status.complete
+            ? i18n.t('validation.multipartComplete', { total: status.total })
+            : i18n.t('validation.multipartProgress', {
+                received: status.received.length,
+                total: status.total,
+                missing: status.missing.join(', ')
+            });
+        if (status.invalid.length > 0) {
+            message += `; ${i18n.t('validation.multipartInvalid', { count: status.invalid.length })}`;
         }
+        this.updateValidationStatus(message, status.complete ? 'valid' : 'normalized');
     }
 
     /**
@@ -347,9 +1000,17 @@ class OI1App {
         let message = '';
         let statusClass = '';
 
-        if (decodeResult.formatVersion === 'v2' && decodeResult.crcVerified) {
-            // v2格式且CRC校验通过
-            message = i18n.t('validation.crcVerified');
+        if (decodeResult.integrity === 'authentic') {
+            // 认证标签校验通过：内容出自持有共享密钥的人
+            message = i18n.t('validation.authentic', { algorithm: decodeResult.integrityAlgorithm });
+            statusClass = 'crc-verified';
+        } else if ((decodeResult.formatVersion === 'v2' || decodeResult.formatVersion === 'v3') && decodeResult.crcVerified) {
+            // v2/v3格式且校验码校验通过（可能经过纠错）
+            const repairedCount = decodeResult.repairedPositions ? decodeResult.repairedPositions.length : 0;
+            const algorithm = this.getChecksumLabel(decodeResult);
+            message = repairedCount > 0
+                ? i18n.t('validation.crcRepaired', { count: repairedCount, algorithm })
+                : i18n.t('validation.crcVerified', { algorithm });
             statusClass = 'crc-verified';
         } else if (decodeResult.formatVersion === 'v1') {
             // v1格式（旧版本）
@@ -385,16 +1046,30 @@ class OI1App {
     updateButtonStates() {
         // 加密按钮状态
         const hasPlaintext = this.elements.plaintext.value.trim().length > 0;
-        this.elements.encodeBtn.disabled = !hasPlaintext;
+        this.elements.encodeBtn.disabled = !hasPlaintext && !this.selectedFile;
         
         // 解密按钮状态
         const hasCiphertext = this.elements.cipherInput.value.trim().length > 0;
-        const isValidCipher = this.decoder.validateCiphertext(this.elements.cipherInput.value).isValid;
+        const isValidCipher = this.isMultipartMode()
+            ? Boolean(this.getMultipartStatus().complete)
+            : this.decoder.validateCiphertext(this.elements.cipherInput.value, {
+                ignoreLayout: this.isLayoutIgnored()
+            }).isValid;
         this.elements.decodeBtn.disabled = !hasCiphertext || !isValidCipher;
         
         // 复制按钮状态
         this.elements.copyCipherBtn.disabled = this.elements.ciphertext.value.length === 0;
         this.elements.copyPlainBtn.disabled = this.elements.plaintextOutput.value.length === 0;
+        
+        // 批量处理按钮状态
+        if (this.elements.batchInput) {
+            const hasRecords = this.elements.batchInput.value.trim().length > 0;
+            const hasResult = this.elements.batchOutput.value.length > 0;
+            this.elements.batchEncodeBtn.disabled = !hasRecords;
+            this.elements.batchDecodeBtn.disabled = !hasRecords;
+            this.elements.copyBatchBtn.disabled = !hasResult;
+            this.elements.downloadBatchBtn.disabled = !this.batchResult;
+        }
     }
 
     /**
@@ -424,11 +1099,25 @@ class OI1App {
         const element = this.elements[elementName];
         if (element) {
             element.value = '';
+            if (elementName === 'plaintext') {
+                this.selectFile(null);
+            }
+            if (elementName === 'batchInput') {
+                this.batchFilename = '';
+                this.batchResult = null;
+                this.elements.batchOutput.value = '';
+                if (this.elements.batchFileName) {
+                    this.elements.batchFileName.style.display = 'none';
+                }
+                this.renderBatchResult();
+            }
             this.updateCharCount(elementName);
             this.updateButtonStates();
             
             if (elementName === 'cipherInput') {
                 this.updateValidationStatus('', 'none');
+                this.renderRepairSuggestions([]);
+                this.renderMetadataStrip(null);
             }
             
             this.showMessage(i18n.t('messages.clearSuccess'), 'info');
@@ -447,8 +1136,8 @@ class OI1App {
             this.showMessage(i18n.t('messages.copySuccess'), 'success');
             
             // 短暂高亮复制按钮
-            const button = elementName === 'ciphertext' ? this.elements.copyCipherBtn : this.elements.copyPlainBtn;
-            this.highlightButton(button);
+            const buttons = { ciphertext: 'copyCipherBtn', plaintextOutput: 'copyPlainBtn', batchOutput: 'copyBatchBtn' };
+            this.highlightButton(this.elements[buttons[elementName]]);
             
         } catch (error) {
             console.error('Copy failed:', error);
@@ -492,6 +1181,248 @@ class OI1App {
         }, 200);
     }
 
+    /**
+     * 选择待加密的文件，传入 null 取消选择
+     * @param {File|null} file - 文件
+     */
+    selectFile(file) {
+        this.selectedFile = file;
+        
+        const { selectedFile, fileHint, removeFileBtn, plaintext } = this.elements;
+        if (selectedFile) {
+            selectedFile.textContent = file ? `${file.name} (${file.size} B)` : '';
+            selectedFile.style.display = file ? 'inline' : 'none';
+        }
+        if (fileHint) {
+            fileHint.style.display = file ? 'none' : 'inline';
+        }
+        if (removeFileBtn) {
+            removeFileBtn.style.display = file ? 'inline-flex' : 'none';
+        }
+        
+        // 选择文件后加密的是文件内容，暂时禁用文本输入
+        plaintext.disabled = Boolean(file);
+        this.updateButtonStates();
+        
+        if (file) {
+            this.showMessage(i18n.t('messages.fileSelected', { filename: file.name }), 'info');
+        }
+    }
+
+    /**
+     * 读取文件内容
+     * @param {File} file - 文件
+     * @returns {Promise<Uint8Array>} 文件字节
+     */
+    async readFile(file) {
+        try {
+            return new Uint8Array(await file.arrayBuffer());
+        } catch (error) {
+            throw new Error(`${i18n.t('messages.fileReadError')}: ${error.message}`);
+        }
+    }
+
+    /**
+     * 记录解密得到的文件，并切换下载按钮
+     * @param {Object|null} decodeResult - decodeBytes 的结果，非文件时为 null
+     */
+    setDecodedFile(decodeResult) {
+        this.decodedFile = decodeResult;
+        
+        if (this.elements.downloadFileBtn) {
+            this.elements.downloadFileBtn.style.display = decodeResult ? 'inline-flex' : 'none';
+        }
+    }
+
+    /**
+     * 生成解密文件的文字说明，显示在原文输出框中
+     * @param {Object} decodeResult - decodeBytes 的结果
+     * @returns {string} 说明文字
+     */
+    describeDecodedFile(decodeResult) {
+        return i18n.t('decoder.file.summary', {
+            filename: decodeResult.filename || '-',
+            type: decodeResult.mimeType || 'application/octet-stream',
+            size: decodeResult.bytes.length
+        });
+    }
+
+    /**
+     * 下载解密得到的文件
+     */
+    downloadDecodedFile() {
+        if (!this.decodedFile) return;
+        
+        const { bytes, filename, mimeType } = this.decodedFile;
+        this.downloadBlob(new Blob([bytes], { type: mimeType || 'application/octet-stream' }), filename || 'oi1-decoded.bin');
+    }
+
+    /**
+     * 读取批量处理的输入文件，内容放入记录输入框
+     * @param {File} file - 文件
+     */
+    async loadBatchFile(file) {
+        try {
+            const bytes = await this.readFile(file);
+            this.elements.batchInput.value = new TextDecoder().decode(bytes);
+            this.batchFilename = file.name;
+            
+            const { batchFileName, batchFormatSelect } = this.elements;
+            if (batchFileName) {
+                batchFileName.textContent = `${file.name} (${file.size} B)`;
+                batchFileName.style.display = 'inline';
+            }
+            if (batchFormatSelect) {
+                batchFormatSelect.value = 'auto';
+            }
+            
+            this.updateCharCount('batchInput');
+            this.updateButtonStates();
+            this.showMessage(i18n.t('messages.batchFileLoaded', { filename: file.name }), 'info');
+            
+        } catch (error) {
+            this.showError(i18n.t('messages.batchError'), error);
+        }
+    }
+
+    /**
+     * 显示批量处理的统计和失败的记录，最多列出 100 个错误
+     */
+    renderBatchResult() {
+        const { batchSummary, batchErrors, batchErrorList } = this.elements;
+        const result = this.batchResult;
+        
+        if (batchSummary) {
+            batchSummary.textContent = result ? i18n.t('batch.summary', {
+                format: result.format === 'lines' ? i18n.t('batch.format.options.lines') : result.format.toUpperCase(),
+                total: result.total,
+                succeeded: result.succeeded,
+                failed: result.failed
+            }) : '';
+        }
+        if (!batchErrors || !batchErrorList) return;
+        
+        const errors = result ? result.errors : [];
+        const items = errors.slice(0, 100).map(({ record, line, field, error }) => {
+            const item = document.createElement('li');
+            item.className = 'repair-item';
+            
+            // 字段名和说明可能来自输入内容，按文本插入
+            const position = document.createElement('span');
+            position.className = 'batch-error-field';
+            position.textContent = field === null
+                ? i18n.t('batch.errors.record', { record, line })
+                : `${i18n.t('batch.errors.record', { record, line })} · ${i18n.t('batch.errors.field', { field })}`;
+            
+            const description = document.createElement('span');
+            description.className = 'repair-preview';
+            description.textContent = this.describeError(error);
+            description.title = description.textContent;
+            
+            item.append(position, description);
+            return item;
+        });
+        if (errors.length > items.length) {
+            const more = document.createElement('li');
+            more.className = 'repair-item repair-description';
+            more.textContent = i18n.t('batch.errors.more', { count: errors.length - items.length });
+            items.push(more);
+        }
+        
+        batchErrorList.replaceChildren(...items);
+        batchErrors.style.display = items.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * 下载批量处理的结果，格式和扩展名与输入相同
+     */
+    downloadBatchResult() {
+        if (!this.batchResult) return;
+        
+        const { format, operation, output } = this.batchResult;
+        const { filename, mimeType } = OI1Batch.outputFile(format, operation, this.batchFilename);
+        this.downloadBlob(new Blob([output], { type: `${mimeType};charset=utf-8` }), filename);
+    }
+
+    /**
+     * 以文件形式下载数据
+     * @param {Blob} blob - 数据
+     * @param {string} filename - 文件名
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // 等浏览器开始下载后再释放对象URL
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * 在 Worker 中生成演示步骤并显示
+     * 演示失败或被取消不影响加密解密结果
+     * @param {string} kind - 'encoding' 或 'decoding'
+     * @param {string} input - 原文或密文
+     * @param {Object} [options] - 演示选项（校验算法、映射密钥）
+     */
+    async showDemo(kind, input, options = {}) {
+        try {
+            const steps = await this.worker.demo(kind, input, options);
+            if (kind === 'encoding') {
+                await this.demoViewer.showEncodingDemo(input, steps);
+            } else {
+                await this.demoViewer.showDecodingDemo(input, steps);
+            }
+        } catch (error) {
+            if (error.code !== 'CANCELLED') {
+                console.error('Demo generation failed:', error);
+            }
+        }
+    }
+
+    /**
+     * 开始显示任务进度
+     * 短任务不显示进度条，避免闪烁
+     */
+    startTaskProgress() {
+        this.updateTaskProgress(0);
+        
+        clearTimeout(this.progressTimeout);
+        this.progressTimeout = setTimeout(() => {
+            if (this.elements.taskProgress) {
+                this.elements.taskProgress.style.display = 'flex';
+            }
+        }, 200);
+    }
+
+    /**
+     * 更新任务进度
+     * @param {number} progress - 进度（0~1）
+     */
+    updateTaskProgress(progress) {
+        if (this.elements.taskProgressBar) {
+            this.elements.taskProgressBar.value = progress;
+        }
+        if (this.elements.taskProgressText) {
+            this.elements.taskProgressText.textContent = `${Math.round(progress * 100)}%`;
+        }
+    }
+
+    /**
+     * 结束并隐藏任务进度
+     */
+    finishTaskProgress() {
+        clearTimeout(this.progressTimeout);
+        if (this.elements.taskProgress) {
+            this.elements.taskProgress.style.display = 'none';
+        }
+    }
+
     /**
      * 切换演示显示
      */
@@ -518,6 +1449,8 @@ class OI1App {
         
         // 如果有统计面板，在这里更新
         // this.updateStatsPanel(stats);
+        
+        return stats;
     }
 
     /**
@@ -555,6 +1488,15 @@ class OI1App {
         
         // 重新应用验证状态
         this.validateCipherInput();
+
+        // 字符集名称随语言切换
+        this.updateAlphabetSelect();
+
+        // 修复候选的说明随语言切换
+        this.renderRepairSuggestions(this.repairCandidates);
+        
+        // 批量处理的统计和错误说明随语言切换
+        this.renderBatchResult();
     }
 
     /**
@@ -564,6 +1506,29 @@ class OI1App {
         this.elements.languageSelect.value = i18n.getCurrentLanguage();
     }
 
+    /**
+     * 用已登记的字符集填充字符集选择器，保留当前选择
+     */
+    updateAlphabetSelect() {
+        const select = this.elements.alphabetSelect;
+        if (!select) return;
+
+        const selected = select.value;
+        const names = i18n.t('encoder.alphabet.names');
+
+        select.innerHTML = '';
+        for (const alphabet of AlphabetRegistry.list()) {
+            const option = document.createElement('option');
+            option.value = String(alphabet.id);
+            option.textContent = `${names[alphabet.name] || alphabet.name} (${alphabet.glyphs.join(' ')})`;
+            select.appendChild(option);
+        }
+
+        if (selected) {
+            select.value = selected;
+        }
+    }
+
     /**
      * 防抖预览函数
      */
@@ -605,14 +1570,43 @@ class OI1App {
         }, duration);
     }
 
+    /**
+     * 生成错误的本地化说明
+     * 带错误代码的错误按 errors.codes.<代码> 翻译，结构化字段作为参数；没有对应翻译时使用错误自身的说明
+     * @param {Error|Object|string} error - 错误对象、{ code, details, message } 或已生成的说明
+     * @returns {string} 当前语言的说明
+     */
+    describeError(error) {
+        if (typeof error === 'string') {
+            return error;
+        }
+
+        const key = `errors.codes.${error.code}`;
+        if (!error.code || !i18n.has(key)) {
+            return error.message;
+        }
+
+        const params = {};
+        for (const [name, value] of Object.entries(error.details || {})) {
+            params[name] = Array.isArray(value) ? value.join(', ') : value;
+        }
+        return i18n.t(key, params);
+    }
+
     /**
      * 显示错误信息
+     * @param {string} title - 标题
+     * @param {Error|string} error - 错误对象（按错误代码本地化）或说明文本
      */
-    showError(title, message) {
+    showError(title, error) {
         const errorElement = this.elements.errorMessage;
+        const message = this.describeError(error);
         
         if (errorElement) {
-            errorElement.innerHTML = `<strong>${title}</strong><br>${message}`;
+            // 说明中可能含有密文里的字符，按文本插入
+            const heading = document.createElement('strong');
+            heading.textContent = title;
+            errorElement.replaceChildren(heading, document.createElement('br'), message);
             errorElement.style.display = 'block';
             
             // 5秒后自动隐藏
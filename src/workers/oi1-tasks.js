@@ -0,0 +1,285 @@
+/**
+ * 可在 Web Worker 中执行的 oi1 任务
+ * 每个任务接收可结构化克隆的参数和进度回调（0~1），返回可结构化克隆的结果
+ * 不支持 Worker 的环境由 OI1WorkerClient 在主线程直接调用
+ */
+
+import i18n from '../i18n/index.js';
+import { OI1Encoder, OI1Decoder, OI1Demo, V3_FLAGS } from '../core/oi1-algorithm.js';
+import { OI1EncoderStream, OI1DecoderStream } from '../core/oi1-stream.js';
+import { CipherLayout } from '../core/layout.js';
+import { OI1Multipart } from '../core/multipart.js';
+import { OI1Batch } from '../core/batch.js';
+import { OI1Error, OI1FormatError } from '../core/errors.js';
+
+// 流式处理的分块大小：加密按字节，解密按字符（同为约256KB原文）
+const ENCODE_CHUNK_BYTES = 256 * 1024;
+const DECODE_CHUNK_CHARS = ENCODE_CHUNK_BYTES * 4;
+
+/**
+ * 将分块依次写入 TransformStream，同时收集输出
+ * @param {TransformStream} stream - 流式编解码器
+ * @param {Array<string|Uint8Array>} chunks - 输入分块
+ * @param {Function} onProgress - 进度回调
+ * @returns {Promise<Array>} 输出分块
+ */
+async function pipeChunks(stream, chunks, onProgress) {
+    const writer = stream.writable.getWriter();
+    const reader = stream.readable.getReader();
+    const output = [];
+
+    const reading = (async () => {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            output.push(value);
+        }
+    })();
+
+    const writing = (async () => {
+        for (let i = 0; i < chunks.length; i++) {
+            await writer.write(chunks[i]);
+            onProgress((i + 1) / chunks.length);
+        }
+        await writer.close();
+    })();
+
+    await Promise.all([writing, reading]);
+    return output;
+}
+
+/**
+ * 按固定大小切分字节数组或字符串
+ * @param {Uint8Array|string} data - 数据
+ * @param {number} size - 分块大小
+ * @returns {Array<Uint8Array|string>} 分块数组（空数据返回空数组）
+ */
+function splitChunks(data, size) {
+    const chunks = [];
+    for (let i = 0; i < data.length; i += size) {
+        chunks.push(typeof data === 'string' ? data.slice(i, i + size) : data.subarray(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * 合并字节分块
+ * @param {Uint8Array[]} chunks - 字节分块
+ * @returns {Uint8Array} 合并结果
+ */
+function concatBytes(chunks) {
+    const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const bytes = new Uint8Array(total);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes;
+}
+
+/**
+ * 生成完整密文
+ * @param {Object} params - 同 tasks.encode（不含 maxPartLength）
+ * @param {Function} onProgress - 进度回调
+ * @returns {Promise<string>} 密文
+ */
+async function encodeWhole({ text, bytes, options }, onProgress) {
+    const encoder = new OI1Encoder();
+    const binary = bytes !== undefined;
+
+    // 压缩、口令加密、纠错码、其他校验算法、密钥映射、白化（含随机化）、填充和元数据需要完整载荷，只能整体处理
+    if (options.password || options.compress || options.ecc || options.mappingKey ||
+        options.whiten || options.randomize || options.nonce || options.padding || options.metadata ||
+        (options.integrity && options.integrity !== 'crc32')) {
+        onProgress(0);
+        const ciphertext = binary
+            ? await encoder.encodeBytesAsync(bytes, options)
+            : await encoder.encodeAsync(text, options);
+        onProgress(1);
+        return ciphertext;
+    }
+
+    if (!binary && !text) {
+        return '';
+    }
+
+    // 已知长度的流式编码与 encode / encodeBytes 输出相同，并且可以报告进度
+    const data = binary ? bytes : new TextEncoder().encode(text);
+    const stream = new OI1EncoderStream({
+        length: data.length,
+        binary: binary,
+        filename: options.filename,
+        mimeType: options.mimeType,
+        alphabet: options.alphabet
+    });
+
+    // 流式输出不排版，需要时整体排版一次
+    const output = await pipeChunks(stream, splitChunks(data, ENCODE_CHUNK_BYTES), onProgress);
+    const ciphertext = output.join('');
+    return options.groupSize || options.lineWidth ? encoder.formatCiphertext(ciphertext, options) : ciphertext;
+}
+
+export const tasks = {
+    /**
+     * 加密文本或文件
+     * @param {Object} params - { text } 或 { bytes }，以及 options（同 encodeAsync / encodeBytesAsync）；
+     *     options.maxPartLength 为每段最多字符数，提供时拆分为多段，各段单独排版并以空行分隔
+     * @param {Function} onProgress - 进度回调
+     * @returns {Promise<Object>} { ciphertext, parts }，parts 为段数（不分段时为 1）
+     */
+    async encode({ text, bytes, options = {} }, onProgress) {
+        const encoder = new OI1Encoder();
+        const { maxPartLength, ...encodeOptions } = options;
+
+        if (!maxPartLength) {
+            return { ciphertext: await encodeWhole({ text, bytes, options: encodeOptions }, onProgress), parts: 1 };
+        }
+
+        // 先生成未排版的完整密文，拆分后逐段排版
+        const { groupSize, lineWidth, separator, ...plainOptions } = encodeOptions;
+        const ciphertext = await encodeWhole({ text, bytes, options: plainOptions }, onProgress);
+        if (!ciphertext) {
+            return { ciphertext, parts: 1 };
+        }
+
+        const parts = OI1Multipart.split(ciphertext, { maxLength: maxPartLength })
+            .map(part => groupSize || lineWidth ? encoder.formatCiphertext(part, { groupSize, lineWidth, separator }) : part);
+        return { ciphertext: OI1Multipart.joinText(parts), parts: parts.length };
+    },
+
+    /**
+     * 解密密文，文件密文返回字节（同 decodeBytesAsync），其余返回文本（同 decodeAsync）
+     * @param {Object} params - { ciphertext, options }
+     * @param {Function} onProgress - 进度回调
+     * @returns {Promise<Object>} 解码结果
+     */
+    async decode({ ciphertext, options = {} }, onProgress) {
+        if (options.ignoreLayout) {
+            ciphertext = CipherLayout.strip(ciphertext);
+        }
+
+        const decoder = new OI1Decoder();
+        const formatInfo = decoder.encoder.detectFormat(ciphertext);
+        const isV3 = formatInfo.version === 'v3' && formatInfo.isValid;
+        const binary = isV3 && Boolean(formatInfo.flags & V3_FLAGS.BINARY);
+        const format = options.format || 'auto';
+
+        // 旧格式、加密、压缩、带纠错码、其他校验算法、密钥映射、白化、填充或元数据的密文整体解码
+        const streamable = isV3 &&
+            (format === 'auto' || format === 'v3') &&
+            !(formatInfo.flags & (V3_FLAGS.ENCRYPTED | V3_FLAGS.COMPRESSED | V3_FLAGS.ECC | V3_FLAGS.INTEGRITY |
+                V3_FLAGS.KEYED_MAPPING | V3_FLAGS.WHITENED | V3_FLAGS.PADDED | V3_FLAGS.METADATA));
+
+        if (!streamable) {
+            onProgress(0);
+            const result = binary
+                ? await decoder.decodeBytesAsync(ciphertext, options)
+                : await decoder.decodeAsync(ciphertext, options);
+            onProgress(1);
+            return result;
+        }
+
+        const stream = new OI1DecoderStream();
+        let bytes;
+        let streamResult;
+        try {
+            bytes = concatBytes(await pipeChunks(stream, splitChunks(ciphertext, DECODE_CHUNK_CHARS), onProgress));
+            streamResult = await stream.result;
+        } catch (error) {
+            throw OI1Error.wrap(error, 'DECODE_FAILED', '解码过程中发生错误: ');
+        }
+
+        const result = {
+            crcVerified: streamResult.crcVerified,
+            formatVersion: streamResult.formatVersion,
+            crcExpected: streamResult.crcExpected,
+            crcActual: streamResult.crcActual,
+            integrity: 'none',
+            integrityAlgorithm: 'crc32',
+            flags: streamResult.flags,
+            payloadLength: streamResult.payloadLength,
+            encrypted: false,
+            compressed: false,
+            binary: binary,
+            keyedMapping: false,
+            whitened: false,
+            padded: false,
+            metadata: null,
+            expired: false,
+            alphabet: streamResult.alphabet,
+            ecc: false,
+            repairedPositions: [],
+            substitutions: []
+        };
+
+        if (binary) {
+            return { ...result, bytes, filename: streamResult.filename, mimeType: streamResult.mimeType };
+        }
+
+        try {
+            return { ...result, plaintext: decoder._decodeUTF8(bytes) };
+        } catch (error) {
+            throw OI1Error.wrap(error, 'DECODE_FAILED', '解码过程中发生错误: ');
+        }
+    },
+
+    /**
+     * 合并多段消息并解密，分段可以任意顺序给出
+     * @param {Object} params - { parts, options }，parts 为各段密文数组，options 同 decode
+     * @param {Function} onProgress - 进度回调
+     * @returns {Promise<Object>} 解码结果（同 decode），另含 multipart: { messageId, total, invalid }
+     */
+    async decodeParts({ parts, options = {} }, onProgress) {
+        const assembled = OI1Multipart.reassemble(parts);
+        if (!assembled.complete) {
+            throw new OI1FormatError('MISSING_PARTS', `多段消息尚未收齐，缺少第 ${assembled.missing.join(', ')} 段（共 ${assembled.total} 段）`, {
+                missing: assembled.missing,
+                total: assembled.total
+            });
+        }
+
+        const result = await tasks.decode({ ciphertext: assembled.ciphertext, options }, onProgress);
+        return {
+            ...result,
+            multipart: { messageId: assembled.messageId, total: assembled.total, invalid: assembled.invalid }
+        };
+    },
+
+    /**
+     * 批量加密或解密 JSONL、CSV 或按行列表中选定的字段
+     * @param {Object} params - { text, options }，options 同 OI1Batch.process（不含 onProgress）
+     * @param {Function} onProgress - 进度回调
+     * @returns {Promise<Object>} { format, output, total, succeeded, failed, errors }
+     */
+    batch({ text, options = {} }, onProgress) {
+        return OI1Batch.process(text, { ...options, onProgress });
+    },
+
+    /**
+     * CRC32 校验失败时给出修复建议
+     * @param {Object} params - { ciphertext, options }
+     * @returns {Object[]} 修复候选（同 suggestRepairs）
+     */
+    suggestRepairs({ ciphertext, options = {} }) {
+        return new OI1Decoder().suggestRepairs(ciphertext, options);
+    },
+
+    /**
+     * 生成算法演示步骤
+     * @param {Object} params - { kind: 'encoding' | 'decoding', input, options, language }，options 为演示选项
+     * @returns {Object[]} 演示步骤数组
+     */
+    demo({ kind, input, options, language }) {
+        // Worker 中的 i18n 实例与页面相互独立，需跟随页面语言
+        if (language && language !== i18n.getCurrentLanguage()) {
+            i18n.setLanguage(language);
+        }
+
+        // 核心模块不依赖 i18n，演示文本由这里按页面语言提供
+        const demoOptions = { ...options, translate: (key, params) => i18n.t(key, params) };
+        return kind === 'encoding'
+            ? OI1Demo.generateEncodingDemo(input, demoOptions)
+            : OI1Demo.generateDecodingDemo(input, demoOptions);
+    }
+};
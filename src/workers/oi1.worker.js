@@ -0,0 +1,36 @@
+/**
+ * oi1 模块 Worker
+ * 在后台线程执行加密、解密和演示生成，避免大输入阻塞页面
+ *
+ * 消息协议：
+ *   请求  { id, method, params }
+ *   进度  { id, type: 'progress', progress }
+ *   结果  { id, type: 'result', result }
+ *   错误  { id, type: 'error', error: { name, code, message, details } }，OI1Error 见 core/errors.js
+ */
+
+import { tasks } from './oi1-tasks.js';
+import { OI1Error } from '../core/errors.js';
+
+self.addEventListener('message', async (event) => {
+    const { id, method, params } = event.data;
+
+    try {
+        const task = tasks[method];
+        if (!task) {
+            throw new Error(`未知的任务: ${method}`);
+        }
+
+        const result = await task(params, (progress) => {
+            self.postMessage({ id, type: 'progress', progress });
+        });
+        self.postMessage({ id, type: 'result', result });
+
+    } catch (error) {
+        self.postMessage({
+            id,
+            type: 'error',
+            error: error instanceof OI1Error ? error.toJSON() : { name: error.name, message: error.message }
+        });
+    }
+});
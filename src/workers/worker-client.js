@@ -0,0 +1,172 @@
+/**
+ * oi1 Worker 的 Promise 封装
+ * 每次调用返回一个 Promise，可通过回调接收进度；cancel 会终止 Worker 并中止所有任务
+ */
+
+import i18n from '../i18n/index.js';
+import { tasks } from './oi1-tasks.js';
+import { OI1Error } from '../core/errors.js';
+
+export class OI1WorkerClient {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * 检查当前环境是否支持 Web Worker
+     * @returns {boolean} 是否支持
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * 加密文本或文件
+     * @param {Object} params - { text } 或 { bytes }，以及 options
+     * @param {Function} [onProgress] - 进度回调（0~1）
+     * @returns {Promise<Object>} { ciphertext, parts }
+     */
+    encode(params, onProgress) {
+        return this._call('encode', params, onProgress);
+    }
+
+    /**
+     * 解密密文
+     * @param {Object} params - { ciphertext, options }
+     * @param {Function} [onProgress] - 进度回调（0~1）
+     * @returns {Promise<Object>} 解码结果
+     */
+    decode(params, onProgress) {
+        return this._call('decode', params, onProgress);
+    }
+
+    /**
+     * 合并多段消息并解密
+     * @param {Object} params - { parts, options }
+     * @param {Function} [onProgress] - 进度回调（0~1）
+     * @returns {Promise<Object>} 解码结果
+     */
+    decodeParts(params, onProgress) {
+        return this._call('decodeParts', params, onProgress);
+    }
+
+    /**
+     * 批量加密或解密
+     * @param {Object} params - { text, options }，见 OI1Batch.process
+     * @param {Function} [onProgress] - 进度回调（0~1）
+     * @returns {Promise<Object>} { format, output, total, succeeded, failed, errors }
+     */
+    batch(params, onProgress) {
+        return this._call('batch', params, onProgress);
+    }
+
+    /**
+     * CRC32 校验失败时查找修复候选
+     * @param {Object} params - { ciphertext, options }
+     * @returns {Promise<Object[]>} 修复候选
+     */
+    suggestRepairs(params) {
+        return this._call('suggestRepairs', params);
+    }
+
+    /**
+     * 生成算法演示步骤（使用页面当前语言）
+     * @param {string} kind - 'encoding' 或 'decoding'
+     * @param {string} input - 原文或密文
+     * @param {Object} [options] - 加密演示选项，见 OI1Demo.generateEncodingDemo
+     * @returns {Promise<Object[]>} 演示步骤数组
+     */
+    demo(kind, input, options = {}) {
+        return this._call('demo', { kind, input, options, language: i18n.getCurrentLanguage() });
+    }
+
+    /**
+     * 取消所有进行中的任务
+     * 同步计算无法中断，只能终止 Worker，下次调用时重新创建
+     */
+    cancel() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        this._rejectAll(new OI1Error('CANCELLED', '操作已取消'));
+    }
+
+    /**
+     * 调用任务
+     * @param {string} method - 任务名
+     * @param {Object} params - 参数
+     * @param {Function} [onProgress] - 进度回调
+     * @returns {Promise<*>} 任务结果
+     * @private
+     */
+    _call(method, params, onProgress = () => {}) {
+        // 不支持 Worker 时退回主线程执行
+        if (!OI1WorkerClient.isSupported()) {
+            return Promise.resolve().then(() => tasks[method](params, onProgress));
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            this._getWorker().postMessage({ id, method, params });
+        });
+    }
+
+    /**
+     * 获取（必要时创建）Worker
+     * @returns {Worker} Worker 实例
+     * @private
+     */
+    _getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./oi1.worker.js', import.meta.url), { type: 'module' });
+            this.worker.addEventListener('message', (event) => this._handleMessage(event.data));
+            this.worker.addEventListener('error', (event) => {
+                event.preventDefault();
+                this.worker.terminate();
+                this.worker = null;
+                this._rejectAll(new Error(event.message || 'Worker 运行失败'));
+            });
+        }
+        return this.worker;
+    }
+
+    /**
+     * 处理 Worker 消息
+     * @param {Object} message - 消息数据
+     * @private
+     */
+    _handleMessage(message) {
+        const job = this.pending.get(message.id);
+        if (!job) return;
+
+        if (message.type === 'progress') {
+            job.onProgress(message.progress);
+            return;
+        }
+
+        this.pending.delete(message.id);
+        if (message.type === 'result') {
+            job.resolve(message.result);
+        } else {
+            // 还原为对应的 OI1Error 子类，错误代码和结构化字段与主线程执行时一致
+            job.reject(message.error.code ? OI1Error.fromJSON(message.error) : new Error(message.error.message));
+        }
+    }
+
+    /**
+     * 以同一错误拒绝所有进行中的任务
+     * @param {Error} error - 错误
+     * @private
+     */
+    _rejectAll(error) {
+        for (const job of this.pending.values()) {
+            job.reject(error);
+        }
+        this.pending.clear();
+    }
+}
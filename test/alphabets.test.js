@@ -0,0 +1,56 @@
+/**
+ * 可替换的字符集
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, AlphabetRegistry, OI1InputError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('内置的 4 字形字符集只用自己的字形，解码时自动识别', () => {
+    for (const name of ['latin', 'homoglyph-o', 'homoglyph-i', 'box']) {
+        const alphabet = AlphabetRegistry.get(name);
+        const ciphertext = encoder.encode('Hello 字符集', { alphabet: name });
+
+        assert.ok(ciphertext.startsWith(alphabet.magic), name);
+        assert.equal(alphabet.toCanonical(ciphertext).invalidIndex, -1);
+
+        const result = decoder.decode(ciphertext);
+        assert.equal(result.plaintext, 'Hello 字符集');
+        assert.equal(result.alphabet, name);
+    }
+});
+
+test('字符集按名称或编号指定，结果相同', () => {
+    assert.equal(encoder.encode('hi', { alphabet: 'box' }), encoder.encode('hi', { alphabet: 4 }));
+    assert.equal(AlphabetRegistry.get().name, 'oi1');
+    assert.throws(() => AlphabetRegistry.get('nope'),
+        error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'alphabet');
+});
+
+test('登记自定义字符集，字形可以由多个字符组成', () => {
+    AlphabetRegistry.register({ id: 100, name: 'words-test', glyphs: ['ka', 'ki', 'ku', 'ke'] });
+    assert.throws(() => AlphabetRegistry.register({ id: 101, name: 'prefix-test', glyphs: ['x', 'xy', 'z', 'w'] }),
+        error => error.code === 'INVALID_OPTION' && error.details.option === 'glyphs');
+
+    const ciphertext = encoder.encode('custom', { alphabet: 'words-test' });
+    assert.match(ciphertext, /^(ka|ki|ku|ke)+$/);
+    assert.equal(decoder.decode(ciphertext).plaintext, 'custom');
+    assert.equal(decoder.decode(encoder.encode('custom', { alphabet: 'words-test', groupSize: 3 }), { ignoreLayout: true }).plaintext, 'custom');
+});
+
+test('字符集定义错误', () => {
+    for (const [definition, option] of [
+        [{ id: -1, name: 'bad-id', glyphs: ['a', 'b', 'c', 'd'] }, 'id'],
+        [{ id: 102, name: 'bad-count', glyphs: ['a', 'b', 'c'] }, 'glyphs'],
+        [{ id: 103, name: 'bad-empty', glyphs: ['a', '', 'c', 'd'] }, 'glyphs'],
+        [{ id: 1, name: 'duplicate-id', glyphs: ['p', 'q', 'r', 's'] }, 'name'],
+        [{ id: 104, name: 'oi1-clash', glyphs: ['O', 'x', 'I', 'l'] }, 'glyphs']
+    ]) {
+        assert.throws(() => AlphabetRegistry.register(definition),
+            error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === option,
+            definition.name);
+    }
+});
@@ -0,0 +1,60 @@
+/**
+ * 批量处理
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Batch, OI1Decoder, OI1InputError } from '../src/core/index.js';
+
+const decoder = new OI1Decoder();
+
+test('CSV 按列名加密后可以原样解密', async () => {
+    const input = 'name;email\r\nAda;ada@example.com\r\nBob;"bob;x@example.com"\r\n';
+    const encoded = await OI1Batch.process(input, { format: 'csv', fields: ['email'] });
+    assert.equal(encoded.total, 2);
+    assert.equal(encoded.failed, 0);
+
+    const [header, first] = encoded.output.split('\r\n');
+    assert.equal(header, 'name;email');
+    assert.equal(decoder.decode(first.split(';')[1]).plaintext, 'ada@example.com');
+
+    const decoded = await OI1Batch.process(encoded.output, { operation: 'decode', format: 'csv', fields: ['email'] });
+    assert.equal(decoded.output, input);
+});
+
+test('失败的记录保持原样并记录错误，其他记录照常处理', async () => {
+    const input = '{"id":1,"secret":"a"}\nnot json\n\n{"id":3}\n';
+    const result = await OI1Batch.process(input, { fields: ['secret'] });
+
+    assert.equal(result.format, 'jsonl');
+    assert.equal(result.total, 3);
+    assert.equal(result.succeeded, 1);
+    assert.deepEqual(result.errors.map(({ record, line, field, error }) => [record, line, field, error.code]), [
+        [2, 2, null, 'INVALID_RECORD'],
+        [3, 4, 'secret', 'MISSING_FIELD']
+    ]);
+
+    const lines = result.output.split('\n');
+    assert.equal(decoder.decode(JSON.parse(lines[0]).secret).plaintext, 'a');
+    assert.deepEqual(lines.slice(1), ['not json', '', '{"id":3}', '']);
+});
+
+test('按行列表解密出含换行的值时报告 MULTILINE_VALUE', async () => {
+    const { output } = await OI1Batch.process('{"v":"a\\nb"}', { fields: ['v'] });
+    const cipher = JSON.parse(output).v;
+    const result = await OI1Batch.process(cipher, { operation: 'decode', format: 'lines' });
+    assert.equal(result.errors[0].error.code, 'MULTILINE_VALUE');
+    assert.equal(result.output, cipher);
+});
+
+test('排版和分段选项报告 INVALID_OPTION，不处理任何记录', async () => {
+    for (const [option, value] of [['groupSize', 4], ['lineWidth', 64], ['separator', ' '], ['maxPartLength', 100]]) {
+        await assert.rejects(OI1Batch.process('hello\n', { format: 'lines', encodeOptions: { [option]: value } }),
+            error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === option);
+    }
+});
+
+test('输出文件名', () => {
+    assert.deepEqual(OI1Batch.outputFile('csv', 'encode', 'users.csv'), { filename: 'users.encoded.csv', mimeType: 'text/csv' });
+    assert.equal(OI1Batch.outputFile('jsonl', 'decode').filename, 'oi1-batch.decoded.jsonl');
+});
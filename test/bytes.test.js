@@ -0,0 +1,51 @@
+/**
+ * 按字节编解码与文件密文
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1PayloadError, OI1InputError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+
+test('任意字节连同文件名和 MIME 类型还原', () => {
+    const ciphertext = encoder.encodeBytes(bytes, { filename: '图片.png', mimeType: 'image/png' });
+    const result = decoder.decodeBytes(ciphertext);
+
+    assert.deepEqual(result.bytes, bytes);
+    assert.equal(result.binary, true);
+    assert.equal(result.filename, '图片.png');
+    assert.equal(result.mimeType, 'image/png');
+});
+
+test('空文件也生成密文', () => {
+    const result = decoder.decodeBytes(encoder.encodeBytes(new Uint8Array(0), { filename: 'empty.txt' }));
+    assert.equal(result.bytes.length, 0);
+    assert.equal(result.filename, 'empty.txt');
+    assert.equal(result.mimeType, null);
+});
+
+test('decode 拒绝文件密文，decodeBytes 也能读取文本密文', () => {
+    assert.throws(() => decoder.decode(encoder.encodeBytes(bytes)),
+        error => error instanceof OI1PayloadError && error.code === 'BINARY_PAYLOAD');
+
+    const result = decoder.decodeBytes(encoder.encode('text'));
+    assert.deepEqual(result.bytes, new TextEncoder().encode('text'));
+    assert.equal(result.binary, false);
+});
+
+test('异步版本支持口令加密', async () => {
+    const ciphertext = await encoder.encodeBytesAsync(bytes, { filename: 'a.bin', password: 'secret', iterations: 1000 });
+    const result = await decoder.decodeBytesAsync(ciphertext, { password: 'secret' });
+    assert.deepEqual(result.bytes, bytes);
+    assert.equal(result.filename, 'a.bin');
+    assert.equal(result.encrypted, true);
+});
+
+test('输入必须是 Uint8Array', () => {
+    assert.throws(() => encoder.encodeBytes([1, 2, 3]),
+        error => error instanceof OI1InputError && error.code === 'INVALID_INPUT' && error.details.expected === 'Uint8Array');
+});
@@ -0,0 +1,64 @@
+/**
+ * 可选的校验算法
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1Demo, ChecksumRegistry, OI1Checksum } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+const text = 'checksum registry';
+
+test('各算法的校验码长度不同，都能往返解码', () => {
+    const lengths = {};
+    for (const name of ['crc32', 'none', 'crc16', 'crc32c', 'sha256']) {
+        const ciphertext = encoder.encode(text, { integrity: name });
+        lengths[name] = ciphertext.length;
+
+        const result = decoder.decode(ciphertext);
+        assert.equal(result.plaintext, text);
+        assert.equal(result.integrityAlgorithm, name);
+        assert.equal(result.crcVerified, name !== 'none');
+    }
+
+    // 除 CRC32 外都在头部记录算法编号，长度差只来自校验码
+    assert.equal(lengths.crc32c - lengths.none, 16);
+    assert.equal(lengths.crc32c - lengths.crc16, 8);
+    assert.equal(lengths.sha256 - lengths.crc32c, 16);
+});
+
+test('已知的校验值', () => {
+    const check = new TextEncoder().encode('123456789');
+    assert.equal(OI1Checksum.toHex(ChecksumRegistry.get('crc32').compute(check)), 'CBF43926');
+    assert.equal(OI1Checksum.toHex(ChecksumRegistry.get('crc32c').compute(check)), 'E3069283');
+    assert.equal(OI1Checksum.toHex(ChecksumRegistry.get('crc16').compute(check)), '29B1');
+    assert.equal(ChecksumRegistry.get('none').compute(check).length, 0);
+});
+
+test('非默认算法校验失败时报告 CRC_MISMATCH', () => {
+    const ciphertext = encoder.encode(text, { integrity: 'crc16' });
+    const damaged = ciphertext.slice(0, -12) + (ciphertext.at(-12) === 'O' ? 'l' : 'O') + ciphertext.slice(-11);
+    assert.throws(() => decoder.decode(damaged),
+        error => error.code === 'CRC_MISMATCH' && error.details.algorithm === 'CRC-16');
+});
+
+test('编码统计和演示步骤反映所选算法', () => {
+    const stats = encoder.getEncodingStats(text, encoder.encode(text, { integrity: 'sha256' }));
+    assert.equal(stats.checksum.algorithm, 'sha256');
+    assert.equal(stats.checksum.glyphs, 32);
+
+    const translate = (key, params) => `${key}${params?.algorithm ? ` ${params.algorithm}` : ''}`;
+    const encoding = OI1Demo.generateEncodingDemo('hi', { integrity: 'crc16', translate });
+    assert.ok(encoding.some(step => step.title === 'demo.steps.encoding.step2.title CRC-16'));
+
+    const decoding = OI1Demo.generateDecodingDemo(encoder.encode('hi', { integrity: 'crc32c' }), { translate });
+    assert.match(decoding.at(-1).output, /CRC32C/);
+});
+
+test('未知算法和重复登记报告 INVALID_OPTION', () => {
+    assert.throws(() => encoder.encode(text, { integrity: 'md5' }), { code: 'INVALID_OPTION' });
+    assert.throws(() => ChecksumRegistry.register({ id: 4, name: 'crc32c-copy', tagBytes: 4, compute: () => new Uint8Array(4) }),
+        { code: 'INVALID_OPTION' });
+});
@@ -0,0 +1,145 @@
+/**
+ * 命令行工具
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { OI1Cli, EXIT_CODES } from '../src/cli/cli.js';
+import { OI1Encoder, OI1Decoder } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+let directory;
+
+before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'oi1-cli-'));
+});
+
+after(() => rm(directory, { recursive: true, force: true }));
+
+/**
+ * 以内存中的输入输出执行命令
+ * @param {string[]} argv - 命令行参数
+ * @param {string|Uint8Array} [stdin=''] - 标准输入
+ * @param {Object} [env={}] - 环境变量
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+async function run(argv, stdin = '', env = {}) {
+    const stdout = [];
+    const stderr = [];
+    const io = {
+        stdin: Readable.from([Buffer.from(stdin)]),
+        stdout: { write: chunk => stdout.push(Buffer.from(chunk)) },
+        stderr: { write: chunk => stderr.push(Buffer.from(chunk)) },
+        env
+    };
+    const code = await OI1Cli.run(argv, io);
+    return { code, stdout: Buffer.concat(stdout).toString('utf-8'), stderr: Buffer.concat(stderr).toString('utf-8') };
+}
+
+test('从标准输入加密，再从标准输入解密', async () => {
+    const encoded = await run(['encode', '--integrity', 'crc32c'], 'hello\n');
+    assert.equal(encoded.code, EXIT_CODES.OK);
+    assert.equal(encoded.stdout, `${encoder.encode('hello\n', { integrity: 'crc32c' })}\n`);
+
+    const decoded = await run(['decode', '--strict'], encoded.stdout);
+    assert.equal(decoded.code, EXIT_CODES.OK);
+    assert.equal(decoded.stdout, 'hello\n');
+    assert.equal(decoded.stderr, '');
+});
+
+test('文件输入输出，文件密文保留文件名', async () => {
+    const input = join(directory, 'report.bin');
+    const cipher = join(directory, 'report.oi1');
+    const output = join(directory, 'restored.bin');
+    const bytes = Uint8Array.from({ length: 300 }, (_, i) => (i * 7) & 0xFF);
+    await writeFile(input, bytes);
+
+    assert.equal((await run(['encode', '--binary', input, '-o', cipher])).code, EXIT_CODES.OK);
+    assert.equal(decoder.decodeBytes((await readFile(cipher, 'utf-8')).trim()).filename, 'report.bin');
+
+    assert.equal((await run(['decode', cipher, '-o', output])).code, EXIT_CODES.OK);
+    assert.deepEqual(new Uint8Array(await readFile(output)), bytes);
+});
+
+test('--json 输出编码统计和解码结果', async () => {
+    const encoded = JSON.parse((await run(['encode', '--json', '--padding', 'bucket'], 'stats')).stdout);
+    assert.equal(decoder.decode(encoded.ciphertext).plaintext, 'stats');
+    assert.deepEqual(encoded.stats, JSON.parse(JSON.stringify(encoder.getEncodingStats('stats', encoded.ciphertext))));
+
+    const decoded = JSON.parse((await run(['decode', '--json'], encoded.ciphertext)).stdout);
+    assert.equal(decoded.plaintext, 'stats');
+    assert.equal(decoded.padded, true);
+    assert.deepEqual(decoded.warnings, []);
+});
+
+test('inspect 不解码载荷也能读出头部', async () => {
+    const ciphertext = await encoder.encodeAsync('secret', { password: 'pw', iterations: 1000, integrity: 'crc16' });
+    const { code, stdout } = await run(['inspect', '--json'], ciphertext);
+    assert.equal(code, EXIT_CODES.OK);
+
+    const report = JSON.parse(stdout);
+    assert.equal(report.valid, true);
+    assert.equal(report.formatVersion, 'v3');
+    assert.equal(report.integrity, 'crc16');
+    assert.ok(report.flagNames.includes('ENCRYPTED'));
+
+    const text = await run(['inspect'], ciphertext);
+    assert.match(text.stdout, /^formatVersion\s+v3$/m);
+});
+
+test('密码和密钥可以来自环境变量', async () => {
+    const env = { OI1_PASSWORD: 'pw', OI1_INTEGRITY_KEY: 'k' };
+    const encoded = await run(['encode', '--iterations', '1000', '--integrity', 'hmac-sha256'], 'from env', env);
+    assert.equal(encoded.code, EXIT_CODES.OK);
+    assert.equal((await run(['decode'], encoded.stdout, env)).stdout, 'from env');
+    assert.equal((await run(['decode'], encoded.stdout, { OI1_PASSWORD: 'pw' })).code, EXIT_CODES.KEY);
+});
+
+test('退出码按错误类型区分，错误说明按 LANG 选择语言', async () => {
+    const ciphertext = encoder.encode('damaged');
+    const damaged = ciphertext.slice(0, -20) + (ciphertext.at(-20) === 'O' ? 'l' : 'O') + ciphertext.slice(-19);
+
+    assert.equal((await run(['frobnicate'])).code, EXIT_CODES.USAGE);
+    assert.equal((await run(['encode', '--compress=yes'], 'x')).code, EXIT_CODES.USAGE);
+    assert.equal((await run(['decode'], 'OOO')).code, EXIT_CODES.FORMAT);
+    assert.equal((await run(['decode'], 'IOlIOOOl')).code, EXIT_CODES.PAYLOAD);
+    assert.equal((await run(['decode'], damaged)).code, EXIT_CODES.INTEGRITY);
+    assert.equal((await run(['decode', join(directory, 'missing.oi1')])).code, EXIT_CODES.FAILURE);
+
+    const english = await run(['decode'], 'OOOX', { LANG: 'en_US.UTF-8' });
+    const chinese = await run(['decode'], 'OOOX', { LANG: 'zh_CN.UTF-8' });
+    assert.equal(english.code, EXIT_CODES.FORMAT);
+    assert.match(english.stderr, /\[INVALID_CHAR\]\n$/);
+    assert.doesNotMatch(english.stderr, /[一-鿿]/);
+    assert.match(chinese.stderr, /[一-鿿]/);
+});
+
+test('--strict 拒绝没有校验码的密文', async () => {
+    const ciphertext = encoder.encode('unchecked', { integrity: 'none' });
+    const lenient = await run(['decode'], ciphertext);
+    assert.equal(lenient.code, EXIT_CODES.OK);
+    assert.equal(lenient.stdout, 'unchecked');
+    assert.notEqual(lenient.stderr, '');
+
+    const strict = await run(['decode', '--strict'], ciphertext);
+    assert.equal(strict.code, EXIT_CODES.INTEGRITY);
+    assert.match(strict.stderr, /\[UNVERIFIED\]/);
+});
+
+test('bin 入口通过管道读写', async () => {
+    const bin = fileURLToPath(new URL('../src/cli/oi1.js', import.meta.url));
+    const { stdout } = await new Promise((resolve, reject) => {
+        const child = execFile(process.execPath, [bin, 'encode'], { timeout: 30000 }, (error, stdout, stderr) => (
+            error ? reject(error) : resolve({ stdout, stderr })
+        ));
+        child.stdin.end('piped');
+    });
+    assert.equal(decoder.decode(stdout.trim()).plaintext, 'piped');
+});
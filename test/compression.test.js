@@ -0,0 +1,47 @@
+/**
+ * 载荷压缩
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateSync, inflateSync } from 'node:zlib';
+import { OI1Encoder, OI1Decoder, ZlibCodec } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+const text = '重复的内容 repeated content, '.repeat(40);
+
+test('压缩后密文变短，解码结果相同', async () => {
+    const plain = encoder.encode(text);
+    const compressed = encoder.encode(text, { compress: true });
+    assert.ok(compressed.length < plain.length / 4);
+
+    const result = decoder.decode(compressed);
+    assert.equal(result.plaintext, text);
+    assert.equal(result.compressed, true);
+
+    const asyncCipher = await encoder.encodeAsync(text, { compress: true });
+    assert.equal((await decoder.decodeAsync(asyncCipher)).plaintext, text);
+    assert.equal(decoder.decode(asyncCipher).plaintext, text);
+});
+
+test('压缩不能缩短时保持原样，不设置 COMPRESSED', () => {
+    const ciphertext = encoder.encode('a7$Q', { compress: true });
+    assert.equal(ciphertext, encoder.encode('a7$Q'));
+    assert.equal(decoder.decode(ciphertext).compressed, false);
+});
+
+test('与标准 zlib 数据互通', () => {
+    const bytes = new TextEncoder().encode(text);
+    assert.deepEqual(new Uint8Array(inflateSync(ZlibCodec.compress(bytes))), bytes);
+    assert.deepEqual(ZlibCodec.decompress(new Uint8Array(deflateSync(bytes))), bytes);
+    assert.deepEqual(ZlibCodec.decompress(new Uint8Array(deflateSync(bytes, { level: 0 }))), bytes);
+});
+
+test('编码统计给出压缩比', () => {
+    const stats = encoder.getEncodingStats(text, encoder.encode(text, { compress: true })).payloadCompression;
+    assert.equal(stats.applied, true);
+    assert.equal(stats.originalBytes, new TextEncoder().encode(text).length);
+    assert.ok(stats.ratio < 0.25);
+});
@@ -0,0 +1,48 @@
+/**
+ * 形近字符规范化
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, Confusables, AlphabetRegistry, DEFAULT_ALPHABET_ID, OI1FormatError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('全角字符和小写 i 替换回标准字符', () => {
+    const ciphertext = encoder.encode('Hello');
+    const index = ciphertext.indexOf('I', 4);
+    const damaged = ciphertext.slice(0, index) + 'i' + ciphertext.slice(index + 1).replace('0', '０');
+
+    const result = decoder.decode(damaged);
+    assert.equal(result.plaintext, 'Hello');
+    assert.equal(result.substitutions.length, 2);
+    assert.deepEqual(result.substitutions[0], { position: index + 1, from: 'i', to: 'I' });
+});
+
+test('其他字符集用作字形的字符不替换', () => {
+    const used = new Set(AlphabetRegistry.list().flatMap(alphabet => alphabet.id === DEFAULT_ALPHABET_ID ? [] : alphabet.glyphs.join('').split('')));
+    for (const lookalikes of Object.values(Confusables.table())) {
+        for (const lookalike of lookalikes) {
+            assert.equal(used.has(lookalike), false, lookalike);
+        }
+    }
+
+    assert.deepEqual(Confusables.normalize('OОΟՕo1|').substitutions, []);
+});
+
+test('魔数损坏的 homoglyph-o 密文不会被改写为 O0Il 密文', () => {
+    const ciphertext = encoder.encode('Hello world', { alphabet: 'homoglyph-o' });
+    const damaged = (ciphertext[0] === 'О' ? 'Ο' : 'О') + ciphertext.slice(1);
+
+    assert.throws(() => decoder.decode(damaged), error => error instanceof OI1FormatError && error.code === 'INVALID_CHAR');
+    assert.throws(() => decoder.decode(damaged, { legacyFallback: true }), { code: 'INVALID_CHAR' });
+    assert.equal(decoder.validateCiphertext(damaged).substitutions.length, 0);
+});
+
+test('之后登记的字符集用到的字符也不替换', () => {
+    assert.equal(Confusables.normalize('Ⅰ').substitutions.length, 1);
+    AlphabetRegistry.register({ id: 200, name: 'roman-test', glyphs: ['Ⅰ', 'Ⅱ', 'Ⅲ', 'Ⅳ'] });
+    assert.equal(Confusables.normalize('Ⅰ').substitutions.length, 0);
+    assert.equal(Confusables.table().I.includes('Ⅰ'), false);
+});
@@ -0,0 +1,38 @@
+/**
+ * 不依赖 DOM 和语言包的核心入口
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdir, readFile } from 'node:fs/promises';
+
+test('在没有 window、document 和 localStorage 的环境中按包名导入', async () => {
+    for (const name of ['window', 'document', 'localStorage']) {
+        assert.equal(typeof globalThis[name], 'undefined');
+    }
+
+    const core = await import('oi1-visual-encoder');
+    const ciphertext = new core.OI1Encoder().encode('backend');
+    assert.equal(new core.OI1Decoder().decode(ciphertext).plaintext, 'backend');
+    assert.equal(core, await import('../src/core/index.js'));
+});
+
+test('核心模块只相互导入，不导入界面和语言包', async () => {
+    const directory = new URL('../src/core/', import.meta.url);
+    for (const file of await readdir(directory)) {
+        const source = await readFile(new URL(file, directory), 'utf-8');
+        for (const [, staticSpecifier, dynamicSpecifier] of source.matchAll(/^(?:import|export)\s[^;]*?\bfrom\s+'([^']+)'|\bimport\('([^']+)'\)/gm)) {
+            const specifier = staticSpecifier || dynamicSpecifier;
+            assert.match(specifier, /^\.\/[\w-]+\.js$/, `${file} 导入了 ${specifier}`);
+        }
+    }
+});
+
+test('演示步骤的文本由调用方提供', async () => {
+    const { OI1Demo } = await import('oi1-visual-encoder');
+    const untranslated = OI1Demo.generateEncodingDemo('hi');
+    assert.equal(untranslated[0].title, 'demo.steps.encoding.step1.title');
+
+    const translated = OI1Demo.generateEncodingDemo('hi', { translate: key => `<${key}>` });
+    assert.equal(translated[0].title, '<demo.steps.encoding.step1.title>');
+});
@@ -0,0 +1,54 @@
+/**
+ * 纠错码修复 v3 头部
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+const text = 'Hello world, 纠错码也覆盖头部';
+
+/**
+ * 替换一个字形（从 0 开始计数）
+ * @param {string} ciphertext - 密文
+ * @param {number} index - 字形位置
+ * @returns {string} 替换后的密文
+ */
+function corrupt(ciphertext, index) {
+    const glyph = ciphertext[index] === 'O' ? 'l' : 'O';
+    return ciphertext.slice(0, index) + glyph + ciphertext.slice(index + 1);
+}
+
+// 魔数、标志位、载荷长度所在的字形
+const fields = [['魔数', 1], ['标志位', 10], ['载荷长度', 14]];
+
+for (const options of [{ ecc: 'low' }, { ecc: 'high', integrity: 'crc16', compress: true }]) {
+    for (const [field, index] of fields) {
+        test(`头部${field}损坏时按纠错码修复后解码: ${JSON.stringify(options)}`, async () => {
+            const ciphertext = corrupt(encoder.encode(text, options), index);
+
+            const result = decoder.decode(ciphertext);
+            assert.equal(result.plaintext, text);
+            assert.equal(result.crcVerified, true);
+            assert.deepEqual(result.repairedPositions, [index + 1]);
+
+            const asyncResult = await decoder.decodeAsync(ciphertext);
+            assert.equal(asyncResult.plaintext, text);
+        });
+    }
+}
+
+test('使用密钥映射的密文提供映射密钥后也能修复头部', () => {
+    const ciphertext = encoder.encode(text, { ecc: 'medium', mappingKey: 'secret' });
+    for (const [, index] of fields) {
+        const result = decoder.decode(corrupt(ciphertext, index), { mappingKey: 'secret' });
+        assert.equal(result.plaintext, text);
+    }
+});
+
+test('头部完好或没有纠错码时不受影响', () => {
+    assert.equal(decoder.decode(encoder.encode(text, { ecc: 'low' })).repairedPositions.length, 0);
+    assert.throws(() => decoder.decode(corrupt(encoder.encode(text), 1)));
+});
@@ -0,0 +1,121 @@
+/**
+ * 核心模块抛出的错误代码
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    OI1Encoder,
+    OI1Decoder,
+    OI1Header,
+    OI1Multipart,
+    ChecksumRegistry,
+    CipherLayout,
+    KeyedGlyphMapping,
+    PassphraseCipher,
+    PayloadWhitening,
+    ZlibCodec,
+    V3_FLAGS,
+    OI1InputError,
+    OI1KeyError,
+    OI1PayloadError
+} from '../src/core/index.js';
+import { BYTE_TO_GLYPHS } from '../src/core/oi1-algorithm.js';
+import { OI1Cli } from '../src/cli/cli.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+/**
+ * 组装头部与载荷都由调用方指定、校验码正确的 v3 密文
+ * @param {number} flags - 头部标志位
+ * @param {number[]} payload - 载荷字节
+ * @returns {string} 密文
+ */
+function assemble(flags, payload) {
+    const header = OI1Header.encode({ flags, payloadLength: payload.length });
+    const frame = Uint8Array.from([...header, ...payload]);
+    const tag = encoder.computeTag(frame);
+    return Array.from([...frame, ...tag], byte => BYTE_TO_GLYPHS[byte]).join('');
+}
+
+test('未知的字符集和完整性算法是选项错误', () => {
+    assert.throws(() => encoder.encode('hi', { alphabet: 'nope' }),
+        error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'alphabet');
+    assert.throws(() => encoder.encode('hi', { integrity: 'nope' }),
+        error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'integrity');
+});
+
+test('缺少共享密钥：编码时是选项错误，直接计算校验码时是密钥错误', () => {
+    assert.throws(() => encoder.encode('hi', { integrity: 'hmac-sha256' }),
+        error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'integrityKey');
+    assert.throws(() => ChecksumRegistry.get('hmac-sha256').compute(new Uint8Array(4)),
+        error => error instanceof OI1KeyError && error.code === 'INTEGRITY_KEY_REQUIRED');
+    assert.throws(() => new KeyedGlyphMapping(''),
+        error => error instanceof OI1KeyError && error.code === 'MAPPING_KEY_REQUIRED');
+});
+
+test('排版选项错误', () => {
+    for (const [option, value] of [['groupSize', -3], ['lineWidth', 1.5], ['separator', 'X']]) {
+        assert.throws(() => encoder.encode('hi', { [option]: value }),
+            error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === option);
+        assert.throws(() => CipherLayout.resolve({ [option]: value }), { code: 'INVALID_OPTION' });
+    }
+});
+
+test('多段消息的参数错误', () => {
+    const ciphertext = encoder.encode('Hello world');
+    const invalidOption = option => error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === option;
+    assert.throws(() => OI1Multipart.split(ciphertext), invalidOption('parts'));
+    assert.throws(() => OI1Multipart.split(ciphertext, { parts: 0 }), invalidOption('parts'));
+    assert.throws(() => OI1Multipart.split(ciphertext, { maxLength: 4 }), invalidOption('maxLength'));
+    assert.throws(() => OI1Multipart.split(ciphertext, { parts: 2, messageId: -1 }), invalidOption('messageId'));
+    assert.throws(() => OI1Multipart.reassemble('parts'), { code: 'INVALID_INPUT' });
+});
+
+test('压缩数据损坏', async () => {
+    assert.throws(() => ZlibCodec.decompress(Uint8Array.of(0x78, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF)),
+        error => error instanceof OI1PayloadError && error.code === 'INVALID_COMPRESSION');
+
+    const ciphertext = assemble(V3_FLAGS.COMPRESSED, [0x78, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+    assert.throws(() => decoder.decode(ciphertext), error => error instanceof OI1PayloadError && error.code === 'INVALID_COMPRESSION');
+    await assert.rejects(decoder.decodeAsync(ciphertext), { code: 'INVALID_COMPRESSION' });
+});
+
+test('解压结果超过限制', async () => {
+    const compressed = ZlibCodec.compress(new Uint8Array(100000));
+    assert.throws(() => ZlibCodec.decompress(compressed, 1000),
+        error => error instanceof OI1PayloadError && error.code === 'DECOMPRESSED_TOO_LARGE' && error.details.limit === 1000);
+    await assert.rejects(ZlibCodec.decompressAsync(compressed, 1000), { code: 'DECOMPRESSED_TOO_LARGE' });
+    assert.equal(ZlibCodec.decompress(compressed, 100000).length, 100000);
+
+    const ciphertext = encoder.encode('a'.repeat(5000), { compress: true });
+    assert.throws(() => decoder.decode(ciphertext, { maxDecompressedSize: 1000 }), { code: 'DECOMPRESSED_TOO_LARGE' });
+});
+
+test('白化和加密数据损坏', async () => {
+    assert.throws(() => PayloadWhitening.unwhiten(new Uint8Array(3)), { code: 'INVALID_WHITENING' });
+    assert.throws(() => decoder.decode(assemble(V3_FLAGS.WHITENED, [1, 2, 3])), { code: 'INVALID_WHITENING' });
+
+    assert.throws(() => PassphraseCipher.readParams(new Uint8Array(8)),
+        error => error instanceof OI1PayloadError && error.code === 'INVALID_ENCRYPTION');
+    await assert.rejects(decoder.decodeAsync(assemble(V3_FLAGS.ENCRYPTED, [1, 2, 3]), { password: 'secret' }),
+        { code: 'INVALID_ENCRYPTION' });
+});
+
+test('错误说明按所选语言生成，不含核心模块的中文说明', async () => {
+    const t = await OI1Cli.translator({ LANG: 'en_US.UTF-8' });
+    const cases = [
+        () => encoder.encode('hi', { alphabet: 'nope' }),
+        () => encoder.encode('hi', { separator: 'X' }),
+        () => decoder.decode(assemble(V3_FLAGS.COMPRESSED, [0x78, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]))
+    ];
+
+    for (const run of cases) {
+        assert.throws(run, error => {
+            const description = OI1Cli.describeError(error, t);
+            assert.doesNotMatch(description, /[一-鿿]/);
+            return true;
+        });
+    }
+});
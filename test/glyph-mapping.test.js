@@ -0,0 +1,50 @@
+/**
+ * 密钥派生的字形映射
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1Demo, KeyedGlyphMapping, OI1IntegrityError, OI1KeyError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('按密钥映射后只有相同密钥能解码', () => {
+    const plain = encoder.encode('Hello mapping');
+    const ciphertext = encoder.encode('Hello mapping', { mappingKey: 'shared words' });
+    assert.notEqual(ciphertext, plain);
+    assert.notEqual(ciphertext, encoder.encode('Hello mapping', { mappingKey: 'other words' }));
+
+    const result = decoder.decode(ciphertext, { mappingKey: 'shared words' });
+    assert.equal(result.plaintext, 'Hello mapping');
+    assert.equal(result.keyedMapping, true);
+
+    assert.throws(() => decoder.decode(ciphertext), error => error instanceof OI1KeyError && error.code === 'MAPPING_KEY_REQUIRED');
+    assert.throws(() => decoder.decode(ciphertext, { mappingKey: 'other words' }),
+        error => error instanceof OI1IntegrityError && error.code === 'MAPPING_KEY_MISMATCH');
+});
+
+test('每个位置使用一种排列，相同的值在不同位置映射为不同字符', () => {
+    const mapping = new KeyedGlyphMapping('shared words');
+    const table = mapping.table(64);
+    for (const row of table) {
+        assert.deepEqual([...row].sort(), ['0', 'I', 'O', 'l']);
+    }
+    assert.ok(new Set(table.map(row => row.join(''))).size > 1);
+
+    const canonical = 'O'.repeat(64);
+    assert.ok(new Set(mapping.apply(canonical)).size > 1);
+    assert.equal(mapping.revert(mapping.apply(canonical)), canonical);
+    assert.throws(() => new KeyedGlyphMapping(''), { code: 'MAPPING_KEY_REQUIRED' });
+});
+
+test('演示步骤列出映射表，并在解码时还原映射', () => {
+    const encoding = OI1Demo.generateEncodingDemo('hi', { mappingKey: 'k' });
+    const step = encoding.find(item => item.table);
+    assert.deepEqual(step.table.headers.slice(1), ['00', '01', '10', '11']);
+    assert.deepEqual(step.table.rows[0].slice(1), new KeyedGlyphMapping('k').table(1)[0]);
+
+    const decoding = OI1Demo.generateDecodingDemo(encoder.encode('hi', { mappingKey: 'k' }), { mappingKey: 'k' });
+    assert.ok(decoding.some(item => item.table));
+    assert.ok(decoding.some(item => item.output === 'hi'));
+});
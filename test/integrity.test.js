@@ -0,0 +1,61 @@
+/**
+ * HMAC-SHA256 完整性标签
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1InputError, OI1IntegrityError, OI1KeyError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+const options = { integrity: 'hmac-sha256', integrityKey: 'shared key' };
+
+/**
+ * 替换密文中的一个字符
+ * @param {string} ciphertext - 密文
+ * @param {number} position - 位置（从0开始）
+ * @returns {string} 修改后的密文
+ */
+function flip(ciphertext, position) {
+    return ciphertext.slice(0, position) + (ciphertext[position] === 'O' ? 'l' : 'O') + ciphertext.slice(position + 1);
+}
+
+test('使用相同密钥解码时报告 authentic', async () => {
+    const ciphertext = encoder.encode('signed message', options);
+    const result = decoder.decode(ciphertext, { integrityKey: 'shared key' });
+    assert.equal(result.plaintext, 'signed message');
+    assert.equal(result.integrity, 'authentic');
+    assert.equal(result.integrityAlgorithm, 'hmac-sha256');
+
+    const asyncCipher = await encoder.encodeAsync('signed message', { ...options, password: 'pw', iterations: 1000 });
+    const asyncResult = await decoder.decodeAsync(asyncCipher, { integrityKey: 'shared key', password: 'pw' });
+    assert.equal(asyncResult.plaintext, 'signed message');
+    assert.equal(asyncResult.integrity, 'authentic');
+});
+
+test('只有不带密钥的校验码时报告 none', () => {
+    assert.equal(decoder.decode(encoder.encode('plain')).integrity, 'none');
+    assert.equal(decoder.decode(encoder.encode('plain', { integrity: 'none' })).integrity, 'none');
+});
+
+test('密钥错误或密文被修改时报告 INTEGRITY_MISMATCH', () => {
+    const ciphertext = encoder.encode('signed message', options);
+    assert.throws(() => decoder.decode(ciphertext, { integrityKey: 'other key' }),
+        error => error instanceof OI1IntegrityError && error.code === 'INTEGRITY_MISMATCH' && error.details.integrity === 'corrupted');
+    assert.throws(() => decoder.decode(flip(ciphertext, ciphertext.length - 70), { integrityKey: 'shared key' }),
+        { code: 'INTEGRITY_MISMATCH' });
+});
+
+test('缺少密钥：加密时报告 INVALID_OPTION，解密时报告 INTEGRITY_KEY_REQUIRED', () => {
+    assert.throws(() => encoder.encode('x', { integrity: 'hmac-sha256' }),
+        error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'integrityKey');
+    assert.throws(() => decoder.decode(encoder.encode('x', options)),
+        error => error instanceof OI1KeyError && error.code === 'INTEGRITY_KEY_REQUIRED');
+});
+
+test('CRC32 损坏同样标记为 corrupted', () => {
+    const ciphertext = encoder.encode('accidental damage');
+    assert.throws(() => decoder.decode(flip(ciphertext, ciphertext.length - 20)),
+        error => error.code === 'CRC_MISMATCH' && error.details.integrity === 'corrupted');
+});
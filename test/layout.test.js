@@ -0,0 +1,42 @@
+/**
+ * 密文排版与忽略排版字符
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, CipherLayout } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('按组分隔并折行，折行只发生在组之间', () => {
+    assert.equal(CipherLayout.format('OOOO0000IIIIllll', { groupSize: 4, lineWidth: 9 }), 'OOOO 0000\nIIII llll');
+    assert.equal(CipherLayout.format('OOOO0000', { groupSize: 3, separator: '-' }), 'OOO-O00-00');
+    assert.equal(CipherLayout.format('OOOO0000', { lineWidth: 3 }), 'OOO\nO00\n00');
+    assert.equal(CipherLayout.format(['rn', 'm', 'cl', 'd'], { groupSize: 2 }), 'rnm cld');
+});
+
+test('排版后的密文在忽略排版字符时照常解码', () => {
+    const plain = encoder.encode('wrapped message');
+    const formatted = encoder.encode('wrapped message', { groupSize: 4, lineWidth: 40 });
+    assert.notEqual(formatted, plain);
+    assert.equal(CipherLayout.strip(formatted), plain);
+    assert.ok(formatted.split('\n').every(line => line.length <= 40));
+
+    assert.throws(() => decoder.decode(formatted), { code: 'INVALID_CHAR' });
+    assert.equal(decoder.decode(formatted, { ignoreLayout: true }).plaintext, 'wrapped message');
+
+    // 邮件客户端插入的缩进、零宽字符和连字符
+    const pasted = '  ' + plain.slice(0, 10) + '​\r\n\t' + plain.slice(10, 20) + '-' + plain.slice(20);
+    assert.equal(decoder.decode(pasted, { ignoreLayout: true }).plaintext, 'wrapped message');
+    assert.equal(decoder.validateCiphertext(pasted, { ignoreLayout: true }).isValid, true);
+});
+
+test('对已有密文重新排版，多字符字形不会被拆开', () => {
+    const ciphertext = encoder.encode('latin glyphs', { alphabet: 'latin' });
+    const formatted = encoder.formatCiphertext(ciphertext, { groupSize: 3 });
+    for (const group of formatted.split(' ').slice(0, -1)) {
+        assert.match(group, /^(rn|m|cl|d){3}$/);
+    }
+    assert.equal(decoder.decode(formatted, { ignoreLayout: true }).plaintext, 'latin glyphs');
+});
@@ -0,0 +1,77 @@
+/**
+ * 没有头部的旧格式密文（v1、v2）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1IntegrityError } from '../src/core/index.js';
+import { BYTE_TO_GLYPHS, CRC32 } from '../src/core/oi1-algorithm.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+const crc32 = new CRC32();
+
+/**
+ * 生成 v1 密文：原文的 UTF-8 字节，没有校验
+ * @param {string} text - 原文
+ * @returns {string} 密文
+ */
+function v1(text) {
+    return Array.from(new TextEncoder().encode(text), byte => BYTE_TO_GLYPHS[byte]).join('');
+}
+
+/**
+ * 生成 v2 密文：v1 密文加 16 个字形的 CRC32
+ * @param {string} text - 原文
+ * @returns {string} 密文
+ */
+function v2(text) {
+    return v1(text) + crc32.toOI1String(crc32.calculate(new TextEncoder().encode(text)));
+}
+
+/**
+ * 替换一个字形
+ * @param {string} ciphertext - 密文
+ * @param {number} index - 字形位置（从 0 开始）
+ * @returns {string} 替换后的密文
+ */
+function corrupt(ciphertext, index) {
+    const glyph = ciphertext[index] === 'O' ? 'l' : 'O';
+    return ciphertext.slice(0, index) + glyph + ciphertext.slice(index + 1);
+}
+
+test('v2 密文通过 CRC32 校验', () => {
+    const result = decoder.decode(v2('Hello world'));
+    assert.equal(result.plaintext, 'Hello world');
+    assert.equal(result.formatVersion, 'v2');
+    assert.equal(result.crcVerified, true);
+});
+
+test('损坏的 v2 密文报告错误，不回退为 v1', () => {
+    const ciphertext = v2('Hello world, legacy cipher');
+    for (let index = 0; index < ciphertext.length; index++) {
+        // 损坏的字节不是有效的 UTF-8 时先报告 UTF8_INVALID，其余都是校验失败
+        assert.throws(() => decoder.decode(corrupt(ciphertext, index)),
+            error => (error instanceof OI1IntegrityError && error.code === 'CRC_MISMATCH') || error.code === 'UTF8_INVALID',
+            `位置 ${index}`);
+    }
+});
+
+test('v1 密文需要指定格式或开启 legacyFallback', () => {
+    const ciphertext = v1('Hello world');
+    assert.throws(() => decoder.decode(ciphertext), { code: 'CRC_MISMATCH' });
+
+    assert.equal(decoder.decode(ciphertext, { format: 'v1' }).plaintext, 'Hello world');
+
+    const result = decoder.decode(ciphertext, { legacyFallback: true });
+    assert.equal(result.plaintext, 'Hello world');
+    assert.equal(result.formatVersion, 'v1');
+    assert.equal(result.fallbackFrom, 'v2');
+});
+
+test('头部损坏、没有纠错码的 v3 密文不会被当作旧格式解码', () => {
+    const ciphertext = encoder.encode('Hello world');
+    for (let index = 0; index < 16; index++) {
+        assert.throws(() => decoder.decode(corrupt(ciphertext, index)), `位置 ${index}`);
+    }
+});
@@ -0,0 +1,76 @@
+/**
+ * 载荷元数据
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1Metadata, OI1InputError, OI1PayloadError } from '../src/core/index.js';
+import { OI1FileInfo } from '../src/core/oi1-algorithm.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('元数据随密文保存，时间按秒取整', () => {
+    const createdAt = Date.UTC(2026, 0, 1, 8, 0, 0, 500);
+    const ciphertext = encoder.encode('see you at 8', { metadata: { label: '晚饭', createdAt, expiresAt: '2099-01-01T00:00:00Z' } });
+    const result = decoder.decode(ciphertext);
+
+    assert.equal(result.plaintext, 'see you at 8');
+    assert.deepEqual(result.metadata, {
+        createdAt: Date.UTC(2026, 0, 1, 8, 0, 0),
+        expiresAt: Date.UTC(2099, 0, 1),
+        label: '晚饭'
+    });
+    assert.equal(result.expired, false);
+});
+
+test('过期的消息照常解码并标记 expired', () => {
+    const result = decoder.decode(encoder.encode('late', { metadata: { expiresAt: Date.now() - 60000 } }));
+    assert.equal(result.plaintext, 'late');
+    assert.equal(result.expired, true);
+});
+
+test('没有元数据时 metadata 为 null', () => {
+    const result = decoder.decode(encoder.encode('plain'));
+    assert.equal(result.metadata, null);
+    assert.equal(result.expired, false);
+});
+
+test('文件名和 MIME 类型由文件描述记录，不是元数据字段', () => {
+    for (const field of ['filename', 'contentType']) {
+        assert.throws(() => encoder.encode('hi', { metadata: { [field]: 'a.txt' } }),
+            error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.field === field);
+    }
+
+    const ciphertext = encoder.encodeBytes(Uint8Array.of(1, 2, 3), {
+        filename: 'a.bin',
+        mimeType: 'application/octet-stream',
+        metadata: { label: 'file' }
+    });
+    const result = decoder.decodeBytes(ciphertext);
+    assert.equal(result.filename, 'a.bin');
+    assert.equal(result.mimeType, 'application/octet-stream');
+    assert.deepEqual(result.metadata, { label: 'file' });
+});
+
+test('编码时的元数据选项错误是选项错误', () => {
+    for (const [metadata, field] of [[{ expiresAt: 'tomorrow' }, 'expiresAt'], [{ label: 42 }, 'label'], [{ color: 'red' }, 'color']]) {
+        assert.throws(() => encoder.encode('hi', { metadata }),
+            error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' &&
+                error.details.option === 'metadata' && error.details.field === field);
+    }
+});
+
+test('无效的 UTF-8 字段和不完整的元数据段报告 INVALID_METADATA', () => {
+    assert.throws(() => OI1Metadata.decode(Uint8Array.of(0x05, 0x02, 0xC3, 0x28, 0x00)),
+        error => error instanceof OI1PayloadError && error.code === 'INVALID_METADATA' && error.details.field === 'label');
+    assert.throws(() => OI1Metadata.decode(Uint8Array.of(0x05, 0x05, 0x61)), { code: 'INVALID_METADATA' });
+    assert.throws(() => OI1FileInfo.decode(Uint8Array.of(0x01, 0x01, 0xFF, 0x00)),
+        error => error instanceof OI1PayloadError && error.code === 'INVALID_METADATA' && error.details.field === 'file');
+});
+
+test('旧密文中的类型 0x01、0x02 字段被跳过', () => {
+    const { metadata, dataOffset } = OI1Metadata.decode(Uint8Array.of(0x01, 0x01, 0x61, 0x05, 0x01, 0x62, 0x00, 0x7A));
+    assert.deepEqual(metadata, { label: 'b' });
+    assert.equal(dataOffset, 7);
+});
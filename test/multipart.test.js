@@ -0,0 +1,69 @@
+/**
+ * 多段消息的拆分与合并
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1Multipart, OI1FormatError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('按段数拆分，任意顺序合并后还原完整密文', () => {
+    const ciphertext = encoder.encode('Hello 多段消息, split me into pieces');
+    const parts = OI1Multipart.split(ciphertext, { parts: 3 });
+    assert.equal(parts.length, 3);
+
+    const result = OI1Multipart.reassemble([parts[2], parts[0], parts[1]]);
+    assert.equal(result.complete, true);
+    assert.deepEqual(result.received, [1, 2, 3]);
+    assert.equal(result.ciphertext, ciphertext);
+    assert.equal(decoder.decode(result.ciphertext).plaintext, 'Hello 多段消息, split me into pieces');
+});
+
+test('按每段最大长度拆分', () => {
+    const ciphertext = encoder.encode('a fairly long message that will not fit into a single short part');
+    const parts = OI1Multipart.split(ciphertext, { maxLength: 120 });
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+        assert.ok(part.length <= 120, `长度 ${part.length}`);
+    }
+    assert.equal(OI1Multipart.reassemble(parts).ciphertext, ciphertext);
+});
+
+test('分段使用原密文的字符集，单段可以解析', () => {
+    const ciphertext = encoder.encode('homoglyph parts', { alphabet: 'homoglyph-o' });
+    const parts = OI1Multipart.split(ciphertext, { parts: 2, messageId: 7 });
+
+    const parsed = OI1Multipart.parse(parts[1]);
+    assert.equal(parsed.messageId, 7);
+    assert.equal(parsed.index, 2);
+    assert.equal(parsed.total, 2);
+    assert.equal(parsed.alphabet, 'homoglyph-o');
+    assert.equal(OI1Multipart.reassemble(parts).ciphertext, ciphertext);
+});
+
+test('缺少分段时报告缺失的序号，损坏的分段记入 invalid', () => {
+    const parts = OI1Multipart.split(encoder.encode('missing pieces here'), { parts: 3 });
+    const damaged = parts[1].slice(0, -1) + (parts[1].endsWith('O') ? 'l' : 'O');
+
+    const result = OI1Multipart.reassemble([parts[0], damaged]);
+    assert.equal(result.complete, false);
+    assert.equal(result.ciphertext, null);
+    assert.deepEqual(result.received, [1]);
+    assert.deepEqual(result.missing, [2, 3]);
+    assert.equal(result.invalid.length, 1);
+    assert.equal(result.invalid[0].position, 2);
+    assert.equal(result.invalid[0].code, 'CRC_MISMATCH');
+});
+
+test('分段错误代码', () => {
+    const ciphertext = encoder.encode('Hello world');
+    const [part] = OI1Multipart.split(ciphertext, { parts: 2, messageId: 1 });
+    const [other] = OI1Multipart.split(ciphertext, { parts: 2, messageId: 2 });
+
+    assert.throws(() => OI1Multipart.split(part, { parts: 2 }), error => error instanceof OI1FormatError && error.code === 'MULTIPART_PART');
+    assert.throws(() => OI1Multipart.parse(ciphertext), { code: 'NOT_MULTIPART' });
+    assert.throws(() => OI1Multipart.reassemble([part, other]), { code: 'MIXED_PARTS' });
+    assert.throws(() => OI1Multipart.reassemble(['', 'OOOO']), { code: 'NO_PARTS' });
+});
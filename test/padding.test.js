@@ -0,0 +1,71 @@
+/**
+ * 隐藏长度的载荷填充
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, PayloadPadding, OI1InputError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('各策略的填充长度', () => {
+    assert.equal(PayloadPadding.targetLength(3, 'bucket'), 32);
+    assert.equal(PayloadPadding.targetLength(31, 'bucket'), 32);
+    assert.equal(PayloadPadding.targetLength(32, 'bucket'), 64);
+    assert.equal(PayloadPadding.targetLength(300, 'bucket'), 512);
+    assert.equal(PayloadPadding.targetLength(10, 'bucket', { buckets: [16, 48] }), 16);
+
+    assert.equal(PayloadPadding.targetLength(3, 'pow2'), 16);
+    assert.equal(PayloadPadding.targetLength(40, 'pow2'), 64);
+
+    for (let i = 0; i < 20; i++) {
+        const length = PayloadPadding.targetLength(100, 'random');
+        assert.ok(length >= 101 && length <= 101 + 32, `长度 ${length}`);
+    }
+});
+
+test('同一档位内不同长度的消息得到相同长度的密文，解码时去除填充', () => {
+    const short = encoder.encode('yes', { padding: 'bucket' });
+    const long = encoder.encode('a somewhat longer reply', { padding: 'bucket' });
+    assert.equal(short.length, long.length);
+
+    const result = decoder.decode(long);
+    assert.equal(result.plaintext, 'a somewhat longer reply');
+    assert.equal(result.padded, true);
+    assert.equal(decoder.decode(encoder.encode('random', { padding: 'random' })).plaintext, 'random');
+});
+
+test('填充字节不是零，与密码和白化一起使用', async () => {
+    const padded = PayloadPadding.pad(Uint8Array.of(1, 2, 3), 'bucket');
+    assert.equal(padded.length, 32);
+    assert.ok(padded.subarray(4).some(byte => byte !== 0));
+    assert.deepEqual(PayloadPadding.unpad(padded), Uint8Array.of(1, 2, 3));
+    assert.deepEqual(PayloadPadding.inspect(padded), { start: 1, length: 3, padding: 28 });
+
+    const options = { padding: 'pow2', whiten: true, password: 'pw', iterations: 1000 };
+    const ciphertext = await encoder.encodeAsync('hidden length', options);
+    const result = await decoder.decodeAsync(ciphertext, { password: 'pw' });
+    assert.equal(result.plaintext, 'hidden length');
+    assert.equal(result.padded, true);
+    assert.equal(result.whitened, true);
+});
+
+test('编码统计给出填充开销，有映射密钥时真实长度未知', () => {
+    assert.deepEqual(encoder.getEncodingStats('yes', encoder.encode('yes', { padding: 'bucket' })).padding, {
+        applied: true,
+        contentBytes: 3,
+        paddedBytes: 32,
+        overheadBytes: 29,
+        overheadRatio: 29 / 3
+    });
+    const keyed = encoder.getEncodingStats('yes', encoder.encode('yes', { padding: 'bucket', mappingKey: 'k' })).padding;
+    assert.equal(keyed.contentBytes, null);
+    assert.equal(keyed.paddedBytes, 32);
+});
+
+test('未知策略报告 INVALID_OPTION，记录的长度无效时报告 INVALID_PADDING', () => {
+    assert.throws(() => encoder.encode('x', { padding: 'huge' }),
+        error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'padding');
+    assert.throws(() => PayloadPadding.unpad(Uint8Array.of(40, 1, 2)), { code: 'INVALID_PADDING' });
+});
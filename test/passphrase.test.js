@@ -0,0 +1,63 @@
+/**
+ * 口令加密
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    OI1Encoder,
+    OI1Decoder,
+    OI1Header,
+    PassphraseCipher,
+    V3_FLAGS,
+    OI1InputError,
+    OI1FormatError,
+    OI1KeyError
+} from '../src/core/index.js';
+import { BYTE_TO_GLYPHS } from '../src/core/oi1-algorithm.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+// 测试中使用最小的迭代次数，缩短密钥派生时间
+const options = { password: 'secret', iterations: 1000 };
+
+/**
+ * 组装带 ENCRYPTED 标志、载荷为给定加密块的 v3 密文
+ * @param {number[]} block - 加密块
+ * @returns {string} 密文
+ */
+function assembleEncrypted(block) {
+    const header = OI1Header.encode({ flags: V3_FLAGS.ENCRYPTED, payloadLength: block.length });
+    const frame = Uint8Array.from([...header, ...block]);
+    return Array.from([...frame, ...encoder.computeTag(frame)], byte => BYTE_TO_GLYPHS[byte]).join('');
+}
+
+test('加密后用同一口令解密', async () => {
+    const ciphertext = await encoder.encodeAsync('Hello 口令', options);
+    const result = await decoder.decodeAsync(ciphertext, { password: 'secret' });
+    assert.equal(result.plaintext, 'Hello 口令');
+    assert.equal(result.encrypted, true);
+});
+
+test('缺少口令或口令错误', async () => {
+    const ciphertext = await encoder.encodeAsync('Hello', options);
+    assert.throws(() => decoder.decode(ciphertext), { code: 'PASSWORD_REQUIRED' });
+    await assert.rejects(decoder.decodeAsync(ciphertext, { password: 'wrong' }),
+        error => error instanceof OI1KeyError && error.code === 'WRONG_PASSWORD');
+});
+
+test('迭代次数必须是允许范围内的整数', async () => {
+    for (const iterations of [0, -5, 999, 1.5, 2 ** 32 + 1000, '1000']) {
+        await assert.rejects(encoder.encodeAsync('Hello', { password: 'secret', iterations }),
+            error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'iterations');
+    }
+});
+
+test('密文中超出范围的迭代次数在派生密钥之前被拒绝', async () => {
+    const block = [0x01, 0xFF, 0xFF, 0xFF, 0xFF, ...new Array(16 + 12 + 16).fill(0)];
+    assert.throws(() => PassphraseCipher.readParams(Uint8Array.from(block)), { code: 'INVALID_ITERATIONS' });
+
+    await assert.rejects(decoder.decodeAsync(assembleEncrypted(block), { password: 'secret' }),
+        error => error instanceof OI1FormatError && error.code === 'INVALID_ITERATIONS' && error.details.iterations === 0xFFFFFFFF);
+});
@@ -0,0 +1,34 @@
+/**
+ * 密文质量检查
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+for (const text of ['Hello world', 'The quick brown fox jumps over the lazy dog']) {
+    test(`未白化的 ASCII 文本得分低于 100，白化后为 100: ${text}`, () => {
+        const plain = decoder.getCiphertextQuality(encoder.encode(text));
+        assert.ok(plain.quality < 100);
+        assert.ok(plain.issues.includes('字符分布不均匀'));
+
+        const whitened = decoder.getCiphertextQuality(encoder.encode(text, { whiten: true }));
+        assert.equal(whitened.quality, 100);
+        assert.deepEqual(whitened.issues, []);
+    });
+}
+
+test('编码统计与质量检查使用相同的字符分布统计', () => {
+    const ciphertext = encoder.encode('Hello world', { alphabet: 'latin' });
+    const sum = ({ counts }) => Object.values(counts).reduce((total, count) => total + count, 0);
+
+    // 两者都按还原后的标准 O0Il 字符统计，质量检查不计 v3 头部
+    const stats = encoder.getEncodingStats('Hello world', ciphertext).charDistribution;
+    const quality = decoder.getCiphertextQuality(ciphertext).distribution;
+    assert.equal(sum(stats), stats.total);
+    assert.equal(sum(quality), quality.total);
+    assert.equal(stats.total - quality.total, 20);
+});
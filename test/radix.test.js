@@ -0,0 +1,78 @@
+/**
+ * 8 字形和 16 字形的高密度字符集
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1EncoderStream, OI1DecoderStream, AlphabetRegistry } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('各种长度的原文都能还原，包括需要补位的长度', () => {
+    for (const name of ['dense8', 'dense16']) {
+        for (let length = 1; length <= 12; length++) {
+            const text = 'abcdefghijkl'.slice(0, length);
+            const ciphertext = encoder.encode(text, { alphabet: name });
+            const result = decoder.decode(ciphertext);
+            assert.equal(result.plaintext, text, `${name} ${length}`);
+            assert.equal(result.alphabet, name);
+        }
+    }
+});
+
+test('密文长度缩短为三分之二和一半，统计与格式检测给出进制', () => {
+    const text = 'density matters '.repeat(8);
+    const canonical = encoder.encode(text);
+
+    for (const [name, radix, ratio] of [['dense8', 8, 2 / 3], ['dense16', 16, 1 / 2]]) {
+        const ciphertext = encoder.encode(text, { alphabet: name });
+        assert.ok(Math.abs(ciphertext.length / canonical.length - ratio) < 0.02, name);
+
+        const stats = encoder.getEncodingStats(text, ciphertext).radix;
+        assert.equal(stats.radix, radix);
+        assert.equal(stats.glyphs, ciphertext.length);
+        assert.equal(stats.savedGlyphs, stats.baselineGlyphs - stats.glyphs);
+
+        assert.equal(encoder.detectFormat(AlphabetRegistry.get(name).toCanonical(ciphertext).canonical, AlphabetRegistry.get(name)).radix, radix);
+    }
+});
+
+test('末尾多出字形时解码失败，字形与标准字符可以互相转换', () => {
+    const ciphertext = encoder.encode('ab', { alphabet: 'dense8' });
+    assert.throws(() => decoder.decode(ciphertext + 'O'));
+
+    const alphabet = AlphabetRegistry.get('dense8');
+    const { canonical } = alphabet.toCanonical(alphabet.fromCanonical('IOlIOOOO'));
+    assert.equal(canonical, 'IOlIOOOO');
+});
+
+test('流式编解码支持高密度字符集，任意分块', async () => {
+    const data = Uint8Array.from({ length: 100 }, (_, i) => (i * 37) & 0xFF);
+    for (const name of ['dense8', 'dense16']) {
+        const chunks = [];
+        const encoding = new OI1EncoderStream({ binary: true, alphabet: name, length: data.length });
+        const writer = encoding.writable.getWriter();
+        writer.write(data.subarray(0, 7));
+        writer.write(data.subarray(7));
+        writer.close();
+        for await (const chunk of encoding.readable) {
+            chunks.push(chunk);
+        }
+        const ciphertext = chunks.join('');
+        assert.equal(ciphertext, encoder.encodeBytes(data, { alphabet: name }));
+
+        const decoding = new OI1DecoderStream();
+        const output = [];
+        const input = decoding.writable.getWriter();
+        for (let i = 0; i < ciphertext.length; i += 5) {
+            input.write(ciphertext.slice(i, i + 5));
+        }
+        input.close();
+        for await (const chunk of decoding.readable) {
+            output.push(...chunk);
+        }
+        assert.deepEqual(Uint8Array.from(output), data);
+        assert.equal((await decoding.result).alphabet, name);
+    }
+});
@@ -0,0 +1,53 @@
+/**
+ * 随机化编码与白化
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, PayloadWhitening, OI1InputError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+test('随机化后相同原文得到不同密文，都能解码', async () => {
+    const first = encoder.encode('yes', { randomize: true });
+    const second = encoder.encode('yes', { randomize: true });
+    assert.notEqual(first, second);
+    for (const ciphertext of [first, second, await encoder.encodeAsync('yes', { randomize: true })]) {
+        const result = decoder.decode(ciphertext);
+        assert.equal(result.plaintext, 'yes');
+        assert.equal(result.whitened, true);
+    }
+});
+
+test('默认输出和只白化的输出可以复现', () => {
+    assert.equal(encoder.encode('yes'), encoder.encode('yes'));
+    assert.equal(encoder.encode('yes', { whiten: true }), encoder.encode('yes', { whiten: true }));
+    assert.notEqual(encoder.encode('yes', { whiten: true }), encoder.encode('yes'));
+});
+
+test('指定 nonce 时输出固定，种子写在载荷开头', () => {
+    const nonce = Uint8Array.of(1, 2, 3, 4, 5, 6, 7, 8);
+    const ciphertext = encoder.encode('fixture', { nonce });
+    assert.equal(ciphertext, encoder.encode('fixture', { nonce }));
+    assert.notEqual(ciphertext, encoder.encode('fixture', { nonce: new Uint8Array(8) }));
+    assert.equal(decoder.decode(ciphertext).plaintext, 'fixture');
+
+    const whitened = PayloadWhitening.whiten(new TextEncoder().encode('fixture'), nonce);
+    assert.deepEqual(PayloadWhitening.readSeed(whitened), nonce);
+    assert.equal(new TextDecoder().decode(PayloadWhitening.unwhiten(whitened)), 'fixture');
+});
+
+test('与密码一起使用', async () => {
+    const ciphertext = await encoder.encodeAsync('secret', { randomize: true, password: 'pw', iterations: 1000 });
+    const result = await decoder.decodeAsync(ciphertext, { password: 'pw' });
+    assert.equal(result.plaintext, 'secret');
+    assert.equal(result.whitened, true);
+});
+
+test('nonce 长度错误时报告 INVALID_OPTION', () => {
+    for (const nonce of [new Uint8Array(3), 'abcdefgh']) {
+        assert.throws(() => encoder.encode('x', { nonce }),
+            error => error instanceof OI1InputError && error.code === 'INVALID_OPTION' && error.details.option === 'nonce');
+    }
+});
@@ -0,0 +1,62 @@
+/**
+ * 校验失败时的修复建议
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+const ciphertext = encoder.encode('Meet at noon');
+
+/**
+ * 在给定位置（从0开始）替换一个字形
+ * @param {string} text - 密文
+ * @param {number} index - 位置
+ * @param {string} glyph - 新字形
+ * @returns {string} 修改后的密文
+ */
+function replaceAt(text, index, glyph) {
+    return text.slice(0, index) + glyph + text.slice(index + 1);
+}
+
+test('替换一个字形后，候选中包含原密文', () => {
+    const index = 30;
+    const glyph = ciphertext[index] === 'I' ? 'l' : 'I';
+    const damaged = replaceAt(ciphertext, index, glyph);
+    assert.throws(() => decoder.decode(damaged), { code: 'CRC_MISMATCH' });
+
+    const candidates = decoder.suggestRepairs(damaged);
+    assert.ok(candidates.length >= 1 && candidates.length <= 10);
+    assert.deepEqual(candidates.find(candidate => candidate.ciphertext === ciphertext), {
+        kind: 'substitute',
+        position: index + 1,
+        from: glyph,
+        to: ciphertext[index],
+        ciphertext,
+        plaintext: 'Meet at noon'
+    });
+});
+
+test('交换相邻的两个字形后，候选中包含原密文', () => {
+    let index = 20;
+    while (ciphertext[index] === ciphertext[index + 1]) index++;
+    const damaged = ciphertext.slice(0, index) + ciphertext[index + 1] + ciphertext[index] + ciphertext.slice(index + 2);
+
+    const candidate = decoder.suggestRepairs(damaged).find(item => item.ciphertext === ciphertext);
+    assert.equal(candidate.kind, 'swap');
+    assert.equal(candidate.position, index + 1);
+    assert.equal(candidate.plaintext, 'Meet at noon');
+});
+
+test('无需修复或无法穷举时返回空数组', () => {
+    assert.deepEqual(decoder.suggestRepairs(ciphertext), []);
+
+    const long = encoder.encode('x'.repeat(600));
+    assert.deepEqual(decoder.suggestRepairs(replaceAt(long, 40, long[40] === 'O' ? '0' : 'O')), []);
+
+    const dense = encoder.encode('Meet at noon', { alphabet: 'dense8' });
+    assert.deepEqual(decoder.suggestRepairs(replaceAt(dense, 12, dense[12] === 'o' ? '1' : 'o')), []);
+});
@@ -0,0 +1,100 @@
+/**
+ * HTTP 服务的状态码和解压大小限制
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Header, V3_FLAGS } from '../src/core/index.js';
+import { BYTE_TO_GLYPHS } from '../src/core/oi1-algorithm.js';
+import { OI1Server } from '../src/cli/server.js';
+
+const encoder = new OI1Encoder();
+const server = new OI1Server({ port: 0, maxDecompressedSize: 1000 });
+let url;
+
+before(async () => {
+    ({ url } = await server.listen());
+});
+
+after(() => server.close());
+
+/**
+ * 组装头部与载荷都由调用方指定、校验码正确的 v3 密文
+ * @param {number} flags - 头部标志位
+ * @param {number[]} payload - 载荷字节
+ * @returns {string} 密文
+ */
+function assemble(flags, payload) {
+    const header = OI1Header.encode({ flags, payloadLength: payload.length });
+    const frame = Uint8Array.from([...header, ...payload]);
+    return Array.from([...frame, ...encoder.computeTag(frame)], byte => BYTE_TO_GLYPHS[byte]).join('');
+}
+
+/**
+ * 发送 JSON 请求
+ * @param {string} path - 接口路径
+ * @param {Object} body - 请求体
+ * @returns {Promise<Object>} { status, body }
+ */
+async function post(path, body) {
+    const response = await fetch(url + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept-Language': 'en-US' },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('选项错误返回 400', async () => {
+    for (const [options, option] of [
+        [{ alphabet: 'nope' }, 'alphabet'],
+        [{ integrity: 'hmac-sha256' }, 'integrityKey'],
+        [{ groupSize: -3 }, 'groupSize'],
+        [{ separator: 'X' }, 'separator'],
+        [{ password: 'secret', iterations: -5 }, 'iterations'],
+        [{ password: 'secret', iterations: 2 ** 32 + 1000 }, 'iterations'],
+        [{ metadata: { expiresAt: 'tomorrow' } }, 'metadata'],
+        [{ paddingBuckets: 'big' }, 'paddingBuckets']
+    ]) {
+        const { status, body } = await post('/encode', { text: 'hi', options });
+        assert.equal(status, 400);
+        assert.equal(body.error.code, 'INVALID_OPTION');
+        assert.equal(body.error.details.option, option);
+    }
+});
+
+test('paddingBuckets 是编码接口支持的选项', async () => {
+    const { status, body } = await post('/encode', { text: 'hi', options: { padding: 'bucket', paddingBuckets: [48] } });
+    assert.equal(status, 200);
+
+    const decoded = await post('/decode', { ciphertext: body.ciphertext });
+    assert.equal(decoded.body.plaintext, 'hi');
+    assert.equal(decoded.body.payloadLength, 48);
+});
+
+test('压缩数据损坏返回 422', async () => {
+    const ciphertext = assemble(V3_FLAGS.COMPRESSED, [0x78, 0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF]);
+
+    const { status, body } = await post('/decode', { ciphertext });
+    assert.equal(status, 422);
+    assert.equal(body.error.code, 'INVALID_COMPRESSION');
+});
+
+test('解压结果超过限制返回 413', async () => {
+    const ciphertext = encoder.encode('a'.repeat(100000), { compress: true });
+
+    const { status, body } = await post('/decode', { ciphertext });
+    assert.equal(status, 413);
+    assert.equal(body.error.code, 'DECOMPRESSED_TOO_LARGE');
+    assert.equal(body.error.details.limit, 1000);
+
+    const small = await post('/decode', { ciphertext: encoder.encode('a'.repeat(1000), { compress: true }) });
+    assert.equal(small.status, 200);
+});
+
+test('密文要求的迭代次数超出上限时不派生密钥，返回 422', async () => {
+    const block = [0x01, 0xFF, 0xFF, 0xFF, 0xFF, ...new Array(16 + 12 + 16).fill(0)];
+    const { status, body } = await post('/decode', { ciphertext: assemble(V3_FLAGS.ENCRYPTED, block), options: { password: 'secret' } });
+    assert.equal(status, 422);
+    assert.equal(body.error.code, 'INVALID_ITERATIONS');
+});
@@ -0,0 +1,84 @@
+/**
+ * 流式编解码
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { OI1Encoder, OI1Decoder, OI1EncoderStream, OI1DecoderStream, OI1FormatError } from '../src/core/index.js';
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+/**
+ * 将若干分块送入变换流，收集全部输出
+ * @param {TransformStream} transform - 变换流
+ * @param {Array} chunks - 输入分块
+ * @returns {Promise<Array>} 输出分块
+ */
+async function pipe(transform, chunks) {
+    const output = [];
+    const source = new ReadableStream({
+        start(controller) {
+            chunks.forEach(chunk => controller.enqueue(chunk));
+            controller.close();
+        }
+    });
+    for await (const chunk of source.pipeThrough(transform)) {
+        output.push(chunk);
+    }
+    return output;
+}
+
+/**
+ * 把字符串切成固定长度的分块
+ * @param {string} text - 字符串
+ * @param {number} size - 每块字符数
+ * @returns {string[]} 分块
+ */
+function chunked(text, size) {
+    const chunks = [];
+    for (let i = 0; i < text.length; i += size) {
+        chunks.push(text.slice(i, i + size));
+    }
+    return chunks;
+}
+
+test('给出长度时输出与 encode 相同，流式解码还原原文', async () => {
+    const text = '流式 streaming '.repeat(50);
+    const length = new TextEncoder().encode(text).length;
+    const ciphertext = (await pipe(new OI1EncoderStream({ length }), chunked(text, 7))).join('');
+    assert.equal(ciphertext, encoder.encode(text));
+
+    const stream = new OI1DecoderStream();
+    const bytes = await pipe(stream, chunked(ciphertext, 37));
+    assert.equal(Buffer.concat(bytes).toString('utf8'), text);
+    assert.equal((await stream.result).crcVerified, true);
+});
+
+test('STREAM 标志和其他字符集的文件密文', async () => {
+    const data = Uint8Array.from({ length: 300 }, (_, i) => i % 251);
+    const ciphertext = (await pipe(new OI1EncoderStream({ binary: true, filename: 'a.bin', alphabet: 'latin' }), [data])).join('');
+    assert.deepEqual(decoder.decodeBytes(ciphertext).bytes, data);
+
+    const stream = new OI1DecoderStream();
+    const bytes = await pipe(stream, chunked(ciphertext, 11));
+    assert.deepEqual(new Uint8Array(Buffer.concat(bytes)), data);
+
+    const result = await stream.result;
+    assert.equal(result.filename, 'a.bin');
+    assert.equal(result.alphabet, 'latin');
+});
+
+test('流式解码不支持的标志位报告 STREAM_UNSUPPORTED', async () => {
+    for (const [options, flags] of [
+        [{ compress: true }, 'COMPRESSED'],
+        [{ ecc: 'low' }, 'ECC'],
+        [{ integrity: 'sha256' }, 'INTEGRITY'],
+        [{ whiten: true, metadata: { label: 'x' } }, 'WHITENED, METADATA']
+    ]) {
+        const stream = new OI1DecoderStream();
+        await assert.rejects(pipe(stream, [encoder.encode('hello stream '.repeat(20), options)]),
+            error => error instanceof OI1FormatError && error.code === 'STREAM_UNSUPPORTED' && error.details.flags === flags);
+        await assert.rejects(stream.result, { code: 'STREAM_UNSUPPORTED' });
+    }
+});
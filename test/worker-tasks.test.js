@@ -0,0 +1,154 @@
+/**
+ * Worker 任务与消息协议
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+import { OI1Encoder, OI1Decoder, OI1FormatError } from '../src/core/index.js';
+
+// 网页和 Worker 由 Vite 打包，语言包按不带导入属性的 JSON 模块导入；测试中同样把 .json 作为 JSON 模块加载
+register('data:text/javascript,' + encodeURIComponent(`
+export async function load(url, context, nextLoad) {
+    return nextLoad(url, url.endsWith('.json') ? { ...context, importAttributes: { type: 'json' } } : context);
+}`));
+// Worker 中有 navigator，Node 20 没有；语言包据此选择默认语言
+globalThis.navigator ??= { language: 'en-US' };
+const { tasks } = await import('../src/workers/oi1-tasks.js');
+const { OI1WorkerClient } = await import('../src/workers/worker-client.js');
+
+const encoder = new OI1Encoder();
+const decoder = new OI1Decoder();
+
+// 超过一个分块（256KB），流式处理时分多次报告进度
+const large = 'Worker 分块 progress '.repeat(24 * 1024);
+
+test('大输入按分块流式加密和解密，进度递增到 1', async () => {
+    const encodeProgress = [];
+    const { ciphertext, parts } = await tasks.encode({ text: large }, progress => encodeProgress.push(progress));
+    assert.equal(parts, 1);
+    assert.equal(ciphertext, encoder.encode(large));
+    assert.ok(encodeProgress.length > 1);
+    assert.deepEqual(encodeProgress, [...encodeProgress].sort((a, b) => a - b));
+    assert.equal(encodeProgress.at(-1), 1);
+
+    const decodeProgress = [];
+    const result = await tasks.decode({ ciphertext }, progress => decodeProgress.push(progress));
+    assert.equal(result.plaintext, large);
+    assert.equal(result.crcVerified, true);
+    assert.ok(decodeProgress.length > 1);
+    assert.equal(decodeProgress.at(-1), 1);
+});
+
+test('需要完整载荷的选项整体处理，结果与核心模块相同', async () => {
+    const text = 'hello worker '.repeat(20);
+    const options = { compress: true, ecc: 'low' };
+    const { ciphertext } = await tasks.encode({ text, options }, () => {});
+    assert.equal(ciphertext, await encoder.encodeAsync(text, options));
+
+    const result = await tasks.decode({ ciphertext }, () => {});
+    assert.equal(result.plaintext, text);
+    assert.equal(result.compressed, true);
+});
+
+test('按每段最大长度分段，合并后解密；缺少分段时报告 MISSING_PARTS', async () => {
+    const { ciphertext, parts } = await tasks.encode({ text: 'split across several parts', options: { maxPartLength: 80 } }, () => {});
+    assert.ok(parts > 1);
+
+    const pieces = ciphertext.split('\n\n');
+    assert.equal(pieces.length, parts);
+    const result = await tasks.decodeParts({ parts: pieces.reverse() }, () => {});
+    assert.equal(result.plaintext, 'split across several parts');
+    assert.equal(result.multipart.total, parts);
+
+    await assert.rejects(tasks.decodeParts({ parts: pieces.slice(1) }, () => {}), { code: 'MISSING_PARTS' });
+});
+
+test('演示步骤按请求的语言生成', () => {
+    const english = tasks.demo({ kind: 'encoding', input: 'hi', options: {}, language: 'en-US' });
+    const chinese = tasks.demo({ kind: 'encoding', input: 'hi', options: {}, language: 'zh-CN' });
+    assert.equal(english.length, chinese.length);
+    assert.doesNotMatch(english[0].title, /[一-鿿]/);
+    assert.match(chinese[0].title, /[一-鿿]/);
+});
+
+test('Worker 消息协议：进度、结果和带错误代码的错误', async () => {
+    const messages = [];
+    globalThis.self = new EventTarget();
+    globalThis.self.postMessage = message => messages.push(message);
+    await import('../src/workers/oi1.worker.js');
+
+    const finished = id => new Promise(resolve => {
+        const poll = () => messages.some(message => message.id === id && message.type !== 'progress') ? resolve() : setTimeout(poll, 5);
+        poll();
+    });
+
+    self.dispatchEvent(new MessageEvent('message', { data: { id: 1, method: 'encode', params: { text: 'hi' } } }));
+    self.dispatchEvent(new MessageEvent('message', { data: { id: 2, method: 'decode', params: { ciphertext: 'OOOX' } } }));
+    await Promise.all([finished(1), finished(2)]);
+
+    assert.ok(messages.some(message => message.id === 1 && message.type === 'progress'));
+    const result = messages.find(message => message.id === 1 && message.type === 'result');
+    assert.equal(decoder.decode(result.result.ciphertext).plaintext, 'hi');
+
+    const error = messages.find(message => message.id === 2 && message.type === 'error');
+    assert.equal(error.error.code, 'INVALID_CHAR');
+    delete globalThis.self;
+});
+
+test('Worker 客户端：转发进度和结果，还原错误类型，取消时终止 Worker', async () => {
+    // 不支持 Worker 时在主线程执行
+    const direct = await new OI1WorkerClient().encode({ text: 'hi' });
+    assert.equal(decoder.decode(direct.ciphertext).plaintext, 'hi');
+
+    const workers = [];
+    globalThis.Worker = class extends EventTarget {
+        constructor() {
+            super();
+            this.sent = [];
+            this.terminated = false;
+            workers.push(this);
+        }
+        postMessage(message) {
+            this.sent.push(message);
+        }
+        reply(data) {
+            this.dispatchEvent(new MessageEvent('message', { data }));
+        }
+        terminate() {
+            this.terminated = true;
+        }
+    };
+
+    try {
+        const client = new OI1WorkerClient();
+        const progress = [];
+        const encoding = client.encode({ text: 'hi' }, value => progress.push(value));
+        const [worker] = workers;
+        const { id, method } = worker.sent[0];
+        assert.equal(method, 'encode');
+
+        worker.reply({ id, type: 'progress', progress: 0.5 });
+        worker.reply({ id, type: 'result', result: { ciphertext: 'IOlI', parts: 1 } });
+        assert.deepEqual(await encoding, { ciphertext: 'IOlI', parts: 1 });
+        assert.deepEqual(progress, [0.5]);
+
+        const decoding = client.decode({ ciphertext: 'x' });
+        worker.reply({ id: worker.sent[1].id, type: 'error', error: { name: 'OI1FormatError', code: 'INVALID_CHAR', message: 'x', details: { position: 1, char: 'x' } } });
+        await assert.rejects(decoding, error => error instanceof OI1FormatError && error.details.position === 1);
+
+        const pending = [client.encode({ text: 'a' }), client.decode({ ciphertext: 'b' })];
+        client.cancel();
+        for (const job of pending) {
+            await assert.rejects(job, { code: 'CANCELLED' });
+        }
+        assert.equal(worker.terminated, true);
+
+        const again = client.encode({ text: 'again' });
+        assert.equal(workers.length, 2);
+        client.cancel();
+        await assert.rejects(again, { code: 'CANCELLED' });
+    } finally {
+        delete globalThis.Worker;
+    }
+});
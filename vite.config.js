@@ -16,6 +16,10 @@ export default defineConfig({
       }
     }
   },
+  worker: {
+    // 加密 Worker 使用 ES 模块格式（new Worker(..., { type: 'module' })）
+    format: 'es'
+  },
   server: {
     port: 3000,
     open: true